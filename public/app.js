@@ -35,6 +35,11 @@ const potentialWinAmount = document.getElementById('potential-win-amount');
 const userDisplayName = document.getElementById('user-display-name');
 const logoutBtn = document.getElementById('logout-btn');
 
+// Reckoning voting elements
+const reckoningPanel = document.getElementById('reckoning-panel');
+const reckoningCategories = document.getElementById('reckoning-categories');
+const reckoningTotalVotes = document.getElementById('reckoning-total-votes');
+
 // Match status elements
 const matchStatusBar = document.getElementById('match-status-bar');
 const currentWaveEl = document.getElementById('current-wave');
@@ -48,6 +53,10 @@ const newsTab = document.getElementById('news-tab');
 let currentMatchId = null;
 let currentOdds = { team1: 2.0, team2: 2.0 };
 
+// Reckoning state (options + tallies from /api/reckoning, and this user's picks)
+let reckoningState = null;
+let reckoningUserVotes = {};
+
 // Visualization instance
 let matchVisualization = null;
 
@@ -78,6 +87,15 @@ if (currentUser && userDisplayName) {
 // Logout button handler
 logoutBtn?.addEventListener('click', () => {
     if (confirm('Are you sure you want to exit the void?')) {
+        const voidToken = localStorage.getItem('voidToken');
+        if (voidToken) {
+            // Revoke the session server-side; leave regardless of the outcome
+            fetch('/api/auth/logout', {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${voidToken}` },
+                keepalive: true
+            }).catch(() => {});
+        }
         localStorage.removeItem('voidUser');
         localStorage.removeItem('voidToken');
         window.location.href = '/login.html';
@@ -136,10 +154,11 @@ socket.addEventListener('open', (event) => {
     console.log('Connected to WebSocket server');
 
     // Authenticate with the server if user is logged in
-    if (currentUser && currentUser.id) {
+    const voidToken = localStorage.getItem('voidToken');
+    if (currentUser && voidToken) {
         socket.send(JSON.stringify({
             type: 'auth',
-            userId: currentUser.id
+            token: voidToken
         }));
     } else {
         socket.send('Hello Server!');
@@ -208,6 +227,13 @@ socket.addEventListener('message', (event) => {
             addToMatchFeed(parsedMessage.message, 'announcement');
         } else if (parsedMessage.type === 'finals_match_start') {
             addToMatchFeed(parsedMessage.message, 'announcement');
+        } else if (parsedMessage.type === 'reckoning_start' || parsedMessage.type === 'reckoning_active') {
+            loadReckoning();
+        } else if (parsedMessage.type === 'reckoning_update') {
+            updateReckoningTallies(parsedMessage);
+        } else if (parsedMessage.type === 'reckoning_results') {
+            hideReckoningPanel();
+            addToMatchFeed('⚡ THE RECKONING HAS CONCLUDED. REALITY HAS BEEN RESHAPED.', 'announcement');
         } else {
             // Only log if it's not a known type that should be ignored
             // This prevents countdown spam from appearing in feeds
@@ -441,10 +467,11 @@ function displayRosters(teams) {
         team.champions.forEach(champ => {
             const champDiv = document.createElement('div');
             champDiv.className = 'roster-champion';
+            champDiv.dataset.championId = champ.id;
             // Apply champion color to champion name
             const champColor = championColorMap[champ.name] || generateChampionColor(champ.name);
             champDiv.innerHTML = `
-                <a href="/champion.html?name=${encodeURIComponent(champ.name)}" class="champion-link">
+                <a href="/champion.html?id=${encodeURIComponent(champ.id)}" class="champion-link">
                     <span class="champion-name" style="color: ${champColor}; font-weight: 600;">${champ.name}</span>
                     <span class="champion-role"> (${champ.role})</span>
                 </a><br>
@@ -681,9 +708,20 @@ function updateOddsDisplay(oddsData) {
     }
 }
 
+/**
+ * How an overtime match was decided, for result messages ('' for regular wins)
+ */
+function describeDecision(decision) {
+    if (!decision) return '';
+    if (decision.method === 'sudden_death') return ' (sudden death)';
+    if (decision.method === 'tiebreak') return ` (tiebreak: ${decision.criterion.replace('_', ' ')})`;
+    return decision.overtime ? ' (overtime)' : '';
+}
+
 function showBetResults(results) {
+    const winner = `${results.winner}${describeDecision(results.decision)}`;
     if (results.yourPayout) {
-        const message = `🎉 WINNER: ${results.winner}! You won ${results.yourPayout.payout}⌬ (Profit: +${results.yourPayout.profit}⌬)`;
+        const message = `🎉 WINNER: ${winner}! You won ${results.yourPayout.payout}⌬ (Profit: +${results.yourPayout.profit}⌬)`;
         showNotification(message, 'success');
 
         // Add celebratory feed message
@@ -692,9 +730,9 @@ function showBetResults(results) {
         // Check if user had a bet on this match (by checking if we have active bets)
         const hadBet = currentMatchId && results.matchId === currentMatchId;
         if (hadBet) {
-            showNotification(`Match ended. Winner: ${results.winner}. Better luck next time!`, 'error');
+            showNotification(`Match ended. Winner: ${winner}. Better luck next time!`, 'error');
         } else {
-            showNotification(`Match ended. Winner: ${results.winner}`, 'info');
+            showNotification(`Match ended. Winner: ${winner}`, 'info');
         }
     }
 }
@@ -744,7 +782,12 @@ function updateMatchStatus(statusData) {
 
     // Update wave info
     if (currentWaveEl) currentWaveEl.textContent = statusData.wave || 0;
-    if (maxWavesEl) maxWavesEl.textContent = statusData.maxWaves || 150;
+    if (maxWavesEl) {
+        const overtime = statusData.overtime;
+        maxWavesEl.textContent = overtime && overtime.active
+            ? `${statusData.maxWaves || 150} + OT ${overtime.wave}/${overtime.waves}`
+            : statusData.maxWaves || 150;
+    }
 
     // Update timer
     if (matchTimerEl) matchTimerEl.textContent = statusData.elapsedTime || '0:00';
@@ -788,7 +831,7 @@ function updateMatchStatus(statusData) {
 
     // Update progress bar
     if (waveProgressFill && statusData.wave && statusData.maxWaves) {
-        const progress = (statusData.wave / statusData.maxWaves) * 100;
+        const progress = Math.min(100, (statusData.wave / statusData.maxWaves) * 100);
         waveProgressFill.style.width = `${progress}%`;
     }
 
@@ -918,10 +961,9 @@ function updateRosterWithLiveStats(champions) {
         const nameElement = champElement.querySelector('.champion-name');
         if (!nameElement) return;
 
-        const championName = nameElement.textContent.trim();
-
-        // Find matching champion in live stats
-        const liveChamp = champions.find(c => c.name === championName);
+        // Find matching champion in live stats (names aren't unique, IDs are)
+        const championId = champElement.dataset.championId;
+        const liveChamp = champions.find(c => c.championId === championId);
         if (!liveChamp) return;
 
         // Update the stats display
@@ -956,6 +998,15 @@ function updateSeasonStatus(statusData) {
 
     const phaseLabel = phaseLabels[statusData.phase] || statusData.phase;
 
+    // Voting is only open between seasons
+    if (statusData.phase === 'OFF_SEASON') {
+        if (!reckoningState) {
+            loadReckoning();
+        }
+    } else if (reckoningState) {
+        hideReckoningPanel();
+    }
+
     // Update status text with more detailed information
     if (statusText) {
         let statusMessage = '';
@@ -1153,3 +1204,121 @@ document.querySelectorAll('.tab-btn-vertical').forEach(button => {
         document.getElementById(`${tabName}-tab`).classList.add('active');
     });
 });
+
+// ==================== THE RECKONING ====================
+
+const RECKONING_CATEGORY_LABELS = {
+    blessings: 'BLESSINGS',
+    curses: 'CURSES',
+    rules: 'RULE CHANGES',
+    chaos: 'CHAOS DECREE',
+    decree: 'COMMITTEE DECREE'
+};
+
+async function loadReckoning() {
+    try {
+        const voidToken = localStorage.getItem('voidToken');
+        const response = await fetch('/api/reckoning', {
+            headers: voidToken ? { 'Authorization': `Bearer ${voidToken}` } : {}
+        });
+        const data = await response.json();
+
+        if (!data.success || !data.reckoning.active || data.phase !== 'OFF_SEASON') {
+            hideReckoningPanel();
+            return;
+        }
+
+        reckoningState = data.reckoning;
+        reckoningUserVotes = data.userVotes || {};
+        renderReckoningPanel();
+    } catch (error) {
+        console.error('Failed to load the Reckoning:', error);
+    }
+}
+
+function hideReckoningPanel() {
+    reckoningState = null;
+    reckoningUserVotes = {};
+    if (reckoningPanel) {
+        reckoningPanel.style.display = 'none';
+    }
+}
+
+function renderReckoningPanel() {
+    if (!reckoningPanel || !reckoningState) return;
+
+    const counts = reckoningState.voteCounts || {};
+    reckoningTotalVotes.textContent = reckoningState.totalVotes || 0;
+
+    reckoningCategories.innerHTML = Object.entries(reckoningState.categories).map(([category, options]) => `
+        <div class="reckoning-category">
+            <h4 class="reckoning-category-title">${RECKONING_CATEGORY_LABELS[category] || category.toUpperCase()}</h4>
+            ${options.map(option => {
+                const votes = (counts[category] && counts[category][option.id]) || 0;
+                const selected = reckoningUserVotes[category] === option.id;
+                return `
+                    <div class="reckoning-option${selected ? ' selected' : ''}">
+                        <div class="reckoning-option-info">
+                            <span class="reckoning-option-name">${option.name || option.champion}</span>
+                            <small class="reckoning-option-desc">${option.description}</small>
+                        </div>
+                        <span class="reckoning-option-votes">${votes}</span>
+                        <button class="reckoning-vote-btn" data-category="${category}" data-option="${option.id}" ${selected ? 'disabled' : ''}>
+                            ${selected ? 'VOTED' : 'VOTE'}
+                        </button>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `).join('');
+
+    reckoningPanel.style.display = 'block';
+}
+
+function updateReckoningTallies(update) {
+    if (!update.active) {
+        hideReckoningPanel();
+        return;
+    }
+    if (!reckoningState) {
+        loadReckoning();
+        return;
+    }
+
+    reckoningState.voteCounts = update.voteCounts;
+    reckoningState.totalVotes = update.totalVotes;
+    renderReckoningPanel();
+}
+
+async function castReckoningVote(category, optionId) {
+    try {
+        const response = await fetch('/api/reckoning/vote', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${localStorage.getItem('voidToken')}`
+            },
+            body: JSON.stringify({ category, optionId })
+        });
+        const data = await response.json();
+
+        if (data.success) {
+            reckoningUserVotes = data.userVotes;
+            renderReckoningPanel();
+            showNotification('Your voice echoes through the void.', 'success');
+        } else {
+            showNotification(`Vote failed: ${data.error}`, 'error');
+        }
+    } catch (error) {
+        showNotification('Vote failed: the void did not answer', 'error');
+    }
+}
+
+reckoningCategories?.addEventListener('click', (event) => {
+    const button = event.target.closest('.reckoning-vote-btn');
+    if (button) {
+        castReckoningVote(button.dataset.category, button.dataset.option);
+    }
+});
+
+loadReckoning();
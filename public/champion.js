@@ -28,11 +28,11 @@ document.getElementById('logout-btn')?.addEventListener('click', () => {
     }
 });
 
-// Get champion name from URL parameter
+// Get champion ID from URL parameter
 const urlParams = new URLSearchParams(window.location.search);
-const championName = urlParams.get('name');
+const championId = urlParams.get('id');
 
-if (!championName) {
+if (!championId) {
     alert('No champion specified');
     window.location.href = '/';
 }
@@ -60,7 +60,7 @@ function generateChampionColor(championName) {
 // Fetch champion data
 async function fetchChampionData() {
     try {
-        const response = await fetch(`/api/champions/${encodeURIComponent(championName)}`);
+        const response = await fetch(`/api/champions/${encodeURIComponent(championId)}`);
         if (!response.ok) {
             throw new Error('Champion not found');
         }
@@ -71,7 +71,7 @@ async function fetchChampionData() {
         document.getElementById('loading-container').innerHTML = `
             <div class="error-message">
                 <h2>Champion Not Found</h2>
-                <p>Could not load data for ${championName}</p>
+                <p>Could not load data for this champion</p>
                 <a href="/" class="btn-primary">Return to Home</a>
             </div>
         `;
@@ -152,6 +152,9 @@ function displayChampionData(data) {
     // Abilities
     displayAbilities(champion.abilities);
 
+    // Quirks
+    displayQuirks(champion.quirks);
+
     // Match history
     displayMatchHistory(matchHistory);
 
@@ -231,6 +234,22 @@ function displayMatchHistory(matches) {
     }).join('');
 }
 
+// Display quirks
+function displayQuirks(quirks) {
+    const container = document.getElementById('quirks-list');
+    if (!quirks || quirks.length === 0) {
+        container.innerHTML = '<p class="empty-message">No known quirks. Suspiciously normal.</p>';
+        return;
+    }
+
+    container.innerHTML = quirks.map(quirk => `
+        <div class="quirk-item">
+            <div class="quirk-name">${quirk.name}</div>
+            <div class="quirk-description">${quirk.description || ''}</div>
+        </div>
+    `).join('');
+}
+
 // Display grudges
 function displayGrudges(grudges) {
     const container = document.getElementById('grudges-list');
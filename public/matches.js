@@ -170,7 +170,7 @@ function createMatchRow(match) {
     const team2Color = generateChampionColor(match.team2_name);
 
     // Parse replay data for additional info
-    let duration = 'N/A';
+    let duration = match.waves ? `${match.waves} waves` : 'N/A';
     let team1Score = 0;
     let team2Score = 0;
 
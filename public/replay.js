@@ -90,6 +90,7 @@ window.addEventListener('load', () => {
         visualization.drawMinimap();
         visualization.drawGoldGraph();
         visualization.drawKillGraph();
+        visualization.loadMap();
     }
 });
 
@@ -122,12 +123,8 @@ async function fetchReplayData() {
 
 // Initialize replay
 function initializeReplay() {
-    // Parse replay data
-    const parsedReplayData = typeof replayData.replay_data === 'string'
-        ? JSON.parse(replayData.replay_data)
-        : replayData.replay_data;
-
-    replayEvents = parsedReplayData.events || [];
+    // Events are re-simulated server-side from the stored seed and roster
+    replayEvents = replayData.events || [];
 
     if (replayEvents.length === 0) {
         alert('No replay events found');
@@ -319,6 +316,16 @@ function renderEventAtIndex(index, shouldScroll = true) {
     // Update wave display
     if (event.tick !== undefined) {
         document.getElementById('current-wave-display').textContent = event.tick;
+
+        // Minimap shows where everyone ended that wave
+        const positions = replayData.positions && replayData.positions[event.tick];
+        if (visualization && positions) {
+            visualization.updateChampions(positions);
+        }
+        const minionWaves = replayData.minionWaves && replayData.minionWaves[event.tick];
+        if (visualization && minionWaves) {
+            visualization.updateMinionWaves(minionWaves);
+        }
     }
 
     // Update match status from event data
@@ -339,6 +346,39 @@ function renderEventAtIndex(index, shouldScroll = true) {
         case 'match.end':
             addToFeed(`🏆 MATCH END: ${event.data.winner.name} WINS!`, shouldScroll);
             break;
+        case 'draft.ban':
+            if (!event.skipped) {
+                addToFeed(`🚫 ${event.teamName} bans ${event.championName} (${event.role})`, shouldScroll);
+            }
+            break;
+        case 'draft.pick':
+            addToFeed(`✅ ${event.teamName} picks ${event.championName} (${event.role})`, shouldScroll);
+            break;
+        case 'overtime.start':
+            addToFeed(`⏰ OVERTIME after ${event.regulationWaves} waves - the next ace wins!`, shouldScroll);
+            break;
+        case 'overtime.sudden_death':
+            addToFeed(`☠️ SUDDEN DEATH: ${event.winnerName} takes the match with an ace!`, shouldScroll);
+            break;
+        case 'overtime.tiebreak':
+            addToFeed(`⚖️ TIEBREAK: ${event.winnerName} wins on ${event.criterion.replace('_', ' ')}`, shouldScroll);
+            break;
+        case 'streak.spree':
+        case 'streak.legendary':
+            addToFeed(`🔥 ${event.championName}: ${event.title.toUpperCase()} (${event.streak} kills)`, shouldScroll);
+            break;
+        case 'shutdown':
+            addToFeed(`💰 SHUTDOWN: ${event.killerName} ends ${event.victimName}'s streak (+${event.shutdownGold}g)`, shouldScroll);
+            break;
+        case 'bounty.objective':
+            addToFeed(`💰 COMEBACK BOUNTY: ${event.teamName} +${event.bountyGold}g for ${event.objectiveName}`, shouldScroll);
+            break;
+        case 'jungle.smite':
+            addToFeed(`⚡ SMITE${event.stolen ? ' STEAL' : ''}: ${event.winnerName} takes the ${event.campName} over ${event.loserName}`, shouldScroll);
+            break;
+        case 'minion.empowered':
+            addToFeed(`⚔️ EMPOWERED WAVES: ${event.teamName} ${event.lane} lane`, shouldScroll);
+            break;
     }
 }
 
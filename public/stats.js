@@ -173,7 +173,7 @@ function displayLeaderboard(containerId, data, valueKey, formatter) {
         return `
             <div class="leaderboard-item">
                 <div class="leaderboard-rank">#${idx + 1}</div>
-                <a href="/champion.html?name=${encodeURIComponent(item.champion_name)}" class="leaderboard-name" style="color: ${color};">
+                <a href="/champion.html?id=${encodeURIComponent(item.champion_id)}" class="leaderboard-name" style="color: ${color};">
                     ${item.champion_name}
                 </a>
                 <div class="leaderboard-value">${value}</div>
@@ -21,7 +21,9 @@ class MatchVisualization {
             team2: { kills: 0, gold: 0, champions: [] },
             goldHistory: [], // [{wave, team1Gold, team2Gold}]
             killHistory: [], // [{wave, team1Kills, team2Kills}]
-            events: [] // [{wave, type, description, team}]
+            events: [], // [{wave, type, description, team}]
+            minionWaves: [], // [{teamId, lane, x, y, count, empowered, state}]
+            jungleCamps: [] // [{nodeId, name, buff, isUp, respawnIn}]
         };
 
         // Mini-map configuration
@@ -41,10 +43,15 @@ class MatchVisualization {
             ],
             objectives: [
                 { x: 150, y: 80, type: 'rift' },
-                { x: 150, y: 220, type: 'void' }
+                { x: 150, y: 220, type: 'void' },
+                { x: 120, y: 120, type: 'monolith' }
             ]
         };
 
+        // Simulation map graph ({ nodes, edges } from /api/map, coordinates in [0, 1])
+        // Until it loads, the minimap falls back to the fixed layout above
+        this.mapLayout = null;
+
         // Colors
         this.colors = {
             team1: 'rgba(74, 158, 255, 0.8)', // Blue
@@ -88,11 +95,38 @@ class MatchVisualization {
             this.drawMinimap();
             this.drawGoldGraph();
             this.drawKillGraph();
+            this.loadMap();
         }
 
         console.log('Visualization initialized:', this.isInitialized);
     }
 
+    /**
+     * Fetch the simulation's map graph and redraw the minimap with it
+     */
+    async loadMap() {
+        try {
+            const response = await fetch('/api/map');
+            const data = await response.json();
+            if (data.success && data.map) {
+                this.mapLayout = data.map;
+                this.drawMinimap();
+            }
+        } catch (error) {
+            console.error('Error loading map layout:', error);
+        }
+    }
+
+    /**
+     * Scale normalized map coordinates to the minimap canvas
+     */
+    toMinimap(point) {
+        return {
+            x: point.x * this.minimapConfig.width,
+            y: point.y * this.minimapConfig.height
+        };
+    }
+
     /**
      * Update match data from server
      */
@@ -143,12 +177,41 @@ class MatchVisualization {
             this.matchData.team2.champions = data.champions.filter(c => c.teamId === 'team2');
         }
 
+        if (data.minionWaves) {
+            this.matchData.minionWaves = data.minionWaves;
+        }
+
+        if (data.jungleCamps) {
+            this.matchData.jungleCamps = data.jungleCamps;
+        }
+
         // Redraw visualizations
         this.drawMinimap();
         this.drawGoldGraph();
         this.drawKillGraph();
     }
 
+    /**
+     * Update champion positions only (replay frames)
+     */
+    updateChampions(champions) {
+        if (!this.isInitialized) return;
+
+        this.matchData.team1.champions = champions.filter(c => c.teamId === 'team1');
+        this.matchData.team2.champions = champions.filter(c => c.teamId === 'team2');
+        this.drawMinimap();
+    }
+
+    /**
+     * Update minion waves only (replay frames)
+     */
+    updateMinionWaves(minionWaves) {
+        if (!this.isInitialized) return;
+
+        this.matchData.minionWaves = minionWaves;
+        this.drawMinimap();
+    }
+
     /**
      * Add event to timeline
      */
@@ -210,6 +273,9 @@ class MatchVisualization {
         // Draw objectives
         this.drawObjectives(ctx);
 
+        // Draw minion waves (under the champions)
+        this.drawMinionWaves(ctx);
+
         // Draw champion positions
         this.drawChampionPositions(ctx);
 
@@ -224,6 +290,20 @@ class MatchVisualization {
         ctx.strokeStyle = this.colors.lane;
         ctx.lineWidth = 2;
 
+        // Map graph: every path champions can walk
+        if (this.mapLayout) {
+            const nodes = new Map(this.mapLayout.nodes.map(node => [node.id, node]));
+            this.mapLayout.edges.forEach(([fromId, toId]) => {
+                const from = this.toMinimap(nodes.get(fromId));
+                const to = this.toMinimap(nodes.get(toId));
+                ctx.beginPath();
+                ctx.moveTo(from.x, from.y);
+                ctx.lineTo(to.x, to.y);
+                ctx.stroke();
+            });
+            return;
+        }
+
         // Top lane (diagonal)
         const top = this.minimapConfig.lanes.top;
         ctx.beginPath();
@@ -247,26 +327,46 @@ class MatchVisualization {
     }
 
     /**
-     * Draw jungle camps
+     * Draw jungle camps: quadrants with nothing up are faded, and a gold ring
+     * marks a buff camp that's up
      */
     drawJungleCamps(ctx) {
-        ctx.fillStyle = this.colors.jungle;
-        this.minimapConfig.jungle.forEach(camp => {
+        const camps = this.mapLayout
+            ? this.mapLayout.nodes.filter(node => node.type === 'jungle').map(node => ({ ...this.toMinimap(node), id: node.id }))
+            : this.minimapConfig.jungle;
+        camps.forEach(camp => {
+            const tracked = this.matchData.jungleCamps.filter(c => c.nodeId === camp.id);
+            const anyUp = tracked.length === 0 || tracked.some(c => c.isUp);
+
+            ctx.globalAlpha = anyUp ? 1 : 0.3;
+            ctx.fillStyle = this.colors.jungle;
             ctx.beginPath();
             ctx.arc(camp.x, camp.y, 8, 0, Math.PI * 2);
             ctx.fill();
+            ctx.globalAlpha = 1;
+
+            if (tracked.some(c => c.buff && c.isUp)) {
+                ctx.strokeStyle = '#ffd700';
+                ctx.lineWidth = 1;
+                ctx.stroke();
+            }
         });
     }
 
     /**
-     * Draw objectives (Rift Breaches, Void)
+     * Draw objectives (Rift Breaches, Void, Monolith)
      */
     drawObjectives(ctx) {
         ctx.fillStyle = this.colors.objective;
         ctx.strokeStyle = '#ffd700';
         ctx.lineWidth = 2;
 
-        this.minimapConfig.objectives.forEach(obj => {
+        const objectives = this.mapLayout
+            ? this.mapLayout.nodes
+                .filter(node => node.type === 'objective')
+                .map(node => ({ ...this.toMinimap(node), type: node.objective }))
+            : this.minimapConfig.objectives;
+        objectives.forEach(obj => {
             ctx.beginPath();
             if (obj.type === 'rift') {
                 // Draw diamond for Rift Breach
@@ -275,6 +375,14 @@ class MatchVisualization {
                 ctx.lineTo(obj.x, obj.y + 10);
                 ctx.lineTo(obj.x - 8, obj.y);
                 ctx.closePath();
+            } else if (obj.type === 'monolith') {
+                // Draw obelisk for The Monolith
+                ctx.moveTo(obj.x, obj.y - 12);
+                ctx.lineTo(obj.x + 5, obj.y - 7);
+                ctx.lineTo(obj.x + 5, obj.y + 10);
+                ctx.lineTo(obj.x - 5, obj.y + 10);
+                ctx.lineTo(obj.x - 5, obj.y - 7);
+                ctx.closePath();
             } else {
                 // Draw star for Hungering Void
                 this.drawStar(ctx, obj.x, obj.y, 5, 10, 5);
@@ -284,6 +392,28 @@ class MatchVisualization {
         });
     }
 
+    /**
+     * Draw minion waves: team-colored squares sized by minion count,
+     * outlined in gold when empowered (thicker under Monolith's Blessing)
+     */
+    drawMinionWaves(ctx) {
+        this.matchData.minionWaves.forEach(wave => {
+            if (wave.x === null || wave.x === undefined) return;
+
+            const pos = this.toMinimap(wave);
+            const size = Math.min(10, 3 + wave.count * 0.5);
+
+            ctx.fillStyle = wave.teamId === 'team1' ? this.colors.team1Fill : this.colors.team2Fill;
+            ctx.fillRect(pos.x - size / 2, pos.y - size / 2, size, size);
+
+            ctx.strokeStyle = wave.empowered || wave.blessed
+                ? '#ffd700'
+                : (wave.teamId === 'team1' ? this.colors.team1 : this.colors.team2);
+            ctx.lineWidth = wave.blessed ? 2 : 1;
+            ctx.strokeRect(pos.x - size / 2, pos.y - size / 2, size, size);
+        });
+    }
+
     /**
      * Draw star shape (for Void objective)
      */
@@ -318,21 +448,33 @@ class MatchVisualization {
     drawChampionPositions(ctx) {
         // Team 1 (Blue) champions
         this.matchData.team1.champions.forEach((champ, idx) => {
-            const pos = this.getChampionPosition(champ.role, 'team1', idx);
+            const pos = this.getChampionPosition(champ, 'team1', idx);
             this.drawChampion(ctx, pos.x, pos.y, this.colors.team1, champ.name);
         });
 
         // Team 2 (Red) champions
         this.matchData.team2.champions.forEach((champ, idx) => {
-            const pos = this.getChampionPosition(champ.role, 'team2', idx);
+            const pos = this.getChampionPosition(champ, 'team2', idx);
             this.drawChampion(ctx, pos.x, pos.y, this.colors.team2, champ.name);
         });
     }
 
     /**
-     * Get champion position based on role and team
+     * Get champion position: where the simulation placed them, or a spot by role and team
      */
-    getChampionPosition(role, team, index) {
+    getChampionPosition(champ, team, index) {
+        if (champ.position && champ.position.x !== null && champ.position.x !== undefined) {
+            // Champions sharing a node fan out so every dot stays visible
+            const shared = this.matchData[team].champions.filter(other =>
+                other.position && other.position.nodeId === champ.position.nodeId);
+            const slot = shared.indexOf(champ);
+            const pos = this.toMinimap(champ.position);
+            const offset = (slot - (shared.length - 1) / 2) * 8;
+            const side = team === 'team1' ? 1 : -1;  // Teams stack on opposite sides of the node
+            return { x: pos.x + offset, y: pos.y + side * 6 };
+        }
+
+        const role = champ.role;
         const positions = {
             team1: {
                 Top: { x: 50, y: 50 },
@@ -608,7 +750,9 @@ class MatchVisualization {
             team2: { kills: 0, gold: 0, champions: [] },
             goldHistory: [],
             killHistory: [],
-            events: []
+            events: [],
+            minionWaves: [],
+            jungleCamps: []
         };
 
         if (this.isInitialized) {
@@ -0,0 +1,283 @@
+/**
+ * Batch Match Simulator
+ *
+ * Runs N seeded matches between two teams with no WebSocket or real-time
+ * pacing, and reports win rates, match length, kill/gold curves and item and
+ * chaos event frequencies. Useful for balance testing.
+ * Run with: node scripts/batch-simulate.js --team1 <name|index> --team2 <name|index> [options]
+ *
+ * Options:
+ *   --team1 <name|index>   : First team (name from data.json, or its index)
+ *   --team2 <name|index>   : Second team
+ *   --matches <n>          : Number of matches to run (default 100)
+ *   --seed <prefix>        : Seed prefix; match i uses "<prefix>-<i>" (default "batch")
+ *   --max-waves <n>        : Wave limit per match (default 150)
+ *   --intensity <x>        : Intensity multiplier (1.3 playoffs, 1.5 finals; default 1.0)
+ *   --season <n>           : Apply the league ruleset voted in for this season
+ *   --draft <roster|pool>  : Run a pick/ban draft before each match (pool = both rosters shared)
+ *   --bans <n>             : Bans per team in the draft (default 2)
+ *   --overtime <n>         : Overtime waves after regulation (0 = straight to the tiebreak; default 10)
+ *   --tiebreak <list>      : Tiebreak ladder, comma separated (default structures,gold,kills)
+ *   --format <json|csv>    : Output format (default json)
+ *   --table <name>         : CSV table: matches, curves, items or chaos (default matches)
+ *   --include-matches      : JSON only - include per-match results, not just the summary
+ *   --out <file>           : Write to a file instead of stdout
+ *   --list-teams           : List teams and their indexes
+ */
+
+const fs = require('fs');
+const BatchRunner = require('../server/simulation/BatchRunner');
+const OvertimeSystem = require('../server/simulation/systems/OvertimeSystem');
+const { teams } = require('../server/data/data.json');
+
+const args = process.argv.slice(2);
+
+function getArg(name, defaultValue = null) {
+    const index = args.indexOf(name);
+    if (index === -1) return defaultValue;
+
+    const value = args[index + 1];
+    if (value === undefined || value.startsWith('--')) {
+        console.error(`Error: ${name} requires a value`);
+        process.exit(1);
+    }
+    return value;
+}
+
+/**
+ * Whole-number option, at least `min` (exits on anything else instead of
+ * silently falling back to the default)
+ */
+function getIntArg(name, defaultValue, min = 1) {
+    const value = getArg(name);
+    if (value === null) return defaultValue;
+
+    if (!/^\d+$/.test(value) || parseInt(value, 10) < min) {
+        console.error(`Error: ${name} must be a whole number of at least ${min} (got '${value}')`);
+        process.exit(1);
+    }
+    return parseInt(value, 10);
+}
+
+/**
+ * Positive number option (exits on anything else)
+ */
+function getNumberArg(name, defaultValue) {
+    const value = getArg(name);
+    if (value === null) return defaultValue;
+
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+        console.error(`Error: ${name} must be a positive number (got '${value}')`);
+        process.exit(1);
+    }
+    return number;
+}
+
+async function main() {
+    if (args.includes('--list-teams')) {
+        listTeams();
+        return;
+    }
+
+    if (!args.includes('--team1') || !args.includes('--team2')) {
+        printUsage();
+        return;
+    }
+
+    const team1 = findTeam(getArg('--team1'));
+    const team2 = findTeam(getArg('--team2'));
+    const format = getArg('--format', 'json');
+
+    if (!['json', 'csv'].includes(format)) {
+        console.error(`Error: unknown format '${format}' (use json or csv)`);
+        process.exit(1);
+    }
+
+    const draftMode = getArg('--draft');
+    if (draftMode && !['roster', 'pool'].includes(draftMode)) {
+        console.error(`Error: unknown draft mode '${draftMode}' (use roster or pool)`);
+        process.exit(1);
+    }
+    const bans = getIntArg('--bans', 2, 0);
+
+    const runner = new BatchRunner({
+        team1,
+        team2,
+        matches: getIntArg('--matches', 100),
+        seedPrefix: getArg('--seed', 'batch'),
+        maxWaves: getIntArg('--max-waves', 150),
+        intensityMultiplier: getNumberArg('--intensity', 1.0),
+        ruleset: await loadRuleset(getIntArg('--season', null)),
+        draft: draftMode ? { mode: draftMode, bans } : null,
+        overtime: getOvertimeRules()
+    });
+
+    // Progress goes to stderr so stdout can be piped
+    console.error(`Simulating ${runner.matches} matches: ${team1.name} vs ${team2.name}`);
+    const startTime = Date.now();
+
+    const { summary, matches } = await runner.run((completed, total) => {
+        if (completed % 10 === 0 || completed === total) {
+            console.error(`  ${completed}/${total} matches complete`);
+        }
+    });
+
+    console.error(`Done in ${((Date.now() - startTime) / 1000).toFixed(1)}s - ` +
+        `${team1.name} ${(summary.winRate.team1 * 100).toFixed(1)}% / ` +
+        `${team2.name} ${(summary.winRate.team2 * 100).toFixed(1)}%, ` +
+        `average ${summary.waves.average} waves`);
+
+    const output = format === 'csv'
+        ? toCSV(getArg('--table', 'matches'), summary, matches)
+        : JSON.stringify(args.includes('--include-matches') ? { summary, matches } : { summary }, null, 2);
+
+    const outFile = getArg('--out');
+    if (outFile) {
+        fs.writeFileSync(outFile, output + '\n');
+        console.error(`Results written to ${outFile}`);
+    } else {
+        console.log(output);
+    }
+}
+
+function printUsage() {
+    console.log('Batch Match Simulator');
+    console.log('');
+    console.log('Usage: node scripts/batch-simulate.js --team1 <name|index> --team2 <name|index> [options]');
+    console.log('');
+    console.log('Options:');
+    console.log('  --matches <n>             Number of matches (default 100)');
+    console.log('  --seed <prefix>           Seed prefix, match i uses "<prefix>-<i>" (default "batch")');
+    console.log('  --max-waves <n>           Wave limit per match (default 150)');
+    console.log('  --intensity <x>           Intensity multiplier (default 1.0)');
+    console.log('  --season <n>              Apply that season\'s league ruleset');
+    console.log('  --draft <roster|pool>     Run a pick/ban draft before each match');
+    console.log('  --bans <n>                Bans per team in the draft (default 2)');
+    console.log('  --overtime <n>            Overtime waves after regulation (0 = straight to the tiebreak)');
+    console.log('  --tiebreak <list>         Tiebreak ladder, comma separated (default structures,gold,kills)');
+    console.log('  --format <json|csv>       Output format (default json)');
+    console.log('  --table <name>            CSV table: matches, curves, items, chaos (default matches)');
+    console.log('  --include-matches         JSON only: include per-match results');
+    console.log('  --out <file>              Write to a file instead of stdout');
+    console.log('  --list-teams              List teams and their indexes');
+    console.log('');
+}
+
+function listTeams() {
+    console.log('\n📋 Teams:\n');
+    teams.forEach((team, index) => {
+        console.log(`${String(index).padStart(2)}  ${team.name}`);
+    });
+    console.log('');
+}
+
+/**
+ * Find a team by index or name (case-insensitive). Team names aren't unique
+ * in data.json, so indexes are the unambiguous option.
+ */
+function findTeam(query) {
+    if (/^\d+$/.test(query)) {
+        const team = teams[parseInt(query, 10)];
+        if (!team) {
+            console.error(`Error: no team at index ${query} (see --list-teams)`);
+            process.exit(1);
+        }
+        return team;
+    }
+
+    const matching = teams.filter(team => team.name.toLowerCase() === query.toLowerCase());
+    if (matching.length === 0) {
+        console.error(`Error: team '${query}' not found (see --list-teams)`);
+        process.exit(1);
+    }
+    if (matching.length > 1) {
+        console.error(`Warning: ${matching.length} teams are named '${query}', using index ${teams.indexOf(matching[0])}`);
+    }
+    return matching[0];
+}
+
+/**
+ * Overtime rules from --overtime and --tiebreak (null = the ruleset's or the defaults)
+ */
+function getOvertimeRules() {
+    const overtime = {};
+
+    const waves = getIntArg('--overtime', null, 0);
+    if (waves !== null) {
+        overtime.waves = waves;
+    }
+
+    const tiebreak = getArg('--tiebreak');
+    if (tiebreak !== null) {
+        overtime.tiebreak = tiebreak.split(',').map(criterion => criterion.trim());
+        const unknown = overtime.tiebreak.filter(criterion => !OvertimeSystem.TIEBREAK_CRITERIA.includes(criterion));
+        if (unknown.length > 0) {
+            console.error(`Error: unknown tiebreak criterion '${unknown[0]}' (use ${OvertimeSystem.TIEBREAK_CRITERIA.join(', ')})`);
+            process.exit(1);
+        }
+    }
+
+    return Object.keys(overtime).length > 0 ? overtime : null;
+}
+
+/**
+ * Load a season's league ruleset from the database (only if --season is given)
+ */
+async function loadRuleset(season) {
+    if (!season) return null;
+
+    const Database = require('../server/database/database');
+    const { LeagueRuleset } = require('../server/game/leagueRuleset');
+
+    const db = new Database();
+    await db.readyPromise;
+    const ruleset = await db.getLeagueRuleset(season);
+    db.close();
+
+    if (!ruleset) {
+        console.error(`Warning: no league ruleset for season ${season}, using defaults`);
+        return null;
+    }
+    return LeagueRuleset.fromJSON(ruleset).toSimulationConfig();
+}
+
+function toCSV(table, summary, matches) {
+    switch (table) {
+        case 'matches':
+            return csvRows(
+                ['index', 'seed', 'winner', 'waves', 'team1Kills', 'team2Kills', 'team1Gold', 'team2Gold', 'chaosEvents'],
+                matches.map(m => ({
+                    ...m,
+                    winner: m.winner === 'team1' ? summary.team1 : m.winner === 'team2' ? summary.team2 : '',
+                    chaosEvents: m.chaosEvents.map(e => e.id).join(' ')
+                }))
+            );
+        case 'curves':
+            return csvRows(['wave', 'matches', 'team1Kills', 'team2Kills', 'team1Gold', 'team2Gold'], summary.curves);
+        case 'items':
+            return csvRows(['itemId', 'name', 'purchases', 'matches', 'perMatch'], summary.items);
+        case 'chaos':
+            return csvRows(['eventId', 'name', 'triggers', 'matches', 'matchRate', 'leaderLostRate'], summary.chaosEvents);
+        default:
+            console.error(`Error: unknown table '${table}' (use matches, curves, items or chaos)`);
+            process.exit(1);
+    }
+}
+
+function csvRows(columns, rows) {
+    const escape = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+        columns.join(','),
+        ...rows.map(row => columns.map(column => escape(row[column])).join(','))
+    ].join('\n');
+}
+
+main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+});
@@ -6,6 +6,8 @@ const path = require('path');
 const Game = require('./server/game/game');
 const Database = require('./server/database/database');
 const PersistenceManager = require('./server/game/persistenceManager');
+const ReplayRunner = require('./server/simulation/ReplayRunner');
+const MapGraph = require('./server/simulation/engines/MapGraph');
 
 const app = express();
 const server = http.createServer(app);
@@ -29,6 +31,37 @@ app.use(express.static(path.join(__dirname, 'public')));
 
 // ==================== AUTHENTICATION API ====================
 
+/**
+ * Extract the session token from an `Authorization: Bearer <token>` header
+ */
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+// Middleware to resolve the user from the session token
+async function requireAuth(req, res, next) {
+    const token = getBearerToken(req);
+    if (!token) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    let user = null;
+    try {
+        user = await db.getSessionUser(token);
+    } catch (error) {
+        return res.status(401).json({ success: false, error: 'Authentication failed' });
+    }
+
+    if (!user) {
+        return res.status(401).json({ success: false, error: 'Session invalid or expired' });
+    }
+    req.user = user;
+    req.sessionToken = token;
+    next();
+}
+
 // Register endpoint
 app.post('/api/auth/register', async (req, res) => {
     try {
@@ -39,7 +72,7 @@ app.post('/api/auth/register', async (req, res) => {
         }
 
         const user = await db.createUser(username, password);
-        const token = `token_${user.id}_${Date.now()}`;
+        const { token, expiresAt } = await db.createSession(user.id);
 
         res.json({
             success: true,
@@ -50,7 +83,8 @@ app.post('/api/auth/register', async (req, res) => {
                 balance: user.balance,
                 isAdmin: user.isAdmin || false
             },
-            token
+            token,
+            expiresAt
         });
     } catch (error) {
         res.json({ success: false, error: error.error || 'Registration failed' });
@@ -67,7 +101,7 @@ app.post('/api/auth/login', async (req, res) => {
         }
 
         const user = await db.authenticateUser(username, password);
-        const token = `token_${user.id}_${Date.now()}`;
+        const { token, expiresAt } = await db.createSession(user.id);
 
         res.json({
             success: true,
@@ -80,13 +114,38 @@ app.post('/api/auth/login', async (req, res) => {
                 responsibilityScore: user.responsibilityScore,
                 isAdmin: user.isAdmin || false
             },
-            token
+            token,
+            expiresAt
         });
     } catch (error) {
         res.json({ success: false, error: error.error || 'Login failed' });
     }
 });
 
+// Logout endpoint - revokes the session token
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+    try {
+        await db.deleteSession(req.sessionToken);
+        res.json({ success: true });
+    } catch (error) {
+        res.json({ success: false, error: 'Logout failed' });
+    }
+});
+
+// Get the user behind the current session
+app.get('/api/auth/me', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        user: {
+            id: req.user.id,
+            username: req.user.username,
+            displayName: req.user.display_name,
+            balance: req.user.balance,
+            isAdmin: req.user.is_admin === 1
+        }
+    });
+});
+
 // Get user profile
 app.get('/api/user/:userId', async (req, res) => {
     try {
@@ -107,10 +166,30 @@ app.get('/api/seasons', async (req, res) => {
     }
 });
 
+// Get playoff bracket for a season
+app.get('/api/seasons/:seasonNumber/bracket', async (req, res) => {
+    try {
+        const seasonNumber = parseInt(req.params.seasonNumber);
+        if (isNaN(seasonNumber)) {
+            return res.status(400).json({ success: false, error: 'Invalid season number' });
+        }
+
+        const bracket = await db.getPlayoffBracket(seasonNumber);
+        if (!bracket) {
+            return res.status(404).json({ success: false, error: 'Bracket not found' });
+        }
+
+        res.json({ success: true, season: seasonNumber, bracket });
+    } catch (error) {
+        console.error('Error fetching bracket:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch bracket' });
+    }
+});
+
 // Get champion career
-app.get('/api/champion/:championName', async (req, res) => {
+app.get('/api/champion/:championId', async (req, res) => {
     try {
-        const career = await persistenceManager.getChampionCareer(req.params.championName);
+        const career = await persistenceManager.getChampionCareer(req.params.championId);
         res.json({ success: true, career });
     } catch (error) {
         res.json({ success: false, error: 'Champion not found (yet)' });
@@ -141,15 +220,16 @@ app.get('/api/teams', async (req, res) => {
 });
 
 // Get champion detail (full profile for detail page)
-app.get('/api/champions/:name', async (req, res) => {
+app.get('/api/champions/:id', async (req, res) => {
     try {
-        const championName = decodeURIComponent(req.params.name);
+        const championId = req.params.id;
 
-        // Get champion data from current teams
-        const teams = game ? game.teams : [];
+        // Get champion data from current rosters, then the season's benches
+        const rosters = game ? game.teams.map(team => team.champions) : [];
+        const benches = game ? Array.from(game.benches.values()) : [];
         let champion = null;
-        for (const team of teams) {
-            const found = team.champions.find(c => c.name === championName);
+        for (const champions of [...rosters, ...benches]) {
+            const found = champions.find(c => c.id === championId);
             if (found) {
                 champion = found;
                 break;
@@ -161,16 +241,16 @@ app.get('/api/champions/:name', async (req, res) => {
         }
 
         // Get career stats from database
-        const careerStats = await db.getChampionCareerStats(championName);
+        const careerStats = await db.getChampionCareerStats(championId);
 
         // Get grudges
-        const grudges = await db.getChampionGrudges(championName);
+        const grudges = await db.getChampionGrudges(championId);
 
         // Get synergies
-        const synergies = await db.getChampionSynergies(championName);
+        const synergies = await db.getChampionSynergies(championId);
 
         // Get match history (last 20 matches)
-        const matchHistory = await db.getChampionMatchHistory(championName, 20);
+        const matchHistory = await db.getChampionMatchHistory(championId, 20);
 
         res.json({
             success: true,
@@ -186,29 +266,155 @@ app.get('/api/champions/:name', async (req, res) => {
     }
 });
 
-// ==================== ADMIN API ====================
+// Expired sessions are already rejected by getSessionUser; sweeping them keeps
+// the sessions table from growing with every login
+const SESSION_SWEEP_INTERVAL_MS = 60 * 60 * 1000;  // 1 hour
 
-// Middleware to check admin status
-async function requireAdmin(req, res, next) {
-    const { userId } = req.body;
-    if (!userId) {
-        return res.json({ success: false, error: 'User ID required' });
+async function sweepExpiredSessions() {
+    try {
+        const { deleted } = await db.deleteExpiredSessions();
+        if (deleted > 0) {
+            console.log(`Removed ${deleted} expired session(s)`);
+        }
+    } catch (error) {
+        console.error('Failed to remove expired sessions:', error);
     }
+}
+
+// ==================== RECKONING API ====================
 
+// Get current Reckoning options and live vote tallies
+app.get('/api/reckoning', async (req, res) => {
     try {
-        const user = await db.getUserById(userId);
-        if (!user || user.is_admin !== 1) {
-            return res.json({ success: false, error: 'Admin privileges required' });
+        if (!game) {
+            return res.json({ success: true, phase: null, reckoning: { active: false }, userVotes: {} });
         }
-        req.adminUser = user;
-        next();
+
+        // Include the caller's own votes when they are signed in
+        let userVotes = {};
+        const token = getBearerToken(req);
+        if (token) {
+            const user = await db.getSessionUser(token);
+            if (user) {
+                userVotes = game.reckoningSystem.getUserVotes(user.id);
+            }
+        }
+
+        res.json({
+            success: true,
+            phase: game.getSeasonStatus().phase,
+            reckoning: game.reckoningSystem.getVotingStatus(),
+            userVotes
+        });
+    } catch (error) {
+        console.error('Error fetching reckoning:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch the Reckoning' });
+    }
+});
+
+// Cast (or change) a Reckoning vote
+app.post('/api/reckoning/vote', requireAuth, async (req, res) => {
+    const { category, optionId } = req.body;
+    if (!category || !optionId) {
+        return res.status(400).json({ success: false, error: 'Category and option required' });
+    }
+
+    if (!game) {
+        return res.status(503).json({ success: false, error: 'The void is still loading' });
+    }
+
+    try {
+        const result = await game.castReckoningVote(req.user.id, category, optionId);
+        res.json({
+            success: true,
+            vote: result,
+            userVotes: game.reckoningSystem.getUserVotes(req.user.id)
+        });
     } catch (error) {
-        res.json({ success: false, error: 'Authentication failed' });
+        res.status(400).json({ success: false, error: error.message });
     }
+});
+
+// ==================== ADMIN API ====================
+
+// Middleware to check admin status
+function requireAdmin(req, res, next) {
+    requireAuth(req, res, () => {
+        if (req.user.is_admin !== 1) {
+            return res.status(403).json({ success: false, error: 'Admin privileges required' });
+        }
+        req.adminUser = req.user;
+        next();
+    });
 }
 
+// ==================== MAP API ====================
+
+// Map graph that champion positions (live status and replays) refer to
+app.get('/api/map', (req, res) => {
+    res.json({ success: true, map: new MapGraph().toJSON() });
+});
+
 // ==================== REPLAY API ENDPOINTS ====================
 
+// Re-simulated replays, most recently used last. Re-running a match takes a few
+// hundred ms of blocking CPU, and stored replays never change, so each one is
+// simulated once and shared (including by requests that arrive mid-run).
+const REPLAY_CACHE_SIZE = 20;
+const replayCache = new Map();  // matchId -> Promise of { events, positions, minionWaves, engineMismatch }
+
+function resimulateReplay(replay) {
+    const cached = replayCache.get(replay.matchId);
+    if (cached) {
+        replayCache.delete(replay.matchId);
+        replayCache.set(replay.matchId, cached);
+        return cached;
+    }
+
+    const runner = new ReplayRunner(replay);
+    const pending = runner.run().then(({ events, positions, minionWaves }) => ({
+        events,
+        positions,
+        minionWaves,
+        engineMismatch: !runner.isCurrentEngine()
+    }));
+    pending.catch(() => replayCache.delete(replay.matchId));  // Let a failed run be retried
+
+    replayCache.set(replay.matchId, pending);
+    if (replayCache.size > REPLAY_CACHE_SIZE) {
+        replayCache.delete(replayCache.keys().next().value);
+    }
+    return pending;
+}
+
+// Cache misses cost a full re-simulation, so each client only gets a few a minute
+const REPLAY_RESIMULATION_LIMIT = 5;
+const REPLAY_RESIMULATION_WINDOW_MS = 60 * 1000;
+const replayResimulations = new Map();  // client IP -> start times of its recent re-simulations
+
+/**
+ * Count a re-simulation against the client's allowance
+ * @returns {number} 0 if allowed, otherwise seconds until the next one is
+ */
+function takeResimulation(clientIp) {
+    const now = Date.now();
+    for (const [ip, times] of replayResimulations) {
+        if (now - times[times.length - 1] >= REPLAY_RESIMULATION_WINDOW_MS) {
+            replayResimulations.delete(ip);
+        }
+    }
+
+    const recent = (replayResimulations.get(clientIp) || [])
+        .filter(time => now - time < REPLAY_RESIMULATION_WINDOW_MS);
+    if (recent.length >= REPLAY_RESIMULATION_LIMIT) {
+        return Math.ceil((recent[0] + REPLAY_RESIMULATION_WINDOW_MS - now) / 1000);
+    }
+
+    recent.push(now);
+    replayResimulations.set(clientIp, recent);
+    return 0;
+}
+
 // Get replay by match ID
 app.get('/api/replays/:matchId', async (req, res) => {
     try {
@@ -221,6 +427,21 @@ app.get('/api/replays/:matchId', async (req, res) => {
             });
         }
 
+        // Re-simulate the event stream from the stored seed and roster
+        if (!replay.events && replay.roster) {
+            if (!replayCache.has(replay.matchId)) {
+                const retryAfter = takeResimulation(req.ip);
+                if (retryAfter > 0) {
+                    res.set('Retry-After', String(retryAfter));
+                    return res.status(429).json({
+                        success: false,
+                        error: 'Too many replays requested, try again shortly'
+                    });
+                }
+            }
+            Object.assign(replay, await resimulateReplay(replay));
+        }
+
         res.json({
             success: true,
             replay: replay
@@ -234,6 +455,27 @@ app.get('/api/replays/:matchId', async (req, res) => {
     }
 });
 
+// Re-simulate a replay and check it still matches the recorded event stream
+// (admin only - always a fresh run, so it can't be served from the cache)
+app.get('/api/replays/:matchId/verify', requireAdmin, async (req, res) => {
+    try {
+        const replay = await db.getMatchReplay(req.params.matchId);
+
+        if (!replay) {
+            return res.status(404).json({ success: false, error: 'Replay not found' });
+        }
+        if (!replay.roster || !replay.eventHash) {
+            return res.status(400).json({ success: false, error: 'Replay was stored before re-simulation was supported' });
+        }
+
+        const verification = await new ReplayRunner(replay).verify();
+        res.json({ success: true, verification });
+    } catch (error) {
+        console.error('Error verifying replay:', error);
+        res.status(500).json({ success: false, error: 'Failed to verify replay' });
+    }
+});
+
 // Get all replays (paginated)
 app.get('/api/replays', async (req, res) => {
     try {
@@ -526,9 +768,12 @@ wss.on('connection', (ws) => {
 
             // Handle authentication
             if (parsedMessage.type === 'auth') {
-                const { userId } = parsedMessage;
+                const { token } = parsedMessage;
                 try {
-                    const user = await db.getUserById(userId);
+                    const user = await db.getSessionUser(token);
+                    if (!user) {
+                        throw new Error('Invalid session token');
+                    }
                     ws._dbUserId = user.id;
                     ws._userId = `user_${user.id}`;
                     ws.balance = user.balance;
@@ -555,6 +800,11 @@ wss.on('connection', (ws) => {
             if (parsedMessage.type === 'bet') {
                 const { team, amount, matchId } = parsedMessage;
 
+                if (!ws.authenticated) {
+                    ws.send(JSON.stringify({ type: 'bet_ack', success: false, message: 'Authentication required' }));
+                    return;
+                }
+
                 if (!matchId) {
                     // Old betting system (basic)
                     if (ws.balance >= amount) {
@@ -567,21 +817,22 @@ wss.on('connection', (ws) => {
                 } else {
                     // New advanced betting system with persistence
                     if (ws.balance >= amount) {
-                        const result = game.bettingSystem.placeBet(ws._userId || `temp_${Date.now()}`, matchId, team, amount);
+                        const result = game.bettingSystem.placeBet(ws._userId, matchId, team, amount);
 
                         if (result.success) {
                             ws.balance -= amount;
 
-                            // If user is authenticated, persist bet to database
+                            // Persist bet to database
                             let betId = null;
-                            if (ws.authenticated && ws._dbUserId) {
+                            if (ws._dbUserId) {
                                 try {
                                     const betRecord = await persistenceManager.recordUserBet(
                                         ws._dbUserId,
                                         matchId,
                                         team,
                                         amount,
-                                        result.currentOdds
+                                        result.currentOdds,
+                                        game.currentSeasonNumber || 1
                                     );
                                     betId = betRecord.betId;
 
@@ -649,6 +900,10 @@ server.listen(PORT, async () => {
     await db.readyPromise;
     await persistenceManager.db.readyPromise;
 
+    // Clear sessions that expired while the server was down, then keep sweeping
+    await sweepExpiredSessions();
+    setInterval(sweepExpiredSessions, SESSION_SWEEP_INTERVAL_MS);
+
     // Initialize persistence manager and start season
     await persistenceManager.startNewSeason();
 
@@ -1,4 +1,5 @@
 const abilitiesData = require('../simulation/data/abilities.json');
+const quirksData = require('../simulation/data/quirks.json');
 
 const championNames = [
     "Jessica Telephone",
@@ -64,6 +65,35 @@ function generateChampionName() {
     return getRandomElement(championNames);
 }
 
+/**
+ * Stable champion identity. Names are flavor and repeat freely (the same name
+ * can even appear twice on one team), so careers, grudges and stats key on this.
+ */
+function generateChampionId() {
+    return `champ_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Give any champion without an ID one (rosters from before IDs existed)
+ * @returns {number} How many champions were assigned an ID
+ */
+function assignChampionIds(teams) {
+    let assigned = 0;
+    const seen = new Set();
+
+    for (const team of teams) {
+        for (const champion of team.champions) {
+            if (!champion.id || seen.has(champion.id)) {
+                champion.id = generateChampionId();
+                assigned++;
+            }
+            seen.add(champion.id);
+        }
+    }
+
+    return assigned;
+}
+
 function generateTeamName() {
     return getRandomElement(teamNames);
 }
@@ -119,6 +149,27 @@ function selectAbilities(role) {
     return [q, w, e, r];
 }
 
+/**
+ * Select 0-2 quirks for a champion (see simulation/data/quirks.json)
+ */
+function selectQuirks(role) {
+    let roleNormalized = role.toLowerCase();
+    if (roleNormalized === 'adc') {
+        roleNormalized = 'bot';
+    }
+
+    const available = quirksData.filter(quirk => !quirk.roles || quirk.roles.includes(roleNormalized));
+
+    // 40% none, 45% one, 15% two
+    const roll = Math.random();
+    const count = roll < 0.4 ? 0 : roll < 0.85 ? 1 : 2;
+
+    return [...available]
+        .sort(() => Math.random() - 0.5)
+        .slice(0, count)
+        .map(quirk => ({ id: quirk.id, name: quirk.name, description: quirk.description }));
+}
+
 function generateChampion(role) {
     const abilities = selectAbilities(role);
 
@@ -134,6 +185,7 @@ function generateChampion(role) {
     }
 
     return {
+        id: generateChampionId(),
         name: generateChampionName(),
         role: role,
         lore: getRandomElement(loreSnippets),
@@ -156,6 +208,7 @@ function generateChampion(role) {
         tilt_level: 0,
         grudges: [],
         mental_boom_threshold: Math.random() * 0.5 + 0.5, // Between 0.5 and 1.0
+        quirks: selectQuirks(role),
     };
 }
 
@@ -192,14 +245,14 @@ function generateRivalries(teams) {
                 const rivalIndex = Math.floor(Math.random() * potentialRivals.length);
                 const rival = potentialRivals.splice(rivalIndex, 1)[0];
 
-                // Add grudge (store by name since champions don't have IDs yet)
-                if (!champion.grudges.includes(rival.name)) {
-                    champion.grudges.push(rival.name);
+                // Add grudge
+                if (!champion.grudges.includes(rival.id)) {
+                    champion.grudges.push(rival.id);
                 }
 
                 // 50% chance the grudge is mutual
-                if (Math.random() < 0.5 && !rival.grudges.includes(champion.name)) {
-                    rival.grudges.push(champion.name);
+                if (Math.random() < 0.5 && !rival.grudges.includes(champion.id)) {
+                    rival.grudges.push(champion.id);
                 }
             }
         }
@@ -218,4 +271,4 @@ function generateAllData() {
     return { teams };
 }
 
-module.exports = { generateAllData, generateChampion, generateChampionName };
+module.exports = { generateAllData, generateChampion, generateChampionName, generateChampionId, assignChampionIds, selectQuirks };
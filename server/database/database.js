@@ -13,9 +13,130 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 
 const DB_PATH = path.join(__dirname, '../../data/void_network.db');
 const CORRUPTION_CHANCE = 0.001; // 0.1% chance of "corruption" display
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+// Without a configured secret, sessions only survive until the next restart
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Champion-keyed tables. Defined once here because the champion ID migration
+// rebuilds pre-ID versions of these tables from the same definitions.
+const CHAMPION_TABLES = {
+    // Champion careers - lifetime stats and progression
+    champion_careers: `
+        CREATE TABLE IF NOT EXISTS champion_careers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            champion_id TEXT UNIQUE NOT NULL,
+            champion_name TEXT NOT NULL,
+            team_name TEXT,
+            total_matches INTEGER DEFAULT 0,
+            total_wins INTEGER DEFAULT 0,
+            total_losses INTEGER DEFAULT 0,
+            total_kills INTEGER DEFAULT 0,
+            total_deaths INTEGER DEFAULT 0,
+            total_assists INTEGER DEFAULT 0,
+            total_cs INTEGER DEFAULT 0,
+            total_gold INTEGER DEFAULT 0,
+            chaos_witnessed INTEGER DEFAULT 0,
+            corruption_level INTEGER DEFAULT 0,
+            scars TEXT,
+            curses TEXT,
+            death_count INTEGER DEFAULT 0,
+            resurrection_count INTEGER DEFAULT 0,
+            perma_dead INTEGER DEFAULT 0,
+            career_xp INTEGER DEFAULT 0,
+            career_level INTEGER DEFAULT 1,
+            form REAL DEFAULT 1.0,
+            win_streak INTEGER DEFAULT 0,
+            loss_streak INTEGER DEFAULT 0,
+            void_touched INTEGER DEFAULT 0,
+            first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_seen DATETIME
+        )
+    `,
+
+    // Champion season stats - per-season statistics archive
+    champion_season_stats: `
+        CREATE TABLE IF NOT EXISTS champion_season_stats (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            season_number INTEGER,
+            champion_id TEXT NOT NULL,
+            champion_name TEXT NOT NULL,
+            team_name TEXT,
+            matches_played INTEGER DEFAULT 0,
+            wins INTEGER DEFAULT 0,
+            losses INTEGER DEFAULT 0,
+            kills INTEGER DEFAULT 0,
+            deaths INTEGER DEFAULT 0,
+            assists INTEGER DEFAULT 0,
+            cs INTEGER DEFAULT 0,
+            gold_earned INTEGER DEFAULT 0,
+            archived_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(season_number, champion_id),
+            FOREIGN KEY (season_number) REFERENCES seasons(season_number)
+        )
+    `,
+
+    // Champion pool - available undrafted champions
+    champion_pool: `
+        CREATE TABLE IF NOT EXISTS champion_pool (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            champion_id TEXT UNIQUE NOT NULL,
+            champion_name TEXT NOT NULL,
+            role TEXT,
+            mechanical_skill REAL,
+            game_sense REAL,
+            tilt_resistance REAL,
+            clutch_factor REAL,
+            lore TEXT,
+            drafted INTEGER DEFAULT 0,
+            draft_position INTEGER,
+            draft_round INTEGER,
+            draft_season INTEGER,
+            team_name TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `,
+
+    // Champion grudges - tracks rivalries (names kept for display)
+    champion_grudges: `
+        CREATE TABLE IF NOT EXISTS champion_grudges (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            champion_id TEXT NOT NULL,
+            champion_name TEXT NOT NULL,
+            grudge_target_id TEXT NOT NULL,
+            grudge_target_name TEXT NOT NULL,
+            intensity REAL DEFAULT 0.0,
+            times_killed_by INTEGER DEFAULT 0,
+            times_killed INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(champion_id, grudge_target_id)
+        )
+    `,
+
+    // Champion synergies - tracks positive relationships (names kept for display)
+    champion_synergies: `
+        CREATE TABLE IF NOT EXISTS champion_synergies (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            champion_id TEXT NOT NULL,
+            champion_name TEXT NOT NULL,
+            synergy_target_id TEXT NOT NULL,
+            synergy_target_name TEXT NOT NULL,
+            strength REAL DEFAULT 0.0,
+            games_together INTEGER DEFAULT 0,
+            wins_together INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(champion_id, synergy_target_id)
+        )
+    `
+};
+
+// Placeholder ID for rows recorded before champion IDs existed
+const LEGACY_ID_PREFIX = 'legacy:';
 
 class Database {
     constructor() {
@@ -27,6 +148,8 @@ class Database {
                     reject(err);
                 } else {
                     console.log('Connected to VOID database (reality verification: PASSED)');
+                    // Several connections share this file; wait for locks instead of failing
+                    this.db.configure('busyTimeout', 5000);
                     this.initialize().then(resolve).catch(reject);
                 }
             });
@@ -69,51 +192,10 @@ class Database {
             `);
 
             // Champion careers table
-            this.db.run(`
-                CREATE TABLE IF NOT EXISTS champion_careers (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    champion_name TEXT UNIQUE NOT NULL,
-                    team_name TEXT,
-                    total_matches INTEGER DEFAULT 0,
-                    total_wins INTEGER DEFAULT 0,
-                    total_losses INTEGER DEFAULT 0,
-                    total_kills INTEGER DEFAULT 0,
-                    total_deaths INTEGER DEFAULT 0,
-                    total_assists INTEGER DEFAULT 0,
-                    total_cs INTEGER DEFAULT 0,
-                    total_gold INTEGER DEFAULT 0,
-                    chaos_witnessed INTEGER DEFAULT 0,
-                    corruption_level INTEGER DEFAULT 0,
-                    scars TEXT,
-                    curses TEXT,
-                    death_count INTEGER DEFAULT 0,
-                    resurrection_count INTEGER DEFAULT 0,
-                    perma_dead INTEGER DEFAULT 0,
-                    first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    last_seen DATETIME
-                )
-            `);
+            this.db.run(CHAMPION_TABLES.champion_careers);
 
             // Champion season stats table - per-season statistics archive
-            this.db.run(`
-                CREATE TABLE IF NOT EXISTS champion_season_stats (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    season_number INTEGER,
-                    champion_name TEXT NOT NULL,
-                    team_name TEXT,
-                    matches_played INTEGER DEFAULT 0,
-                    wins INTEGER DEFAULT 0,
-                    losses INTEGER DEFAULT 0,
-                    kills INTEGER DEFAULT 0,
-                    deaths INTEGER DEFAULT 0,
-                    assists INTEGER DEFAULT 0,
-                    cs INTEGER DEFAULT 0,
-                    gold_earned INTEGER DEFAULT 0,
-                    archived_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    UNIQUE(season_number, champion_name),
-                    FOREIGN KEY (season_number) REFERENCES seasons(season_number)
-                )
-            `);
+            this.db.run(CHAMPION_TABLES.champion_season_stats);
 
             // Betting history table
             this.db.run(`
@@ -213,24 +295,7 @@ class Database {
             `);
 
             // Champion pool table - available undrafted champions
-            this.db.run(`
-                CREATE TABLE IF NOT EXISTS champion_pool (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    champion_name TEXT UNIQUE NOT NULL,
-                    role TEXT,
-                    mechanical_skill REAL,
-                    game_sense REAL,
-                    tilt_resistance REAL,
-                    clutch_factor REAL,
-                    lore TEXT,
-                    drafted INTEGER DEFAULT 0,
-                    draft_position INTEGER,
-                    draft_round INTEGER,
-                    draft_season INTEGER,
-                    team_name TEXT,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
+            this.db.run(CHAMPION_TABLES.champion_pool);
 
             // Season narratives table - active storylines
             this.db.run(`
@@ -351,42 +416,270 @@ class Database {
             this.db.run(`ALTER TABLE champion_careers ADD COLUMN void_touched INTEGER DEFAULT 0`, () => {});
 
             // Champion grudges table - tracks rivalries
+            this.db.run(CHAMPION_TABLES.champion_grudges);
+
+            // Champion synergies table - tracks positive relationships
+            this.db.run(CHAMPION_TABLES.champion_synergies);
+
+            // League rulesets table - per-season rules shaped by the Reckoning
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS league_rulesets (
+                    season_number INTEGER PRIMARY KEY,
+                    ruleset TEXT NOT NULL,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Sessions table - server-side record of issued auth tokens
             this.db.run(`
-                CREATE TABLE IF NOT EXISTS champion_grudges (
+                CREATE TABLE IF NOT EXISTS sessions (
                     id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    champion_name TEXT NOT NULL,
-                    grudge_target_name TEXT NOT NULL,
-                    intensity REAL DEFAULT 0.0,
-                    times_killed_by INTEGER DEFAULT 0,
-                    times_killed INTEGER DEFAULT 0,
+                    token_hash TEXT UNIQUE NOT NULL,
+                    user_id INTEGER NOT NULL,
+                    expires_at INTEGER NOT NULL,
                     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    UNIQUE(champion_name, grudge_target_name)
+                    FOREIGN KEY (user_id) REFERENCES users(id)
                 )
             `);
 
-            // Champion synergies table - tracks positive relationships
+            // Live matches table - latest mid-match snapshot so matches survive a restart
             this.db.run(`
-                CREATE TABLE IF NOT EXISTS champion_synergies (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    champion_name TEXT NOT NULL,
-                    synergy_target_name TEXT NOT NULL,
-                    strength REAL DEFAULT 0.0,
-                    games_together INTEGER DEFAULT 0,
-                    wins_together INTEGER DEFAULT 0,
+                CREATE TABLE IF NOT EXISTS live_matches (
+                    match_key TEXT PRIMARY KEY,
+                    season_number INTEGER NOT NULL,
+                    match_id TEXT NOT NULL,
+                    phase TEXT,
+                    wave INTEGER DEFAULT 0,
+                    snapshot TEXT NOT NULL,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Team benches table - each team's substitutes for a season (generated once)
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS team_benches (
+                    season_number INTEGER NOT NULL,
+                    team_name TEXT NOT NULL,
+                    champions TEXT NOT NULL,
                     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    UNIQUE(champion_name, synergy_target_name)
+                    PRIMARY KEY (season_number, team_name)
                 )
             `);
 
-                console.log('Database tables initialized');
-                this.ready = true;
-                resolve();
+            // Add re-simulation columns to match_replays (if they don't exist)
+            this.db.run(`ALTER TABLE match_replays ADD COLUMN engine_version TEXT`, () => {});
+            this.db.run(`ALTER TABLE match_replays ADD COLUMN roster_json TEXT`, () => {});
+            this.db.run(`ALTER TABLE match_replays ADD COLUMN config_json TEXT`, () => {});
+            this.db.run(`ALTER TABLE match_replays ADD COLUMN winner TEXT`, () => {});
+            this.db.run(`ALTER TABLE match_replays ADD COLUMN waves INTEGER`, () => {});
+            this.db.run(`ALTER TABLE match_replays ADD COLUMN event_count INTEGER`, () => {});
+            this.db.run(`ALTER TABLE match_replays ADD COLUMN event_hash TEXT`, () => {});
+
+            // Add bracket tree columns to playoff_brackets (if they don't exist)
+            this.db.run(`ALTER TABLE playoff_brackets ADD COLUMN bracket_type TEXT`, () => {});
+            this.db.run(`ALTER TABLE playoff_brackets ADD COLUMN bracket_section TEXT`, () => {});
+            this.db.run(`ALTER TABLE playoff_brackets ADD COLUMN round_index INTEGER DEFAULT 0`, () => {});
+            this.db.run(`ALTER TABLE playoff_brackets ADD COLUMN best_of INTEGER DEFAULT 1`, () => {});
+            this.db.run(`ALTER TABLE playoff_brackets ADD COLUMN series_score TEXT`, () => {});
+            this.db.run(`ALTER TABLE playoff_brackets ADD COLUMN winner_to TEXT`, () => {});
+            this.db.run(`ALTER TABLE playoff_brackets ADD COLUMN loser_to TEXT`, () => {});
+
+                // Statements above are serialized; resolve once the last one has run
+                // so callers never query a half-migrated schema
+                this.db.get('SELECT 1', (err) => {
+                    if (err) return reject(err);
+
+                    this.migrateChampionTables()
+                        .then(() => {
+                            console.log('Database tables initialized');
+                            this.ready = true;
+                            resolve();
+                        })
+                        .catch(reject);
+                });
             });
         });
     }
 
+    /**
+     * Run `work` (async, using this connection) inside one transaction.
+     * Rolled back if it throws; transactions on this connection run one at a time.
+     */
+    async transaction(work) {
+        const exec = (sql) => new Promise((resolve, reject) => {
+            this.db.exec(sql, (err) => err ? reject(err) : resolve());
+        });
+
+        const run = async () => {
+            await exec('BEGIN IMMEDIATE');
+            try {
+                const result = await work();
+                await exec('COMMIT');
+                return result;
+            } catch (error) {
+                await exec('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        };
+
+        const result = (this.transactionQueue || Promise.resolve()).then(run, run);
+        this.transactionQueue = result.catch(() => {});
+        return result;
+    }
+
+    // ==================== CHAMPION ID MIGRATION ====================
+
+    /**
+     * Rebuild champion tables created before champion IDs existed (keyed and
+     * UNIQUE on champion_name, so namesakes shared one record). Old rows are
+     * copied over with a `legacy:<name>` ID until resolveLegacyChampionIds()
+     * can attribute them to a champion on a current roster.
+     */
+    async migrateChampionTables() {
+        const all = (sql) => new Promise((resolve, reject) => {
+            this.db.all(sql, (err, rows) => err ? reject(err) : resolve(rows));
+        });
+        const exec = (sql) => new Promise((resolve, reject) => {
+            this.db.exec(sql, (err) => err ? reject(err) : resolve());
+        });
+
+        for (const [table, definition] of Object.entries(CHAMPION_TABLES)) {
+            // The server opens more than one connection to this file; take the
+            // write lock before checking so only one of them rebuilds the table
+            await exec('BEGIN IMMEDIATE');
+
+            try {
+                const oldColumns = (await all(`PRAGMA table_info(${table})`)).map(c => c.name);
+                if (oldColumns.includes('champion_id')) {
+                    await exec('COMMIT');
+                    continue;
+                }
+
+                const legacyTable = `${table}_legacy`;
+                await exec(`ALTER TABLE ${table} RENAME TO ${legacyTable}`);
+                await exec(definition);
+
+                const newColumns = (await all(`PRAGMA table_info(${table})`)).map(c => c.name);
+                const copied = oldColumns.filter(c => newColumns.includes(c));
+
+                // Each "*_target_name" gets a matching legacy "*_target_id"
+                const idColumns = ['champion_id'];
+                const idValues = [`'${LEGACY_ID_PREFIX}' || champion_name`];
+                for (const column of oldColumns.filter(c => c.endsWith('_target_name'))) {
+                    idColumns.push(column.replace(/_name$/, '_id'));
+                    idValues.push(`'${LEGACY_ID_PREFIX}' || ${column}`);
+                }
+
+                await exec(`
+                    INSERT INTO ${table} (${[...idColumns, ...copied].join(', ')})
+                        SELECT ${[...idValues, ...copied].join(', ')} FROM ${legacyTable};
+                    DROP TABLE ${legacyTable};
+                    COMMIT;
+                `);
+                console.log(`Migrated ${table} to champion IDs`);
+            } catch (error) {
+                await exec('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Attribute legacy (name-keyed) champion rows to current champions.
+     *
+     * A name that belongs to exactly one rostered champion is reassigned to
+     * that champion. Collided names are split where the row itself tells them
+     * apart: by team_name for careers/season stats/pool, and for grudges and
+     * synergies by which pairing is possible (opponents vs. teammates).
+     * Rows that are still ambiguous keep their legacy ID.
+     *
+     * @param {object[]} teams - Current teams (champions must have IDs)
+     * @returns {Promise<object>} { resolved, unresolved }
+     */
+    async resolveLegacyChampionIds(teams) {
+        const all = (sql, params = []) => new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+        });
+        const run = (sql, params = []) => new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) { err ? reject(err) : resolve(this.changes); });
+        });
+
+        const rostered = teams.flatMap(team => team.champions.map(champion => ({ champion, team })));
+        const byName = (name) => rostered.filter(entry => entry.champion.name === name);
+        let resolved = 0;
+        let unresolved = 0;
+
+        // Single-champion tables: narrow namesakes down by team
+        for (const table of ['champion_careers', 'champion_season_stats', 'champion_pool']) {
+            const rows = await all(
+                `SELECT id, champion_name, team_name FROM ${table} WHERE champion_id LIKE ?`,
+                [`${LEGACY_ID_PREFIX}%`]
+            );
+
+            for (const row of rows) {
+                let candidates = byName(row.champion_name);
+                if (candidates.length > 1) {
+                    candidates = candidates.filter(entry => entry.team.name === row.team_name);
+                }
+
+                // OR IGNORE: the champion may already have a post-migration row
+                const changes = candidates.length === 1
+                    ? await run(`UPDATE OR IGNORE ${table} SET champion_id = ? WHERE id = ?`, [candidates[0].champion.id, row.id])
+                    : 0;
+                if (changes) resolved++;
+                else unresolved++;
+            }
+        }
+
+        // Pair tables: grudges are held against opponents, synergies between teammates
+        const pairTables = [
+            { table: 'champion_grudges', target: 'grudge_target', sameTeam: false },
+            { table: 'champion_synergies', target: 'synergy_target', sameTeam: true }
+        ];
+
+        for (const { table, target, sameTeam } of pairTables) {
+            const rows = await all(
+                `SELECT id, champion_id, champion_name, ${target}_id AS target_id, ${target}_name AS target_name
+                 FROM ${table}
+                 WHERE champion_id LIKE ? OR ${target}_id LIKE ?`,
+                [`${LEGACY_ID_PREFIX}%`, `${LEGACY_ID_PREFIX}%`]
+            );
+
+            for (const row of rows) {
+                const sources = row.champion_id.startsWith(LEGACY_ID_PREFIX)
+                    ? byName(row.champion_name)
+                    : rostered.filter(entry => entry.champion.id === row.champion_id);
+                const targets = row.target_id.startsWith(LEGACY_ID_PREFIX)
+                    ? byName(row.target_name)
+                    : rostered.filter(entry => entry.champion.id === row.target_id);
+
+                const pairs = [];
+                for (const source of sources) {
+                    for (const targetEntry of targets) {
+                        if (source.champion === targetEntry.champion) continue;
+                        if ((source.team === targetEntry.team) === sameTeam) {
+                            pairs.push([source.champion.id, targetEntry.champion.id]);
+                        }
+                    }
+                }
+
+                const changes = pairs.length === 1
+                    ? await run(
+                        `UPDATE OR IGNORE ${table} SET champion_id = ?, ${target}_id = ? WHERE id = ?`,
+                        [pairs[0][0], pairs[0][1], row.id]
+                    )
+                    : 0;
+                if (changes) resolved++;
+                else unresolved++;
+            }
+        }
+
+        if (resolved > 0 || unresolved > 0) {
+            console.log(`Champion ID migration: ${resolved} legacy records attributed, ${unresolved} left ambiguous`);
+        }
+        return { resolved, unresolved };
+    }
+
     // ==================== USER AUTHENTICATION ====================
 
     async createUser(username, password) {
@@ -516,6 +809,109 @@ class Database {
         });
     }
 
+    // ==================== SESSIONS ====================
+
+    /**
+     * Sign a session payload with the server secret
+     */
+    signSessionPayload(payload) {
+        return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+    }
+
+    /**
+     * Hash a token for storage so a leaked database can't be replayed as sessions
+     */
+    hashSessionToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Issue a signed, expiring session token for a user
+     * Token format: <userId>.<expiresAt>.<nonce>.<signature>
+     */
+    async createSession(userId) {
+        const expiresAt = Date.now() + SESSION_TTL_MS;
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const payload = `${userId}.${expiresAt}.${nonce}`;
+        const token = `${payload}.${this.signSessionPayload(payload)}`;
+
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)',
+                [this.hashSessionToken(token), userId, expiresAt],
+                (err) => {
+                    if (err) reject(err);
+                    else resolve({ token, expiresAt });
+                }
+            );
+        });
+    }
+
+    /**
+     * Resolve the user behind a session token
+     * Returns null for forged, expired or revoked tokens
+     */
+    async getSessionUser(token) {
+        if (typeof token !== 'string') return null;
+
+        const parts = token.split('.');
+        if (parts.length !== 4) return null;
+
+        const [userId, expiresAt, nonce, signature] = parts;
+        const expected = this.signSessionPayload(`${userId}.${expiresAt}.${nonce}`);
+        const given = Buffer.from(signature);
+        if (given.length !== Buffer.from(expected).length ||
+            !crypto.timingSafeEqual(given, Buffer.from(expected))) {
+            return null;
+        }
+        if (parseInt(expiresAt) <= Date.now()) return null;
+
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                `SELECT u.* FROM sessions s
+                 JOIN users u ON u.id = s.user_id
+                 WHERE s.token_hash = ? AND s.user_id = ? AND s.expires_at > ?`,
+                [this.hashSessionToken(token), parseInt(userId), Date.now()],
+                (err, user) => {
+                    if (err) reject(err);
+                    else resolve(user || null);
+                }
+            );
+        });
+    }
+
+    /**
+     * Revoke a session token (logout)
+     */
+    async deleteSession(token) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM sessions WHERE token_hash = ?',
+                [this.hashSessionToken(String(token))],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ success: true, deleted: this.changes });
+                }
+            );
+        });
+    }
+
+    /**
+     * Remove expired sessions
+     */
+    async deleteExpiredSessions() {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM sessions WHERE expires_at <= ?',
+                [Date.now()],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ success: true, deleted: this.changes });
+                }
+            );
+        });
+    }
+
     // ==================== SEASON MANAGEMENT ====================
 
     async createSeason(seasonNumber) {
@@ -556,8 +952,8 @@ class Database {
         return new Promise((resolve, reject) => {
             const stmt = this.db.prepare(`
                 INSERT OR REPLACE INTO champion_season_stats
-                (season_number, champion_name, team_name, matches_played, wins, losses, kills, deaths, assists, cs, gold_earned)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                (season_number, champion_id, champion_name, team_name, matches_played, wins, losses, kills, deaths, assists, cs, gold_earned)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `);
 
             const promises = [];
@@ -567,6 +963,7 @@ class Database {
                     const promise = new Promise((res, rej) => {
                         stmt.run([
                             seasonNumber,
+                            champ.id,
                             champ.name,
                             team.name,
                             champ.matches_played || 0,
@@ -631,13 +1028,13 @@ class Database {
     /**
      * Get season stats for a specific champion
      */
-    async getChampionSeasonHistory(championName) {
+    async getChampionSeasonHistory(championId) {
         return new Promise((resolve, reject) => {
             this.db.all(
                 `SELECT * FROM champion_season_stats
-                WHERE champion_name = ?
+                WHERE champion_id = ?
                 ORDER BY season_number DESC`,
-                [championName],
+                [championId],
                 (err, stats) => {
                     if (err) reject(err);
                     else resolve(stats);
@@ -783,14 +1180,348 @@ class Database {
         });
     }
 
+    // ==================== SEASON SCHEDULE ====================
+
+    /**
+     * Replace a season's schedule with freshly generated fixtures.
+     * Resolves with the row ids in schedule order.
+     */
+    async saveSeasonSchedule(seasonNumber, schedule) {
+        // Delete and insert together, so a crash in between can't wipe the saved schedule
+        return this.transaction(async () => {
+            await new Promise((resolve, reject) => {
+                this.db.run(
+                    'DELETE FROM season_schedule WHERE season_number = ?',
+                    [seasonNumber],
+                    (err) => {
+                        if (err) reject(err);
+                        else resolve();
+                    }
+                );
+            });
+
+            return new Promise((resolve, reject) => {
+                const stmt = this.db.prepare(`
+                    INSERT INTO season_schedule
+                    (season_number, week, day, round, team1_name, team2_name, matchup_key, matchup_count, special_event, narrative)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `);
+
+                const promises = schedule.map(match => {
+                    return new Promise((res, rej) => {
+                        stmt.run([
+                            seasonNumber,
+                            match.week,
+                            match.day,
+                            match.round,
+                            match.team1.name,
+                            match.team2.name,
+                            match.matchupKey,
+                            match.matchupCount,
+                            match.specialEvent || null,
+                            match.narrative || null
+                        ], function(err) {
+                            if (err) rej(err);
+                            else res(this.lastID);
+                        });
+                    });
+                });
+
+                Promise.all(promises)
+                    .then((ids) => {
+                        stmt.finalize();
+                        resolve(ids);
+                    })
+                    .catch((err) => {
+                        stmt.finalize();
+                        reject(err);
+                    });
+            });
+        });
+    }
+
+    async loadSeasonSchedule(seasonNumber) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM season_schedule WHERE season_number = ? ORDER BY id ASC',
+                [seasonNumber],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows);
+                }
+            );
+        });
+    }
+
+    async completeScheduledMatch(scheduleId, winnerName) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE season_schedule
+                SET completed = 1, winner_name = ?, match_date = CURRENT_TIMESTAMP
+                WHERE id = ?`,
+                [winnerName, scheduleId],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ changes: this.changes });
+                }
+            );
+        });
+    }
+
+    // ==================== PLAYOFF BRACKETS ====================
+
+    /**
+     * Write every node of a season's bracket (PlayoffBracket.toJSON() output).
+     * match_id is unique across seasons, so node ids are stored season-prefixed.
+     */
+    async savePlayoffBracket(seasonNumber, bracket) {
+        const key = (matchId) => (matchId ? `S${seasonNumber}-${matchId}` : null);
+
+        // Delete and insert together, so a crash in between can't wipe the saved bracket
+        return this.transaction(async () => {
+            await new Promise((resolve, reject) => {
+                this.db.run(
+                    'DELETE FROM playoff_brackets WHERE season_number = ?',
+                    [seasonNumber],
+                    (err) => {
+                        if (err) reject(err);
+                        else resolve();
+                    }
+                );
+            });
+
+            return new Promise((resolve, reject) => {
+                const stmt = this.db.prepare(`
+                    INSERT INTO playoff_brackets
+                    (season_number, round_name, match_id, seed1, seed2, team1_name, team2_name, winner_name, match_date,
+                     bracket_type, bracket_section, round_index, best_of, series_score, winner_to, loser_to)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `);
+
+                const promises = bracket.nodes.map(node => {
+                    return new Promise((res, rej) => {
+                        stmt.run([
+                            seasonNumber,
+                            node.roundName,
+                            key(node.matchId),
+                            node.seed1,
+                            node.seed2,
+                            node.team1,
+                            node.team2,
+                            node.winner,
+                            node.completedAt || null,
+                            bracket.type,
+                            node.section,
+                            node.roundIndex,
+                            node.bestOf,
+                            node.series,
+                            key(node.winnerTo),
+                            key(node.loserTo)
+                        ], (err) => {
+                            if (err) rej(err);
+                            else res();
+                        });
+                    });
+                });
+
+                Promise.all(promises)
+                    .then(() => {
+                        stmt.finalize();
+                        resolve({ success: true, nodes: bracket.nodes.length });
+                    })
+                    .catch((err) => {
+                        stmt.finalize();
+                        reject(err);
+                    });
+            });
+        });
+    }
+
+    /**
+     * Load a season's bracket in the same shape PlayoffBracket.toJSON() produces
+     */
+    async getPlayoffBracket(seasonNumber) {
+        const prefix = `S${seasonNumber}-`;
+        const strip = (matchId) => (matchId && matchId.startsWith(prefix) ? matchId.slice(prefix.length) : matchId);
+
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM playoff_brackets WHERE season_number = ? ORDER BY round_index ASC, id ASC',
+                [seasonNumber],
+                (err, rows) => {
+                    if (err) return reject(err);
+                    if (!rows || rows.length === 0) return resolve(null);
+
+                    resolve({
+                        type: rows[0].bracket_type,
+                        nodes: rows.map(row => ({
+                            matchId: strip(row.match_id),
+                            roundName: row.round_name,
+                            roundIndex: row.round_index,
+                            section: row.bracket_section,
+                            bestOf: row.best_of,
+                            seed1: row.seed1,
+                            seed2: row.seed2,
+                            team1: row.team1_name,
+                            team2: row.team2_name,
+                            winner: row.winner_name,
+                            series: row.series_score,
+                            winnerTo: strip(row.winner_to),
+                            loserTo: strip(row.loser_to),
+                            matchDate: row.match_date
+                        }))
+                    });
+                }
+            );
+        });
+    }
+
+    // ==================== LEAGUE RULESETS ====================
+
+    /**
+     * Save the league ruleset for a season (replaces any existing one)
+     */
+    async saveLeagueRuleset(seasonNumber, ruleset) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT OR REPLACE INTO league_rulesets (season_number, ruleset, updated_at)
+                 VALUES (?, ?, CURRENT_TIMESTAMP)`,
+                [seasonNumber, JSON.stringify(ruleset)],
+                (err) => {
+                    if (err) reject(err);
+                    else resolve({ success: true });
+                }
+            );
+        });
+    }
+
+    /**
+     * Get the league ruleset for a season, or null if none was voted in
+     */
+    async getLeagueRuleset(seasonNumber) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT ruleset FROM league_rulesets WHERE season_number = ?',
+                [seasonNumber],
+                (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row ? JSON.parse(row.ruleset) : null);
+                }
+            );
+        });
+    }
+
+    // ==================== LIVE MATCHES ====================
+
+    /**
+     * Save the latest snapshot of a match in progress (replaces the previous one)
+     */
+    async saveLiveMatch(liveMatch) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT OR REPLACE INTO live_matches
+                (match_key, season_number, match_id, phase, wave, snapshot, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+                [
+                    liveMatch.matchKey,
+                    liveMatch.seasonNumber,
+                    liveMatch.matchId,
+                    liveMatch.phase,
+                    liveMatch.wave,
+                    JSON.stringify(liveMatch.snapshot)
+                ],
+                (err) => {
+                    if (err) reject(err);
+                    else resolve({ success: true });
+                }
+            );
+        });
+    }
+
+    /**
+     * Get matches that were in progress for a season (with parsed snapshots)
+     */
+    async getLiveMatches(seasonNumber) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM live_matches WHERE season_number = ?',
+                [seasonNumber],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows.map(row => ({
+                        matchKey: row.match_key,
+                        seasonNumber: row.season_number,
+                        matchId: row.match_id,
+                        phase: row.phase,
+                        wave: row.wave,
+                        snapshot: JSON.parse(row.snapshot),
+                        updatedAt: row.updated_at
+                    })));
+                }
+            );
+        });
+    }
+
+    /**
+     * Remove a live match once it has finished
+     */
+    async deleteLiveMatch(matchKey) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM live_matches WHERE match_key = ?',
+                [matchKey],
+                (err) => {
+                    if (err) reject(err);
+                    else resolve({ success: true });
+                }
+            );
+        });
+    }
+
+    // ==================== TEAM BENCHES ====================
+
+    /**
+     * Save a team's substitutes for a season (replaces any saved bench)
+     */
+    async saveTeamBench(seasonNumber, teamName, champions) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT OR REPLACE INTO team_benches (season_number, team_name, champions)
+                 VALUES (?, ?, ?)`,
+                [seasonNumber, teamName, JSON.stringify(champions)],
+                (err) => {
+                    if (err) reject(err);
+                    else resolve({ success: true });
+                }
+            );
+        });
+    }
+
+    /**
+     * Get every team's saved substitutes for a season
+     * @returns {Promise<object>} team name -> champion objects
+     */
+    async getTeamBenches(seasonNumber) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT team_name, champions FROM team_benches WHERE season_number = ?',
+                [seasonNumber],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(Object.fromEntries(rows.map(row => [row.team_name, JSON.parse(row.champions)])));
+                }
+            );
+        });
+    }
+
     // ==================== CHAMPION CAREERS ====================
 
-    async upsertChampionCareer(championName, teamName, matchStats) {
+    async upsertChampionCareer(championId, championName, teamName, matchStats) {
         return new Promise((resolve, reject) => {
             // First, check if champion exists
             this.db.get(
-                'SELECT * FROM champion_careers WHERE champion_name = ?',
-                [championName],
+                'SELECT * FROM champion_careers WHERE champion_id = ?',
+                [championId],
                 (err, champion) => {
                     if (err) return reject(err);
 
@@ -798,6 +1529,7 @@ class Database {
                         // Update existing champion
                         this.db.run(
                             `UPDATE champion_careers SET
+                                champion_name = ?,
                                 team_name = ?,
                                 total_matches = total_matches + 1,
                                 total_wins = total_wins + ?,
@@ -809,8 +1541,9 @@ class Database {
                                 total_gold = total_gold + ?,
                                 chaos_witnessed = chaos_witnessed + ?,
                                 last_seen = CURRENT_TIMESTAMP
-                            WHERE champion_name = ?`,
+                            WHERE champion_id = ?`,
                             [
+                                championName,
                                 teamName,
                                 matchStats.won ? 1 : 0,
                                 matchStats.won ? 0 : 1,
@@ -820,7 +1553,7 @@ class Database {
                                 matchStats.cs,
                                 matchStats.gold,
                                 matchStats.chaosWitnessed || 0,
-                                championName
+                                championId
                             ],
                             (err) => {
                                 if (err) reject(err);
@@ -831,10 +1564,11 @@ class Database {
                         // Insert new champion
                         this.db.run(
                             `INSERT INTO champion_careers
-                            (champion_name, team_name, total_matches, total_wins, total_losses,
+                            (champion_id, champion_name, team_name, total_matches, total_wins, total_losses,
                              total_kills, total_deaths, total_assists, total_cs, total_gold, chaos_witnessed)
-                            VALUES (?, ?, 1, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                            VALUES (?, ?, ?, 1, ?, ?, ?, ?, ?, ?, ?, ?)`,
                             [
+                                championId,
                                 championName,
                                 teamName,
                                 matchStats.won ? 1 : 0,
@@ -857,11 +1591,11 @@ class Database {
         });
     }
 
-    async getChampionCareer(championName) {
+    async getChampionCareer(championId) {
         return new Promise((resolve, reject) => {
             this.db.get(
-                'SELECT * FROM champion_careers WHERE champion_name = ?',
-                [championName],
+                'SELECT * FROM champion_careers WHERE champion_id = ?',
+                [championId],
                 (err, champion) => {
                     if (err) reject(err);
                     else if (!champion) {
@@ -879,11 +1613,11 @@ class Database {
         });
     }
 
-    async addChampionScar(championName, scar) {
+    async addChampionScar(championId, scar) {
         return new Promise((resolve, reject) => {
             this.db.get(
-                'SELECT scars FROM champion_careers WHERE champion_name = ?',
-                [championName],
+                'SELECT scars FROM champion_careers WHERE champion_id = ?',
+                [championId],
                 (err, champion) => {
                     if (err || !champion) return reject(err);
 
@@ -891,8 +1625,8 @@ class Database {
                     existingScars.push({ scar, timestamp: new Date().toISOString() });
 
                     this.db.run(
-                        'UPDATE champion_careers SET scars = ? WHERE champion_name = ?',
-                        [JSON.stringify(existingScars), championName],
+                        'UPDATE champion_careers SET scars = ? WHERE champion_id = ?',
+                        [JSON.stringify(existingScars), championId],
                         (err) => {
                             if (err) reject(err);
                             else resolve({ success: true });
@@ -903,18 +1637,18 @@ class Database {
         });
     }
 
-    async killChampion(championName, permanent = false) {
+    async killChampion(championId, permanent = false) {
         return new Promise((resolve, reject) => {
             const updates = permanent ?
                 'death_count = death_count + 1, perma_dead = 1' :
                 'death_count = death_count + 1';
 
             this.db.run(
-                `UPDATE champion_careers SET ${updates} WHERE champion_name = ?`,
-                [championName],
+                `UPDATE champion_careers SET ${updates} WHERE champion_id = ?`,
+                [championId],
                 (err) => {
                     if (err) reject(err);
-                    else resolve({ championName, permanent });
+                    else resolve({ championId, permanent });
                 }
             );
         });
@@ -970,6 +1704,24 @@ class Database {
         });
     }
 
+    /**
+     * Get unresolved bets on a season's match (used to rebuild a betting pool after a restart)
+     */
+    async getPendingBets(seasonNumber, matchId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM betting_history
+                WHERE season_number = ? AND match_id = ? AND result = 'pending'
+                ORDER BY id ASC`,
+                [seasonNumber, matchId],
+                (err, bets) => {
+                    if (err) reject(err);
+                    else resolve(bets);
+                }
+            );
+        });
+    }
+
     async getUserBettingHistory(userId, limit = 50) {
         return new Promise((resolve, reject) => {
             this.db.all(
@@ -1055,35 +1807,124 @@ class Database {
         });
     }
 
+    // ==================== MATCH RESULTS ====================
+
+    /**
+     * Save the outcome of a single completed match
+     */
+    async saveMatchResult(result) {
+        return new Promise((resolve, reject) => {
+            const {
+                seasonNumber,
+                matchId,
+                phase,
+                week = null,
+                day = null,
+                team1,
+                team2,
+                winner,
+                loser,
+                durationWaves = null,
+                team1Towers = null,
+                team2Towers = null,
+                matchLog = null
+            } = result;
+
+            this.db.run(
+                `INSERT INTO match_results
+                (season_number, match_id, phase, week, day, team1_name, team2_name, winner_name, loser_name,
+                 duration_waves, team1_towers, team2_towers, match_log)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    seasonNumber,
+                    matchId,
+                    phase,
+                    week,
+                    day,
+                    team1,
+                    team2,
+                    winner,
+                    loser,
+                    durationWaves,
+                    team1Towers,
+                    team2Towers,
+                    matchLog ? JSON.stringify(matchLog) : null
+                ],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ id: this.lastID, matchId });
+                }
+            );
+        });
+    }
+
+    /**
+     * Get all match results for a season, oldest first
+     */
+    async getMatchResults(seasonNumber, phase = null) {
+        return new Promise((resolve, reject) => {
+            const query = phase
+                ? 'SELECT * FROM match_results WHERE season_number = ? AND phase = ? ORDER BY id ASC'
+                : 'SELECT * FROM match_results WHERE season_number = ? ORDER BY id ASC';
+            const params = phase ? [seasonNumber, phase] : [seasonNumber];
+
+            this.db.all(query, params, (err, results) => {
+                if (err) reject(err);
+                else resolve(results);
+            });
+        });
+    }
+
     // ==================== MATCH REPLAY METHODS ====================
 
     /**
      * Save match replay data for deterministic replay
+     * New replays store only the match inputs (seed, roster snapshot, config,
+     * engine version) and an event hash; ReplayRunner re-simulates the events.
      */
     async saveMatchReplay(replayData) {
         return new Promise((resolve, reject) => {
             const {
                 matchId,
                 seed,
+                engineVersion,
+                roster,
+                maxWaves,
+                snapshotInterval,
+                intensityMultiplier,
+                ruleset,
+                draft,
+                overtime,
+                decision,
                 team1,
                 team2,
+                winner,
+                waves,
+                eventCount,
+                eventHash,
                 events,
-                snapshots,
-                finalState
+                champions
             } = replayData;
 
             this.db.run(
                 `INSERT OR REPLACE INTO match_replays
-                (match_id, seed, team1_name, team2_name, events_json, snapshots_json, final_state_json)
-                VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                (match_id, seed, team1_name, team2_name, events_json, engine_version, roster_json,
+                 config_json, winner, waves, event_count, event_hash, final_state_json)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                 [
                     matchId,
                     seed,
                     team1,
                     team2,
-                    JSON.stringify(events),
-                    JSON.stringify(snapshots || []),
-                    JSON.stringify(finalState || {})
+                    events ? JSON.stringify(events) : null,
+                    engineVersion || null,
+                    roster ? JSON.stringify(roster) : null,
+                    JSON.stringify({ maxWaves, snapshotInterval, intensityMultiplier, ruleset, draft, overtime, decision }),
+                    winner || null,
+                    waves || null,
+                    eventCount || null,
+                    eventHash || null,
+                    champions ? JSON.stringify({ champions }) : null
                 ],
                 function(err) {
                     if (err) {
@@ -1099,6 +1940,8 @@ class Database {
 
     /**
      * Get match replay by match ID
+     * Returns the stored row plus the camelCase fields ReplayRunner expects.
+     * `events` is only present for legacy replays that stored the full stream.
      */
     async getMatchReplay(matchId) {
         return new Promise((resolve, reject) => {
@@ -1114,12 +1957,27 @@ class Database {
                     } else {
                         // Parse JSON fields
                         try {
-                            replay.events = JSON.parse(replay.events_json);
-                            replay.snapshots = JSON.parse(replay.snapshots_json || '[]');
-                            replay.finalState = JSON.parse(replay.final_state_json || '{}');
+                            const config = JSON.parse(replay.config_json || '{}');
+                            replay.matchId = replay.match_id;
+                            replay.engineVersion = replay.engine_version;
+                            replay.roster = replay.roster_json ? JSON.parse(replay.roster_json) : null;
+                            replay.maxWaves = config.maxWaves;
+                            replay.snapshotInterval = config.snapshotInterval;
+                            replay.intensityMultiplier = config.intensityMultiplier;
+                            replay.ruleset = config.ruleset || null;
+                            replay.draft = config.draft || null;
+                            replay.overtime = config.overtime || null;
+                            replay.decision = config.decision || null;
+                            replay.eventCount = replay.event_count;
+                            replay.eventHash = replay.event_hash;
+                            if (replay.events_json) {
+                                replay.events = JSON.parse(replay.events_json);
+                            }
                             delete replay.events_json;
                             delete replay.snapshots_json;
                             delete replay.final_state_json;
+                            delete replay.roster_json;
+                            delete replay.config_json;
                             resolve(replay);
                         } catch (parseErr) {
                             console.error('Error parsing replay JSON:', parseErr);
@@ -1137,7 +1995,7 @@ class Database {
     async getAllMatchReplays(limit = 20, offset = 0) {
         return new Promise((resolve, reject) => {
             this.db.all(
-                `SELECT id, match_id, seed, team1_name, team2_name, created_at
+                `SELECT id, match_id, seed, team1_name, team2_name, winner, waves, engine_version, created_at
                  FROM match_replays
                  ORDER BY created_at DESC
                  LIMIT ? OFFSET ?`,
@@ -1160,7 +2018,7 @@ class Database {
     async getReplaysByTeam(teamName, limit = 10) {
         return new Promise((resolve, reject) => {
             this.db.all(
-                `SELECT id, match_id, seed, team1_name, team2_name, created_at
+                `SELECT id, match_id, seed, team1_name, team2_name, winner, waves, engine_version, created_at
                  FROM match_replays
                  WHERE team1_name = ? OR team2_name = ?
                  ORDER BY created_at DESC
@@ -1179,11 +2037,11 @@ class Database {
     /**
      * Update champion career XP and level
      */
-    async updateChampionCareerXP(championName, xpGained, won) {
+    async updateChampionCareerXP(championId, xpGained, won) {
         return new Promise((resolve, reject) => {
             this.db.get(
-                'SELECT career_xp, career_level, form, win_streak, loss_streak FROM champion_careers WHERE champion_name = ?',
-                [championName],
+                'SELECT career_xp, career_level, form, win_streak, loss_streak FROM champion_careers WHERE champion_id = ?',
+                [championId],
                 (err, row) => {
                     if (err) return reject(err);
                     if (!row) return resolve(null);
@@ -1214,8 +2072,8 @@ class Database {
                     this.db.run(
                         `UPDATE champion_careers
                          SET career_xp = ?, career_level = ?, form = ?, win_streak = ?, loss_streak = ?
-                         WHERE champion_name = ?`,
-                        [newXP, newLevel, newForm, newWinStreak, newLossStreak, championName],
+                         WHERE champion_id = ?`,
+                        [newXP, newLevel, newForm, newWinStreak, newLossStreak, championId],
                         (err) => {
                             if (err) reject(err);
                             else resolve({ newLevel, newForm, levelUp: newLevel > row.career_level });
@@ -1228,21 +2086,26 @@ class Database {
 
     /**
      * Add or update a grudge
+     * @param {object} champion - { id, name } of the champion holding the grudge
+     * @param {object} target - { id, name } of the champion it's held against
      */
-    async addOrUpdateGrudge(championName, targetName, killedByTarget) {
+    async addOrUpdateGrudge(champion, target, killedByTarget) {
         return new Promise((resolve, reject) => {
             const intensityIncrease = killedByTarget ? 0.1 : -0.02; // +0.1 if killed by them, -0.02 if killed them
 
             this.db.run(
-                `INSERT INTO champion_grudges (champion_name, grudge_target_name, intensity, times_killed_by, times_killed)
-                 VALUES (?, ?, ?, ?, ?)
-                 ON CONFLICT(champion_name, grudge_target_name) DO UPDATE SET
+                `INSERT INTO champion_grudges
+                    (champion_id, champion_name, grudge_target_id, grudge_target_name, intensity, times_killed_by, times_killed)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)
+                 ON CONFLICT(champion_id, grudge_target_id) DO UPDATE SET
+                    champion_name = excluded.champion_name,
+                    grudge_target_name = excluded.grudge_target_name,
                     intensity = MIN(1.0, MAX(0.0, intensity + ?)),
                     times_killed_by = times_killed_by + ?,
                     times_killed = times_killed + ?,
                     updated_at = CURRENT_TIMESTAMP`,
                 [
-                    championName, targetName,
+                    champion.id, champion.name, target.id, target.name,
                     Math.max(0, intensityIncrease),
                     killedByTarget ? 1 : 0,
                     killedByTarget ? 0 : 1,
@@ -1260,21 +2123,26 @@ class Database {
 
     /**
      * Add or update a synergy
+     * @param {object} champion - { id, name }
+     * @param {object} target - { id, name } of the teammate
      */
-    async addOrUpdateSynergy(championName, targetName, won) {
+    async addOrUpdateSynergy(champion, target, won) {
         return new Promise((resolve, reject) => {
             const strengthIncrease = won ? 0.05 : 0.01; // +0.05 if won together, +0.01 just for playing
 
             this.db.run(
-                `INSERT INTO champion_synergies (champion_name, synergy_target_name, strength, games_together, wins_together)
-                 VALUES (?, ?, ?, 1, ?)
-                 ON CONFLICT(champion_name, synergy_target_name) DO UPDATE SET
+                `INSERT INTO champion_synergies
+                    (champion_id, champion_name, synergy_target_id, synergy_target_name, strength, games_together, wins_together)
+                 VALUES (?, ?, ?, ?, ?, 1, ?)
+                 ON CONFLICT(champion_id, synergy_target_id) DO UPDATE SET
+                    champion_name = excluded.champion_name,
+                    synergy_target_name = excluded.synergy_target_name,
                     strength = MIN(1.0, strength + ?),
                     games_together = games_together + 1,
                     wins_together = wins_together + ?,
                     updated_at = CURRENT_TIMESTAMP`,
                 [
-                    championName, targetName,
+                    champion.id, champion.name, target.id, target.name,
                     strengthIncrease,
                     won ? 1 : 0,
                     strengthIncrease,
@@ -1291,15 +2159,15 @@ class Database {
     /**
      * Get champion's grudges
      */
-    async getChampionGrudges(championName, minIntensity = 0.3) {
+    async getChampionGrudges(championId, minIntensity = 0.3) {
         return new Promise((resolve, reject) => {
             this.db.all(
-                `SELECT grudge_target_name, intensity, times_killed_by, times_killed
+                `SELECT grudge_target_id, grudge_target_name, intensity, times_killed_by, times_killed
                  FROM champion_grudges
-                 WHERE champion_name = ? AND intensity >= ?
+                 WHERE champion_id = ? AND intensity >= ?
                  ORDER BY intensity DESC
                  LIMIT 5`,
-                [championName, minIntensity],
+                [championId, minIntensity],
                 (err, rows) => {
                     if (err) reject(err);
                     else resolve(rows || []);
@@ -1311,15 +2179,15 @@ class Database {
     /**
      * Get champion's synergies
      */
-    async getChampionSynergies(championName, minStrength = 0.2) {
+    async getChampionSynergies(championId, minStrength = 0.2) {
         return new Promise((resolve, reject) => {
             this.db.all(
-                `SELECT synergy_target_name, strength, games_together, wins_together
+                `SELECT synergy_target_id, synergy_target_name, strength, games_together, wins_together
                  FROM champion_synergies
-                 WHERE champion_name = ? AND strength >= ?
+                 WHERE champion_id = ? AND strength >= ?
                  ORDER BY strength DESC
                  LIMIT 3`,
-                [championName, minStrength],
+                [championId, minStrength],
                 (err, rows) => {
                     if (err) reject(err);
                     else resolve(rows || []);
@@ -1331,15 +2199,15 @@ class Database {
     /**
      * Get champion's career statistics
      */
-    async getChampionCareerStats(championName) {
+    async getChampionCareerStats(championId) {
         return new Promise((resolve, reject) => {
             this.db.get(
-                `SELECT * FROM champion_careers WHERE champion_name = ?`,
-                [championName],
+                `SELECT * FROM champion_careers WHERE champion_id = ?`,
+                [championId],
                 (err, row) => {
                     if (err) reject(err);
                     else resolve(row || {
-                        champion_name: championName,
+                        champion_id: championId,
                         games_played: 0,
                         wins: 0,
                         losses: 0,
@@ -1361,18 +2229,17 @@ class Database {
     }
 
     /**
-     * Get champion's match history
+     * Get champion's match history (from the final champion lines stored with each replay)
      */
-    async getChampionMatchHistory(championName, limit = 20) {
+    async getChampionMatchHistory(championId, limit = 20) {
         return new Promise((resolve, reject) => {
-            // This is a simplified version - we're querying the replays table
-            // and extracting champion performance from the replay data
             this.db.all(
-                `SELECT id, team1_name, team2_name, winner, replay_data, created_at
+                `SELECT match_id, team1_name, team2_name, winner, final_state_json, created_at
                  FROM match_replays
+                 WHERE final_state_json LIKE ?
                  ORDER BY created_at DESC
                  LIMIT ?`,
-                [limit * 2], // Get more matches since we'll filter for this champion
+                [`%"championId":${JSON.stringify(championId)}%`, limit],
                 (err, rows) => {
                     if (err) {
                         reject(err);
@@ -1381,43 +2248,21 @@ class Database {
 
                     const matches = [];
                     for (const row of rows) {
-                        if (matches.length >= limit) break;
-
                         try {
-                            const replayData = JSON.parse(row.replay_data);
-                            const events = replayData.events || [];
-
-                            // Find champion in the match
-                            let championData = null;
-                            let teamName = null;
-
-                            // Look through events for champion data
-                            for (const event of events) {
-                                if (event.type === 'match.end' && event.data && event.data.champions) {
-                                    const found = event.data.champions.find(c => c.name === championName);
-                                    if (found) {
-                                        championData = found;
-                                        // Determine team
-                                        teamName = event.data.team1.champions.some(c => c.name === championName)
-                                            ? row.team1_name
-                                            : row.team2_name;
-                                        break;
-                                    }
-                                }
-                            }
-
-                            if (championData) {
-                                const won = row.winner === teamName;
-                                matches.push({
-                                    matchId: row.id,
-                                    won,
-                                    kda: championData.kda || { kills: 0, deaths: 0, assists: 0 },
-                                    gold: championData.gold || 0,
-                                    cs: championData.cs || 0,
-                                    level: championData.level || 1,
-                                    date: row.created_at
-                                });
-                            }
+                            const { champions = [] } = JSON.parse(row.final_state_json);
+                            const championData = champions.find(c => c.championId === championId);
+                            if (!championData) continue;
+
+                            const teamName = championData.teamId === 'team1' ? row.team1_name : row.team2_name;
+                            matches.push({
+                                matchId: row.match_id,
+                                won: row.winner === teamName,
+                                kda: championData.kda || { kills: 0, deaths: 0, assists: 0 },
+                                gold: championData.gold || 0,
+                                cs: championData.cs || 0,
+                                level: championData.level || 1,
+                                date: row.created_at
+                            });
                         } catch (parseError) {
                             // Skip matches with invalid replay data
                             console.error('Error parsing replay data:', parseError);
@@ -8,6 +8,8 @@
  * - Golden CS Award (Best Farmer)
  * - Clutch Player of the Year
  * - Most Improved
+ * - Bounty Hunter (most shutdowns)
+ * - Unstoppable (longest kill streak)
  * - Team Awards
  */
 
@@ -30,6 +32,8 @@ class AwardsSystem {
             goldenCS: await this.calculateGoldenCS(teams),
             clutchPlayer: await this.calculateClutchPlayer(teams),
             mostImproved: await this.calculateMostImproved(teams),
+            bountyHunter: await this.calculateBountyHunter(teams),
+            unstoppable: await this.calculateUnstoppable(teams),
             teamAwards: await this.calculateTeamAwards(teams, completedMatches)
         };
 
@@ -47,7 +51,7 @@ class AwardsSystem {
 
         for (const team of teams) {
             for (const champion of team.champions) {
-                const careerStats = await this.getChampionSeasonStats(champion.name);
+                const careerStats = await this.getChampionSeasonStats(champion.id);
 
                 if (!careerStats || careerStats.matches < 5) continue; // Must have played 5+ games
 
@@ -100,7 +104,7 @@ class AwardsSystem {
             for (const champion of team.champions) {
                 // Rookies have experience = 0 or championships = 0
                 if (champion.experience === 0 || champion.championships === 0) {
-                    const stats = await this.getChampionSeasonStats(champion.name);
+                    const stats = await this.getChampionSeasonStats(champion.id);
 
                     if (!stats || stats.matches < 3) continue;
 
@@ -151,7 +155,7 @@ class AwardsSystem {
 
         for (const team of teams) {
             for (const champion of team.champions) {
-                const stats = await this.getChampionSeasonStats(champion.name);
+                const stats = await this.getChampionSeasonStats(champion.id);
 
                 if (!stats) continue;
 
@@ -193,7 +197,7 @@ class AwardsSystem {
 
         for (const team of teams) {
             for (const champion of team.champions) {
-                const stats = await this.getChampionSeasonStats(champion.name);
+                const stats = await this.getChampionSeasonStats(champion.id);
 
                 if (!stats || stats.matches < 5) continue;
 
@@ -230,7 +234,7 @@ class AwardsSystem {
 
         for (const team of teams) {
             for (const champion of team.champions) {
-                const stats = await this.getChampionSeasonStats(champion.name);
+                const stats = await this.getChampionSeasonStats(champion.id);
 
                 if (!stats) continue;
 
@@ -272,7 +276,7 @@ class AwardsSystem {
 
         for (const team of teams) {
             for (const champion of team.champions) {
-                const stats = await this.getChampionSeasonStats(champion.name);
+                const stats = await this.getChampionSeasonStats(champion.id);
 
                 if (!stats || stats.matches < 5) continue;
 
@@ -299,6 +303,96 @@ class AwardsSystem {
         };
     }
 
+    /**
+     * Bounty Hunter - Ended the most enemy kill streaks
+     */
+    async calculateBountyHunter(teams) {
+        const candidates = [];
+
+        for (const team of teams) {
+            for (const champion of team.champions) {
+                const stats = this.statsManager.getChampionStats(champion.id);
+
+                if (!stats || stats.shutdowns === 0) continue;
+
+                candidates.push({
+                    champion: champion.name,
+                    team: team.name,
+                    role: champion.role,
+                    shutdowns: stats.shutdowns,
+                    bountyGold: stats.bountyGold
+                });
+            }
+        }
+
+        if (candidates.length === 0) {
+            return {
+                award: 'Bounty Hunter',
+                winner: 'No shutdowns this season',
+                team: null,
+                role: null
+            };
+        }
+
+        const winner = candidates.sort((a, b) => (b.shutdowns - a.shutdowns) || (b.bountyGold - a.bountyGold))[0];
+
+        return {
+            award: 'Bounty Hunter',
+            winner: winner.champion,
+            team: winner.team,
+            role: winner.role,
+            shutdowns: winner.shutdowns,
+            bountyGold: winner.bountyGold,
+            speech: this.generateAcceptanceSpeech(winner.champion, 'BOUNTY')
+        };
+    }
+
+    /**
+     * Unstoppable - Longest kill streak of the season
+     */
+    async calculateUnstoppable(teams) {
+        const candidates = [];
+
+        for (const team of teams) {
+            for (const champion of team.champions) {
+                const stats = this.statsManager.getChampionStats(champion.id);
+
+                if (!stats || stats.killingSprees === 0) continue;
+
+                candidates.push({
+                    champion: champion.name,
+                    team: team.name,
+                    role: champion.role,
+                    largestStreak: stats.largestStreak,
+                    killingSprees: stats.killingSprees,
+                    legendaryStreaks: stats.legendaryStreaks
+                });
+            }
+        }
+
+        if (candidates.length === 0) {
+            return {
+                award: 'Unstoppable',
+                winner: 'No killing sprees this season',
+                team: null,
+                role: null
+            };
+        }
+
+        const winner = candidates.sort((a, b) => (b.largestStreak - a.largestStreak) || (b.killingSprees - a.killingSprees))[0];
+
+        return {
+            award: 'Unstoppable',
+            winner: winner.champion,
+            team: winner.team,
+            role: winner.role,
+            largestStreak: winner.largestStreak,
+            killingSprees: winner.killingSprees,
+            legendaryStreaks: winner.legendaryStreaks,
+            speech: this.generateAcceptanceSpeech(winner.champion, 'STREAK')
+        };
+    }
+
     /**
      * Team Awards
      */
@@ -371,6 +465,18 @@ class AwardsSystem {
                 `${championName}: "Turns out reading patch notes helps."`,
                 `${championName}: "My secret? I started actually trying."`,
                 `${championName}: "Thanks to whoever believed I could improve!"`
+            ],
+            BOUNTY: [
+                `${championName}: "Every streak ends. I just make sure it ends on me."`,
+                `${championName}: "I don't farm minions, I farm bounties."`,
+                `${championName}: "You can't spell shutdown without... well, me, apparently."`,
+                `${championName}: "Some people chase kills. I chase the people chasing kills."`
+            ],
+            STREAK: [
+                `${championName}: "Dying is a choice. I chose not to."`,
+                `${championName}: "Legendary? I prefer 'inevitable'."`,
+                `${championName}: "Put a bounty on me. Put two. I dare you."`,
+                `${championName}: "I stopped counting after the killing spree."`
             ]
         };
 
@@ -381,9 +487,9 @@ class AwardsSystem {
     /**
      * Get champion season stats from database
      */
-    async getChampionSeasonStats(championName) {
+    async getChampionSeasonStats(championId) {
         try {
-            const career = await this.database.getChampionCareer(championName);
+            const career = await this.database.getChampionCareer(championId);
             return {
                 matches: career.total_matches || 0,
                 wins: career.total_wins || 0,
@@ -409,7 +515,9 @@ class AwardsSystem {
             { type: 'ROTY', winner: awards.rookieOfTheYear.winner, team: awards.rookieOfTheYear.team },
             { type: 'CHAOS', winner: awards.mostChaotic.winner, team: awards.mostChaotic.team },
             { type: 'GOLDEN_CS', winner: awards.goldenCS.winner, team: awards.goldenCS.team },
-            { type: 'CLUTCH', winner: awards.clutchPlayer.winner, team: awards.clutchPlayer.team }
+            { type: 'CLUTCH', winner: awards.clutchPlayer.winner, team: awards.clutchPlayer.team },
+            { type: 'BOUNTY_HUNTER', winner: awards.bountyHunter.winner, team: awards.bountyHunter.team },
+            { type: 'UNSTOPPABLE', winner: awards.unstoppable.winner, team: awards.unstoppable.team }
         ];
 
         for (const award of awardsList) {
@@ -467,6 +575,20 @@ class AwardsSystem {
                     team: awards.clutchPlayer.team,
                     clutchRating: awards.clutchPlayer.clutchRating,
                     speech: awards.clutchPlayer.speech
+                },
+                {
+                    name: awards.bountyHunter.award,
+                    winner: awards.bountyHunter.winner,
+                    team: awards.bountyHunter.team,
+                    shutdowns: awards.bountyHunter.shutdowns,
+                    speech: awards.bountyHunter.speech
+                },
+                {
+                    name: awards.unstoppable.award,
+                    winner: awards.unstoppable.winner,
+                    team: awards.unstoppable.team,
+                    largestStreak: awards.unstoppable.largestStreak,
+                    speech: awards.unstoppable.speech
                 }
             ],
             teamAwards: awards.teamAwards
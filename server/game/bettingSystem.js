@@ -166,6 +166,30 @@ class BettingSystem {
         };
     }
 
+    // Re-add a persisted bet to a rebuilt pool (match resumed after a restart)
+    restoreBet(bet) {
+        const pool = this.activeMatches.get(bet.matchId);
+        if (!pool) return false;
+
+        if (bet.team === pool.team1) {
+            pool.team1Bets.push(bet);
+            pool.team1Pool += bet.amount;
+        } else if (bet.team === pool.team2) {
+            pool.team2Bets.push(bet);
+            pool.team2Pool += bet.amount;
+        } else {
+            return false;
+        }
+
+        if (!this.userBets.has(bet.userId)) {
+            this.userBets.set(bet.userId, []);
+        }
+        this.userBets.get(bet.userId).push(bet);
+
+        this.updateOdds(bet.matchId);
+        return true;
+    }
+
     // Lock betting for a match (when match starts)
     lockBetting(matchId) {
         const pool = this.activeMatches.get(matchId);
@@ -175,12 +199,13 @@ class BettingSystem {
         return pool;
     }
 
-    // Resolve bets after match ends
-    resolveBets(matchId, winnerName) {
+    // Resolve bets after match ends (decision: how it was won - Core, sudden death or tiebreak)
+    resolveBets(matchId, winnerName, decision = null) {
         const pool = this.activeMatches.get(matchId);
         if (!pool) return { payouts: [], totalPaid: 0 };
 
         pool.winner = winnerName;
+        pool.decision = decision;
         const winningBets = winnerName === pool.team1 ? pool.team1Bets : pool.team2Bets;
 
         const payouts = [];
@@ -190,6 +215,8 @@ class BettingSystem {
             const payout = Math.floor(bet.amount * bet.odds);
             payouts.push({
                 userId: bet.userId,
+                betId: bet.betId,        // Only set on bets restored from the database
+                dbUserId: bet.dbUserId,
                 amount: bet.amount,
                 payout,
                 profit: payout - bet.amount,
@@ -116,7 +116,7 @@ class CommentaryEngine {
         }
 
         // Check for grudge kills (if victim in killer's grudges)
-        if (killer.grudges && killer.grudges.includes(victim.name)) {
+        if (killer.grudges && killer.grudges.includes(victim.id)) {
             return this.getTemplate('grudge_kill', context);
         }
 
@@ -157,6 +157,7 @@ class DraftSystem {
                     pickNumber,
                     round: round + 1,
                     team: team.name,
+                    championId: pick.id,
                     champion: pick.name,
                     role: pick.role,
                     commentary
@@ -336,8 +337,8 @@ class DraftSystem {
         replacement.teamName = team.name;
 
         const oldChampionIndex = team.champions.findIndex(c => c.role === role);
+        const oldChampion = team.champions[oldChampionIndex];
         if (oldChampionIndex >= 0) {
-            const oldChampion = team.champions[oldChampionIndex];
             this.retiredChampions.push({
                 ...oldChampion,
                 retiredDate: new Date(),
@@ -347,8 +348,10 @@ class DraftSystem {
         }
 
         return {
-            oldChampion: team.champions[oldChampionIndex]?.name,
+            oldChampion: oldChampion?.name,
+            oldChampionId: oldChampion?.id,
             newChampion: replacement.name,
+            newChampionId: replacement.id,
             reason,
             team: team.name
         };
@@ -378,6 +381,7 @@ class DraftSystem {
 
         return available
             .map(champ => ({
+                id: champ.id,
                 name: champ.name,
                 role: champ.role,
                 rating: ((champ.mechanical_skill + champ.game_sense + champ.clutch_factor) / 3 * 100).toFixed(0),
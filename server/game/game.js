@@ -4,6 +4,7 @@
  * Now powered by SeasonManager for deep, robust season simulation
  */
 
+const crypto = require('crypto');
 const { teams } = require('../data/data.json');
 const Match = require('./match');
 const MatchAdapter = require('../simulation/MatchAdapter');  // New simulation engine
@@ -14,16 +15,23 @@ const { SeasonManager, PHASES } = require('./seasonManager');
 const DraftSystem = require('./draftSystem');
 const AwardsSystem = require('./awardsSystem');
 const ReckoningSystem = require('./reckoningSystem');
+const { LeagueRuleset } = require('./leagueRuleset');
+const { assignChampionIds, generateChampion } = require('../data/generators');
+
+// One substitute per role on every team's bench
+const BENCH_ROLES = ['Top', 'Jungle', 'Mid', 'ADC', 'Support'];
 
 class Game {
     constructor(wss, database) {
         this.wss = wss;
         this.database = database;
         this.teams = teams;
+        assignChampionIds(this.teams);  // Careers, grudges and stats are keyed by champion ID
 
         // Legacy properties (kept for compatibility)
         this.match_history = [];
         this.matchCounter = 0;
+        this.matchRunId = crypto.randomBytes(4).toString('hex');  // Keeps match ids unique across restarts
         this.newsHistory = [];
         this.newsInterval = null;
 
@@ -32,14 +40,18 @@ class Game {
         this.bettingSystem = new BettingSystem(this);
 
         // NEW: Season management systems
-        this.seasonManager = new SeasonManager(database, wss);
+        this.reckoningSystem = new ReckoningSystem(database);
+        this.seasonManager = new SeasonManager(database, wss, this.reckoningSystem);
         this.draftSystem = new DraftSystem();
         this.awardsSystem = new AwardsSystem(this.statsManager, database);
-        this.reckoningSystem = new ReckoningSystem(database);
+        this.leagueRuleset = new LeagueRuleset();  // Rules voted in by the last Reckoning
 
         // Current match tracking
         this.activeMatches = [];
         this.currentMatchups = [];
+        this.liveMatches = new Map();  // matchKey -> snapshot of a match interrupted by a restart
+        this.seriesGames = new Map();  // series game matchId -> running match (stopped if the series gives up on it)
+        this.benches = new Map();  // team name -> substitutes for the pre-match draft (per season)
 
         // Flags
         this.isRunning = false;
@@ -55,23 +67,49 @@ class Game {
     setupSeasonManagerListeners() {
         // Practice match requested (pre-season)
         this.seasonManager.on('practice_match_requested', () => {
-            this.runPracticeMatch();
+            this.runPracticeMatch().catch(error => {
+                console.error('Practice match failed:', error);
+            });
         });
 
         // Regular season matches scheduled
         this.seasonManager.on('matches_scheduled', (matchups) => {
-            this.runScheduledMatches(matchups, 'REGULAR_SEASON');
+            this.runScheduledMatches(matchups, 'REGULAR_SEASON').catch(error => {
+                console.error('Scheduled matches failed:', error);
+            });
         });
 
-        // Playoff match scheduled
+        // Playoff match scheduled (a failure tells the series to replay the game)
         this.seasonManager.on('playoff_match_scheduled', (matchInfo) => {
-            this.runPlayoffMatch(matchInfo);
+            this.runPlayoffMatch(matchInfo).catch(error => {
+                console.error(`Playoff match ${matchInfo.matchId} failed:`, error);
+                this.seasonManager.recordMatchFailure(matchInfo.matchId, error);
+            });
         });
 
         // Finals match scheduled
         this.seasonManager.on('finals_match_scheduled', (matchInfo) => {
-            this.runFinalsMatch(matchInfo);
+            this.runFinalsMatch(matchInfo).catch(error => {
+                console.error(`Finals match ${matchInfo.matchId} failed:`, error);
+                this.seasonManager.recordMatchFailure(matchInfo.matchId, error);
+            });
         });
+
+        // Series game timed out - stop it, the series replays it under a new ID
+        this.seasonManager.on('series_game_abandoned', ({ matchId, reason }) => {
+            this.abortSeriesGame(matchId, reason);
+        });
+    }
+
+    /**
+     * Stop a series game still running after the series gave up on it
+     */
+    abortSeriesGame(matchId, reason) {
+        const match = this.seriesGames.get(matchId);
+        if (!match || !match.abort) return;
+
+        console.warn(`Aborting series game ${matchId}: ${reason}`);
+        match.abort(new Error(reason));
     }
 
     /**
@@ -83,15 +121,27 @@ class Game {
         // Store current season number
         this.currentSeasonNumber = seasonNumber;
 
+        // Attribute records saved before champion IDs existed
+        await this.resolveLegacyChampionIds();
+
         // Load team standings from database if they exist
         await this.loadTeamStandings(seasonNumber);
 
+        // Load the rules the Reckoning voted in for this season
+        await this.loadLeagueRuleset(seasonNumber);
+
+        // Pick up matches that were in progress when the server stopped
+        await this.loadLiveMatches(seasonNumber);
+
         // Initialize season in database
         await this.seasonManager.initialize(this.teams, seasonNumber);
 
         // Generate champion pool for draft
         this.draftSystem.generateChampionPool();
 
+        // Substitutes for the pre-match draft (the same ones all season, across restarts)
+        await this.loadBenches(seasonNumber);
+
         // Start the season lifecycle
         await this.seasonManager.startSeason();
 
@@ -105,6 +155,20 @@ class Game {
         this.startAutoSave(seasonNumber);
     }
 
+    /**
+     * Point name-keyed career/grudge/synergy records from before champion IDs
+     * at the current rosters (no-op once everything is attributed)
+     */
+    async resolveLegacyChampionIds() {
+        if (!this.database) return;
+
+        try {
+            await this.database.resolveLegacyChampionIds(this.teams);
+        } catch (error) {
+            console.error('Failed to resolve legacy champion records:', error);
+        }
+    }
+
     /**
      * Load team standings from database
      */
@@ -127,6 +191,105 @@ class Game {
         }
     }
 
+    /**
+     * Load the league ruleset for a season (defaults if none was voted in)
+     */
+    async loadLeagueRuleset(seasonNumber) {
+        try {
+            const ruleset = await this.database.getLeagueRuleset(seasonNumber);
+            this.leagueRuleset = ruleset
+                ? LeagueRuleset.fromJSON(ruleset)
+                : new LeagueRuleset({ season: seasonNumber });
+
+            if (ruleset) {
+                console.log(`Loaded league ruleset for Season ${seasonNumber} (${this.leagueRuleset.rules.length} rules in force)`);
+            }
+        } catch (error) {
+            console.error('Failed to load league ruleset:', error);
+            this.leagueRuleset = new LeagueRuleset({ season: seasonNumber });
+        }
+    }
+
+    /**
+     * Load snapshots of matches that were in progress when the server stopped.
+     * They resume when the season manager schedules the same fixture again.
+     */
+    async loadLiveMatches(seasonNumber) {
+        this.liveMatches = new Map();
+        if (!this.database) return;
+
+        try {
+            const liveMatches = await this.database.getLiveMatches(seasonNumber);
+            for (const liveMatch of liveMatches) {
+                this.liveMatches.set(liveMatch.matchKey, liveMatch);
+            }
+
+            if (liveMatches.length > 0) {
+                console.log(`Found ${liveMatches.length} interrupted matches to resume`);
+            }
+        } catch (error) {
+            console.error('Failed to load live matches:', error);
+        }
+    }
+
+    /**
+     * Key identifying a fixture across restarts (null = not worth resuming)
+     */
+    _getLiveMatchKey(phase, metadata = {}) {
+        if (phase === 'PRACTICE') return null;
+
+        const fixtureKey = metadata.scheduleId ? `fixture-${metadata.scheduleId}` : metadata.matchId;
+        return fixtureKey ? `${this.currentSeasonNumber || 1}:${fixtureKey}` : null;
+    }
+
+    /**
+     * Persist the latest snapshot of a match in progress
+     */
+    _saveLiveMatch(matchKey, matchId, phase, snapshot, wave) {
+        if (!this.database) return;
+
+        this.database.saveLiveMatch({
+            matchKey,
+            seasonNumber: this.currentSeasonNumber || 1,
+            matchId,
+            phase,
+            wave,
+            snapshot
+        }).catch(error => {
+            console.error(`Failed to save live match ${matchKey}:`, error);
+        });
+    }
+
+    /**
+     * Rebuild a betting pool's bets from the database (match resumed after a restart)
+     */
+    async _restoreBets(liveMatch) {
+        if (!this.database) return;
+
+        const { matchId } = liveMatch;
+        try {
+            const bets = await this.database.getPendingBets(liveMatch.seasonNumber, matchId);
+            for (const bet of bets) {
+                this.bettingSystem.restoreBet({
+                    userId: `user_${bet.user_id}`,
+                    dbUserId: bet.user_id,
+                    betId: bet.id,
+                    matchId,
+                    team: bet.team_bet,
+                    amount: bet.amount,
+                    odds: bet.odds,
+                    timestamp: new Date(bet.timestamp).getTime()
+                });
+            }
+
+            if (bets.length > 0) {
+                console.log(`Restored ${bets.length} pending bets for ${matchId}`);
+            }
+        } catch (error) {
+            console.error(`Failed to restore bets for ${matchId}:`, error);
+        }
+    }
+
     /**
      * Save team standings to database
      */
@@ -217,10 +380,12 @@ class Game {
         // Start news feed during countdown
         this.startNewsFeed();
 
-        // Run all matches concurrently
-        const matchPromises = matchups.map(matchup =>
-            this.runMatchWithBetting(matchup.team1, matchup.team2, phase, matchup)
-        );
+        // Run all matches concurrently, marking each fixture played as it ends
+        const matchPromises = matchups.map(async matchup => {
+            const match = await this.runMatchWithBetting(matchup.team1, matchup.team2, phase, matchup);
+            await this.seasonManager.recordFixtureResult(matchup, match.winner);
+            return match;
+        });
 
         await Promise.all(matchPromises);
 
@@ -257,12 +422,13 @@ class Game {
             matchInfo
         );
 
-        // Record result in season manager
+        // Record result in season manager (advances the series)
         this.seasonManager.recordMatchResult(
             matchInfo.matchId,
             match.winner,
             match.loser,
-            'PLAYOFF'
+            'PLAYOFF',
+            this._getMatchDetails(match)
         );
 
         this.updateStandings();
@@ -293,6 +459,15 @@ class Game {
             matchInfo
         );
 
+        // Record result in season manager (advances the series)
+        this.seasonManager.recordMatchResult(
+            matchInfo.matchId,
+            match.winner,
+            match.loser,
+            'CHAMPIONSHIP',
+            this._getMatchDetails(match)
+        );
+
         this.updateStandings();
         this.broadcastSeasonStatus();
 
@@ -300,23 +475,72 @@ class Game {
         await this.saveTeamStandings(this.currentSeasonNumber || 1);
     }
 
+    /**
+     * Summarize a finished match for the season record
+     */
+    _getMatchDetails(match) {
+        const instance = match.matchInstance || {};
+        return {
+            durationWaves: instance.wave,
+            team1Towers: instance.team1Towers,
+            team2Towers: instance.team2Towers
+        };
+    }
+
     /**
      * Run a single match with full betting integration
      */
     async runMatchWithBetting(team1, team2, phase = 'REGULAR_SEASON', metadata = {}) {
-        this.matchCounter++;
-        const matchId = `match_${this.matchCounter}`;
+        // Resume this fixture if it was interrupted by a restart
+        const matchKey = this._getLiveMatchKey(phase, metadata);
+        const liveMatch = matchKey ? this.liveMatches.get(matchKey) : null;
+        if (liveMatch) {
+            this.liveMatches.delete(matchKey);
+        }
+
+        let matchId;
+        if (liveMatch) {
+            matchId = liveMatch.matchId;
+        } else {
+            this.matchCounter++;
+            matchId = `match_${this.matchRunId}_${this.matchCounter}`;
+        }
 
         // Create betting pool
         const bettingPool = this.bettingSystem.createMatchBetting({ team1, team2 }, matchId);
+        if (liveMatch) {
+            await this._restoreBets(liveMatch);
+        }
         this.broadcastOdds(matchId);
 
         // Run the actual match
-        const match = await this.runMatch(team1, team2, phase, matchId);
+        let match;
+        try {
+            match = await this.runMatch(team1, team2, phase, matchId, {
+                matchKey,
+                snapshot: liveMatch ? liveMatch.snapshot : null,
+                seriesMatchId: metadata.seriesId ? metadata.matchId : null
+            });
+        } catch (error) {
+            // Abandoned match - take no more bets on it
+            this.bettingSystem.lockBetting(matchId);
+            throw error;
+        }
+
+        // A series game that finished after the series gave up on it (timed out and
+        // replayed, or the season paused) counts for nothing
+        if (metadata.seriesId && !this.seasonManager.isAwaitingResult(metadata.matchId)) {
+            this.bettingSystem.lockBetting(matchId);
+            throw new Error(`Series game ${metadata.matchId} finished after it was abandoned`);
+        }
 
         // Lock betting and resolve bets
         this.bettingSystem.lockBetting(matchId);
-        const { payouts, totalPaid } = this.bettingSystem.resolveBets(matchId, match.winner.name);
+        const { payouts, totalPaid } = this.bettingSystem.resolveBets(
+            matchId,
+            match.winner.name,
+            match.matchInstance.decision || null  // Overtime wins settle like any other, but say how they were decided
+        );
         await this.broadcastBetResults(matchId, payouts);
 
         // Update team records if not practice
@@ -335,10 +559,10 @@ class Game {
     }
 
     /**
-     * Run a match and return winner/loser
+     * Run a match and return winner/loser. Rejects if the simulation aborts.
      */
-    runMatch(team1, team2, phase = 'REGULAR_SEASON', matchId = null) {
-        return new Promise((resolve) => {
+    runMatch(team1, team2, phase = 'REGULAR_SEASON', matchId = null, live = {}) {
+        return new Promise((resolve, reject) => {
             // Determine intensity multiplier based on phase
             let intensityMultiplier = 1.0;
             if (phase === 'PLAYOFF') {
@@ -349,7 +573,21 @@ class Game {
 
             // Choose engine based on feature flag
             const match = this.useNewSimulation
-                ? new MatchAdapter(team1, team2, this.wss, { intensityMultiplier })
+                ? new MatchAdapter(team1, team2, this.wss, {
+                    matchId,
+                    intensityMultiplier,
+                    ruleset: this.leagueRuleset.toSimulationConfig(),
+                    draft: {
+                        mode: 'roster',
+                        bans: 2,
+                        bench: { team1: this._getBench(team1), team2: this._getBench(team2) }
+                    },
+                    database: this.database,
+                    snapshot: live.snapshot || null,
+                    onSnapshot: live.matchKey
+                        ? (snapshot, wave) => this._saveLiveMatch(live.matchKey, matchId, phase, snapshot, wave)
+                        : null
+                })
                 : new Match(team1, team2, this.wss);
 
             // Apply phase intensity modifiers (old engine only)
@@ -358,16 +596,29 @@ class Game {
             }
 
             match.start();
+            if (live.seriesMatchId) {
+                this.seriesGames.set(live.seriesMatchId, match);
+            }
 
             match.on('end', async (winner, loser) => {
+                this.seriesGames.delete(live.seriesMatchId);
                 this.match_history.push(match.log);
 
+                // Finished matches no longer need resuming
+                if (live.matchKey && this.database) {
+                    try {
+                        await this.database.deleteLiveMatch(live.matchKey);
+                    } catch (error) {
+                        console.error('Error clearing live match:', error);
+                    }
+                }
+
                 // Save replay data if using new simulator
                 if (this.useNewSimulation && match.getReplayData) {
                     try {
                         const replayData = match.getReplayData();
-                        if (replayData && this.db) {
-                            await this.db.saveMatchReplay(replayData);
+                        if (replayData && this.database) {
+                            await this.database.saveMatchReplay(replayData);
                             console.log(`Replay saved for match ${matchId}`);
                         }
                     } catch (error) {
@@ -376,7 +627,7 @@ class Game {
                 }
 
                 // Update career progression for all champions
-                if (this.db) {
+                if (this.database) {
                     try {
                         await this._updateCareerProgression(winner, loser, match);
                     } catch (error) {
@@ -392,14 +643,81 @@ class Game {
                 });
             });
 
+            // The simulation threw - drop the saved snapshot so a replay starts clean
+            match.on('abort', async (error) => {
+                this.seriesGames.delete(live.seriesMatchId);
+                if (live.matchKey && this.database) {
+                    try {
+                        await this.database.deleteLiveMatch(live.matchKey);
+                    } catch (dbError) {
+                        console.error('Error clearing live match:', dbError);
+                    }
+                }
+
+                reject(error);
+            });
+
             this.activeMatches.push(match);
         });
     }
 
+    /**
+     * Champions who played a match for a team (the roster on the old engine)
+     */
+    _getLineup(match, team) {
+        if (!match.getLineup) return team.champions;
+        return match.getLineup(team === match.team1 ? 'team1' : 'team2');
+    }
+
+    /**
+     * Load every team's substitutes for the season, signing (and saving) a
+     * bench for teams without one: one generated champion per role, so the
+     * pre-match draft has real choices and bans can land. Bench champions keep
+     * their IDs, so their careers and resumed drafts carry across restarts.
+     */
+    async loadBenches(seasonNumber) {
+        let saved = {};
+        if (this.database) {
+            try {
+                saved = await this.database.getTeamBenches(seasonNumber);
+            } catch (error) {
+                console.error('Failed to load team benches:', error);
+            }
+        }
+
+        this.benches = new Map();
+        for (const team of this.teams) {
+            if (saved[team.name]) {
+                this.benches.set(team.name, saved[team.name]);
+                continue;
+            }
+
+            const bench = BENCH_ROLES.map(role => generateChampion(role));
+            this.benches.set(team.name, bench);
+            if (this.database) {
+                try {
+                    await this.database.saveTeamBench(seasonNumber, team.name, bench);
+                } catch (error) {
+                    console.error(`Failed to save bench for ${team.name}:`, error);
+                }
+            }
+        }
+    }
+
+    /**
+     * Substitutes a team can draft besides its roster
+     */
+    _getBench(team) {
+        return this.benches.get(team.name) || [];
+    }
+
     /**
      * Update career progression after match
      */
-    async _updateCareerProgression(winner, loser, match) {
+    async _updateCareerProgression(winnerTeam, loserTeam, match) {
+        // Only the champions who played (a drafted bench champion replaces a starter)
+        const winner = { champions: this._getLineup(match, winnerTeam) };
+        const loser = { champions: this._getLineup(match, loserTeam) };
         const allChampions = [...winner.champions, ...loser.champions];
 
         // Award career XP and update form
@@ -414,7 +732,7 @@ class Game {
                             (won ? 200 : 0);
 
             try {
-                const result = await this.db.updateChampionCareerXP(champ.name, careerXP, won);
+                const result = await this.database.updateChampionCareerXP(champ.id, careerXP, won);
                 if (result && result.levelUp) {
                     console.log(`${champ.name} reached career level ${result.newLevel}!`);
                 }
@@ -434,7 +752,7 @@ class Game {
                 for (const enemy of enemyTeam) {
                     if (enemy.kda && enemy.kda.kills > 0) {
                         try {
-                            await this.db.addOrUpdateGrudge(champ.name, enemy.name, true);
+                            await this.database.addOrUpdateGrudge(champ, enemy, true);
                         } catch (error) {
                             console.error('Error updating grudge:', error);
                         }
@@ -450,8 +768,8 @@ class Game {
                     try {
                         const champ1 = winner.champions[i];
                         const champ2 = winner.champions[j];
-                        await this.db.addOrUpdateSynergy(champ1.name, champ2.name, true);
-                        await this.db.addOrUpdateSynergy(champ2.name, champ1.name, true);
+                        await this.database.addOrUpdateSynergy(champ1, champ2, true);
+                        await this.database.addOrUpdateSynergy(champ2, champ1, true);
                     } catch (error) {
                         console.error('Error updating synergy:', error);
                     }
@@ -554,26 +872,30 @@ class Game {
 
         // Pay out winners
         for (const payout of payouts) {
+            let paid = false;
+
             // Find the WebSocket client for this user
             for (const client of this.wss.clients) {
                 if (client._userId === payout.userId) {
                     // Update WebSocket balance
                     client.balance = (client.balance || 0) + payout.payout;
+                    paid = true;
 
                     // Persist to database if authenticated
                     if (client._dbUserId && this.database) {
                         try {
                             await this.database.updateUserBalance(client._dbUserId, client.balance);
 
-                            // Record bet result in database
-                            if (client._activeBets && client._activeBets[matchId]) {
+                            // Record bet result in database (restored bets carry their own id)
+                            const betId = (client._activeBets && client._activeBets[matchId]) || payout.betId;
+                            if (betId) {
                                 await this.database.resolveBet(
-                                    client._activeBets[matchId],
+                                    betId,
                                     'win',
                                     payout.payout,
                                     payout.profit
                                 );
-                                delete client._activeBets[matchId]; // Clean up
+                                if (client._activeBets) delete client._activeBets[matchId]; // Clean up
                             }
                         } catch (error) {
                             console.error('Error updating user balance after payout:', error);
@@ -584,32 +906,45 @@ class Game {
                     break;
                 }
             }
+
+            // Bets restored after a restart still pay out if the user hasn't reconnected
+            if (!paid && payout.betId) {
+                await this._settleOfflineBet(payout, 'win', payout.payout, payout.profit);
+            }
         }
 
         // Record losing bets
         const winningUserIds = new Set(payouts.map(p => p.userId));
         for (const bet of allBets) {
             if (!winningUserIds.has(bet.userId)) {
+                let recorded = false;
+
                 // Find the WebSocket client for this user
                 for (const client of this.wss.clients) {
                     if (client._userId === bet.userId && client._dbUserId && this.database) {
                         try {
                             // Record losing bet in database
-                            if (client._activeBets && client._activeBets[matchId]) {
+                            const betId = (client._activeBets && client._activeBets[matchId]) || bet.betId;
+                            if (betId) {
                                 await this.database.resolveBet(
-                                    client._activeBets[matchId],
+                                    betId,
                                     'loss',
                                     0,
                                     -bet.amount
                                 );
-                                delete client._activeBets[matchId]; // Clean up
+                                if (client._activeBets) delete client._activeBets[matchId]; // Clean up
                             }
+                            recorded = true;
                         } catch (error) {
                             console.error('Error recording losing bet:', error);
                         }
                         break;
                     }
                 }
+
+                if (!recorded && bet.betId) {
+                    await this._settleOfflineBet(bet, 'loss', 0, -bet.amount);
+                }
             }
         }
 
@@ -622,6 +957,7 @@ class Game {
                 type: 'bet_results',
                 matchId,
                 winner: pool.winner,
+                decision: pool.decision || null,
                 yourPayout: userPayout || null,
                 totalPayouts: payouts.length,
                 newBalance: userPayout ? client.balance : undefined
@@ -629,6 +965,26 @@ class Game {
         });
     }
 
+    /**
+     * Resolve a restored bet for a user who isn't connected (database only)
+     */
+    async _settleOfflineBet(bet, result, payout, profit) {
+        if (!this.database) return;
+
+        try {
+            await this.database.resolveBet(bet.betId, result, payout, profit);
+
+            if (payout > 0) {
+                const user = await this.database.getUserById(bet.dbUserId);
+                if (user) {
+                    await this.database.updateUserBalance(user.id, user.balance + payout);
+                }
+            }
+        } catch (error) {
+            console.error(`Error settling bet ${bet.betId}:`, error);
+        }
+    }
+
     /**
      * Broadcast teams and standings on initialization
      */
@@ -800,6 +1156,17 @@ class Game {
         return votingOptions;
     }
 
+    /**
+     * Cast a Reckoning vote and broadcast the updated tallies
+     */
+    async castReckoningVote(userId, category, optionId) {
+        const result = await this.reckoningSystem.castVote(userId, category, optionId);
+
+        this.broadcast(this.reckoningSystem.formatVoteUpdate());
+
+        return result;
+    }
+
     /**
      * End Reckoning and process votes
      */
@@ -832,6 +1199,7 @@ class Game {
         delete require.cache[require.resolve('../data/data.json')];
         const { teams } = require('../data/data.json');
         this.teams = teams;
+        assignChampionIds(this.teams);
         this.broadcastTeamsAndStandings();
     }
 }
@@ -0,0 +1,123 @@
+/**
+ * League Ruleset - The Laws of the Void, As Voted
+ *
+ * The Reckoning decides how next season is played. Its results are folded into
+ * a ruleset for that season:
+ * - Rule changes and decrees become multipliers on simulation system config
+ * - Overtime rule changes replace the overtime length and tiebreak ladder
+ * - Blessings and curses become multipliers on champion hidden stats
+ * - Anything the simulation doesn't model yet is kept as a league-wide flag
+ *
+ * The ruleset is persisted per season and handed to every MatchSimulator as
+ * plain config, so the simulation never needs to know about voting.
+ */
+
+// Reckoning effect key -> system config multipliers it produces
+const SYSTEM_EFFECTS = {
+    // Tougher structures = longer matches
+    matchDuration: value => ({
+        structure: { spireHealth: value, gatewayHealth: value, coreHealth: value }
+    }),
+    chaosMultiplier: value => ({
+        chaos: { baseChance: value, maxChance: value }
+    }),
+    weatherIntensity: value => ({
+        weather: { intensity: value }
+    })
+};
+
+// Reckoning effect key -> overtime rule it sets (see OvertimeSystem.configure)
+const OVERTIME_EFFECTS = {
+    overtimeWaves: 'waves',
+    tiebreak: 'tiebreak'
+};
+
+const HIDDEN_STATS = ['mechanical_skill', 'game_sense', 'tilt_resistance', 'clutch_factor'];
+
+class LeagueRuleset {
+    constructor(data = {}) {
+        this.season = data.season || 1;
+        this.rules = data.rules || [];           // Rule changes and decrees in force
+        this.systems = data.systems || {};       // system -> { configKey: multiplier }
+        this.overtime = data.overtime || {};     // { waves, tiebreak } - simulation defaults where unset
+        this.champions = data.champions || {};   // champion ID -> { hiddenStat: multiplier }
+        this.flags = data.flags || {};           // Effects outside the simulation
+    }
+
+    static fromJSON(data) {
+        return new LeagueRuleset(data || {});
+    }
+
+    /**
+     * Enact a rule change or decree
+     */
+    applyRule(option) {
+        this.rules.push({ id: option.id, name: option.name });
+
+        for (const [key, value] of Object.entries(option.effect || {})) {
+            if (OVERTIME_EFFECTS[key]) {
+                this.overtime[OVERTIME_EFFECTS[key]] = value;
+                continue;
+            }
+
+            const toSystems = SYSTEM_EFFECTS[key];
+            if (!toSystems) {
+                this.flags[key] = value;
+                continue;
+            }
+
+            for (const [system, config] of Object.entries(toSystems(value))) {
+                this.systems[system] = this.systems[system] || {};
+                for (const [configKey, multiplier] of Object.entries(config)) {
+                    this.systems[system][configKey] = (this.systems[system][configKey] || 1.0) * multiplier;
+                }
+            }
+        }
+    }
+
+    /**
+     * Apply a blessing (statIncrease) or curse (statDecrease) to a champion
+     */
+    applyChampionEffect(championId, effect = {}) {
+        if (!championId || !HIDDEN_STATS.includes(effect.stat)) return;
+
+        const multiplier = effect.statIncrease !== undefined
+            ? 1 + effect.statIncrease
+            : 1 - (effect.statDecrease || 0);
+
+        const modifiers = this.champions[championId] || {};
+        modifiers[effect.stat] = (modifiers[effect.stat] || 1.0) * multiplier;
+        this.champions[championId] = modifiers;
+    }
+
+    /**
+     * Get a league-wide flag (payout multipliers, permadeath, etc.)
+     */
+    getFlag(key, defaultValue = null) {
+        return this.flags[key] !== undefined ? this.flags[key] : defaultValue;
+    }
+
+    /**
+     * Config consumed by MatchSimulator
+     */
+    toSimulationConfig() {
+        return {
+            systems: this.systems,
+            champions: this.champions,
+            overtime: Object.keys(this.overtime).length > 0 ? this.overtime : null
+        };
+    }
+
+    toJSON() {
+        return {
+            season: this.season,
+            rules: this.rules,
+            systems: this.systems,
+            overtime: this.overtime,
+            champions: this.champions,
+            flags: this.flags
+        };
+    }
+}
+
+module.exports = { LeagueRuleset, HIDDEN_STATS };
@@ -131,7 +131,7 @@ class PersistenceManager {
 
             for (const champ of allChamps) {
                 const won = winnerTeam.champions.includes(champ);
-                await this.db.upsertChampionCareer(champ.name, champ.teamName || (won ? winnerTeam.name : loserTeam.name), {
+                await this.db.upsertChampionCareer(champ.id, champ.name, champ.teamName || (won ? winnerTeam.name : loserTeam.name), {
                     won,
                     kills: champ.kda?.k || 0,
                     deaths: champ.kda?.d || 0,
@@ -164,9 +164,9 @@ class PersistenceManager {
 
     // ==================== BETTING INTEGRATION ====================
 
-    async recordUserBet(userId, matchId, teamBet, amount, odds) {
+    async recordUserBet(userId, matchId, teamBet, amount, odds, seasonNumber = this.currentSeason) {
         try {
-            const result = await this.db.recordBet(userId, this.currentSeason, matchId, teamBet, amount, odds);
+            const result = await this.db.recordBet(userId, seasonNumber, matchId, teamBet, amount, odds);
             return result;
         } catch (error) {
             console.error('Failed to record bet:', error);
@@ -229,14 +229,14 @@ class PersistenceManager {
 
     // ==================== CHAMPION EVENTS ====================
 
-    async addChampionScar(championName, scarDescription) {
+    async addChampionScar(champion, scarDescription) {
         try {
-            await this.db.addChampionScar(championName, scarDescription);
+            await this.db.addChampionScar(champion.id, scarDescription);
             await this.db.addSeasonEvent(
                 this.currentSeason,
                 'champion_scar',
-                `${championName} gained a scar: ${scarDescription}`,
-                championName
+                `${champion.name} gained a scar: ${scarDescription}`,
+                champion.name
             );
             return { success: true };
         } catch (error) {
@@ -245,24 +245,24 @@ class PersistenceManager {
         }
     }
 
-    async killChampion(championName, permanent = false) {
+    async killChampion(champion, permanent = false) {
         try {
-            await this.db.killChampion(championName, permanent);
+            await this.db.killChampion(champion.id, permanent);
 
             if (permanent) {
                 await this.db.addSeasonEvent(
                     this.currentSeason,
                     'champion_death',
-                    `${championName} has been consumed by the void (permanent)`,
-                    championName
+                    `${champion.name} has been consumed by the void (permanent)`,
+                    champion.name
                 );
-                console.log(`RIP ${championName} - they will not return`);
+                console.log(`RIP ${champion.name} - they will not return`);
             } else {
                 await this.db.addSeasonEvent(
                     this.currentSeason,
                     'champion_death',
-                    `${championName} died but may return`,
-                    championName
+                    `${champion.name} died but may return`,
+                    champion.name
                 );
             }
 
@@ -321,9 +321,9 @@ class PersistenceManager {
         }
     }
 
-    async getChampionCareer(championName) {
+    async getChampionCareer(championId) {
         try {
-            return await this.db.getChampionCareer(championName);
+            return await this.db.getChampionCareer(championId);
         } catch (error) {
             console.error('Failed to get champion career:', error);
             return null;
@@ -0,0 +1,584 @@
+/**
+ * Playoff Bracket - The Road to the Grand Finals
+ *
+ * Builds and tracks the postseason tree:
+ * - Single elimination (byes for top seeds when the field isn't a power of two)
+ * - Double elimination (winners + losers bracket, losers champion meets winners champion)
+ * - Group stage (round robin groups feeding a single elimination knockout)
+ *
+ * Every format ends in a single FINALS node, which SeasonManager plays as the
+ * grand finals series. Nodes route their winner (and, in double elimination,
+ * their loser) into the next node so the tree fills itself in as series end.
+ */
+
+const FORMATS = {
+    SINGLE_ELIMINATION: 'single_elimination',
+    DOUBLE_ELIMINATION: 'double_elimination',
+    GROUP_STAGE: 'group_stage'
+};
+
+const FINALS_ID = 'FINALS';
+const GROUP_NAMES = 'ABCDEFGH';
+
+/**
+ * Round name for an elimination round with `size` teams left
+ */
+function eliminationRoundName(size) {
+    if (size === 2) return 'FINALS';
+    if (size === 4) return 'SEMIFINALS';
+    if (size === 8) return 'QUARTERFINALS';
+    return `ROUND_OF_${size}`;
+}
+
+function eliminationMatchPrefix(size) {
+    if (size === 4) return 'SF';
+    if (size === 8) return 'QF';
+    return `R${size}-`;
+}
+
+function isPowerOfTwo(n) {
+    return n >= 2 && (n & (n - 1)) === 0;
+}
+
+function nextPowerOfTwo(n) {
+    let size = 2;
+    while (size < n) size *= 2;
+    return size;
+}
+
+/**
+ * Standard bracket order so seed 1 and seed 2 can only meet in the final.
+ * For 8 slots: [1, 8, 4, 5, 2, 7, 3, 6]
+ */
+function bracketSeedOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const total = order.length * 2 + 1;
+        order = order.flatMap(seed => [seed, total - seed]);
+    }
+    return order;
+}
+
+class PlayoffBracket {
+    /**
+     * @param {Object} format - { type, teamCount, seriesLengths, groupCount, advancePerGroup }
+     * @param {Array} seededTeams - Team objects ordered by seed (index 0 = seed 1)
+     */
+    constructor(format, seededTeams) {
+        this.type = format.type || FORMATS.SINGLE_ELIMINATION;
+        this.seriesLengths = format.seriesLengths || {};
+        this.teams = seededTeams.slice(0, format.teamCount || seededTeams.length);
+        this.groupCount = format.groupCount || 2;
+        this.advancePerGroup = format.advancePerGroup || 2;
+
+        this.nodes = new Map(); // matchId -> bracket node
+        this.groups = []; // Group stage only: [{ name, teams, matchIds }]
+        this.groupsResolved = false;
+
+        this._validate();
+        this._build();
+    }
+
+    // ==================== CONSTRUCTION ====================
+
+    _validate() {
+        const count = this.teams.length;
+
+        if (count < 2) {
+            throw new Error('A playoff bracket needs at least 2 teams');
+        }
+
+        if (this.type === FORMATS.DOUBLE_ELIMINATION && (!isPowerOfTwo(count) || count < 4)) {
+            throw new Error(`Double elimination needs a power-of-two field of 4+ teams (got ${count})`);
+        }
+
+        if (this.type === FORMATS.GROUP_STAGE) {
+            if (count % this.groupCount !== 0) {
+                throw new Error(`${count} teams cannot be split evenly into ${this.groupCount} groups`);
+            }
+            if (this.advancePerGroup > count / this.groupCount) {
+                throw new Error(`Cannot advance ${this.advancePerGroup} teams from groups of ${count / this.groupCount}`);
+            }
+            if (!isPowerOfTwo(this.groupCount * this.advancePerGroup)) {
+                throw new Error('Group stage must send a power-of-two number of teams to the knockout');
+            }
+        }
+
+        if (!Object.values(FORMATS).includes(this.type)) {
+            throw new Error(`Unknown playoff format: ${this.type}`);
+        }
+    }
+
+    _build() {
+        switch (this.type) {
+            case FORMATS.SINGLE_ELIMINATION:
+                this._buildElimination(this.teams.map((team, i) => ({ team, seed: i + 1 })), 0);
+                break;
+            case FORMATS.DOUBLE_ELIMINATION:
+                this._buildDoubleElimination();
+                break;
+            case FORMATS.GROUP_STAGE:
+                this._buildGroupStage();
+                break;
+        }
+    }
+
+    _addNode(node) {
+        const full = {
+            section: 'winners',
+            roundIndex: 0,
+            seed1: null,
+            seed2: null,
+            team1: null,
+            team2: null,
+            source1: null, // Group stage placeholder, e.g. { group: 'A', place: 1 }
+            source2: null,
+            winner: null,
+            loser: null,
+            winnerTo: null, // { matchId, slot }
+            loserTo: null,
+            team1Wins: 0,
+            team2Wins: 0,
+            completedAt: null,
+            ...node
+        };
+        full.bestOf = this._seriesLengthFor(full.roundName, full.section);
+        this.nodes.set(full.matchId, full);
+        return full;
+    }
+
+    _seriesLengthFor(roundName, section) {
+        if (this.seriesLengths[roundName] !== undefined) return this.seriesLengths[roundName];
+        if (section === 'group' && this.seriesLengths.GROUP !== undefined) return this.seriesLengths.GROUP;
+        return this.seriesLengths.default || 1;
+    }
+
+    /**
+     * Build a single elimination tree over `entrants` ({ team, seed } or
+     * { source, seed } placeholders). Missing slots become byes that send
+     * the higher seed straight to the second round.
+     */
+    _buildElimination(entrants, roundOffset) {
+        const size = nextPowerOfTwo(entrants.length);
+        const roundCount = Math.log2(size);
+        const order = bracketSeedOrder(size);
+        const section = this.type === FORMATS.GROUP_STAGE ? 'knockout' : 'winners';
+        const byes = [];
+
+        const rounds = [];
+        for (let r = 0; r < roundCount; r++) {
+            const teamsLeft = size / Math.pow(2, r);
+            rounds.push({
+                roundName: eliminationRoundName(teamsLeft),
+                prefix: eliminationMatchPrefix(teamsLeft),
+                slots: teamsLeft / 2
+            });
+        }
+
+        // Later rounds are numbered by bracket position; the first round only
+        // numbers the matches that are actually played
+        const positionId = (r, i) => (r === roundCount - 1 ? FINALS_ID : `${rounds[r].prefix}${i + 1}`);
+        let firstRoundCount = 0;
+
+        for (let r = 0; r < roundCount; r++) {
+            for (let i = 0; i < rounds[r].slots; i++) {
+                const winnerTo = r < roundCount - 1
+                    ? { matchId: positionId(r + 1, Math.floor(i / 2)), slot: i % 2 === 0 ? 'team1' : 'team2' }
+                    : null;
+                const node = {
+                    roundName: rounds[r].roundName,
+                    roundIndex: roundOffset + r,
+                    section: r === roundCount - 1 ? 'final' : section,
+                    winnerTo
+                };
+
+                if (r > 0) {
+                    this._addNode({ ...node, matchId: positionId(r, i) });
+                    continue;
+                }
+
+                const a = entrants[order[i * 2] - 1];
+                const b = entrants[order[i * 2 + 1] - 1];
+
+                if (!a || !b) {
+                    // Bye - the higher seed waits in the next round
+                    byes.push({ entrant: a || b, winnerTo });
+                    continue;
+                }
+
+                firstRoundCount++;
+                this._addNode({
+                    ...node,
+                    matchId: roundCount === 1 ? FINALS_ID : `${rounds[0].prefix}${firstRoundCount}`,
+                    seed1: a.seed,
+                    seed2: b.seed,
+                    team1: a.team || null,
+                    team2: b.team || null,
+                    source1: a.source || null,
+                    source2: b.source || null
+                });
+            }
+        }
+
+        for (const { entrant, winnerTo } of byes) {
+            this._fillSlot(winnerTo, entrant.team, entrant.seed, entrant.source);
+        }
+    }
+
+    /**
+     * Winners bracket of `size` teams, a losers bracket fed by every winners
+     * round, and a grand final between the two bracket champions.
+     */
+    _buildDoubleElimination() {
+        const size = this.teams.length;
+        const k = Math.log2(size);
+        const order = bracketSeedOrder(size);
+
+        const winnersRoundName = r => (r === k ? 'WINNERS_FINAL' : `WINNERS_ROUND_${r}`);
+        const losersRoundName = r => (r === 2 * (k - 1) ? 'LOSERS_FINAL' : `LOSERS_ROUND_${r}`);
+        const wId = (r, i) => `W${r}-${i + 1}`;
+        const lId = (r, i) => `L${r}-${i + 1}`;
+
+        // Winners bracket
+        for (let r = 1; r <= k; r++) {
+            const matches = size / Math.pow(2, r);
+            for (let i = 0; i < matches; i++) {
+                const node = {
+                    matchId: wId(r, i),
+                    roundName: winnersRoundName(r),
+                    roundIndex: r === 1 ? 0 : 2 * r - 3,
+                    section: 'winners',
+                    winnerTo: r < k
+                        ? { matchId: wId(r + 1, Math.floor(i / 2)), slot: i % 2 === 0 ? 'team1' : 'team2' }
+                        : { matchId: FINALS_ID, slot: 'team1' },
+                    // Round 1 losers pair up; later losers drop in against losers bracket survivors
+                    loserTo: r === 1
+                        ? { matchId: lId(1, Math.floor(i / 2)), slot: i % 2 === 0 ? 'team1' : 'team2' }
+                        : { matchId: lId(2 * (r - 1), i), slot: 'team2' }
+                };
+
+                if (r === 1) {
+                    const seed1 = order[i * 2];
+                    const seed2 = order[i * 2 + 1];
+                    node.seed1 = seed1;
+                    node.seed2 = seed2;
+                    node.team1 = this.teams[seed1 - 1];
+                    node.team2 = this.teams[seed2 - 1];
+                }
+
+                this._addNode(node);
+            }
+        }
+
+        // Losers bracket: odd rounds pair survivors, even rounds meet winners bracket drop-downs
+        const losersRounds = 2 * (k - 1);
+        for (let r = 1; r <= losersRounds; r++) {
+            const j = Math.ceil(r / 2);
+            const matches = size / Math.pow(2, j + 1);
+
+            for (let i = 0; i < matches; i++) {
+                let winnerTo;
+                if (r === losersRounds) {
+                    winnerTo = { matchId: FINALS_ID, slot: 'team2' };
+                } else if (r % 2 === 1) {
+                    winnerTo = { matchId: lId(r + 1, i), slot: 'team1' };
+                } else {
+                    winnerTo = { matchId: lId(r + 1, Math.floor(i / 2)), slot: i % 2 === 0 ? 'team1' : 'team2' };
+                }
+
+                this._addNode({
+                    matchId: lId(r, i),
+                    roundName: losersRoundName(r),
+                    roundIndex: r,
+                    section: 'losers',
+                    winnerTo
+                });
+            }
+        }
+
+        this._addNode({
+            matchId: FINALS_ID,
+            roundName: 'FINALS',
+            roundIndex: losersRounds + 1,
+            section: 'final'
+        });
+    }
+
+    /**
+     * Snake the seeds into groups, round robin inside each group, then a
+     * knockout where group winners face the other groups' runners-up.
+     */
+    _buildGroupStage() {
+        for (let g = 0; g < this.groupCount; g++) {
+            this.groups.push({ name: GROUP_NAMES[g], teams: [], matchIds: [] });
+        }
+
+        this.teams.forEach((team, i) => {
+            const pass = Math.floor(i / this.groupCount);
+            const offset = i % this.groupCount;
+            const groupIndex = pass % 2 === 0 ? offset : this.groupCount - 1 - offset;
+            this.groups[groupIndex].teams.push({ team, seed: i + 1 });
+        });
+
+        for (const group of this.groups) {
+            let matchNumber = 0;
+            for (let a = 0; a < group.teams.length; a++) {
+                for (let b = a + 1; b < group.teams.length; b++) {
+                    matchNumber++;
+                    const matchId = `G${group.name}-${matchNumber}`;
+                    group.matchIds.push(matchId);
+                    this._addNode({
+                        matchId,
+                        roundName: `GROUP_${group.name}`,
+                        roundIndex: 0,
+                        section: 'group',
+                        seed1: group.teams[a].seed,
+                        seed2: group.teams[b].seed,
+                        team1: group.teams[a].team,
+                        team2: group.teams[b].team
+                    });
+                }
+            }
+        }
+
+        // Knockout entrants: all group winners, then all runners-up, and so on
+        const entrants = [];
+        for (let place = 1; place <= this.advancePerGroup; place++) {
+            for (const group of this.groups) {
+                entrants.push({ source: { group: group.name, place }, seed: entrants.length + 1 });
+            }
+        }
+
+        this._buildElimination(entrants, 1);
+    }
+
+    _fillSlot(target, team, seed = null, source = null) {
+        if (!target) return;
+        const node = this.nodes.get(target.matchId);
+        if (!node) return;
+
+        node[target.slot] = team || null;
+        if (seed !== null) {
+            node[target.slot === 'team1' ? 'seed1' : 'seed2'] = seed;
+        }
+        if (source) {
+            node[target.slot === 'team1' ? 'source1' : 'source2'] = source;
+        }
+    }
+
+    // ==================== PROGRESSION ====================
+
+    getNode(matchId) {
+        return this.nodes.get(matchId) || null;
+    }
+
+    /**
+     * Nodes with both teams known and no result yet, in play order
+     */
+    getPlayableMatches() {
+        return Array.from(this.nodes.values())
+            .filter(node => node.team1 && node.team2 && !node.winner)
+            .sort((a, b) => a.roundIndex - b.roundIndex);
+    }
+
+    /**
+     * Next batch of playable matches sharing the lowest round index,
+     * excluding the grand final (played as its own phase)
+     */
+    getNextRound() {
+        const playable = this.getPlayableMatches().filter(node => node.matchId !== FINALS_ID);
+        if (playable.length === 0) return [];
+
+        const roundIndex = playable[0].roundIndex;
+        return playable.filter(node => node.roundIndex === roundIndex);
+    }
+
+    getFinals() {
+        return this.nodes.get(FINALS_ID);
+    }
+
+    isFinalsReady() {
+        const finals = this.getFinals();
+        return !!(finals && finals.team1 && finals.team2);
+    }
+
+    /**
+     * Record a finished series and route teams onward
+     */
+    recordResult(matchId, winner, loser, team1Wins = 0, team2Wins = 0) {
+        const node = this.nodes.get(matchId);
+        if (!node) {
+            throw new Error(`Unknown bracket match: ${matchId}`);
+        }
+
+        node.winner = winner;
+        node.loser = loser;
+        node.team1Wins = team1Wins;
+        node.team2Wins = team2Wins;
+        node.completedAt = new Date().toISOString();
+
+        const winnerSeed = winner === node.team1 ? node.seed1 : node.seed2;
+        const loserSeed = winner === node.team1 ? node.seed2 : node.seed1;
+        this._fillSlot(node.winnerTo, winner, winnerSeed);
+        this._fillSlot(node.loserTo, loser, loserSeed);
+
+        if (node.section === 'group' && !this.groupsResolved) {
+            const groupDone = Array.from(this.nodes.values())
+                .filter(n => n.section === 'group')
+                .every(n => n.winner);
+            if (groupDone) {
+                this._resolveGroups();
+            }
+        }
+
+        return node;
+    }
+
+    /**
+     * Group table: wins first, then original seed
+     */
+    getGroupStandings(group) {
+        const rows = group.teams.map(({ team, seed }) => ({ team, seed, wins: 0, losses: 0 }));
+
+        for (const matchId of group.matchIds) {
+            const node = this.nodes.get(matchId);
+            if (!node.winner) continue;
+            const winnerRow = rows.find(row => row.team === node.winner);
+            const loserRow = rows.find(row => row.team === node.loser);
+            if (winnerRow) winnerRow.wins++;
+            if (loserRow) loserRow.losses++;
+        }
+
+        return rows.sort((a, b) => (b.wins - a.wins) || (a.seed - b.seed));
+    }
+
+    _resolveGroups() {
+        this.groupsResolved = true;
+
+        const placements = {};
+        for (const group of this.groups) {
+            placements[group.name] = this.getGroupStandings(group);
+        }
+
+        for (const node of this.nodes.values()) {
+            for (const slot of ['team1', 'team2']) {
+                const source = slot === 'team1' ? node.source1 : node.source2;
+                if (!source || node[slot]) continue;
+                const row = placements[source.group][source.place - 1];
+                node[slot] = row.team;
+                node[slot === 'team1' ? 'seed1' : 'seed2'] = row.seed;
+            }
+        }
+    }
+
+    // ==================== SERIALIZATION ====================
+
+    /**
+     * Plain rows for persistence / broadcast (team objects reduced to names)
+     */
+    toJSON() {
+        return {
+            type: this.type,
+            groups: this.groups.map(group => ({
+                name: group.name,
+                standings: this.getGroupStandings(group).map(row => ({
+                    team: row.team.name,
+                    seed: row.seed,
+                    wins: row.wins,
+                    losses: row.losses
+                }))
+            })),
+            nodes: Array.from(this.nodes.values())
+                .sort((a, b) => a.roundIndex - b.roundIndex)
+                .map(node => ({
+                    matchId: node.matchId,
+                    roundName: node.roundName,
+                    roundIndex: node.roundIndex,
+                    section: node.section,
+                    bestOf: node.bestOf,
+                    seed1: node.seed1,
+                    seed2: node.seed2,
+                    team1: node.team1?.name || null,
+                    team2: node.team2?.name || null,
+                    winner: node.winner?.name || null,
+                    series: node.winner ? `${node.team1Wins}-${node.team2Wins}` : null,
+                    winnerTo: node.winnerTo?.matchId || null,
+                    loserTo: node.loserTo?.matchId || null,
+                    completedAt: node.completedAt
+                }))
+        };
+    }
+
+    /**
+     * Rebuild a bracket from its persisted nodes (toJSON() / getPlayoffBracket()).
+     * Seeds come from the saved pairings and finished series are recorded again
+     * in round order, so the tree continues from its first unfinished series.
+     *
+     * @param {Object} format - Format the bracket was built with (type and group layout come from `saved`)
+     * @param {Object} saved - { type, nodes }
+     * @param {Array} teams - Team objects the saved names refer to
+     */
+    static fromJSON(format, saved, teams) {
+        const findTeam = (name) => {
+            const team = teams.find(t => t.name === name);
+            if (!team) throw new Error(`Saved bracket refers to unknown team ${name}`);
+            return team;
+        };
+
+        // Seeds never change as teams advance, so any node naming a seeded team pins it
+        const seedNames = new Map();
+        for (const node of saved.nodes) {
+            if (node.seed1 && node.team1) seedNames.set(node.seed1, node.team1);
+            if (node.seed2 && node.team2) seedNames.set(node.seed2, node.team2);
+        }
+
+        const seededTeams = [];
+        for (let seed = 1; seed <= seedNames.size; seed++) {
+            if (!seedNames.has(seed)) throw new Error(`Saved bracket is missing seed ${seed}`);
+            seededTeams.push(findTeam(seedNames.get(seed)));
+        }
+
+        const layout = { ...format, type: saved.type, teamCount: seededTeams.length };
+        if (saved.type === FORMATS.GROUP_STAGE) {
+            // A knockout of N entrants has N - 1 nodes (including the final)
+            const groupCount = new Set(saved.nodes.filter(n => n.section === 'group').map(n => n.roundName)).size;
+            const knockoutNodes = saved.nodes.filter(n => n.section !== 'group').length;
+            layout.groupCount = groupCount;
+            layout.advancePerGroup = (knockoutNodes + 1) / groupCount;
+        }
+
+        const bracket = new PlayoffBracket(layout, seededTeams);
+        if (bracket.nodes.size !== saved.nodes.length) {
+            throw new Error('Saved bracket does not match its format');
+        }
+
+        const finished = saved.nodes
+            .filter(node => node.winner)
+            .sort((a, b) => a.roundIndex - b.roundIndex);
+
+        for (const savedNode of saved.nodes) {
+            const node = bracket.getNode(savedNode.matchId);
+            if (!node) throw new Error(`Saved bracket has unknown match ${savedNode.matchId}`);
+            node.bestOf = savedNode.bestOf || node.bestOf;
+        }
+
+        for (const savedNode of finished) {
+            const node = bracket.getNode(savedNode.matchId);
+            if (node.team1?.name !== savedNode.team1 || node.team2?.name !== savedNode.team2 ||
+                ![savedNode.team1, savedNode.team2].includes(savedNode.winner)) {
+                throw new Error(`Saved bracket match ${savedNode.matchId} does not match its pairing`);
+            }
+
+            const winner = node.team1.name === savedNode.winner ? node.team1 : node.team2;
+            const loser = winner === node.team1 ? node.team2 : node.team1;
+            const [team1Wins, team2Wins] = (savedNode.series || '0-0').split('-').map(n => parseInt(n, 10) || 0);
+
+            bracket.recordResult(node.matchId, winner, loser, team1Wins, team2Wins);
+            node.completedAt = savedNode.completedAt || savedNode.matchDate || node.completedAt;
+        }
+
+        return bracket;
+    }
+}
+
+module.exports = { PlayoffBracket, FORMATS };
@@ -11,11 +11,14 @@
  * Inspired by Blaseball's election system.
  */
 
+const { LeagueRuleset } = require('./leagueRuleset');
+
 class ReckoningSystem {
     constructor(database) {
         this.database = database;
         this.currentVoting = null;
         this.voteResults = {};
+        this.nextRuleset = null; // Ruleset produced by the last Reckoning
     }
 
     /**
@@ -57,13 +60,15 @@ class ReckoningSystem {
 
         for (const team of teams) {
             for (const champion of team.champions) {
+                const boon = this.getRandomStat();
                 candidates.push({
-                    id: `bless_${champion.name.replace(/\s/g, '_')}`,
+                    id: `bless_${champion.id}`,
+                    championId: champion.id,
                     champion: champion.name,
                     team: team.name,
                     role: champion.role,
-                    description: `Bless ${champion.name} with enhanced ${this.getRandomStat()}`,
-                    effect: this.generateBlessingEffect()
+                    description: `Bless ${champion.name} with enhanced ${boon.label}`,
+                    effect: this.generateBlessingEffect(boon.stat)
                 });
             }
         }
@@ -80,13 +85,15 @@ class ReckoningSystem {
 
         for (const team of teams) {
             for (const champion of team.champions) {
+                const affliction = this.getRandomAffliction();
                 candidates.push({
-                    id: `curse_${champion.name.replace(/\s/g, '_')}`,
+                    id: `curse_${champion.id}`,
+                    championId: champion.id,
                     champion: champion.name,
                     team: team.name,
                     role: champion.role,
-                    description: `Curse ${champion.name} with ${this.getRandomAffliction()}`,
-                    effect: this.generateCurseEffect()
+                    description: `Curse ${champion.name} with ${affliction.label}`,
+                    effect: this.generateCurseEffect(affliction.stat)
                 });
             }
         }
@@ -123,6 +130,18 @@ class ReckoningSystem {
                 description: 'Reduce chaos events by 50%',
                 effect: { chaosMultiplier: 0.5 }
             },
+            {
+                id: 'rule_sudden_death',
+                name: 'No Extra Time',
+                description: 'Matches still level after regulation go straight to the tiebreak',
+                effect: { overtimeWaves: 0 }
+            },
+            {
+                id: 'rule_bloodsport',
+                name: 'Bloodsport Tiebreaks',
+                description: 'Tiebreaks are decided by kills first, then structures and gold',
+                effect: { tiebreak: ['kills', 'structures', 'gold'] }
+            },
             {
                 id: 'rule_high_stakes',
                 name: 'High Stakes League',
@@ -226,6 +245,10 @@ class ReckoningSystem {
             throw new Error('Invalid voting category');
         }
 
+        if (!this.currentVoting.categories[category].some(opt => opt.id === optionId)) {
+            throw new Error('Invalid voting option');
+        }
+
         // Record vote (users can change their vote)
         this.currentVoting.votes[category][userId] = optionId;
 
@@ -267,6 +290,22 @@ class ReckoningSystem {
         return counts;
     }
 
+    /**
+     * Get a user's current votes, keyed by category
+     */
+    getUserVotes(userId) {
+        if (!this.currentVoting) return {};
+
+        const userVotes = {};
+        for (const [category, votes] of Object.entries(this.currentVoting.votes)) {
+            if (votes[userId]) {
+                userVotes[category] = votes[userId];
+            }
+        }
+
+        return userVotes;
+    }
+
     /**
      * End voting and process results
      */
@@ -316,18 +355,32 @@ class ReckoningSystem {
     async applyReckoningResults(results) {
         console.log('Applying Reckoning results...');
 
+        // Results shape the ruleset for next season
+        const ruleset = new LeagueRuleset({ season: this.currentVoting.seasonNumber + 1 });
+
         // Apply blessings
         for (const blessing of results.blessedChampions) {
-            await this.applyBlessing(blessing);
+            await this.applyBlessing(blessing, ruleset);
         }
 
         // Apply curses
         for (const curse of results.cursedChampions) {
-            await this.applyCurse(curse);
+            await this.applyCurse(curse, ruleset);
+        }
+
+        // Enact rule changes and decrees
+        const enacted = [...results.rulesChanged, results.chaosDecree, results.committeeDecree]
+            .filter(option => option);
+        for (const option of enacted) {
+            ruleset.applyRule(option);
         }
 
-        // Store rule changes (will be applied during season)
-        // This would need to be picked up by the game engine
+        try {
+            await this.database.saveLeagueRuleset(ruleset.season, ruleset.toJSON());
+        } catch (err) {
+            console.error('Failed to save league ruleset:', err);
+        }
+        this.nextRuleset = ruleset;
 
         // Record in database
         try {
@@ -348,8 +401,8 @@ class ReckoningSystem {
     /**
      * Apply a blessing to a champion
      */
-    async applyBlessing(blessing) {
-        // This would modify champion stats in the database
+    async applyBlessing(blessing, ruleset) {
+        ruleset.applyChampionEffect(blessing.championId, blessing.effect);
         console.log(`Blessing applied: ${blessing.description}`);
 
         try {
@@ -368,7 +421,8 @@ class ReckoningSystem {
     /**
      * Apply a curse to a champion
      */
-    async applyCurse(curse) {
+    async applyCurse(curse, ruleset) {
+        ruleset.applyChampionEffect(curse.championId, curse.effect);
         console.log(`Curse applied: ${curse.description}`);
 
         try {
@@ -385,31 +439,31 @@ class ReckoningSystem {
     }
 
     /**
-     * Helper: Generate random stat name
+     * Helper: Generate random stat name (and the hidden stat it boosts)
      */
     getRandomStat() {
         const stats = [
-            'mechanical prowess',
-            'game sense',
-            'clutch factor',
-            'tilt resistance',
-            'farming ability',
-            'teamfight coordination'
+            { label: 'mechanical prowess', stat: 'mechanical_skill' },
+            { label: 'game sense', stat: 'game_sense' },
+            { label: 'clutch factor', stat: 'clutch_factor' },
+            { label: 'tilt resistance', stat: 'tilt_resistance' },
+            { label: 'farming ability', stat: 'mechanical_skill' },
+            { label: 'teamfight coordination', stat: 'game_sense' }
         ];
         return stats[Math.floor(Math.random() * stats.length)];
     }
 
     /**
-     * Helper: Generate random affliction
+     * Helper: Generate random affliction (and the hidden stat it drains)
      */
     getRandomAffliction() {
         const afflictions = [
-            'reduced tilt resistance',
-            'weakened game sense',
-            'farming inefficiency',
-            'bad luck',
-            'void corruption',
-            'perpetual tilting'
+            { label: 'reduced tilt resistance', stat: 'tilt_resistance' },
+            { label: 'weakened game sense', stat: 'game_sense' },
+            { label: 'farming inefficiency', stat: 'mechanical_skill' },
+            { label: 'bad luck', stat: 'clutch_factor' },
+            { label: 'void corruption', stat: 'mechanical_skill' },
+            { label: 'perpetual tilting', stat: 'tilt_resistance' }
         ];
         return afflictions[Math.floor(Math.random() * afflictions.length)];
     }
@@ -417,8 +471,9 @@ class ReckoningSystem {
     /**
      * Helper: Generate blessing effect
      */
-    generateBlessingEffect() {
+    generateBlessingEffect(stat) {
         return {
+            stat,
             statIncrease: 0.1 + Math.random() * 0.15, // 10-25% buff
             duration: 'season'
         };
@@ -427,8 +482,9 @@ class ReckoningSystem {
     /**
      * Helper: Generate curse effect
      */
-    generateCurseEffect() {
+    generateCurseEffect(stat) {
         return {
+            stat,
             statDecrease: 0.1 + Math.random() * 0.15, // 10-25% nerf
             duration: 'season'
         };
@@ -456,6 +512,21 @@ class ReckoningSystem {
         };
     }
 
+    /**
+     * Format live vote tallies for broadcast
+     */
+    formatVoteUpdate() {
+        const status = this.getVotingStatus();
+
+        return {
+            type: 'reckoning_update',
+            active: status.active,
+            season: status.seasonNumber,
+            totalVotes: status.totalVotes || 0,
+            voteCounts: status.voteCounts || null
+        };
+    }
+
     /**
      * Format for broadcast
      */
@@ -57,7 +57,7 @@ function generateMultiRoundRobin(teams, rounds = 2) {
 
     // Shuffle matches to avoid predictable patterns
     // But keep some structure for narrative coherence
-    const shuffled = shuffle Schedule(schedule);
+    const shuffled = shuffleSchedule(schedule);
 
     // Assign week and day numbers
     assignScheduleTiming(shuffled);
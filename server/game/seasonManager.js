@@ -8,6 +8,7 @@
  */
 
 const EventEmitter = require('events');
+const { PlayoffBracket, FORMATS } = require('./playoffBracket');
 
 // Phase constants
 const PHASES = {
@@ -19,6 +20,14 @@ const PHASES = {
     PAUSED: 'PAUSED'
 };
 
+// Phases that can be picked back up after a restart
+const RESUMABLE_PHASES = [
+    PHASES.REGULAR_SEASON,
+    PHASES.PLAYOFFS,
+    PHASES.FINALS,
+    PHASES.OFF_SEASON
+];
+
 // Development mode - set to true for faster testing timings
 const DEV_MODE = process.env.NODE_ENV !== 'production';
 
@@ -35,7 +44,8 @@ const PROD_TIMINGS = {
     },
     PLAYOFFS: {
         MATCH_INTERVAL: 120 * 60 * 1000, // 2 hours between playoff matches (higher stakes)
-        REST_BETWEEN_ROUNDS: 10 * 60 * 1000 // 10 minutes rest between rounds
+        REST_BETWEEN_ROUNDS: 10 * 60 * 1000, // 10 minutes rest between rounds
+        SERIES_LENGTH: 1 // Single elimination game
     },
     FINALS: {
         MATCH_INTERVAL: 150 * 60 * 1000, // 2.5 hours between championship matches
@@ -62,7 +72,8 @@ const DEV_TIMINGS = {
     },
     PLAYOFFS: {
         MATCH_INTERVAL: 3 * 60 * 1000, // 3 minutes between playoff matches
-        REST_BETWEEN_ROUNDS: 30 * 1000 // 30 seconds rest between rounds
+        REST_BETWEEN_ROUNDS: 30 * 1000, // 30 seconds rest between rounds
+        SERIES_LENGTH: 1 // Single elimination game
     },
     FINALS: {
         MATCH_INTERVAL: 5 * 60 * 1000, // 5 minutes between championship matches
@@ -79,13 +90,41 @@ const DEV_TIMINGS = {
 // Select timings based on mode
 const TIMINGS = DEV_MODE ? DEV_TIMINGS : PROD_TIMINGS;
 
+// Playoff bracket configuration (formats are described in playoffBracket.js)
+const PLAYOFF_FORMAT = {
+    type: FORMATS.SINGLE_ELIMINATION,
+    teamCount: 6, // Top 6 qualify; seeds 1-2 get byes to the semifinals
+    groupCount: 2, // Group stage only
+    advancePerGroup: 2, // Group stage only
+    seriesLengths: {
+        default: TIMINGS.PLAYOFFS.SERIES_LENGTH,
+        FINALS: TIMINGS.FINALS.SERIES_LENGTH
+    }
+};
+
+// A series game that fails (or never reports back) is replayed; after this many
+// attempts it's forfeited to the higher seed so the bracket can't stall
+const MAX_GAME_ATTEMPTS = 3;
+
+// Longest a series waits on one game (150 waves at 30 seconds is 75 minutes)
+const GAME_RESULT_TIMEOUT = 2 * 60 * 60 * 1000;
+
 console.log(`SeasonManager: Running in ${DEV_MODE ? 'DEVELOPMENT' : 'PRODUCTION'} mode`);
 
+// Sort by wins, tiebreaker by fewer losses
+function compareRecords(a, b) {
+    const aWins = a.wins || 0;
+    const bWins = b.wins || 0;
+    if (bWins !== aWins) return bWins - aWins;
+    return (a.losses || 0) - (b.losses || 0);
+}
+
 class SeasonManager extends EventEmitter {
-    constructor(database, wss) {
+    constructor(database, wss, reckoningSystem = null) {
         super();
         this.db = database;
         this.wss = wss;
+        this.reckoningSystem = reckoningSystem; // Runs fan voting during the off-season
 
         // Current state
         this.currentSeason = 1;
@@ -97,12 +136,16 @@ class SeasonManager extends EventEmitter {
         this.teams = [];
         this.championPool = []; // Available undrafted champions
         this.schedule = []; // Full season schedule
-        this.playoffBracket = null;
+        this.playoffBracket = null; // PlayoffBracket for the current postseason
+        this.playoffFormat = PLAYOFF_FORMAT;
         this.narratives = []; // Active storylines
 
         // Match tracking
         this.currentMatches = [];
         this.completedMatches = [];
+        this.pendingResults = new Map(); // matchId -> { resolve, reject, timer } waiting on the real match result
+        this.gameResultTimeout = GAME_RESULT_TIMEOUT; // How long a series waits on one game
+        this.activeSeries = new Map(); // seriesId -> best-of-N series state
 
         // Timers
         this.phaseTimer = null;
@@ -114,6 +157,9 @@ class SeasonManager extends EventEmitter {
 
         // State flags
         this.isRunning = false;
+        this.resumePhase = null; // Phase restored from season_state on startup
+        this.resumingSchedule = false; // Regular season picks up a persisted schedule
+        this.resumingBracket = false; // Playoffs pick up a persisted bracket
     }
 
     // ==================== INITIALIZATION ====================
@@ -130,6 +176,9 @@ class SeasonManager extends EventEmitter {
             console.log(`Season ${seasonNumber} already exists in database`);
         }
 
+        // Pick up where a previous run left off, if anything was saved
+        await this.restoreSeasonState();
+
         // Generate narrative theme for this season
         this.seasonNarrativeTheme = this.generateSeasonTheme();
 
@@ -141,6 +190,104 @@ class SeasonManager extends EventEmitter {
         });
     }
 
+    /**
+     * Load season_state and the persisted schedule (or bracket) so a restart
+     * resumes from the first incomplete fixture or series instead of week 0
+     */
+    async restoreSeasonState() {
+        let state = null;
+        let rows = [];
+
+        try {
+            state = await this.db.loadSeasonState(this.currentSeason);
+            rows = await this.db.loadSeasonSchedule(this.currentSeason);
+        } catch (err) {
+            console.error('Failed to load saved season state:', err);
+            return;
+        }
+
+        if (!state || !RESUMABLE_PHASES.includes(state.current_phase)) {
+            return;
+        }
+
+        this.currentWeek = state.current_week || 0;
+        this.currentDay = state.current_day || 0;
+
+        this.resumePhase = state.current_phase;
+
+        if (this.resumePhase === PHASES.REGULAR_SEASON && rows.length > 0) {
+            this.schedule = rows
+                .map(row => this.fixtureFromRow(row))
+                .filter(fixture => fixture);
+            this.resumingSchedule = true;
+
+            const remaining = this.schedule.filter(m => !m.completed).length;
+            console.log(`Restored Season ${this.currentSeason} schedule: ${remaining} of ${this.schedule.length} matches remaining`);
+        }
+
+        if (this.resumePhase === PHASES.PLAYOFFS || this.resumePhase === PHASES.FINALS) {
+            await this.restorePlayoffBracket();
+
+            if (this.resumePhase === PHASES.FINALS && this.resumingBracket && this.playoffBracket.isFinalsReady()) {
+                // runFinals() reads the finalists straight off the restored bracket
+                this.resumingBracket = false;
+            } else {
+                // No finalists yet (or no bracket to take them from), so pick the playoffs back up
+                this.resumePhase = PHASES.PLAYOFFS;
+            }
+        }
+
+        console.log(`Resuming Season ${this.currentSeason} in ${this.resumePhase} (week ${this.currentWeek}, day ${this.currentDay})`);
+    }
+
+    /**
+     * Rebuild the persisted playoff bracket, finished series included, so
+     * completed series aren't replayed (and their wins counted again)
+     */
+    async restorePlayoffBracket() {
+        try {
+            const saved = await this.db.getPlayoffBracket(this.currentSeason);
+            if (!saved) return;
+
+            this.playoffBracket = PlayoffBracket.fromJSON(this.playoffFormat, saved, this.teams);
+            this.resumingBracket = true;
+
+            const remaining = this.playoffBracket.getPlayableMatches().length;
+            console.log(`Restored Season ${this.currentSeason} playoff bracket: ${remaining} series ready to play`);
+        } catch (err) {
+            console.error('Failed to restore playoff bracket, reseeding:', err);
+        }
+    }
+
+    /**
+     * Rebuild a schedule entry from a season_schedule row
+     */
+    fixtureFromRow(row) {
+        const team1 = this.teams.find(t => t.name === row.team1_name);
+        const team2 = this.teams.find(t => t.name === row.team2_name && t !== team1) ||
+            this.teams.find(t => t.name === row.team2_name);
+
+        if (!team1 || !team2) {
+            console.warn(`Dropping fixture ${row.id}: unknown team ${team1 ? row.team2_name : row.team1_name}`);
+            return null;
+        }
+
+        return {
+            scheduleId: row.id,
+            team1,
+            team2,
+            round: row.round,
+            matchupCount: row.matchup_count,
+            matchupKey: row.matchup_key,
+            week: row.week,
+            day: row.day,
+            specialEvent: row.special_event,
+            narrative: row.narrative,
+            completed: row.completed === 1,
+            winner: row.winner_name
+        };
+    }
+
     generateSeasonTheme() {
         const themes = [
             'The Year of Chaos',
@@ -170,14 +317,18 @@ class SeasonManager extends EventEmitter {
         this.isRunning = true;
         this.seasonStartDate = new Date();
 
-        // Start with pre-season
-        await this.enterPhase(PHASES.PRE_SEASON);
+        // Start with pre-season, unless we're resuming a saved season
+        const phase = this.resumePhase || PHASES.PRE_SEASON;
+        this.resumePhase = null;
+        await this.enterPhase(phase);
     }
 
     async enterPhase(phase) {
         this.currentPhase = phase;
         console.log(`Entering phase: ${phase}`);
 
+        await this.saveState();
+
         this.broadcast({
             type: 'phase_change',
             phase,
@@ -354,12 +505,22 @@ class SeasonManager extends EventEmitter {
     // ==================== REGULAR SEASON PHASE ====================
 
     async runRegularSeason() {
-        // Generate full season schedule (multi-round robin)
-        const scheduleGenerator = require('./scheduleGenerator');
-        this.schedule = scheduleGenerator.generateMultiRoundRobin(
-            this.teams,
-            Math.floor(Math.random() * 2) + 2 // 2-3 rounds random
-        );
+        if (this.resumingSchedule) {
+            // Schedule was restored from the database in initialize()
+            this.resumingSchedule = false;
+        } else {
+            // Generate full season schedule (multi-round robin)
+            const scheduleGenerator = require('./scheduleGenerator');
+            this.schedule = scheduleGenerator.generateMultiRoundRobin(
+                this.teams,
+                Math.floor(Math.random() * 2) + 2 // 2-3 rounds random
+            );
+
+            await this.persistSchedule();
+        }
+
+        // Resume from the first fixture that hasn't been played
+        const remaining = this.schedule.filter(m => !m.completed);
 
         this.broadcast({
             type: 'regular_season_start',
@@ -369,13 +530,15 @@ class SeasonManager extends EventEmitter {
         });
 
         // Process each game day
-        for (let i = 0; i < this.schedule.length; i += TIMINGS.REGULAR_SEASON.MATCHES_PER_DAY) {
+        for (let i = 0; i < remaining.length; i += TIMINGS.REGULAR_SEASON.MATCHES_PER_DAY) {
             if (!this.isRunning) break;
 
             this.currentDay++;
             if (this.currentDay % 7 === 0) this.currentWeek++;
 
-            const todaysMatches = this.schedule.slice(i, i + TIMINGS.REGULAR_SEASON.MATCHES_PER_DAY);
+            await this.saveState();
+
+            const todaysMatches = remaining.slice(i, i + TIMINGS.REGULAR_SEASON.MATCHES_PER_DAY);
 
             this.broadcast({
                 type: 'game_day',
@@ -394,10 +557,43 @@ class SeasonManager extends EventEmitter {
             await this.sleep(TIMINGS.REGULAR_SEASON.MATCH_INTERVAL);
         }
 
+        // Paused mid-season - stay put so a restart resumes the schedule
+        if (!this.isRunning) return;
+
         // Regular season complete - move to playoffs
         await this.enterPhase(PHASES.PLAYOFFS);
     }
 
+    /**
+     * Write the generated schedule to season_schedule
+     */
+    async persistSchedule() {
+        try {
+            const ids = await this.db.saveSeasonSchedule(this.currentSeason, this.schedule);
+            ids.forEach((id, index) => {
+                this.schedule[index].scheduleId = id;
+            });
+        } catch (err) {
+            console.error('Failed to save season schedule:', err);
+        }
+    }
+
+    /**
+     * Mark a regular season fixture as played (called by Game class)
+     */
+    async recordFixtureResult(fixture, winner) {
+        fixture.completed = true;
+        fixture.winner = winner.name;
+
+        if (!fixture.scheduleId) return;
+
+        try {
+            await this.db.completeScheduledMatch(fixture.scheduleId, winner.name);
+        } catch (err) {
+            console.error(`Failed to mark fixture ${fixture.scheduleId} complete:`, err);
+        }
+    }
+
     formatScheduleForBroadcast() {
         // Send abbreviated schedule info
         return {
@@ -413,47 +609,46 @@ class SeasonManager extends EventEmitter {
     // ==================== PLAYOFFS PHASE ====================
 
     async runPlayoffs() {
-        // Seed top 6 teams based on regular season record
-        const standings = this.calculateStandings();
-        const seeds = standings.slice(0, 6); // Top 6 teams
+        const format = this.playoffFormat;
+        let seeds;
+
+        if (this.resumingBracket) {
+            // Bracket was restored from the database in initialize()
+            this.resumingBracket = false;
+            seeds = this.playoffBracket.teams;
+        } else {
+            // Seed the top teams based on regular season record
+            seeds = this.getSeededTeams(format.teamCount);
+            this.playoffBracket = new PlayoffBracket(format, seeds);
+            await this.persistBracket();
+        }
 
         this.broadcast({
             type: 'playoffs_bracket',
+            format: this.playoffBracket.type,
             seeds: seeds.map((s, i) => ({
                 seed: i + 1,
                 team: s.name,
-                record: `${s.wins}-${s.losses}`
+                record: `${s.wins || 0}-${s.losses || 0}`
             })),
+            bracket: this.playoffBracket.toJSON(),
             message: 'THE PLAYOFF BRACKET IS SET'
         });
 
-        // Playoff structure:
-        // Seeds 1-2: BYE to semifinals
-        // Quarterfinals: Seed 3 vs 6, Seed 4 vs 5
-
-        this.playoffBracket = {
-            quarterfinals: [
-                { matchId: 'QF1', team1: seeds[2], team2: seeds[5], winner: null },
-                { matchId: 'QF2', team1: seeds[3], team2: seeds[4], winner: null }
-            ],
-            semifinals: [
-                { matchId: 'SF1', team1: seeds[0], team2: null, winner: null }, // Seed 1 vs QF1 winner
-                { matchId: 'SF2', team1: seeds[1], team2: null, winner: null }  // Seed 2 vs QF2 winner
-            ],
-            finals: null
-        };
-
-        // Run quarterfinals
-        await this.runPlayoffRound('QUARTERFINALS', this.playoffBracket.quarterfinals);
-
-        await this.sleep(TIMINGS.PLAYOFFS.REST_BETWEEN_ROUNDS);
-
-        // Set up semifinals with winners
-        this.playoffBracket.semifinals[0].team2 = this.playoffBracket.quarterfinals[0].winner;
-        this.playoffBracket.semifinals[1].team2 = this.playoffBracket.quarterfinals[1].winner;
+        // Play the bracket round by round until only the grand finals remain
+        let round = this.playoffBracket.getNextRound();
+        while (round.length > 0) {
+            const roundNames = [...new Set(round.map(m => m.roundName))];
+            for (const roundName of roundNames) {
+                await this.runPlayoffRound(roundName, round.filter(m => m.roundName === roundName));
+                if (!this.isRunning) return;
+            }
 
-        // Run semifinals
-        await this.runPlayoffRound('SEMIFINALS', this.playoffBracket.semifinals);
+            round = this.playoffBracket.getNextRound();
+            if (round.length > 0) {
+                await this.sleep(TIMINGS.PLAYOFFS.REST_BETWEEN_ROUNDS);
+            }
+        }
 
         // Move to finals
         await this.enterPhase(PHASES.FINALS);
@@ -466,85 +661,326 @@ class SeasonManager extends EventEmitter {
             matches: matches.map(m => ({
                 matchId: m.matchId,
                 team1: m.team1.name,
-                team2: m.team2?.name || 'TBD'
+                team2: m.team2?.name || 'TBD',
+                bestOf: m.bestOf
             }))
         });
 
-        for (const match of matches) {
+        for (let i = 0; i < matches.length; i++) {
             if (!this.isRunning) break;
 
-            this.emit('playoff_match_scheduled', {
+            const match = matches[i];
+            const series = await this.runSeries({
+                seriesId: match.matchId,
                 team1: match.team1,
                 team2: match.team2,
+                bestOf: match.bestOf,
                 round: roundName,
+                phase: 'PLAYOFF',
+                eventName: 'playoff_match_scheduled',
+                intensity: 'PLAYOFF', // Higher stakes modifier
+                gameInterval: TIMINGS.PLAYOFFS.MATCH_INTERVAL
+            });
+
+            // Paused mid-series - leave the node open
+            if (!series.winner) break;
+
+            this.playoffBracket.recordResult(match.matchId, series.winner, series.loser, series.team1Wins, series.team2Wins);
+            await this.persistBracket();
+
+            this.broadcast({
+                type: 'playoffs_bracket_update',
                 matchId: match.matchId,
-                intensity: 'PLAYOFF' // Higher stakes modifier
+                winner: series.winner.name,
+                bracket: this.playoffBracket.toJSON()
             });
 
-            // Wait for match to complete (will be set by Game class via recordMatchResult)
-            await this.sleep(TIMINGS.PLAYOFFS.MATCH_INTERVAL);
+            // Breathing room before the next match in this round
+            if (i < matches.length - 1) {
+                await this.sleep(TIMINGS.PLAYOFFS.MATCH_INTERVAL);
+            }
         }
     }
 
-    // ==================== FINALS PHASE ====================
+    /**
+     * Write every bracket node to playoff_brackets
+     */
+    async persistBracket() {
+        try {
+            await this.db.savePlayoffBracket(this.currentSeason, this.playoffBracket.toJSON());
+        } catch (err) {
+            console.error('Failed to save playoff bracket:', err);
+        }
+    }
 
-    async runFinals() {
-        const finalists = [
-            this.playoffBracket.semifinals[0].winner,
-            this.playoffBracket.semifinals[1].winner
-        ];
+    // ==================== SERIES ENGINE ====================
+
+    /**
+     * Run a best-of-N series between two teams.
+     *
+     * Each game is handed to the Game class via `eventName` and the series only
+     * advances once the real match result arrives through recordMatchResult.
+     * Every game is persisted to match_results as it finishes.
+     *
+     * @returns {Object} Final series state; `winner` is null if the season was paused mid-series
+     */
+    async runSeries({ seriesId, team1, team2, bestOf, round, phase, eventName, intensity, gameInterval = 0, announceType = 'series_game' }) {
+        const winsNeeded = Math.ceil(bestOf / 2);
+        const series = {
+            seriesId,
+            round,
+            phase,
+            bestOf,
+            team1,
+            team2,
+            team1Wins: 0,
+            team2Wins: 0,
+            games: [],
+            winner: null,
+            loser: null
+        };
+        this.activeSeries.set(seriesId, series);
 
-        this.broadcast({
-            type: 'finals_start',
-            team1: finalists[0].name,
-            team2: finalists[1].name,
-            seriesFormat: `BEST OF ${TIMINGS.FINALS.SERIES_LENGTH}`,
-            message: '👑 THE GRAND FINALS BEGIN 👑'
-        });
+        for (let game = 1; series.team1Wins < winsNeeded && series.team2Wins < winsNeeded; game++) {
+            if (game > 1 && gameInterval > 0) {
+                await this.sleep(gameInterval);
+            }
+            if (!this.isRunning) break;
+
+            const matchId = `${seriesId}-G${game}`;
+
+            this.broadcast({
+                type: announceType,
+                seriesId,
+                round,
+                gameNumber: game,
+                bestOf,
+                series: `${series.team1Wins}-${series.team2Wins}`,
+                team1: team1.name,
+                team2: team2.name
+            });
 
-        // Best of 3/5 series
-        const seriesLength = TIMINGS.FINALS.SERIES_LENGTH;
-        const matchesNeeded = Math.ceil(seriesLength / 2);
+            const result = await this.playSeriesGame(series, game, matchId, eventName, intensity);
 
-        let team1Wins = 0;
-        let team2Wins = 0;
-        let champion = null;
+            // Paused mid-series
+            if (!result) break;
 
-        for (let game = 1; team1Wins < matchesNeeded && team2Wins < matchesNeeded; game++) {
-            if (!this.isRunning) break;
+            const team1Won = result.winner === team1 ||
+                (result.winner !== team2 && result.winner.name === team1.name);
 
-            this.broadcast({
-                type: 'finals_game',
+            if (team1Won) {
+                series.team1Wins++;
+            } else {
+                series.team2Wins++;
+            }
+
+            series.games.push({
                 gameNumber: game,
-                series: `${team1Wins}-${team2Wins}`,
-                team1: finalists[0].name,
-                team2: finalists[1].name
+                matchId: result.matchId,
+                winner: result.winner.name,
+                loser: result.loser.name
             });
 
-            this.emit('finals_match_scheduled', {
-                team1: finalists[0],
-                team2: finalists[1],
+            await this.persistSeriesGame(series, result.matchId, result);
+
+            this.broadcast({
+                type: 'series_update',
+                seriesId,
+                round,
                 gameNumber: game,
-                intensity: 'CHAMPIONSHIP' // Maximum stakes
+                bestOf,
+                winner: result.winner.name,
+                series: `${series.team1Wins}-${series.team2Wins}`,
+                team1: team1.name,
+                team2: team2.name
             });
+        }
+
+        if (series.team1Wins >= winsNeeded) {
+            series.winner = team1;
+            series.loser = team2;
+        } else if (series.team2Wins >= winsNeeded) {
+            series.winner = team2;
+            series.loser = team1;
+        }
 
-            await this.sleep(TIMINGS.FINALS.MATCH_INTERVAL);
+        this.activeSeries.delete(seriesId);
+        return series;
+    }
 
-            // Winner will be recorded via recordMatchResult
-            // For now, simulate (this will be replaced by actual match result)
-            if (Math.random() > 0.5) {
-                team1Wins++;
-            } else {
-                team2Wins++;
+    /**
+     * Hand one series game to the Game class and wait for its result.
+     *
+     * A game that fails (recordMatchFailure) or times out is replayed, up to
+     * MAX_GAME_ATTEMPTS times; after that it's forfeited to team1, the higher
+     * seed, so the series always finishes. Replays run under their own ID
+     * (`<matchId>-R<attempt>`), so a late result from an abandoned attempt
+     * can't be mistaken for the replay's.
+     *
+     * @returns {Object|null} Match result; null if the season was paused
+     */
+    async playSeriesGame(series, gameNumber, matchId, eventName, intensity) {
+        for (let attempt = 1; attempt <= MAX_GAME_ATTEMPTS; attempt++) {
+            const attemptId = attempt === 1 ? matchId : `${matchId}-R${attempt}`;
+
+            // Register before emitting so a fast result can't slip past us
+            const resultPromise = this.waitForMatchResult(attemptId);
+
+            this.emit(eventName, {
+                team1: series.team1,
+                team2: series.team2,
+                round: series.round,
+                matchId: attemptId,
+                seriesId: series.seriesId,
+                gameNumber,
+                bestOf: series.bestOf,
+                intensity,
+                attempt
+            });
+
+            try {
+                return await resultPromise;
+            } catch (err) {
+                if (!this.isRunning) return null;
+
+                console.error(`Series game ${attemptId} failed (attempt ${attempt}/${MAX_GAME_ATTEMPTS}):`, err.message);
+                if (attempt < MAX_GAME_ATTEMPTS) {
+                    this.broadcast({
+                        type: 'series_game_replay',
+                        seriesId: series.seriesId,
+                        matchId,
+                        gameNumber,
+                        message: `⚠️ Game ${gameNumber} was interrupted and will be replayed`
+                    });
+                }
             }
         }
 
-        champion = team1Wins > team2Wins ? finalists[0] : finalists[1];
+        this.broadcast({
+            type: 'series_game_forfeit',
+            seriesId: series.seriesId,
+            matchId,
+            gameNumber,
+            winner: series.team1.name,
+            message: `⚠️ Game ${gameNumber} could not be played and is awarded to ${series.team1.name}`
+        });
+
+        return {
+            matchId,
+            winner: series.team1,
+            loser: series.team2,
+            phase: series.phase,
+            details: { forfeit: true }
+        };
+    }
+
+    /**
+     * Settle once recordMatchResult reports the given match; rejects if
+     * recordMatchFailure reports it, the season is paused or it times out.
+     * A timed-out match is announced with 'series_game_abandoned' so the Game
+     * class stops it before the replay starts.
+     */
+    waitForMatchResult(matchId) {
+        return new Promise((resolve, reject) => {
+            const timeout = this.gameResultTimeout;
+            const timer = setTimeout(() => {
+                const error = new Error(`No result after ${Math.round(timeout / 60000)} minutes`);
+                this.recordMatchFailure(matchId, error);
+                this.emit('series_game_abandoned', { matchId, reason: error.message });
+            }, timeout);
+
+            this.pendingResults.set(matchId, { resolve, reject, timer });
+        });
+    }
+
+    /**
+     * Whether a series is still waiting on this match (false once it was
+     * reported, failed, timed out or the season paused)
+     */
+    isAwaitingResult(matchId) {
+        return this.pendingResults.has(matchId);
+    }
+
+    /**
+     * Fail every game a series is waiting on (season paused or stopped)
+     */
+    clearPendingResults(reason) {
+        for (const matchId of [...this.pendingResults.keys()]) {
+            this.recordMatchFailure(matchId, new Error(reason));
+        }
+    }
+
+    /**
+     * Write a finished series game to match_results
+     */
+    async persistSeriesGame(series, matchId, result) {
+        const details = result.details || {};
+
+        try {
+            await this.db.saveMatchResult({
+                seasonNumber: this.currentSeason,
+                matchId,
+                phase: series.phase,
+                week: this.currentWeek,
+                day: this.currentDay,
+                team1: series.team1.name,
+                team2: series.team2.name,
+                winner: result.winner.name,
+                loser: result.loser.name,
+                durationWaves: details.durationWaves,
+                team1Towers: details.team1Towers,
+                team2Towers: details.team2Towers
+            });
+        } catch (err) {
+            console.error(`Failed to record series game ${matchId}:`, err);
+        }
+    }
+
+    // ==================== FINALS PHASE ====================
+
+    async runFinals() {
+        if (!this.playoffBracket || !this.playoffBracket.isFinalsReady()) {
+            console.error('Cannot start finals: playoff bracket has no finalists');
+            return;
+        }
+
+        const finalsNode = this.playoffBracket.getFinals();
+        const finalists = [finalsNode.team1, finalsNode.team2];
+
+        this.broadcast({
+            type: 'finals_start',
+            team1: finalists[0].name,
+            team2: finalists[1].name,
+            seriesFormat: `BEST OF ${finalsNode.bestOf}`,
+            message: '👑 THE GRAND FINALS BEGIN 👑'
+        });
+
+        // Best of 3/5 series, decided by the games actually played
+        const series = await this.runSeries({
+            seriesId: finalsNode.matchId,
+            team1: finalists[0],
+            team2: finalists[1],
+            bestOf: finalsNode.bestOf,
+            round: 'FINALS',
+            phase: 'CHAMPIONSHIP',
+            eventName: 'finals_match_scheduled',
+            intensity: 'CHAMPIONSHIP', // Maximum stakes
+            gameInterval: TIMINGS.FINALS.MATCH_INTERVAL,
+            announceType: 'finals_game'
+        });
+
+        // Paused mid-series - nobody gets crowned
+        if (!series.winner) return;
+
+        this.playoffBracket.recordResult(finalsNode.matchId, series.winner, series.loser, series.team1Wins, series.team2Wins);
+        await this.persistBracket();
+
+        const champion = series.winner;
 
         this.broadcast({
             type: 'champion_crowned',
             champion: champion.name,
-            series: `${team1Wins}-${team2Wins}`,
+            series: `${series.team1Wins}-${series.team2Wins}`,
             season: this.currentSeason,
             message: `🏆 ${champion.name} ARE YOUR SEASON ${this.currentSeason} CHAMPIONS! 🏆`
         });
@@ -580,12 +1016,20 @@ class SeasonManager extends EventEmitter {
         await this.sleep(TIMINGS.OFF_SEASON.AWARDS_CEREMONY);
 
         // 2. The Reckoning (Voting Phase)
+        if (this.reckoningSystem) {
+            await this.reckoningSystem.startReckoning(this.teams, this.currentSeason);
+        }
+
         this.broadcast({
             type: 'reckoning_start',
             message: '⚡ THE RECKONING: VOTE TO SHAPE REALITY',
             votingOpen: true
         });
 
+        if (this.reckoningSystem) {
+            this.broadcast(this.reckoningSystem.formatForBroadcast());
+        }
+
         await this.sleep(TIMINGS.OFF_SEASON.RECKONING_VOTING);
 
         const reckoningResults = await this.processReckoningVotes();
@@ -628,21 +1072,23 @@ class SeasonManager extends EventEmitter {
         // End season in database
         await this.db.endSeason(this.currentSeason, { awards, reckoningResults });
 
+        // Pause until the next season is started; the finished season is no longer resumable
+        this.isRunning = false;
+        this.currentPhase = PHASES.PAUSED;
+        await this.saveState();
+
         // Prepare for next season
         this.currentSeason++;
         this.currentWeek = 0;
         this.currentDay = 0;
         this.completedMatches = [];
+        this.schedule = [];
 
         this.broadcast({
             type: 'off_season_complete',
             message: `Season ${this.currentSeason - 1} has concluded. Season ${this.currentSeason} approaches...`,
             nextSeason: this.currentSeason
         });
-
-        // Auto-start next season or pause
-        this.isRunning = false;
-        this.currentPhase = PHASES.PAUSED;
     }
 
     async calculateAwards() {
@@ -658,13 +1104,21 @@ class SeasonManager extends EventEmitter {
     }
 
     async processReckoningVotes() {
-        // Process user votes for next season changes
-        // This is a placeholder - will be expanded with voting system
+        // Close voting and apply the fan-chosen changes for next season
+        if (this.reckoningSystem && this.reckoningSystem.currentVoting &&
+            this.reckoningSystem.currentVoting.isActive) {
+            const results = await this.reckoningSystem.endReckoning();
+            this.broadcast(this.reckoningSystem.formatVoteUpdate());
+            return results;
+        }
+
+        // No votes were taken - The Committee decides alone
         return {
+            blessedChampions: [],
+            cursedChampions: [],
             rulesChanged: [],
-            championsBlessed: [],
-            championsCursed: [],
-            chaosDecree: 'The Committee decrees: More chaos.'
+            chaosDecree: null,
+            committeeDecree: null
         };
     }
 
@@ -689,26 +1143,60 @@ class SeasonManager extends EventEmitter {
                 wins: t.wins || 0,
                 losses: t.losses || 0
             }))
-            .sort((a, b) => {
-                if (b.wins !== a.wins) return b.wins - a.wins;
-                return a.losses - b.losses; // Tiebreaker by fewer losses
-            });
+            .sort(compareRecords);
+    }
+
+    /**
+     * Top `count` team objects (with rosters) ordered by record
+     */
+    getSeededTeams(count) {
+        return [...this.teams].sort(compareRecords).slice(0, count);
     }
 
-    recordMatchResult(matchId, winner, loser, phase) {
-        // Called by Game class when a match completes
+    /**
+     * Called by Game class when a series match completes. Results for matches
+     * nobody is waiting on any more (abandoned attempts) are ignored.
+     * @returns {boolean} Whether the result was recorded
+     */
+    recordMatchResult(matchId, winner, loser, phase, details = {}) {
+        const pending = this.pendingResults.get(matchId);
+        if (!pending) {
+            console.warn(`Ignoring result for ${matchId}: no series is waiting on it`);
+            return false;
+        }
+
         this.completedMatches.push({ matchId, winner: winner.name, loser: loser.name, phase });
 
-        // Update playoff bracket if in playoffs/finals
-        if (this.playoffBracket) {
-            const allMatches = [
-                ...this.playoffBracket.quarterfinals,
-                ...this.playoffBracket.semifinals
-            ];
-            const match = allMatches.find(m => m.matchId === matchId);
-            if (match) {
-                match.winner = winner;
-            }
+        // Wake up the series waiting on this game
+        this.pendingResults.delete(matchId);
+        clearTimeout(pending.timer);
+        pending.resolve({ matchId, winner, loser, phase, details });
+        return true;
+    }
+
+    /**
+     * Called by Game class when a series game couldn't be played to the end
+     */
+    recordMatchFailure(matchId, error) {
+        const pending = this.pendingResults.get(matchId);
+        if (pending) {
+            this.pendingResults.delete(matchId);
+            clearTimeout(pending.timer);
+            pending.reject(error);
+        }
+    }
+
+    async saveState() {
+        try {
+            await this.db.saveSeasonState(
+                this.currentSeason,
+                this.currentPhase,
+                this.currentWeek,
+                this.currentDay,
+                this.isRunning
+            );
+        } catch (err) {
+            console.error('Failed to save season state:', err);
         }
     }
 
@@ -732,6 +1220,7 @@ class SeasonManager extends EventEmitter {
         this.isRunning = false;
         clearTimeout(this.phaseTimer);
         clearTimeout(this.matchTimer);
+        this.clearPendingResults('Season paused');
         this.currentPhase = PHASES.PAUSED;
         this.broadcast({
             type: 'season_paused',
@@ -764,9 +1253,17 @@ class SeasonManager extends EventEmitter {
             theme: this.seasonNarrativeTheme,
             isRunning: this.isRunning,
             matchesCompleted: this.completedMatches.length,
-            standingsTop3: this.calculateStandings().slice(0, 3)
+            standingsTop3: this.calculateStandings().slice(0, 3),
+            activeSeries: Array.from(this.activeSeries.values()).map(s => ({
+                seriesId: s.seriesId,
+                round: s.round,
+                bestOf: s.bestOf,
+                team1: s.team1.name,
+                team2: s.team2.name,
+                series: `${s.team1Wins}-${s.team2Wins}`
+            }))
         };
     }
 }
 
-module.exports = { SeasonManager, PHASES, TIMINGS };
+module.exports = { SeasonManager, PHASES, TIMINGS, PLAYOFF_FORMAT };
@@ -2,7 +2,7 @@
 
 class StatsManager {
     constructor() {
-        this.championStats = new Map(); // champName -> stats object
+        this.championStats = new Map(); // championId -> stats object
         this.matchHistory = [];
         this.globalStats = {
             totalMatches: 0,
@@ -14,8 +14,9 @@ class StatsManager {
 
     // Initialize champion stats if not exists
     initChampion(champ) {
-        if (!this.championStats.has(champ.name)) {
-            this.championStats.set(champ.name, {
+        if (!this.championStats.has(champ.id)) {
+            this.championStats.set(champ.id, {
+                id: champ.id,
                 name: champ.name,
                 role: champ.role,
                 lore: champ.lore,
@@ -33,6 +34,11 @@ class StatsManager {
                 timesConsumedByVoid: 0,
                 rolesSwitched: 0,
                 enlightenments: 0,
+                largestStreak: 0,
+                killingSprees: 0,
+                legendaryStreaks: 0,
+                shutdowns: 0,
+                bountyGold: 0,
                 // Derived stats (calculated on demand)
                 get kda() {
                     return this.deaths === 0 ?
@@ -50,15 +56,17 @@ class StatsManager {
                 }
             });
         }
-        return this.championStats.get(champ.name);
+        return this.championStats.get(champ.id);
     }
 
     // Record match data for all champions
     recordMatch(match, winner, loser) {
         this.globalStats.totalMatches++;
 
-        const allChamps = [...match.team1.champions, ...match.team2.champions];
-        const winningTeam = winner.champions;
+        // Only the champions who played (a drafted bench champion replaces a starter)
+        const lineup = teamId => (match.getLineup ? match.getLineup(teamId) : match[teamId].champions);
+        const allChamps = [...lineup('team1'), ...lineup('team2')];
+        const winningTeam = lineup(winner === match.team1 ? 'team1' : 'team2');
 
         allChamps.forEach(champ => {
             const stats = this.initChampion(champ);
@@ -80,6 +88,15 @@ class StatsManager {
             stats.totalCS += champ.cs;
             stats.totalGold += champ.gold;
 
+            // Kill streaks & bounties (matches from the simulation engine)
+            if (champ.streak) {
+                stats.largestStreak = Math.max(stats.largestStreak, champ.streak.best);
+                stats.killingSprees += champ.streak.sprees;
+                stats.legendaryStreaks += champ.streak.legendaries;
+                stats.shutdowns += champ.streak.shutdowns;
+                stats.bountyGold += champ.streak.bountyGold;
+            }
+
             // Track global stats
             this.globalStats.totalKills += champ.kda.k;
             this.globalStats.totalDeaths += champ.kda.d;
@@ -137,6 +154,13 @@ class StatsManager {
             case 'gold':
                 sorted = qualified.sort((a, b) => b.totalGold - a.totalGold);
                 break;
+            case 'streak':
+                // Longest kill streak, sprees break ties
+                sorted = qualified.sort((a, b) => (b.largestStreak - a.largestStreak) || (b.killingSprees - a.killingSprees));
+                break;
+            case 'shutdowns':
+                sorted = qualified.sort((a, b) => (b.shutdowns - a.shutdowns) || (b.bountyGold - a.bountyGold));
+                break;
             case 'chaos':
                 // Most chaotic (combines various chaos stats)
                 sorted = qualified.sort((a, b) => {
@@ -160,13 +184,15 @@ class StatsManager {
             deaths: this.getLeaderboard('deaths', 5),
             winRate: this.getLeaderboard('winRate', 5),
             gold: this.getLeaderboard('gold', 5),
+            streak: this.getLeaderboard('streak', 5),
+            shutdowns: this.getLeaderboard('shutdowns', 5),
             chaos: this.getLeaderboard('chaos', 5)
         };
     }
 
     // Get specific champion stats
-    getChampionStats(champName) {
-        return this.championStats.get(champName) || null;
+    getChampionStats(championId) {
+        return this.championStats.get(championId) || null;
     }
 
     // Get match history
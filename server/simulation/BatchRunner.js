@@ -0,0 +1,291 @@
+const MatchSimulator = require('./MatchSimulator');
+const itemsData = require('./data/items.json');
+
+// Inventory entries don't carry their price; look it up for net worth
+const ITEM_COSTS = new Map(itemsData.items.map(item => [item.id, item.cost || 0]));
+
+/**
+ * BatchRunner - Runs many seeded matches headlessly and aggregates the results
+ *
+ * No WebSocket, no wave pacing: each match is stepped to completion as fast as
+ * possible. Seeds are `${seedPrefix}-${index}`, so any single match in a batch
+ * can be reproduced (or replayed) on its own.
+ */
+class BatchRunner {
+    /**
+     * @param {object} options
+     * @param {object} options.team1 - Team object (as in data.json)
+     * @param {object} options.team2
+     * @param {number} options.matches - Number of matches to run
+     * @param {string} options.seedPrefix - Seeds are `${seedPrefix}-${index}`
+     * @param {number} options.maxWaves
+     * @param {number} options.intensityMultiplier
+     * @param {object} options.ruleset - League ruleset simulation config
+     * @param {object} options.draft - Pick/ban phase config ({ mode, bans, pool })
+     * @param {object} options.overtime - Overtime rules ({ waves, tiebreak }), overriding the ruleset's
+     */
+    constructor(options = {}) {
+        if (!options.team1 || !options.team2) {
+            throw new Error('BatchRunner requires two teams');
+        }
+
+        this.team1 = options.team1;
+        this.team2 = options.team2;
+        this.matches = options.matches || 100;
+        this.seedPrefix = options.seedPrefix || 'batch';
+        this.maxWaves = options.maxWaves || 150;
+        this.intensityMultiplier = options.intensityMultiplier || 1.0;
+        this.ruleset = options.ruleset || null;
+        this.draft = options.draft || null;
+        this.overtime = options.overtime || null;
+    }
+
+    /**
+     * Run a single match and summarize it
+     * @param {number} index
+     * @returns {Promise<object>}
+     */
+    async runMatch(index) {
+        const seed = `${this.seedPrefix}-${index}`;
+        const simulator = new MatchSimulator({
+            matchId: seed,
+            seed,
+            team1: this.team1,
+            team2: this.team2,
+            maxWaves: this.maxWaves,
+            intensityMultiplier: this.intensityMultiplier,
+            ruleset: this.ruleset,
+            draft: this.draft,
+            overtime: this.overtime
+        });
+        await simulator.initialize();
+
+        const world = simulator.engine.getWorld();
+        const curve = [];
+        const chaosEvents = [];
+        let result = { finished: false };
+
+        while (!result.finished) {
+            result = simulator.step();
+            const totals = BatchRunner.teamTotals(world);
+            curve.push({ wave: result.wave, ...totals });
+
+            for (const event of result.events) {
+                if (event.type === 'chaos.event' && event.action === 'triggered') {
+                    chaosEvents.push({
+                        id: event.eventId,
+                        name: event.eventName,
+                        wave: result.wave,
+                        goldLeader: BatchRunner.leader(totals.team1Gold, totals.team2Gold)
+                    });
+                }
+            }
+        }
+
+        const items = {};
+        for (const event of simulator.getAllEvents()) {
+            if (event.type === 'item.purchase') {
+                items[event.itemId] = items[event.itemId] || { name: event.itemName, purchases: 0 };
+                items[event.itemId].purchases++;
+            }
+        }
+
+        const final = curve[curve.length - 1] || BatchRunner.teamTotals(world);
+
+        return {
+            index,
+            seed,
+            winner: result.winner || null,
+            waves: result.wave,
+            team1Kills: final.team1Kills,
+            team2Kills: final.team2Kills,
+            team1Gold: final.team1Gold,
+            team2Gold: final.team2Gold,
+            curve,
+            items,
+            chaosEvents
+        };
+    }
+
+    /**
+     * Run the whole batch
+     * @param {Function} onProgress - Called with (completed, total, matchSummary)
+     * @returns {Promise<object>} { summary, matches }
+     */
+    async run(onProgress = null) {
+        const matches = [];
+
+        for (let i = 0; i < this.matches; i++) {
+            const match = await this.runMatch(i);
+            matches.push(match);
+            if (onProgress) onProgress(i + 1, this.matches, match);
+        }
+
+        return {
+            summary: this.aggregate(matches),
+            matches
+        };
+    }
+
+    /**
+     * Aggregate match summaries into win rates, curves and frequencies
+     * @param {object[]} matches - runMatch() results
+     * @returns {object}
+     */
+    aggregate(matches) {
+        const count = matches.length;
+        const wins = { team1: 0, team2: 0, none: 0 };
+        for (const match of matches) {
+            wins[match.winner || 'none']++;
+        }
+
+        const waves = matches.map(m => m.waves);
+
+        return {
+            matches: count,
+            seedPrefix: this.seedPrefix,
+            team1: this.team1.name,
+            team2: this.team2.name,
+            wins,
+            winRate: {
+                team1: BatchRunner.ratio(wins.team1, count),
+                team2: BatchRunner.ratio(wins.team2, count)
+            },
+            waves: {
+                average: BatchRunner.round(waves.reduce((sum, w) => sum + w, 0) / (count || 1)),
+                min: count ? Math.min(...waves) : 0,
+                max: count ? Math.max(...waves) : 0
+            },
+            curves: this._aggregateCurves(matches),
+            items: this._aggregateItems(matches),
+            chaosEvents: this._aggregateChaosEvents(matches)
+        };
+    }
+
+    /**
+     * Average kills and gold per wave (over the matches still running at that wave)
+     */
+    _aggregateCurves(matches) {
+        const byWave = new Map();
+
+        for (const match of matches) {
+            for (const point of match.curve) {
+                const totals = byWave.get(point.wave) || {
+                    wave: point.wave, matches: 0,
+                    team1Kills: 0, team2Kills: 0, team1Gold: 0, team2Gold: 0
+                };
+                totals.matches++;
+                totals.team1Kills += point.team1Kills;
+                totals.team2Kills += point.team2Kills;
+                totals.team1Gold += point.team1Gold;
+                totals.team2Gold += point.team2Gold;
+                byWave.set(point.wave, totals);
+            }
+        }
+
+        return Array.from(byWave.values())
+            .sort((a, b) => a.wave - b.wave)
+            .map(totals => ({
+                wave: totals.wave,
+                matches: totals.matches,
+                team1Kills: BatchRunner.round(totals.team1Kills / totals.matches),
+                team2Kills: BatchRunner.round(totals.team2Kills / totals.matches),
+                team1Gold: Math.round(totals.team1Gold / totals.matches),
+                team2Gold: Math.round(totals.team2Gold / totals.matches)
+            }));
+    }
+
+    /**
+     * Item purchase counts, most bought first
+     */
+    _aggregateItems(matches) {
+        const items = {};
+
+        for (const match of matches) {
+            for (const [itemId, { name, purchases }] of Object.entries(match.items)) {
+                items[itemId] = items[itemId] || { itemId, name, purchases: 0, matches: 0 };
+                items[itemId].purchases += purchases;
+                items[itemId].matches++;
+            }
+        }
+
+        return Object.values(items)
+            .map(item => ({
+                ...item,
+                perMatch: BatchRunner.round(item.purchases / (matches.length || 1))
+            }))
+            .sort((a, b) => b.purchases - a.purchases);
+    }
+
+    /**
+     * Chaos event frequencies, plus how often the team ahead in gold when the
+     * event fired went on to lose (a rough "did this decide the game" signal)
+     */
+    _aggregateChaosEvents(matches) {
+        const events = {};
+
+        for (const match of matches) {
+            const seen = new Set();
+            for (const event of match.chaosEvents) {
+                const stats = events[event.id] || {
+                    eventId: event.id, name: event.name,
+                    triggers: 0, matches: 0, leaderTriggers: 0, leaderLost: 0
+                };
+                stats.triggers++;
+                if (!seen.has(event.id)) {
+                    stats.matches++;
+                    seen.add(event.id);
+                }
+                if (event.goldLeader && match.winner) {
+                    stats.leaderTriggers++;
+                    if (event.goldLeader !== match.winner) stats.leaderLost++;
+                }
+                events[event.id] = stats;
+            }
+        }
+
+        return Object.values(events)
+            .map(({ leaderTriggers, leaderLost, ...stats }) => ({
+                ...stats,
+                matchRate: BatchRunner.ratio(stats.matches, matches.length),
+                leaderLostRate: leaderTriggers > 0 ? BatchRunner.ratio(leaderLost, leaderTriggers) : null
+            }))
+            .sort((a, b) => b.triggers - a.triggers);
+    }
+
+    /**
+     * Kills and net worth (gold + item value) per team
+     * @param {World} world
+     * @returns {object}
+     */
+    static teamTotals(world) {
+        const totals = { team1Kills: 0, team2Kills: 0, team1Gold: 0, team2Gold: 0 };
+
+        for (const champion of world.queryByTag('champion')) {
+            const { teamId } = champion.getComponent('identity');
+            const stats = champion.getComponent('stats');
+            const items = champion.getComponent('items');
+            const itemValue = items.inventory.reduce((sum, item) => sum + (ITEM_COSTS.get(item.id) || 0), 0);
+
+            totals[`${teamId}Kills`] += stats.kda.kills;
+            totals[`${teamId}Gold`] += stats.gold + itemValue;
+        }
+
+        return totals;
+    }
+
+    static leader(team1Value, team2Value) {
+        if (team1Value === team2Value) return null;
+        return team1Value > team2Value ? 'team1' : 'team2';
+    }
+
+    static ratio(part, whole) {
+        return whole > 0 ? BatchRunner.round(part / whole) : 0;
+    }
+
+    static round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+module.exports = BatchRunner;
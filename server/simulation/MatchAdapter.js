@@ -1,4 +1,6 @@
+const crypto = require('crypto');
 const MatchSimulator = require('./MatchSimulator');
+const ReplayRunner = require('./ReplayRunner');
 
 /**
  * MatchAdapter - Adapts new MatchSimulator to work with old Match interface
@@ -17,22 +19,49 @@ class MatchAdapter {
         this.eventListeners = {};
         this.match_ended = false;
         this.intensityMultiplier = options.intensityMultiplier || 1.0;  // For compatibility
+        this.lineups = null;  // teamId -> champion objects that played (set when the match ends)
 
         // Event queue for staggered broadcasting
         this.eventQueue = [];
         this.eventBroadcastInterval = null;
         this.EVENT_DELAY_MS = 800; // Delay between events (milliseconds)
 
-        // Create the actual simulator
-        const seed = `match-${Date.now()}-${Math.random()}`;
-        this.simulator = new MatchSimulator({
-            matchId: `live-${Date.now()}`,
-            seed: seed,
-            team1: team1,
-            team2: team2,
-            maxWaves: 150,
-            intensityMultiplier: this.intensityMultiplier  // Pass to simulator
-        });
+        // Mid-match snapshots: resume from one, and report a new one every wave
+        this.resumeSnapshot = options.snapshot || null;
+        this.onSnapshot = options.onSnapshot || null;
+
+        if (this.resumeSnapshot && this.resumeSnapshot.engineVersion !== MatchSimulator.ENGINE_VERSION) {
+            console.warn(`Discarding snapshot from engine ${this.resumeSnapshot.engineVersion}; restarting match from wave 0`);
+            this.resumeSnapshot = null;
+        }
+
+        // Bench champions are credited with their stats at the end. A resumed match
+        // finishes the draft it started with, whatever the benches are now.
+        this.draft = this.resumeSnapshot
+            ? MatchAdapter._resumeDraft(this.resumeSnapshot.replay.draft, options.draft)
+            : options.draft || null;
+
+        // Create the actual simulator. The seed is the only source of randomness in
+        // the match, so it's generated once here and kept for the replay.
+        if (this.resumeSnapshot) {
+            // Resumed matches keep their original seed, roster and ruleset
+            this.simulator = MatchSimulator.fromReplayConfig(this.resumeSnapshot.replay);
+            this.seed = this.simulator.seed;
+        } else {
+            this.seed = options.seed || `match-${crypto.randomBytes(12).toString('hex')}`;
+            this.simulator = new MatchSimulator({
+                matchId: options.matchId || `live-${Date.now()}`,
+                seed: this.seed,
+                team1: team1,
+                team2: team2,
+                maxWaves: 150,
+                intensityMultiplier: this.intensityMultiplier,  // Pass to simulator
+                ruleset: options.ruleset || null,  // League ruleset from the Reckoning
+                draft: options.draft || null,  // Pick/ban phase before wave 1
+                database: options.database || null,  // Career grudges and synergies
+                overtime: options.overtime || null  // Overtime length and tiebreak ladder
+            });
+        }
 
         // Track detailed structure counts
         this.team1Structures = {
@@ -63,7 +92,22 @@ class MatchAdapter {
         this.maxWaves = options.maxWaves || 150;
 
         // Initial log
-        this.logEvent(`Match starting: ${team1.name} vs ${team2.name}`);
+        if (this.resumeSnapshot) {
+            this._restoreAdapterState(this.resumeSnapshot.adapter);
+            this.logEvent(`Match resuming at wave ${this.wave}: ${team1.name} vs ${team2.name}`);
+        } else {
+            this.logEvent(`Match starting: ${team1.name} vs ${team2.name}`);
+        }
+    }
+
+    /**
+     * Chaos level accessor (compatible with old Match API, used by StatsManager)
+     */
+    get chaosManager() {
+        const chaosSystem = this.simulator.chaosSystem;
+        return {
+            getChaosLevel: () => chaosSystem ? chaosSystem.getChaosLevel() : 0
+        };
     }
 
     /**
@@ -104,9 +148,21 @@ class MatchAdapter {
      */
     async start() {
         try {
-            // Initialize simulator
-            await this.simulator.initialize();
-            this.matchStartTime = Date.now();
+            // Initialize simulator (or pick up where the snapshot left off)
+            if (this.resumeSnapshot) {
+                await this.simulator.restoreSnapshot(this.resumeSnapshot);
+                this.matchStartTime = Date.now() - (this.resumeSnapshot.adapter.elapsedMs || 0);
+            } else {
+                await this.simulator.initialize();
+                this.matchStartTime = Date.now();
+
+                // Picks, bans and strategy profiles happen during initialize(), before any listener is attached
+                for (const event of this.simulator.getAllEvents()) {
+                    if (event.type === 'draft.ban' || event.type === 'draft.pick' || event.type === 'macro.profile') {
+                        this._handleSimulatorEvent(event);
+                    }
+                }
+            }
 
             // Listen to all simulator events
             this.simulator.on('*', (event) => {
@@ -115,6 +171,7 @@ class MatchAdapter {
 
             // Broadcast match start with timing info
             this._broadcastMatchStatus();
+            this._saveSnapshot();
 
             // Start processing event queue
             this._startEventQueueProcessor();
@@ -122,31 +179,111 @@ class MatchAdapter {
             // Run simulation wave by wave with intervals
             const waveInterval = 30000; // 30 seconds per wave for better viewer pacing
 
-            this.interval = setInterval(async () => {
+            this.interval = setInterval(() => {
                 if (this.match_ended) {
                     clearInterval(this.interval);
                     return;
                 }
 
-                // Step simulation forward one wave
-                const result = this.simulator.step();
-                this.wave = result.wave;
+                try {
+                    // Step simulation forward one wave
+                    const result = this.simulator.step();
+                    this.wave = result.wave;
 
-                // Broadcast wave progress
-                this._broadcastMatchStatus();
+                    // Broadcast wave progress
+                    this._broadcastMatchStatus();
 
-                // Check if match finished
-                if (result.finished) {
-                    this._endMatch(result.winner);
+                    // Check if match finished
+                    if (result.finished) {
+                        this._endMatch(result.winner);
+                    } else {
+                        this._saveSnapshot();
+                    }
+                } catch (error) {
+                    this._abortMatch(error);
                 }
             }, waveInterval);
 
         } catch (error) {
-            console.error('Match simulation error:', error);
-            this.logEvent(`⚠️ Simulation error: ${error.message}`);
+            this._abortMatch(error);
         }
     }
 
+    /**
+     * Stop the match from outside (e.g. a series gave up waiting on it).
+     * Listeners get an 'abort' event, as for a simulation error.
+     * @param {Error} error
+     */
+    abort(error) {
+        this._abortMatch(error);
+    }
+
+    /**
+     * Stop a match that can't go on (the simulation threw, or abort() was
+     * called). Listeners get an 'abort' event with the error instead of 'end'.
+     * @param {Error} error
+     */
+    _abortMatch(error) {
+        if (this.match_ended) return;
+
+        clearInterval(this.interval);
+        this._stopEventQueueProcessor();
+        this.match_ended = true;
+
+        console.error('Match abandoned:', error);
+        this.logEvent(`⚠️ Match abandoned: ${error.message}`);
+
+        this.emit('abort', error);
+    }
+
+    /**
+     * Hand a snapshot of the match to the onSnapshot callback (persisted by Game)
+     */
+    _saveSnapshot() {
+        if (!this.onSnapshot) return;
+
+        try {
+            this.onSnapshot({
+                ...this.simulator.createSnapshot(),
+                adapter: this._getAdapterState()
+            }, this.wave);
+        } catch (error) {
+            console.error('Error creating match snapshot:', error);
+        }
+    }
+
+    /**
+     * Broadcast-side state that isn't part of the simulation
+     * (includes queued events so commentary and counters pick up where they left off)
+     */
+    _getAdapterState() {
+        return {
+            wave: this.wave,
+            elapsedMs: this.matchStartTime ? Date.now() - this.matchStartTime : 0,
+            team1Kills: this.team1Kills,
+            team2Kills: this.team2Kills,
+            team1Towers: this.team1Towers,
+            team2Towers: this.team2Towers,
+            team1Structures: { ...this.team1Structures },
+            team2Structures: { ...this.team2Structures },
+            eventQueue: this.eventQueue
+        };
+    }
+
+    /**
+     * Restore _getAdapterState() output
+     */
+    _restoreAdapterState(state = {}) {
+        this.wave = state.wave || 0;
+        this.team1Kills = state.team1Kills || 0;
+        this.team2Kills = state.team2Kills || 0;
+        this.team1Towers = state.team1Towers !== undefined ? state.team1Towers : this.team1Towers;
+        this.team2Towers = state.team2Towers !== undefined ? state.team2Towers : this.team2Towers;
+        this.team1Structures = state.team1Structures || this.team1Structures;
+        this.team2Structures = state.team2Structures || this.team2Structures;
+        this.eventQueue = state.eventQueue || [];
+    }
+
     /**
      * Handle events from the simulator and queue them for staggered broadcast
      */
@@ -167,6 +304,92 @@ class MatchAdapter {
                 this.logEvent(`--- Wave ${tick} ---`);
                 break;
 
+            // === DRAFT EVENTS ===
+            case 'draft.ban':
+                if (event.skipped) {
+                    this.logEvent(`🚫 ${event.teamName} has no ban to make`);
+                } else {
+                    this.logEvent(`🚫 ${event.teamName} bans ${event.championName} (${event.role})`);
+                }
+                break;
+
+            case 'draft.pick':
+                const pickReasons = {
+                    synergy: ' - synergy pick',
+                    grudge: ' - grudge match!',
+                    counter: ' - counter-pick'
+                };
+                this.logEvent(`✅ ${event.teamName} picks ${event.championName} (${event.role})${pickReasons[event.reason] || ''}`);
+                break;
+
+            // === TEAM MACRO ===
+            case 'macro.profile':
+                this.logEvent(`📋 ${event.teamName} comes in with a ${event.profileName} game plan: ${event.description}`);
+                break;
+
+            case 'macro.switch':
+                this.logEvent(event.message);
+                break;
+
+            // === OVERTIME ===
+            case 'overtime.start':
+                this.logEvent(`⏰ OVERTIME! Both Cores still stand after ${event.regulationWaves} waves. Structures crumble faster and the next ace wins it all!`);
+                break;
+
+            case 'overtime.escalate':
+                this.logEvent(`⏰ Overtime wave ${event.overtimeWave}: structure damage x${event.structureDamageMultiplier.toFixed(2)}, ${event.wavesLeft} waves until the tiebreak`);
+                break;
+
+            case 'overtime.sudden_death':
+                this.logEvent(`☠️ SUDDEN DEATH! ${event.winnerName} aces the enemy team and takes the match!`);
+                break;
+
+            case 'overtime.tiebreak': {
+                const tiebreakNames = {
+                    structures: 'structures standing',
+                    gold: 'net worth',
+                    kills: 'kills',
+                    coin_flip: 'a coin flip'
+                };
+                this.logEvent(`⚖️ Tiebreak! ${event.winnerName} wins on ${tiebreakNames[event.criterion] || event.criterion}`);
+                break;
+            }
+
+            // === RIVALRIES ===
+            case 'rivalry.focus':
+                this.logEvent(`🎯 ${event.championName} hunts down old rival ${event.targetName}!`);
+                break;
+
+            case 'rivalry.nemesis':
+                this.logEvent(`😡 ${event.championName} falls to their nemesis ${event.nemesisName} again!`);
+                break;
+
+            case 'synergy.coordination':
+                if (event.context === 'gank') {
+                    this.logEvent(`🤝 ${event.championNames[0]} and ${event.championNames[1]} set up the gank together!`);
+                } else {
+                    this.logEvent(`🤝 ${event.championNames[0]} and ${event.championNames[1]} fight in perfect sync!`);
+                }
+                break;
+
+            // === STREAKS & BOUNTIES ===
+            case 'streak.spree':
+                this.logEvent(`🔥 ${event.championName} is on a ${event.title.toUpperCase()}! (${event.streak} kills, ${event.bounty}g bounty)`);
+                break;
+
+            case 'streak.legendary':
+                this.logEvent(`👑 ${event.championName} is LEGENDARY! ${event.streak} kills without dying - ${event.bounty}g on their head!`);
+                break;
+
+            case 'bounty.objective':
+                this.logEvent(`💰 Comeback bounty! ${event.teamName} claims ${event.bountyGold} gold for taking ${event.objectiveName}`);
+                break;
+
+            // === MINIONS ===
+            case 'minion.empowered':
+                this.logEvent(`⚔️ ${event.teamName}'s ${event.lane} waves are empowered - ${event.minions.join(', ')} marching!`);
+                break;
+
             case 'lane.cs':
                 this.logEvent(`${event.championName} secured ${event.csGained} CS`);
                 break;
@@ -186,7 +409,27 @@ class MatchAdapter {
                 break;
 
             case 'jungle.camp':
-                this.logEvent(`${event.championName} cleared ${event.csGained} CS for ${event.goldGained}g`);
+                if (event.buff) {
+                    this.logEvent(`${event.championName} takes the ${event.campName} and the ${event.buff} buff`);
+                } else {
+                    this.logEvent(`${event.championName} cleared the ${event.campName} (${event.csGained} CS, ${event.goldGained}g)`);
+                }
+                break;
+
+            case 'jungle.invade':
+                if (event.success) {
+                    this.logEvent(`🕵️ ${event.championName} invades and steals the enemy ${event.campName}!`);
+                } else {
+                    this.logEvent(`${event.championName} invades an empty jungle`);
+                }
+                break;
+
+            case 'jungle.smite':
+                if (event.stolen) {
+                    this.logEvent(`⚡ SMITE STEAL! ${event.winnerName} snatches the ${event.campName} from ${event.loserName}!`);
+                } else {
+                    this.logEvent(`⚡ ${event.winnerName} wins the smite duel over the ${event.campName} against ${event.loserName}`);
+                }
                 break;
 
             case 'jungle.gank':
@@ -229,8 +472,30 @@ class MatchAdapter {
                 this.logEvent(`Teamfight concluded. ${winningTeamFight} wins! ${totalCasualties} total kills.`);
                 break;
 
-            case 'item.purchase':
-                this.logEvent(`${event.championName} purchased ${event.itemName}`);
+            case 'item.purchase': {
+                const purchaseReasons = {
+                    anti_heal: 'to shut down the enemy\'s healing',
+                    magic_resist: 'to stand up to all that magic damage',
+                    armor: 'to blunt the enemy\'s physical damage',
+                    defensive: 'to stay alive while behind',
+                    component: 'as a cheaper stopgap while behind'
+                };
+                const purchaseReason = purchaseReasons[event.reason];
+                this.logEvent(purchaseReason
+                    ? `🛒 ${event.championName} adapts: ${event.itemName} ${purchaseReason}`
+                    : `${event.championName} purchased ${event.itemName}`);
+                break;
+            }
+
+            case 'item.passive':
+                // Only the big moments; routine heals and stacks stay in the event log
+                if (event.effect === 'revive') {
+                    this.logEvent(`👼 ${event.championName}'s ${event.itemName} brings them back from the void!`);
+                } else if (event.effect === 'shield') {
+                    this.logEvent(`🛡️ ${event.itemName} shields ${event.targets.join(', ')}`);
+                } else if (event.effect === 'damage_reduction' && event.prevented > 0) {
+                    this.logEvent(`✨ ${event.championName}'s ${event.itemName} blocks ${event.prevented} damage`);
+                }
                 break;
 
             case 'objective.start':
@@ -238,12 +503,16 @@ class MatchAdapter {
                 break;
 
             case 'objective.contest':
-                this.logEvent(`⚔️ Both teams contest ${event.objectiveName}!`);
+                this.logEvent(event.health > 0
+                    ? `⚔️ Both teams contest ${event.objectiveName}! (${event.health}/${event.maxHealth} HP left)`
+                    : `⚔️ Both teams contest ${event.objectiveName}!`);
                 break;
 
             case 'objective.secure':
                 const winningTeamName = event.winningTeam === 'team1' ? this.team1.name : this.team2.name;
-                this.logEvent(`✅ ${winningTeamName} secured ${event.objectiveName}!`);
+                this.logEvent(event.buffName && event.buffName !== event.objectiveName
+                    ? `✅ ${winningTeamName} secured ${event.objectiveName}! ${event.buffName} is theirs`
+                    : `✅ ${winningTeamName} secured ${event.objectiveName}!`);
                 break;
 
             case 'objective.steal':
@@ -294,6 +563,19 @@ class MatchAdapter {
                 this.logEvent(`💥 ${event.championName} has mentally boomed!`);
                 break;
 
+            case 'quirk.proc':
+                if (event.action === 'triggered') {
+                    this.logEvent(`🎭 ${event.championName}'s quirk: ${event.quirkName}`);
+                    if (event.effect === 'lane_swap') {
+                        this.logEvent(`   ${event.championName} wanders from ${event.fromLane} into ${event.partnerName}'s ${event.toLane} lane`);
+                    } else if (event.effect === 'gold_loss') {
+                        this.logEvent(`   ${event.championName} sneezes away ${event.goldLost} gold`);
+                    } else if (event.weekday) {
+                        this.logEvent(`   It's ${event.weekday}.`);
+                    }
+                }
+                break;
+
             // === LEVELING EVENTS ===
             case 'leveling.level_up':
                 this.logEvent(`⬆️ ${event.championName} reached level ${event.newLevel}!`);
@@ -374,6 +656,22 @@ class MatchAdapter {
                 }
                 break;
 
+            // === STATUS EFFECTS ===
+            // Buffs, debuffs and expiries stay in the event log; only the swingy moments are narrated
+            case 'cc.apply':
+                this.logEvent(`🌀 ${event.targetName} is ${event.statusType === 'knockup' ? 'knocked up' : event.statusType + 'ed'} by ${event.abilityName}!`);
+                break;
+
+            case 'champion.revive':
+                this.logEvent(`✝️ ${event.sourceName}'s ${event.abilityName} brings ${event.targetName} back into the fight!`);
+                break;
+
+            case 'buff.expire':
+                if (event.reason === 'consumed' && event.statusType === 'rewind') {
+                    this.logEvent(`⏪ ${event.championName} rewinds time and cheats death!`);
+                }
+                break;
+
             // === OBJECTIVE BUFFS ===
             case 'buff.applied':
                 if (event.buffType === 'VOID EMPOWERED') {
@@ -467,12 +765,18 @@ class MatchAdapter {
                     // Team names
                     team1Name: this.team1.name,
                     team2Name: this.team2.name,
+                    // Overtime progress ({ active, wave, waves })
+                    overtime: this.simulator.getOvertimeStatus(),
+                    // Minion waves on the map (minimap)
+                    minionWaves: this.simulator.getMinionWaves(),
+                    // Jungle camps and respawn timers
+                    jungleCamps: this.simulator.getJungleCamps(),
                     // Kill counts
                     team1Kills: this.team1Kills,
                     team2Kills: this.team2Kills,
                     // Gold amounts (calculated from champion gold)
                     team1Gold: team1Gold,
-                    team2Gold: team2Gold
+                    team2Gold: team2Gold,
                     // Legacy support
                     team1Structures: this.team1Towers,
                     team2Structures: this.team2Towers,
@@ -519,32 +823,33 @@ class MatchAdapter {
             winner = this.team2;
             loser = this.team1;
         } else {
-            // Draw/timeout - pick based on remaining towers
-            if (this.team1Towers > this.team2Towers) {
-                winner = this.team1;
-                loser = this.team2;
-            } else {
-                winner = this.team2;
-                loser = this.team1;
-            }
+            // Stopped without a result - settle it on the tiebreak ladder
+            const tiebreakWinner = this.simulator.resolveTiebreak();
+            winner = tiebreakWinner === 'team1' ? this.team1 : this.team2;
+            loser = tiebreakWinner === 'team1' ? this.team2 : this.team1;
         }
 
+        // How the match was won (Core, sudden death or tiebreak), for betting and replays
+        this.decision = this.simulator.getDecision();
+
         // Update team champion stats with final simulation data
         try {
             const state = this.simulator.getState();
             if (state && state.champions) {
+                this.lineups = { team1: [], team2: [] };
                 state.champions.forEach(champState => {
-                    // Find the champion in the appropriate team
-                    const team = champState.teamId === 'team1' ? this.team1 : this.team2;
-                    const champ = team.champions.find(c => c.name === champState.name);
+                    // Find the champion on the team's roster or bench
+                    const champ = this._getDraftable(champState.teamId).find(c => c.id === champState.championId);
 
                     if (champ) {
+                        this.lineups[champState.teamId].push(champ);
                         // Update with final stats from simulation
                         champ.kda = champState.kda || { k: 0, d: 0, a: 0 };
                         champ.cs = champState.cs || 0;
                         champ.gold = champState.gold || 0;
                         champ.level = champState.level || 1;
                         champ.items = champState.items || [];
+                        champ.streak = champState.streak || null;
                     }
                 });
             }
@@ -552,7 +857,12 @@ class MatchAdapter {
             console.error('Error updating champion stats at match end:', error);
         }
 
-        this.logEvent(`\n🏆 ${winner.name} WINS! 🏆\n`);
+        const decisionNotes = {
+            sudden_death: ' in sudden death',
+            tiebreak: ' on the tiebreak'
+        };
+        const decisionNote = this.decision ? decisionNotes[this.decision.method] || (this.decision.overtime ? ' in overtime' : '') : '';
+        this.logEvent(`\n🏆 ${winner.name} WINS${decisionNote}! 🏆\n`);
 
         // Export replay data for storage
         this.replayData = this._exportReplayData(winner, loser);
@@ -560,24 +870,69 @@ class MatchAdapter {
         this.emit('end', winner, loser);
     }
 
+    /**
+     * Champions that played for a team (drafted from its roster or bench).
+     * Before the match ends, or if no draft ran, that's the roster.
+     * @param {string} teamId - 'team1' or 'team2'
+     * @returns {object[]}
+     */
+    getLineup(teamId) {
+        if (this.lineups && this.lineups[teamId].length > 0) {
+            return this.lineups[teamId];
+        }
+        return (teamId === 'team1' ? this.team1 : this.team2).champions;
+    }
+
+    /**
+     * Every champion object a team could field (roster, then bench)
+     */
+    _getDraftable(teamId) {
+        const team = teamId === 'team1' ? this.team1 : this.team2;
+        const bench = (this.draft && this.draft.bench && this.draft.bench[teamId]) || [];
+        return [...team.champions, ...bench];
+    }
+
+    /**
+     * Draft of a resumed match: the snapshot's benches, using the live bench
+     * objects for champions that are still on them
+     * @param {object|null} snapshotDraft - Draft from the snapshot's replay config
+     * @param {object|null} liveDraft - Draft options passed in now
+     * @returns {object|null}
+     */
+    static _resumeDraft(snapshotDraft, liveDraft) {
+        if (!snapshotDraft) return null;
+
+        const liveBench = (liveDraft && liveDraft.bench) || {};
+        const bench = {};
+        for (const teamId of ['team1', 'team2']) {
+            const live = liveBench[teamId] || [];
+            bench[teamId] = (snapshotDraft.bench[teamId] || [])
+                .map(champion => live.find(c => c.id === champion.id) || champion);
+        }
+        return { ...snapshotDraft, bench };
+    }
+
     /**
      * Export replay data for deterministic replay
+     * Stores the match inputs plus a hash of the event stream; ReplayRunner
+     * re-simulates the events on demand.
      */
     _exportReplayData(winner, loser) {
         try {
-            const eventLog = this.simulator.getEventLog();
+            const events = this.simulator.getAllEvents();
+            const { champions } = this.simulator.getState();
 
             return {
-                matchId: this.simulator.matchId,
-                seed: this.simulator.seed,
+                ...this.simulator.getReplayConfig(),
                 team1: this.team1.name,
                 team2: this.team2.name,
                 winner: winner.name,
                 loser: loser.name,
-                events: eventLog.getAllEvents(),
-                snapshots: eventLog.getSnapshots(),
-                finalState: this.simulator.getState(),
-                duration: this.wave,
+                waves: this.wave,
+                decision: this.decision || null,
+                eventCount: events.length,
+                eventHash: ReplayRunner.hashEvents(events),
+                champions,  // Final champion lines, for per-champion match history
                 timestamp: Date.now()
             };
         } catch (error) {
@@ -1,4 +1,5 @@
 const SimulationEngine = require('./engines/SimulationEngine');
+const DraftPhase = require('./engines/DraftPhase');
 const Entity = require('./core/Entity');
 const {
     CIdentity,
@@ -10,7 +11,8 @@ const {
     CController,
     CStatus,
     CQuirks,
-    CLeveling
+    CLeveling,
+    CStreak
 } = require('./core/Component');
 const LaneSystem = require('./systems/LaneSystem');
 const ItemSystem = require('./systems/ItemSystem');
@@ -23,8 +25,24 @@ const AbilitySystem = require('./systems/AbilitySystem');
 const ChaosSystem = require('./systems/ChaosSystem');
 const { WeatherSystem } = require('./systems/WeatherSystem');
 const LevelingSystem = require('./systems/LevelingSystem');
+const QuirkSystem = require('./systems/QuirkSystem');
+const RespawnSystem = require('./systems/RespawnSystem');
+const MovementSystem = require('./systems/MovementSystem');
+const MacroSystem = require('./systems/MacroSystem');
+const RivalrySystem = require('./systems/RivalrySystem');
+const OvertimeSystem = require('./systems/OvertimeSystem');
+const BountySystem = require('./systems/BountySystem');
+const TakedownSystem = require('./systems/TakedownSystem');
+const MinionSystem = require('./systems/MinionSystem');
 const abilitiesData = require('./data/abilities.json');
 
+// Champion fields the simulation reads; everything a replay needs to rebuild a roster
+const ROSTER_FIELDS = [
+    'id', 'name', 'role', 'abilities', 'lore', 'archetype',
+    'mechanical_skill', 'game_sense', 'tilt_resistance', 'clutch_factor',
+    'power_curve', 'quirks', 'grudges', 'grudge_map', 'synergy_map'
+];
+
 /**
  * MatchSimulator - Public API for match simulation
  *
@@ -32,19 +50,125 @@ const abilitiesData = require('./data/abilities.json');
  * Provides a clean interface for running deterministic MOBA matches.
  */
 class MatchSimulator {
+    /**
+     * Bump whenever a change alters the event stream for a given seed + roster,
+     * so stored replays can tell they were recorded on a different engine.
+     */
+    static ENGINE_VERSION = '1.15.0';
+
+    /**
+     * Copy the parts of a team the simulation reads (detached from live team objects)
+     * @param {object} team
+     * @returns {object}
+     */
+    static snapshotTeam(team) {
+        return {
+            name: team.name,
+            champions: (team.champions || []).map(champion => MatchSimulator.snapshotChampion(champion))
+        };
+    }
+
+    /**
+     * Copy the parts of a champion the simulation reads
+     * @param {object} champion
+     * @returns {object}
+     */
+    static snapshotChampion(champion) {
+        const snapshot = {};
+        for (const field of ROSTER_FIELDS) {
+            if (champion[field] !== undefined) {
+                snapshot[field] = JSON.parse(JSON.stringify(champion[field]));
+            }
+        }
+        return snapshot;
+    }
+
+    /**
+     * Copy a draft config (pool and bench champions are snapshotted like rosters)
+     * @param {object} draft - { mode, bans, pool, bench: { team1, team2 } }
+     * @returns {object}
+     */
+    static snapshotDraft(draft) {
+        const bench = draft.bench || {};
+        return {
+            mode: draft.mode || 'roster',
+            bans: draft.bans !== undefined ? draft.bans : 2,
+            pool: (draft.pool || []).map(champion => MatchSimulator.snapshotChampion(champion)),
+            bench: {
+                team1: (bench.team1 || []).map(champion => MatchSimulator.snapshotChampion(champion)),
+                team2: (bench.team2 || []).map(champion => MatchSimulator.snapshotChampion(champion))
+            }
+        };
+    }
+
+    /**
+     * Run a match twice from the same config and report the first wave, system
+     * and event where the two runs diverge (null divergence = deterministic)
+     * @param {object} matchConfig - Same config the constructor takes
+     * @returns {Promise<object>} { deterministic, waves, divergence }
+     */
+    static async checkDeterminism(matchConfig) {
+        // Both runs need the same id (the default is time-based)
+        const matchId = matchConfig.matchId || `audit-${Date.now()}`;
+
+        return SimulationEngine.checkDeterminism(async () => {
+            const simulator = new MatchSimulator({ ...matchConfig, matchId, audit: true });
+            await simulator.initialize();
+            return simulator.engine;
+        });
+    }
+
+    /**
+     * Build a simulator from a replay config (getReplayConfig() output)
+     * @param {object} replay
+     * @returns {MatchSimulator}
+     */
+    static fromReplayConfig(replay) {
+        return new MatchSimulator({
+            matchId: replay.matchId,
+            seed: replay.seed,
+            team1: replay.roster.team1,
+            team2: replay.roster.team2,
+            maxWaves: replay.maxWaves,
+            snapshotInterval: replay.snapshotInterval,
+            intensityMultiplier: replay.intensityMultiplier,
+            ruleset: replay.ruleset,
+            draft: replay.draft,
+            overtime: replay.overtime
+        });
+    }
+
     constructor(matchConfig) {
         this.matchId = matchConfig.matchId || `match-${Date.now()}`;
         this.seed = matchConfig.seed || this.matchId;
         this.team1 = matchConfig.team1;
         this.team2 = matchConfig.team2;
+        this.maxWaves = matchConfig.maxWaves || 60;  // Regulation; overtime can run past it
+        this.snapshotInterval = matchConfig.snapshotInterval || 10;
         this.intensityMultiplier = matchConfig.intensityMultiplier || 1.0;  // For playoffs/championships
+        this.ruleset = matchConfig.ruleset || null;  // League ruleset: { systems, champions } multipliers, overtime rules
+        this.draft = matchConfig.draft ? MatchSimulator.snapshotDraft(matchConfig.draft) : null;  // Pick/ban phase: { mode, bans, pool, bench }
+        // Overtime rules: { waves, tiebreak } - explicit, else the league ruleset's, else OvertimeSystem defaults
+        this.overtime = matchConfig.overtime || (this.ruleset && this.ruleset.overtime) || null;
+        this.database = matchConfig.database || null;  // Career grudges/synergies are read from here on initialize()
+
+        // Rosters are snapshotted up front so live team objects can change mid-match
+        // without affecting the simulation (and so replays rebuild the same match)
+        this.roster = {
+            team1: MatchSimulator.snapshotTeam(this.team1),
+            team2: MatchSimulator.snapshotTeam(this.team2)
+        };
+
+        // Who actually plays: the roster (first champion per role), or the draft result
+        this.lineup = this.roster;
 
         // Create simulation engine
         this.engine = new SimulationEngine({
             seed: this.seed,
-            maxWaves: matchConfig.maxWaves || 60,
-            snapshotInterval: matchConfig.snapshotInterval || 10,
-            intensityMultiplier: this.intensityMultiplier  // Pass to engine
+            maxWaves: this.maxWaves,
+            snapshotInterval: this.snapshotInterval,
+            intensityMultiplier: this.intensityMultiplier,  // Pass to engine
+            audit: !!matchConfig.audit
         });
 
         this.initialized = false;
@@ -59,25 +183,44 @@ class MatchSimulator {
             throw new Error('Match already initialized');
         }
 
+        // Career rivalries become part of the roster snapshot (replays don't need the database)
+        if (this.database) {
+            await this._loadRelationships();
+        }
+
         // Initialize engine
         await this.engine.initialize({
             matchId: this.matchId,
-            team1: this.team1,
-            team2: this.team2
+            team1: this.roster.team1,
+            team2: this.roster.team2
         });
 
+        // Pick/ban phase (logged at tick 0, before wave 1)
+        if (this.draft) {
+            this.lineup = this.engine.runDraft(new DraftPhase(this.draft), this.roster);
+        }
+
         // Register systems (order matters - priority)
+        const respawnSystem = new RespawnSystem();
         const structureSystem = new StructureSystem();
         const itemSystem = new ItemSystem();
         const abilitySystem = new AbilitySystem();
         const levelingSystem = new LevelingSystem();
         const tiltSystem = new TiltSystem();
+        const quirkSystem = new QuirkSystem();
         const laneSystem = new LaneSystem();
         const jungleSystem = new JungleSystem();
         const objectiveSystem = new ObjectiveSystem();
         const teamfightSystem = new TeamfightSystem();
         const chaosSystem = new ChaosSystem();
         const weatherSystem = new WeatherSystem();
+        const movementSystem = new MovementSystem();
+        const macroSystem = new MacroSystem();
+        const rivalrySystem = new RivalrySystem();  // Not scheduled; called on fights, ganks and kills
+        const overtimeSystem = new OvertimeSystem();
+        const bountySystem = new BountySystem();  // Not scheduled; called on kills and objective secures
+        const takedownSystem = new TakedownSystem();  // Not scheduled; credits every champion kill
+        const minionSystem = new MinionSystem();
 
         // Load abilities into AbilitySystem
         abilitySystem.loadAbilities(abilitiesData);
@@ -86,27 +229,95 @@ class MatchSimulator {
         laneSystem.setAbilitySystem(abilitySystem);
         laneSystem.setLevelingSystem(levelingSystem);  // For CS XP rewards
         teamfightSystem.setAbilitySystem(abilitySystem);
-        teamfightSystem.setLevelingSystem(levelingSystem);  // For kill/assist XP
+        laneSystem.setItemSystem(itemSystem);       // Item passives on trades and hits
+        teamfightSystem.setItemSystem(itemSystem);
+        for (const system of [laneSystem, jungleSystem, teamfightSystem]) {
+            system.setTakedownSystem(takedownSystem);  // One place credits every kill
+        }
+        takedownSystem.setItemSystem(itemSystem);        // Takedown item passives
+        takedownSystem.setLevelingSystem(levelingSystem);  // Kill and assist XP
+        takedownSystem.setRespawnSystem(respawnSystem);  // Death timers for every kill
+        teamfightSystem.setMovementSystem(movementSystem);  // Fight locations
         abilitySystem.setObjectiveSystem(objectiveSystem);  // For rift buffs (CDR, damage)
         objectiveSystem.setLevelingSystem(levelingSystem);  // For objective XP
-
+        macroSystem.setObjectiveSystem(objectiveSystem);    // Objective timers drive macro calls
+        for (const system of [laneSystem, jungleSystem, objectiveSystem, teamfightSystem, structureSystem, movementSystem]) {
+            system.setMacroSystem(macroSystem);  // Every system follows the team's macro plan
+        }
+        for (const system of [jungleSystem, teamfightSystem, takedownSystem]) {
+            system.setRivalrySystem(rivalrySystem);  // Grudges and synergies wherever champions meet
+        }
+        rivalrySystem.setTiltSystem(tiltSystem);
+        for (const system of [takedownSystem, objectiveSystem]) {
+            system.setBountySystem(bountySystem);  // Streaks, shutdowns and comeback bounties
+        }
+        bountySystem.setItemSystem(itemSystem);  // Net worth for comeback bounties
+        structureSystem.setOvertimeSystem(overtimeSystem);  // Overtime structure damage ramp
+        structureSystem.setMinionSystem(minionSystem);      // Waves at a structure siege it
+        minionSystem.setStructureSystem(structureSystem);   // Where waves stop, lane pressure
+        laneSystem.setMinionSystem(minionSystem);           // Last hits kill real minions
+        minionSystem.setObjectiveSystem(objectiveSystem);   // Monolith's Blessing empowers waves
+        overtimeSystem.setItemSystem(itemSystem);           // Net worth tiebreak
+
+        this.engine.registerSystem(respawnSystem, 3);     // Respawns before anyone checks who's alive
         this.engine.registerSystem(structureSystem, 5);   // Structures first (win condition)
         this.engine.registerSystem(weatherSystem, 8);     // Weather (affects multipliers)
         this.engine.registerSystem(itemSystem, 10);       // Items (gold → purchases)
         this.engine.registerSystem(abilitySystem, 12);    // Abilities (mana regen, cooldowns)
         this.engine.registerSystem(levelingSystem, 13);   // Leveling (XP → level ups) - after abilities
         this.engine.registerSystem(tiltSystem, 15);       // Tilt (affects all performance)
+        this.engine.registerSystem(macroSystem, 16);      // Team macro plan (after tilt clouds game sense)
+        this.engine.registerSystem(quirkSystem, 18);      // Quirks (before anyone farms or fights)
+        this.engine.registerSystem(minionSystem, 19);     // Minion waves march and clash (before laners farm them)
         this.engine.registerSystem(laneSystem, 20);       // Lane phase
         this.engine.registerSystem(jungleSystem, 25);     // Jungle actions
         this.engine.registerSystem(objectiveSystem, 30);  // Objectives
         this.engine.registerSystem(teamfightSystem, 35);  // Teamfights last
         this.engine.registerSystem(chaosSystem, 40);      // Chaos events after everything
+        this.engine.registerSystem(movementSystem, 45);   // Positions from everything that happened this wave
+        this.engine.registerSystem(overtimeSystem, 50);   // Overtime, sudden death and tiebreaks judge the finished wave
 
         // Store references for later use
         this.abilitySystem = abilitySystem;
         this.weatherSystem = weatherSystem;
         this.chaosSystem = chaosSystem;
         this.levelingSystem = levelingSystem;
+        this.movementSystem = movementSystem;
+        this.macroSystem = macroSystem;
+        this.overtimeSystem = overtimeSystem;
+        this.minionSystem = minionSystem;
+        this.jungleSystem = jungleSystem;
+
+        // Apply league ruleset before anything reads system config
+        this._applyRulesetToSystems({
+            respawn: respawnSystem,
+            structure: structureSystem,
+            item: itemSystem,
+            ability: abilitySystem,
+            leveling: levelingSystem,
+            tilt: tiltSystem,
+            quirk: quirkSystem,
+            lane: laneSystem,
+            jungle: jungleSystem,
+            objective: objectiveSystem,
+            teamfight: teamfightSystem,
+            chaos: chaosSystem,
+            weather: weatherSystem,
+            movement: movementSystem,
+            macro: macroSystem,
+            rivalry: rivalrySystem,
+            overtime: overtimeSystem,
+            bounty: bountySystem,
+            takedown: takedownSystem,
+            minion: minionSystem
+        });
+
+        // Regulation ends at maxWaves; the engine keeps going through overtime
+        overtimeSystem.config.regulationWaves = this.maxWaves;
+        if (this.overtime) {
+            overtimeSystem.configure(this.overtime);
+        }
+        this.engine.config.maxWaves = overtimeSystem.getWaveLimit();
 
         // Initialize weather
         const rng = this.engine.getRNG();
@@ -117,6 +328,7 @@ class MatchSimulator {
         this._createChampionEntities();
 
         // Initialize abilities for all champions
+        const champions = this.engine.getWorld().queryByTag('champion');
         for (const champion of champions) {
             const identity = champion.getComponent('identity');
             if (identity.abilities) {
@@ -133,6 +345,12 @@ class MatchSimulator {
         // Initialize structures
         structureSystem.initialize(this.engine.getWorld());
 
+        // Jungle camps (after structures so structure entity ids don't move)
+        jungleSystem.initialize(this.engine.getWorld());
+
+        // Pre-match strategy profiles (logged at tick 0, like the draft)
+        macroSystem.initialize(this.engine.getWorld(), rng.fork('macro_init'), eventLog, 0);
+
         this.initialized = true;
 
         return {
@@ -141,6 +359,83 @@ class MatchSimulator {
         };
     }
 
+    /**
+     * Attach career grudges and synergies to every champion that could play
+     * (both rosters, their benches and the draft pool). Failures leave the rosters as they are.
+     */
+    async _loadRelationships() {
+        const champions = [
+            ...this.roster.team1.champions,
+            ...this.roster.team2.champions,
+            ...(this.draft ? [...this.draft.bench.team1, ...this.draft.bench.team2, ...this.draft.pool] : [])
+        ];
+
+        for (const champion of champions) {
+            if (!champion.id) continue;
+
+            try {
+                const grudges = await this.database.getChampionGrudges(champion.id);
+                const synergies = await this.database.getChampionSynergies(champion.id);
+
+                champion.grudge_map = {};
+                champion.grudges = [...(champion.grudges || [])];
+                for (const grudge of grudges) {
+                    champion.grudge_map[grudge.grudge_target_id] = grudge.intensity;
+                    if (!champion.grudges.includes(grudge.grudge_target_id)) {
+                        champion.grudges.push(grudge.grudge_target_id);
+                    }
+                }
+
+                champion.synergy_map = { ...(champion.synergy_map || {}) };
+                for (const synergy of synergies) {
+                    champion.synergy_map[synergy.synergy_target_id] = synergy.strength;
+                }
+            } catch (error) {
+                console.error(`Error loading rivalries for ${champion.name}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Scale system config values by the league ruleset multipliers
+     * @param {object} systems - Ruleset key -> system instance
+     */
+    _applyRulesetToSystems(systems) {
+        if (!this.ruleset || !this.ruleset.systems) return;
+
+        for (const [key, multipliers] of Object.entries(this.ruleset.systems)) {
+            const system = systems[key];
+            if (!system || !system.config) continue;
+
+            for (const [configKey, multiplier] of Object.entries(multipliers)) {
+                if (typeof system.config[configKey] === 'number') {
+                    system.config[configKey] *= multiplier;
+                }
+            }
+        }
+    }
+
+    /**
+     * Scale a champion's hidden stats by their blessings/curses in the ruleset
+     * @param {object} championData
+     * @param {object} hiddenStats - Base hidden stats (modified in place)
+     * @returns {object}
+     */
+    _applyRulesetToHiddenStats(championData, hiddenStats) {
+        const champions = (this.ruleset && this.ruleset.champions) || {};
+        // Rulesets saved before champion IDs existed are keyed by name
+        const modifiers = champions[championData.id] || champions[championData.name];
+        if (!modifiers) return hiddenStats;
+
+        for (const [stat, multiplier] of Object.entries(modifiers)) {
+            if (typeof hiddenStats[stat] === 'number') {
+                hiddenStats[stat] = Math.max(0, Math.min(1, hiddenStats[stat] * multiplier));
+            }
+        }
+
+        return hiddenStats;
+    }
+
     /**
      * Create entity for each champion
      */
@@ -150,7 +445,7 @@ class MatchSimulator {
 
         // Team 1 champions
         for (const role of roles) {
-            const championData = this._findChampionByRole(this.team1.champions, role);
+            const championData = this._findChampionByRole(this.lineup.team1.champions, role);
             if (championData) {
                 const entity = this._createChampionEntity(championData, 'team1', role);
                 world.addEntity(entity);
@@ -159,7 +454,7 @@ class MatchSimulator {
 
         // Team 2 champions
         for (const role of roles) {
-            const championData = this._findChampionByRole(this.team2.champions, role);
+            const championData = this._findChampionByRole(this.lineup.team2.champions, role);
             if (championData) {
                 const entity = this._createChampionEntity(championData, 'team2', role);
                 world.addEntity(entity);
@@ -191,6 +486,7 @@ class MatchSimulator {
         const abilityIds = championData.abilities || ['void_bolt', 'reality_slash', 'shadow_step', 'black_hole'];
         entity.addComponent('identity', new CIdentity({
             id: `${teamId}-${role}`,
+            championId: championData.id,
             name: championData.name,
             role: role,
             lore: championData.lore,
@@ -212,15 +508,18 @@ class MatchSimulator {
             kda: { kills: 0, deaths: 0, assists: 0 }
         }));
 
-        // Hidden stats
-        entity.addComponent('hiddenStats', new CHiddenStats({
+        // Hidden stats (with any Reckoning blessings/curses applied)
+        entity.addComponent('hiddenStats', new CHiddenStats(this._applyRulesetToHiddenStats(championData, {
             mechanical_skill: championData.mechanical_skill || 0.5,
             game_sense: championData.game_sense || 0.5,
             tilt_resistance: championData.tilt_resistance || 0.5,
             clutch_factor: championData.clutch_factor || 0.5,
             tilt_level: 0,
-            power_curve: championData.power_curve || 'mid'  // 'early', 'mid', 'late'
-        }));
+            power_curve: championData.power_curve || 'mid',  // 'early', 'mid', 'late'
+            grudges: championData.grudges || [],
+            grudge_map: championData.grudge_map || {},
+            synergy_map: championData.synergy_map || {}
+        })));
 
         // Items
         entity.addComponent('items', new CItems());
@@ -243,6 +542,9 @@ class MatchSimulator {
         // Quirks
         entity.addComponent('quirks', new CQuirks(championData.quirks || []));
 
+        // Kill streaks
+        entity.addComponent('streak', new CStreak());
+
         // Tags
         entity.addTag('champion');
         entity.addTag(teamId);
@@ -299,10 +601,96 @@ class MatchSimulator {
             seed: this.seed,
             initialized: this.initialized,
             engine: this.engine.getState(),
-            champions: this._getChampionStates()
+            champions: this._getChampionStates(),
+            macro: this.macroSystem ? this.macroSystem.getSummary() : null,
+            overtime: this.getOvertimeStatus(),
+            decision: this.getDecision(),
+            minionWaves: this.getMinionWaves(),
+            jungleCamps: this.getJungleCamps()
         };
     }
 
+    /**
+     * Overtime progress for status displays
+     * @returns {object|null} { active, wave, waves } (null before initialize())
+     */
+    getOvertimeStatus() {
+        if (!this.overtimeSystem) return null;
+
+        const tick = this.engine.getWorld().getTick();
+        return {
+            active: this.overtimeSystem.isOvertime(tick),
+            wave: Math.max(0, this.overtimeSystem.getOvertimeWave(tick)),
+            waves: this.overtimeSystem.config.overtimeWaves
+        };
+    }
+
+    /**
+     * How the match was decided, once it has been
+     * @returns {object|null} { method: 'core'|'sudden_death'|'tiebreak', criterion?, overtime, tick }
+     */
+    getDecision() {
+        return this.engine.getWorld().getMetadata('matchDecision') || null;
+    }
+
+    /**
+     * Most waves this match can run, overtime included
+     * @returns {number}
+     */
+    getWaveLimit() {
+        return this.overtimeSystem ? this.overtimeSystem.getWaveLimit() : this.maxWaves;
+    }
+
+    /**
+     * End a match that was stopped without a winner on the tiebreak ladder
+     * @returns {string} Winning team id
+     */
+    resolveTiebreak() {
+        const world = this.engine.getWorld();
+        if (world.getMetadata('matchOver')) return world.getMetadata('matchWinner');
+
+        return this.overtimeSystem.resolveTiebreak(
+            world,
+            this.engine.getRNG().fork('tiebreak'),
+            this.engine.getEventLog(),
+            world.getTick()
+        );
+    }
+
+    /**
+     * Where every champion is on the map right now (minimap frames)
+     * @returns {object[]}
+     */
+    getPositions() {
+        return this._getChampionStates().map(({ id, name, role, teamId, isAlive, position }) => ({
+            id, name, role, teamId, isAlive, position
+        }));
+    }
+
+    /**
+     * Every minion wave on the map right now (minimap frames)
+     * @returns {object[]}
+     */
+    getMinionWaves() {
+        return this.minionSystem ? this.minionSystem.getWaves(this.engine.getWorld()) : [];
+    }
+
+    /**
+     * Every jungle camp and whether it's up (camp timers for the UI and commentary)
+     * @returns {object[]}
+     */
+    getJungleCamps() {
+        return this.jungleSystem ? this.jungleSystem.getCamps(this.engine.getWorld()) : [];
+    }
+
+    /**
+     * Map layout champion positions refer to
+     * @returns {object} { nodes, edges }
+     */
+    getMap() {
+        return this.movementSystem.getMap();
+    }
+
     /**
      * Get champion states for display
      * @returns {object[]}
@@ -316,9 +704,12 @@ class MatchSimulator {
             const stats = entity.getComponent('stats');
             const hiddenStats = entity.getComponent('hiddenStats');
             const items = entity.getComponent('items');
+            const position = entity.getComponent('position');
+            const streak = entity.getComponent('streak');
 
             return {
                 id: identity.id,
+                championId: identity.championId,
                 name: identity.name,
                 role: identity.role,
                 teamId: identity.teamId,
@@ -326,8 +717,24 @@ class MatchSimulator {
                 cs: stats.cs,
                 gold: stats.gold,
                 level: stats.level,
+                isAlive: stats.isAlive,
+                deathTimer: stats.deathTimer,
+                position: {
+                    nodeId: position.nodeId,
+                    zone: position.zone,
+                    x: position.x,
+                    y: position.y
+                },
                 items: items.inventory,
-                tilt: hiddenStats.tilt_level
+                tilt: hiddenStats.tilt_level,
+                streak: streak ? {
+                    current: streak.current,
+                    best: streak.best,
+                    sprees: streak.sprees,
+                    legendaries: streak.legendaries,
+                    shutdowns: streak.shutdowns,
+                    bountyGold: streak.bountyGold
+                } : null
             };
         });
     }
@@ -348,6 +755,52 @@ class MatchSimulator {
         return this.engine.getEventLog().getAllEvents();
     }
 
+    /**
+     * Everything needed to re-simulate this match (see ReplayRunner)
+     * @returns {object}
+     */
+    getReplayConfig() {
+        return {
+            engineVersion: MatchSimulator.ENGINE_VERSION,
+            matchId: this.matchId,
+            seed: this.seed,
+            maxWaves: this.maxWaves,
+            snapshotInterval: this.snapshotInterval,
+            intensityMultiplier: this.intensityMultiplier,
+            ruleset: this.ruleset,
+            draft: this.draft,
+            overtime: this.overtime,
+            roster: this.roster
+        };
+    }
+
+    /**
+     * Snapshot the match mid-flight (plain JSON-safe data)
+     * @returns {object} { engineVersion, replay, engine }
+     */
+    createSnapshot() {
+        return {
+            engineVersion: MatchSimulator.ENGINE_VERSION,
+            replay: this.getReplayConfig(),
+            engine: this.engine.serialize()
+        };
+    }
+
+    /**
+     * Initialize, then continue from a createSnapshot() snapshot.
+     * Build the simulator with fromReplayConfig(snapshot.replay) first.
+     * @param {object} snapshot
+     */
+    async restoreSnapshot(snapshot) {
+        if (snapshot.engineVersion !== MatchSimulator.ENGINE_VERSION) {
+            throw new Error(`Snapshot was taken on engine ${snapshot.engineVersion}, current engine is ${MatchSimulator.ENGINE_VERSION}`);
+        }
+
+        // Wire up systems and entities as usual, then overwrite their state
+        await this.initialize();
+        this.engine.deserialize(snapshot.engine);
+    }
+
     /**
      * Export replay data
      * @returns {object}
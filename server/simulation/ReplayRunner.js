@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const MatchSimulator = require('./MatchSimulator');
+
+/**
+ * ReplayRunner - Rebuilds a match from its seed and roster snapshot
+ *
+ * Replays are stored as the inputs to a match (seed, roster snapshot, config,
+ * engine version) rather than the full event stream. Because MatchSimulator is
+ * deterministic, re-running those inputs reproduces the identical events.
+ * A hash of the original event stream lets us verify the engine still agrees.
+ */
+class ReplayRunner {
+    /**
+     * @param {object} replay - Replay config from MatchSimulator.getReplayConfig()
+     *                          (or a stored replay with the same fields)
+     */
+    constructor(replay) {
+        if (!replay || replay.seed === undefined || !replay.roster) {
+            throw new Error('Replay requires a seed and roster snapshot');
+        }
+        this.replay = replay;
+    }
+
+    /**
+     * Hash an event stream, ignoring wall-clock timestamps
+     * @param {object[]} events
+     * @returns {string}
+     */
+    static hashEvents(events) {
+        const hash = crypto.createHash('sha256');
+        for (const event of events) {
+            const { timestamp, ...deterministic } = event;
+            hash.update(JSON.stringify(deterministic));
+        }
+        return hash.digest('hex');
+    }
+
+    /**
+     * Whether the replay was recorded on the current engine version
+     * @returns {boolean}
+     */
+    isCurrentEngine() {
+        return this.replay.engineVersion === MatchSimulator.ENGINE_VERSION;
+    }
+
+    /**
+     * Build a fresh simulator for this replay
+     * @returns {MatchSimulator}
+     */
+    createSimulator() {
+        return MatchSimulator.fromReplayConfig(this.replay);
+    }
+
+    /**
+     * Re-simulate the match
+     * Stops at the recorded wave count if there is one (live matches can be cut short)
+     * @returns {object} { events, winner, waves, finalState, positions, minionWaves }
+     */
+    async run() {
+        const simulator = this.createSimulator();
+        await simulator.initialize();
+
+        const waveLimit = this.replay.waves || simulator.getWaveLimit();
+        let result = { finished: false, wave: 0 };
+        const positions = {};  // Wave -> champion positions at the end of it (minimap frames)
+        const minionWaves = {};  // Wave -> minion waves at the end of it
+        while (!result.finished && result.wave < waveLimit) {
+            result = simulator.step();
+            positions[result.wave] = simulator.getPositions();
+            minionWaves[result.wave] = simulator.getMinionWaves();
+        }
+
+        return {
+            events: simulator.getAllEvents(),
+            winner: result.winner || null,
+            waves: result.wave,
+            finalState: simulator.getState(),
+            positions,
+            minionWaves
+        };
+    }
+
+    /**
+     * Re-simulate and compare against the recorded event hash
+     * @returns {object} Verification report
+     */
+    async verify() {
+        const { events, winner, waves } = await this.run();
+        const eventHash = ReplayRunner.hashEvents(events);
+
+        return {
+            matchId: this.replay.matchId,
+            verified: eventHash === this.replay.eventHash,
+            engineVersion: this.replay.engineVersion,
+            currentEngineVersion: MatchSimulator.ENGINE_VERSION,
+            expected: {
+                eventHash: this.replay.eventHash,
+                eventCount: this.replay.eventCount,
+                waves: this.replay.waves
+            },
+            actual: {
+                eventHash,
+                eventCount: events.length,
+                waves,
+                winner
+            }
+        };
+    }
+}
+
+module.exports = ReplayRunner;
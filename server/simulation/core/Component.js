@@ -9,9 +9,15 @@
  * Position & Location
  */
 class CPosition {
-    constructor(lane = null, zone = 'base') {
+    constructor(lane = null, zone = 'base', nodeId = null) {
         this.lane = lane;  // 'top', 'jungle', 'mid', 'bot', 'support'
         this.zone = zone;  // 'base', 'lane', 'jungle', 'river', 'objective'
+
+        // Map graph location (see MapGraph); set by MovementSystem each wave
+        this.nodeId = nodeId;
+        this.x = null;  // Normalized [0, 1] map coordinates
+        this.y = null;
+        this.path = [];  // Nodes walked through during the last wave
     }
 }
 
@@ -40,8 +46,11 @@ class CStats {
         // Performance tracking (visible)
         this.kda = data.kda || { kills: 0, deaths: 0, assists: 0 };
 
-        // Structure-specific stats
+        // Alive state (champions and structures)
         this.isAlive = data.isAlive !== undefined ? data.isAlive : true;
+        this.deathTimer = data.deathTimer || 0;  // Waves a dead champion still has to sit out
+
+        // Structure-specific stats
         this.isVulnerable = data.isVulnerable !== undefined ? data.isVulnerable : false;
     }
 
@@ -78,6 +87,7 @@ class CHiddenStats {
 
         // Relationships
         this.grudges = data.grudges || [];  // List of champion IDs
+        this.grudge_map = data.grudge_map || {};  // championId -> career grudge intensity
         this.synergy_map = data.synergy_map || {};  // championId -> synergy score
     }
 
@@ -103,6 +113,13 @@ class CItems {
     constructor() {
         this.inventory = [];  // Array of item objects
         this.maxSlots = 6;
+
+        // Item passive state (see ItemPassives)
+        this.passiveCooldowns = {};  // `${itemId}:${index}` -> tick the passive is ready again
+        this.stacks = {};            // `${sourceId}:${itemId}:${stat}` -> stacking stat entry (own or applied by enemies)
+        this.shield = 0;             // Item shields, cleared at the start of each wave
+        this.deferredDamage = 0;     // Damage held back by defer_damage passives
+        this.lastDamagedTick = 0;
     }
 
     addItem(item) {
@@ -181,6 +198,7 @@ class CLaneState {
             team1: { count: 0, position: 0 },  // position: -1 (own side) to +1 (enemy side)
             team2: { count: 0, position: 0 }
         };
+        this.waves = [];  // Minion wave entities in the lane (MinionSystem.getWaves() entries)
         this.pressure = 0;  // -1 (team2 pushing) to +1 (team1 pushing)
         this.towerHealth = {
             team1: { outer: 2500, inner: 2500, inhibitor: 2500 },
@@ -195,17 +213,50 @@ class CLaneState {
     }
 }
 
+/**
+ * Minion wave - one team's wave marching down a lane (MinionSystem)
+ */
+class CMinionWave {
+    constructor(lane, number, position, minions = []) {
+        this.lane = lane;
+        this.number = number;  // Wave number in the match (same for both teams)
+        this.position = position;  // Lane node index space: 0 (team1's end) to 4 (team2's end)
+        this.minions = minions;  // [{ type, health }] front of the wave first
+        this.empowered = false;  // Spawned after the enemy Gateway in this lane fell
+        this.blessed = false;  // Spawned while the team held an objective's wave buff (Monolith's Blessing)
+        this.state = 'marching';  // 'marching', 'clashing' (with the enemy wave) or 'sieging'
+        this.target = null;  // Entity id of the structure being sieged
+    }
+}
+
+/**
+ * Jungle camp in one of the four jungle quadrants (JungleSystem, data/jungle.json)
+ */
+class CJungleCamp {
+    constructor(campId, teamId, nodeId, buff = null) {
+        this.campId = campId;  // data/jungle.json camp id, e.g. 'raptors'
+        this.teamId = teamId;  // Side of the map the camp is on
+        this.nodeId = nodeId;  // Jungle quadrant node (MapGraph)
+        this.buff = buff;  // 'red', 'blue' or null
+        this.isUp = true;
+        this.respawnAt = null;  // Wave the camp comes back after being cleared
+        this.lastClearedBy = null;  // Team that took it last
+    }
+}
+
 /**
  * Champion identity & metadata
  */
 class CIdentity {
     constructor(data) {
         this.id = data.id;
+        this.championId = data.championId || null;  // Stable league-wide ID (id is the match slot)
         this.name = data.name;
         this.role = data.role;  // 'top', 'jungle', 'mid', 'adc', 'support'
         this.lore = data.lore || '';
         this.teamId = data.teamId;
         this.archetype = data.archetype || 'balanced';  // 'tank', 'assassin', 'mage', 'marksman', 'support'
+        this.abilities = data.abilities || null;  // { q, w, e, r } ability IDs (champions only)
 
         // Additional properties for structures
         this.structureType = data.structureType;  // 'spire', 'gateway', 'core'
@@ -216,8 +267,13 @@ class CIdentity {
 
 /**
  * Status effects & buffs
+ *
+ * Statuses applied by abilities (see engines/StatusEffects.js) carry an
+ * abilityId and are timed in combat seconds; everything else is timed in waves.
  */
 class CStatus {
+    static KINDS = ['buffs', 'debuffs', 'cc'];
+
     constructor() {
         this.buffs = [];  // { type, duration, strength, source }
         this.debuffs = [];
@@ -236,19 +292,94 @@ class CStatus {
         this.cc.push({ ...cc, remainingDuration: cc.duration });
     }
 
-    tick(amount = 1) {
-        this.buffs = this.buffs.filter(b => {
-            b.remainingDuration -= amount;
-            return b.remainingDuration > 0;
-        });
-        this.debuffs = this.debuffs.filter(d => {
-            d.remainingDuration -= amount;
-            return d.remainingDuration > 0;
-        });
-        this.cc = this.cc.filter(c => {
-            c.remainingDuration -= amount;
-            return c.remainingDuration > 0;
+    /**
+     * Add a status following a stacking rule:
+     * - 'refresh': one instance per type; reapplying resets the duration
+     * - 'stack': one instance per type; reapplying adds a stack (up to maxStacks) and resets the duration
+     * - 'independent': every application is tracked (and expires) separately
+     * @param {string} kind - 'buffs', 'debuffs' or 'cc'
+     * @param {object} status - { type, duration, ... }
+     * @param {string} stacking
+     * @param {number} maxStacks
+     * @returns {object} The stored status
+     */
+    apply(kind, status, stacking = 'refresh', maxStacks = 1) {
+        const list = this[kind];
+        const existing = stacking === 'independent' ? null : list.find(s => s.type === status.type);
+
+        if (!existing) {
+            const added = { ...status, stacks: 1, remainingDuration: status.duration };
+            list.push(added);
+            return added;
+        }
+
+        const stacks = stacking === 'stack' ? Math.min(maxStacks, existing.stacks + 1) : existing.stacks;
+        Object.assign(existing, status, {
+            stacks,
+            remainingDuration: Math.max(existing.remainingDuration, status.duration)
         });
+        return existing;
+    }
+
+    /**
+     * Count down durations and drop expired statuses
+     * @param {number} amount
+     * @param {function} filter - Only statuses matching this are ticked
+     * @returns {object[]} Expired statuses, each with its kind
+     */
+    tick(amount = 1, filter = () => true) {
+        const expired = [];
+        for (const kind of CStatus.KINDS) {
+            this[kind] = this[kind].filter(s => {
+                if (!filter(s)) return true;
+                s.remainingDuration -= amount;
+                if (s.remainingDuration > 0) return true;
+                expired.push({ ...s, kind });
+                return false;
+            });
+        }
+        return expired;
+    }
+
+    /**
+     * Remove a status early (consumed shields, blocks, rewinds)
+     * @returns {boolean} Whether it was present
+     */
+    remove(kind, status) {
+        const index = this[kind].indexOf(status);
+        if (index === -1) return false;
+        this[kind].splice(index, 1);
+        return true;
+    }
+
+    getBuffs() {
+        return this.buffs;
+    }
+
+    find(type) {
+        for (const kind of CStatus.KINDS) {
+            const status = this[kind].find(s => s.type === type);
+            if (status) return status;
+        }
+        return null;
+    }
+
+    /**
+     * Sum a numeric effect across all statuses (multiplied by stacks)
+     */
+    getEffect(effect) {
+        let total = 0;
+        for (const kind of CStatus.KINDS) {
+            for (const status of this[kind]) {
+                const value = status.effects && status.effects[effect];
+                if (typeof value === 'number') total += value * (status.stacks || 1);
+            }
+        }
+        return total;
+    }
+
+    hasEffect(effect) {
+        return CStatus.KINDS.some(kind => this[kind].some(s => s.effects && s.effects[effect]));
     }
 
     isStunned() {
@@ -258,6 +389,20 @@ class CStatus {
     isSilenced() {
         return this.cc.some(c => c.type === 'silence');
     }
+
+    /**
+     * Stunned, knocked up, pulled - can't act at all
+     */
+    isDisabled() {
+        return this.cc.some(c => c.disables);
+    }
+
+    /**
+     * Can't walk away: disabled, rooted or heavily slowed
+     */
+    isImmobilized() {
+        return this.isDisabled() || this.cc.some(c => c.immobilizes) || this.getEffect('movement_speed') <= -0.3;
+    }
 }
 
 /**
@@ -267,7 +412,7 @@ class CController {
     constructor(role, strategy = 'balanced') {
         this.role = role;
         this.strategy = strategy;  // 'aggressive', 'balanced', 'defensive'
-        this.currentGoal = 'farm';  // 'farm', 'roam', 'fight', 'objective', 'recall'
+        this.currentGoal = 'farm';  // Team macro decision, e.g. 'split_push', 'group_mid', 'siege', 'farm_safe'
         this.decisionCooldown = 0;
     }
 }
@@ -277,8 +422,10 @@ class CController {
  */
 class CQuirks {
     constructor(quirks = []) {
-        this.quirks = quirks;  // Array of quirk objects
-        this.activeQuirks = [];
+        this.quirks = quirks;  // Array of quirk objects { id, name, description }
+        this.activeQuirks = [];  // { id, name, effect, remainingDuration, data }
+        this.cooldowns = {};  // quirkId -> waves until it can proc again
+        this.lastKda = { kills: 0, deaths: 0 };  // For kill/death triggers
     }
 
     hasQuirk(quirkName) {
@@ -288,6 +435,17 @@ class CQuirks {
     getQuirk(quirkName) {
         return this.quirks.find(q => q.name === quirkName);
     }
+
+    getActiveQuirk(quirkId) {
+        return this.activeQuirks.find(q => q.id === quirkId);
+    }
+
+    /**
+     * Check if an active quirk sets a flag (e.g. 'no_farm')
+     */
+    hasActiveFlag(flag) {
+        return this.activeQuirks.some(q => q.effect.flag === flag);
+    }
 }
 
 /**
@@ -301,7 +459,55 @@ class CLeveling {
     }
 }
 
+/**
+ * Streak component - kills without dying and the bounties that come with them
+ */
+class CStreak {
+    constructor() {
+        this.current = 0;  // Kills since last death
+        this.best = 0;  // Largest streak this match
+        this.sprees = 0;  // Streaks that reached a killing spree
+        this.legendaries = 0;  // Streaks that went legendary
+        this.shutdowns = 0;  // Enemy streaks this champion ended
+        this.bountyGold = 0;  // Gold from shutdowns and comeback bounties
+    }
+}
+
+/**
+ * Component type keys (as passed to entity.addComponent) -> class.
+ * Used to rebuild components from a serialized world.
+ */
+const COMPONENT_TYPES = {
+    identity: CIdentity,
+    stats: CStats,
+    hiddenStats: CHiddenStats,
+    items: CItems,
+    abilities: CAbilities,
+    leveling: CLeveling,
+    position: CPosition,
+    controller: CController,
+    status: CStatus,
+    quirks: CQuirks,
+    streak: CStreak,
+    minionWave: CMinionWave,
+    jungleCamp: CJungleCamp
+};
+
+/**
+ * Rebuild a component from serialized data, restoring its class so methods work
+ * @param {string} type - Component type key
+ * @param {object} data - Serialized component fields
+ * @returns {object}
+ */
+function restoreComponent(type, data) {
+    const ComponentClass = COMPONENT_TYPES[type];
+    const component = ComponentClass ? Object.create(ComponentClass.prototype) : {};
+    return Object.assign(component, JSON.parse(JSON.stringify(data)));
+}
+
 module.exports = {
+    COMPONENT_TYPES,
+    restoreComponent,
     CPosition,
     CStats,
     CHiddenStats,
@@ -312,5 +518,8 @@ module.exports = {
     CStatus,
     CController,
     CQuirks,
-    CLeveling
+    CLeveling,
+    CStreak,
+    CMinionWave,
+    CJungleCamp
 };
@@ -1,3 +1,5 @@
+const { restoreComponent } = require('./Component');
+
 /**
  * Entity - Base class for ECS entities
  *
@@ -5,10 +7,8 @@
  * Systems query entities by their component composition.
  */
 class Entity {
-    static nextId = 1;
-
     constructor(id = null) {
-        this.id = id || Entity.nextId++;
+        this.id = id;  // Assigned by World.addEntity so ids are deterministic per match
         this.components = new Map();
         this.tags = new Set();
     }
@@ -101,7 +101,8 @@ class Entity {
     serialize() {
         const components = {};
         for (const [type, component] of this.components) {
-            components[type] = { ...component };
+            // Deep copy so snapshots don't keep changing with the live entity
+            components[type] = JSON.parse(JSON.stringify(component));
         }
         return {
             id: this.id,
@@ -110,6 +111,22 @@ class Entity {
         };
     }
 
+    /**
+     * Rebuild an entity from serialize() output
+     * @param {object} data
+     * @returns {Entity}
+     */
+    static deserialize(data) {
+        const entity = new Entity(data.id);
+        for (const [type, component] of Object.entries(data.components)) {
+            entity.addComponent(type, restoreComponent(type, component));
+        }
+        for (const tag of data.tags) {
+            entity.addTag(tag);
+        }
+        return entity;
+    }
+
     /**
      * Clone entity (shallow copy of components)
      * @returns {Entity}
@@ -50,6 +50,14 @@ class RNG {
         return this.prng();
     }
 
+    /**
+     * Alias for random()
+     * @returns {number}
+     */
+    next() {
+        return this.random();
+    }
+
     /**
      * Generate random integer [min, max] (inclusive)
      * @param {number} min
@@ -135,7 +143,22 @@ class RNG {
     }
 
     /**
-     * Get current RNG state for debugging
+     * Rebuild an RNG from getState() output.
+     * seedrandom streams can't be serialized directly, so the stream is
+     * replayed forward by the recorded number of calls.
+     * @param {object} state
+     * @returns {RNG}
+     */
+    static fromState(state) {
+        const rng = new RNG(state.seed, state.path);
+        while (rng.callCount < state.callCount) {
+            rng.random();
+        }
+        return rng;
+    }
+
+    /**
+     * Get current RNG state (for debugging and snapshots)
      * @returns {object}
      */
     getState() {
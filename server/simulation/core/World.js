@@ -1,3 +1,5 @@
+const Entity = require('./Entity');
+
 /**
  * World - ECS container for all entities and game state
  *
@@ -9,14 +11,18 @@ class World {
         this.entitiesByTag = new Map();
         this.tick = 0;
         this.metadata = {};
+        this.nextEntityId = 1;
     }
 
     /**
-     * Add entity to world
+     * Add entity to world (assigns an id if it doesn't have one)
      * @param {Entity} entity
      * @returns {Entity}
      */
     addEntity(entity) {
+        if (entity.id === null) {
+            entity.id = this.nextEntityId++;
+        }
         this.entities.set(entity.id, entity);
 
         // Index by tags
@@ -53,6 +59,35 @@ class World {
         return this.entities.delete(entityId);
     }
 
+    /**
+     * Tag an entity that is already in the world (keeps tag indices in sync)
+     * @param {Entity} entity
+     * @param {string} tag
+     */
+    addEntityTag(entity, tag) {
+        entity.addTag(tag);
+        if (!this.entitiesByTag.has(tag)) {
+            this.entitiesByTag.set(tag, new Set());
+        }
+        this.entitiesByTag.get(tag).add(entity.id);
+    }
+
+    /**
+     * Untag an entity that is already in the world (keeps tag indices in sync)
+     * @param {Entity} entity
+     * @param {string} tag
+     */
+    removeEntityTag(entity, tag) {
+        entity.removeTag(tag);
+        const tagSet = this.entitiesByTag.get(tag);
+        if (tagSet) {
+            tagSet.delete(entity.id);
+            if (tagSet.size === 0) {
+                this.entitiesByTag.delete(tag);
+            }
+        }
+    }
+
     /**
      * Get entity by ID
      * @param {number} id
@@ -137,6 +172,7 @@ class World {
         this.entities.clear();
         this.entitiesByTag.clear();
         this.tick = 0;
+        this.nextEntityId = 1;
     }
 
     /**
@@ -184,11 +220,29 @@ class World {
 
         return {
             tick: this.tick,
+            nextEntityId: this.nextEntityId,
             entities,
-            metadata: { ...this.metadata }
+            metadata: JSON.parse(JSON.stringify(this.metadata))
         };
     }
 
+    /**
+     * Replace world contents with serialize() output
+     * @param {object} state
+     */
+    deserialize(state) {
+        this.clear();
+        this.tick = state.tick;
+        this.metadata = JSON.parse(JSON.stringify(state.metadata));
+
+        for (const data of Object.values(state.entities)) {
+            this.addEntity(Entity.deserialize(data));
+        }
+
+        this.nextEntityId = state.nextEntityId ||
+            Math.max(0, ...Array.from(this.entities.keys())) + 1;
+    }
+
     /**
      * Get statistics about world state
      * @returns {object}
@@ -0,0 +1,320 @@
+const EventLog = require('./EventLog');
+
+const ROLES = ['top', 'jungle', 'mid', 'bot', 'support'];
+
+// Lane matchups: early bullies punish late scalers before they come online,
+// mid-game champions outscale early bullies, late scalers outlast mid-game ones
+const COUNTERS = {
+    early: 'late',
+    mid: 'early',
+    late: 'mid'
+};
+
+/**
+ * DraftPhase - Per-match pick/ban phase, run before wave 1
+ *
+ * Modes:
+ * - 'roster': each team drafts from its own roster plus its bench (the
+ *   substitutes it may field); bans remove champions from the opponent's side
+ * - 'pool': both teams ban and pick from one shared pool (both rosters and
+ *   benches plus any extra pool champions)
+ *
+ * A roster of exactly one champion per role leaves nothing to draft: no ban is
+ * legal and every pick is forced. Give teams a bench (or use a pool) for the
+ * draft to matter.
+ *
+ * The AI scores candidates on raw strength, synergy with champions it has
+ * already picked, grudges against champions the enemy has picked, and
+ * counter-picks against the enemy's champion in the same role. Bans are only
+ * made if every team can still fill every role afterwards.
+ */
+class DraftPhase {
+    static ROLES = ROLES;
+
+    /**
+     * @param {object} options
+     * @param {string} options.mode - 'roster' or 'pool'
+     * @param {number} options.bans - Bans per team
+     * @param {object[]} options.pool - Extra shared-pool champions (pool mode)
+     * @param {object} options.bench - { team1, team2 } substitutes each team may draft
+     */
+    constructor(options = {}) {
+        this.mode = options.mode || 'roster';
+        this.bansPerTeam = options.bans !== undefined ? options.bans : 2;
+        this.pool = options.pool || [];
+        this.bench = {
+            team1: (options.bench && options.bench.team1) || [],
+            team2: (options.bench && options.bench.team2) || []
+        };
+
+        if (!['roster', 'pool'].includes(this.mode)) {
+            throw new Error(`Unknown draft mode '${this.mode}'`);
+        }
+
+        this.config = {
+            synergyWeight: 0.3,
+            grudgeWeight: 0.1,   // Grudges make a champion want to be in the game
+            counterWeight: 0.15,
+            noise: 0.05,         // Keeps equal-looking drafts from always going the same way
+            // Snake pick order (team1 first pick)
+            pickOrder: ['team1', 'team2', 'team2', 'team1', 'team1', 'team2', 'team2', 'team1', 'team1', 'team2']
+        };
+    }
+
+    /**
+     * Normalize a roster role ('Top', 'ADC', ...) to a simulation role
+     * @param {string} role
+     * @returns {string}
+     */
+    static normalizeRole(role) {
+        const roleLower = (role || '').toLowerCase();
+        return roleLower === 'adc' ? 'bot' : roleLower;
+    }
+
+    /**
+     * Run the draft
+     * @param {object} roster - { team1, team2 } team snapshots to draft from
+     * @param {RNG} rng
+     * @param {EventLog} eventLog
+     * @returns {object} { team1, team2 } with each team's five drafted champions
+     */
+    run(roster, rng, eventLog) {
+        const state = this._createState(roster);
+
+        // Ban phase: alternate team1, team2
+        for (let round = 0; round < this.bansPerTeam; round++) {
+            for (const teamId of ['team1', 'team2']) {
+                this._ban(state, teamId, rng.fork(`ban-${teamId}-${round}`), eventLog);
+            }
+        }
+
+        // Pick phase: snake order until both teams have filled every role
+        for (let pick = 0; pick < this.config.pickOrder.length; pick++) {
+            const teamId = this.config.pickOrder[pick];
+            this._pick(state, teamId, rng.fork(`pick-${pick}`), eventLog);
+        }
+
+        return {
+            team1: { ...roster.team1, champions: ROLES.map(role => state.picks.team1[role]).filter(Boolean) },
+            team2: { ...roster.team2, champions: ROLES.map(role => state.picks.team2[role]).filter(Boolean) }
+        };
+    }
+
+    /**
+     * Candidate lists per team (shared in pool mode)
+     */
+    _createState(roster) {
+        let candidates;
+        if (this.mode === 'pool') {
+            const shared = [];
+            const seen = new Set();
+            const everyone = [
+                ...roster.team1.champions,
+                ...roster.team2.champions,
+                ...this.bench.team1,
+                ...this.bench.team2,
+                ...this.pool
+            ];
+            for (const champion of everyone) {
+                const key = champion.id || champion.name;
+                if (seen.has(key)) continue;
+                seen.add(key);
+                shared.push(champion);
+            }
+            candidates = { team1: shared, team2: shared };
+        } else {
+            candidates = {
+                team1: [...roster.team1.champions, ...this.bench.team1],
+                team2: [...roster.team2.champions, ...this.bench.team2]
+            };
+        }
+
+        return {
+            roster,
+            candidates,
+            taken: new Set(),  // Banned or picked champions
+            picks: { team1: {}, team2: {} },
+            banCount: 0,
+            pickCount: 0
+        };
+    }
+
+    /**
+     * Champions a team could still pick
+     */
+    _available(state, teamId) {
+        return state.candidates[teamId].filter(champion =>
+            !state.taken.has(champion) &&
+            ROLES.includes(DraftPhase.normalizeRole(champion.role)) &&
+            !state.picks[teamId][DraftPhase.normalizeRole(champion.role)]
+        );
+    }
+
+    /**
+     * Whether every team could still fill all of its open roles after this
+     * champion is banned (pickingTeam null) or picked by pickingTeam
+     */
+    _isLegal(state, champion, pickingTeam = null) {
+        const role = DraftPhase.normalizeRole(champion.role);
+        state.taken.add(champion);
+        if (pickingTeam) state.picks[pickingTeam][role] = champion;
+
+        let legal = true;
+        for (const openRole of ROLES) {
+            const needed = ['team1', 'team2'].filter(teamId => !state.picks[teamId][openRole]);
+            const remaining = teamId => state.candidates[teamId].filter(c =>
+                !state.taken.has(c) && DraftPhase.normalizeRole(c.role) === openRole
+            ).length;
+
+            // Pool mode: both teams draw from the same list
+            if (this.mode === 'pool' ? remaining('team1') < needed.length : needed.some(teamId => remaining(teamId) === 0)) {
+                legal = false;
+                break;
+            }
+        }
+
+        state.taken.delete(champion);
+        if (pickingTeam) delete state.picks[pickingTeam][role];
+        return legal;
+    }
+
+    /**
+     * Ban the biggest threat the opponent could pick (if any ban is legal)
+     */
+    _ban(state, teamId, rng, eventLog) {
+        const enemyTeam = teamId === 'team1' ? 'team2' : 'team1';
+        const options = this._available(state, enemyTeam).filter(c => this._isLegal(state, c));
+
+        state.banCount++;
+        const team = state.roster[teamId];
+
+        if (options.length === 0) {
+            // Nothing can be banned without leaving a role empty
+            eventLog.log({
+                type: EventLog.EventTypes.DRAFT_BAN,
+                tick: 0,
+                teamId,
+                teamName: team.name,
+                banNumber: state.banCount,
+                championId: null,
+                championName: null,
+                skipped: true
+            });
+            return;
+        }
+
+        const ownChampions = state.roster[teamId].champions;
+        const scored = options.map(champion => {
+            // Champions holding a grudge against our roster are extra dangerous
+            const grudge = ownChampions.some(own => (champion.grudges || []).includes(own.id));
+            return {
+                champion,
+                grudge,
+                score: this._strength(champion) + (grudge ? this.config.grudgeWeight : 0) + rng.float(0, this.config.noise)
+            };
+        });
+        scored.sort((a, b) => b.score - a.score);
+
+        const { champion, grudge } = scored[0];
+        state.taken.add(champion);
+
+        eventLog.log({
+            type: EventLog.EventTypes.DRAFT_BAN,
+            tick: 0,
+            teamId,
+            teamName: team.name,
+            banNumber: state.banCount,
+            championId: champion.id || null,
+            championName: champion.name,
+            role: DraftPhase.normalizeRole(champion.role),
+            reason: grudge ? 'grudge' : 'threat'
+        });
+    }
+
+    /**
+     * Pick the best-scoring available champion for an open role
+     */
+    _pick(state, teamId, rng, eventLog) {
+        const options = this._available(state, teamId).filter(c => this._isLegal(state, c, teamId));
+        if (options.length === 0) return;
+
+        const scored = options.map(champion => ({
+            champion,
+            ...this._scorePick(state, teamId, champion, rng)
+        }));
+        scored.sort((a, b) => b.score - a.score);
+
+        const { champion, score, reason } = scored[0];
+        const role = DraftPhase.normalizeRole(champion.role);
+        state.taken.add(champion);
+        state.picks[teamId][role] = champion;
+        state.pickCount++;
+
+        eventLog.log({
+            type: EventLog.EventTypes.DRAFT_PICK,
+            tick: 0,
+            teamId,
+            teamName: state.roster[teamId].name,
+            pickNumber: state.pickCount,
+            championId: champion.id || null,
+            championName: champion.name,
+            role,
+            reason,
+            score: Math.round(score * 1000) / 1000
+        });
+    }
+
+    /**
+     * Score a candidate pick for a team
+     * @returns {object} { score, reason } - reason is the biggest non-strength factor, if any
+     */
+    _scorePick(state, teamId, champion, rng) {
+        const enemyTeam = teamId === 'team1' ? 'team2' : 'team1';
+        const allies = Object.values(state.picks[teamId]);
+        const enemies = Object.values(state.picks[enemyTeam]);
+        const role = DraftPhase.normalizeRole(champion.role);
+
+        // Synergy with champions already picked (either direction)
+        let synergy = 0;
+        for (const ally of allies) {
+            synergy += ((champion.synergy_map || {})[ally.id] || 0) + ((ally.synergy_map || {})[champion.id] || 0);
+        }
+        synergy *= this.config.synergyWeight;
+
+        // Grudges against enemy picks
+        let grudge = 0;
+        for (const enemy of enemies) {
+            if ((champion.grudges || []).includes(enemy.id) || (enemy.grudges || []).includes(champion.id)) {
+                grudge += this.config.grudgeWeight;
+            }
+        }
+
+        // Counter-pick the enemy's champion in this role
+        let counter = 0;
+        const laneOpponent = state.picks[enemyTeam][role];
+        if (laneOpponent) {
+            const curve = champion.power_curve || 'mid';
+            const opponentCurve = laneOpponent.power_curve || 'mid';
+            if (COUNTERS[curve] === opponentCurve) counter += this.config.counterWeight;
+            if (COUNTERS[opponentCurve] === curve) counter -= this.config.counterWeight;
+        }
+
+        const factors = { synergy, grudge, counter };
+        const [topFactor, topValue] = Object.entries(factors).sort((a, b) => b[1] - a[1])[0];
+
+        return {
+            score: this._strength(champion) + synergy + grudge + counter + rng.float(0, this.config.noise),
+            reason: topValue > 0 ? topFactor : 'strength'
+        };
+    }
+
+    /**
+     * Raw strength from hidden stats (0-1)
+     */
+    _strength(champion) {
+        const stat = key => (typeof champion[key] === 'number' ? champion[key] : 0.5);
+        return (stat('mechanical_skill') + stat('game_sense') + stat('clutch_factor')) / 3;
+    }
+}
+
+module.exports = DraftPhase;
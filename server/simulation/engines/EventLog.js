@@ -48,6 +48,32 @@ class EventLog {
         });
     }
 
+    /**
+     * Serialize the event stream (for mid-match snapshots).
+     * World snapshots are left out - they can be rebuilt by replaying the match.
+     * @returns {object}
+     */
+    serialize() {
+        return {
+            events: this.events
+        };
+    }
+
+    /**
+     * Replace the log with serialize() output
+     * @param {object} state
+     */
+    deserialize(state) {
+        this.clear();
+        for (const event of state.events) {
+            this.events.push(event);
+            if (!this.eventsByType.has(event.type)) {
+                this.eventsByType.set(event.type, []);
+            }
+            this.eventsByType.get(event.type).push(event);
+        }
+    }
+
     /**
      * Get all events
      * @returns {object[]}
@@ -56,6 +82,14 @@ class EventLog {
         return [...this.events];
     }
 
+    /**
+     * Get all state snapshots
+     * @returns {object[]}
+     */
+    getSnapshots() {
+        return [...this.snapshots];
+    }
+
     /**
      * Get events by type
      * @param {string} type
@@ -176,6 +210,8 @@ EventLog.EventTypes = {
     JUNGLE_CAMP: 'jungle.camp',
     JUNGLE_GANK: 'jungle.gank',
     JUNGLE_COUNTERGANK: 'jungle.countergank',
+    JUNGLE_INVADE: 'jungle.invade',
+    JUNGLE_SMITE: 'jungle.smite',
 
     // Combat
     FIGHT_START: 'fight.start',
@@ -197,6 +233,7 @@ EventLog.EventTypes = {
     // Economy
     ITEM_PURCHASE: 'item.purchase',
     ITEM_SELL: 'item.sell',
+    ITEM_PASSIVE: 'item.passive',
     GOLD_EARN: 'gold.earn',
 
     // Structures
@@ -212,6 +249,35 @@ EventLog.EventTypes = {
     BUFF_EXPIRE: 'buff.expire',
     DEBUFF_APPLY: 'debuff.apply',
     CC_APPLY: 'cc.apply',
+    CHAMPION_REVIVE: 'champion.revive',
+
+    // Minions
+    MINION_EMPOWERED: 'minion.empowered',
+
+    // Death timers
+    CHAMPION_DEATH: 'champion.death',
+    CHAMPION_RESPAWN: 'champion.respawn',
+
+    // Overtime
+    OVERTIME_START: 'overtime.start',
+    OVERTIME_ESCALATE: 'overtime.escalate',
+    OVERTIME_SUDDEN_DEATH: 'overtime.sudden_death',
+    OVERTIME_TIEBREAK: 'overtime.tiebreak',
+
+    // Kill streaks & bounties
+    STREAK_SPREE: 'streak.spree',
+    STREAK_LEGENDARY: 'streak.legendary',
+    SHUTDOWN: 'shutdown',
+    BOUNTY_OBJECTIVE: 'bounty.objective',
+
+    // Team macro
+    MACRO_PROFILE: 'macro.profile',
+    MACRO_SWITCH: 'macro.switch',
+
+    // Career rivalries
+    RIVALRY_FOCUS: 'rivalry.focus',
+    RIVALRY_NEMESIS: 'rivalry.nemesis',
+    SYNERGY_COORDINATION: 'synergy.coordination',
 
     // Tilt & mental
     TILT_INCREASE: 'tilt.increase',
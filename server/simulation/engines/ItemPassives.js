@@ -0,0 +1,547 @@
+const EventLog = require('./EventLog');
+
+// Stats with an effective_* value that ItemSystem recomputes every wave
+const EFFECTIVE_STATS = [
+    'attack_damage', 'ability_power', 'attack_speed', 'armor',
+    'magic_resist', 'max_health', 'movement_speed', 'tenacity'
+];
+
+// Triggers that fire on every hit; only their cooldown-gated procs are logged
+const HIT_TRIGGERS = ['on_hit', 'on_damage_taken'];
+
+/**
+ * ItemPassives - Shared hook dispatcher for structured item passives
+ *
+ * Every item in data/items.json lists its passives as { trigger, effect, cooldown? }:
+ *
+ * Triggers:
+ * - on_hit: the owner deals damage (filters: source, damageType, context, chance, chanceStat)
+ * - on_damage_taken: the owner takes damage (filters: source, damageType, critical, minPercentMaxHealth, chance)
+ * - threshold: a hit takes the owner below healthBelow (fraction of max health)
+ * - on_kill / on_assist / on_death: takedowns, fired by TakedownSystem
+ * - per_wave: once per wave from ItemSystem (stat_bonus effects are folded into effective stats)
+ *
+ * Effects: bonus_damage, lifesteal, shield, reflect, damage_reduction, defer_damage,
+ * cleanse_deferred, stacking_stat, stat_bonus, heal, mana, revive.
+ *
+ * Cooldowns are in waves. Stacks, cooldowns and shields live in CItems so
+ * they survive snapshots.
+ */
+class ItemPassives {
+    static EFFECTIVE_STATS = EFFECTIVE_STATS;
+
+    /**
+     * @param {ItemSystem} itemSystem - Used to refresh effective stats when stacks change
+     */
+    constructor(itemSystem) {
+        this.itemSystem = itemSystem;
+    }
+
+    // ==================== COMBAT HOOKS ====================
+
+    /**
+     * Run one hit through the attacker's on-hit and the defender's
+     * on-damage-taken, threshold and on-death passives
+     * @param {Entity} attacker
+     * @param {Entity} defender
+     * @param {object} hit
+     * @param {number} hit.damage - Damage after the caller's own mitigation
+     * @param {string} hit.source - 'basic' or 'ability'
+     * @param {string} hit.damageType - 'physical' or 'magic'
+     * @param {string} hit.context - 'lane' or 'fight'
+     * @param {number} hit.health - Defender health before the hit
+     * @param {World} hit.world
+     * @param {number} hit.tick
+     * @param {EventLog} hit.eventLog
+     * @param {RNG} hit.rng
+     * @returns {object} { damage, health, heal, reflected, revived } - health is the defender's
+     *   health after the hit; heal and reflected apply to the attacker
+     */
+    resolveHit(attacker, defender, hit) {
+        const defenderStats = defender.getComponent('stats');
+        const defenderItems = defender.getComponent('items');
+        const maxHealth = defenderStats.effective_max_health || defenderStats.max_health || 550;
+
+        const ctx = {
+            ...hit,
+            baseDamage: hit.damage,
+            damage: hit.damage * (1 + this.getModifier(attacker, 'damage_dealt')),
+            critical: false,
+            lifesteal: 0,
+            heal: 0,
+            reflect: 0,
+            defenderHeal: 0,
+            defender,
+            maxHealth
+        };
+
+        this._dispatch('on_hit', attacker, defender, ctx);
+
+        ctx.damage *= 1 + this.getModifier(defender, 'damage_taken');
+        this._dispatch('on_damage_taken', defender, attacker, ctx);
+        ctx.damage = Math.max(0, ctx.damage);
+
+        // Thresholds see the hit before shields, so a shield can catch the hit that triggered it
+        ctx.healthAfter = hit.health - ctx.damage;
+        this._dispatch('threshold', defender, attacker, ctx);
+
+        const reflected = ctx.damage * ctx.reflect;
+
+        if (defenderItems.shield > 0) {
+            const absorbed = Math.min(defenderItems.shield, ctx.damage);
+            defenderItems.shield -= absorbed;
+            ctx.damage -= absorbed;
+        }
+
+        let health = Math.min(maxHealth, hit.health - ctx.damage + ctx.defenderHeal);
+        let revived = false;
+
+        if (health <= 0) {
+            ctx.lethal = true;
+            this._dispatch('on_death', defender, attacker, ctx);
+            if (ctx.revive) {
+                health = Math.floor(maxHealth * ctx.revive);
+                revived = true;
+            }
+        }
+
+        defenderItems.lastDamagedTick = hit.tick;
+
+        const heal = (ctx.heal + ctx.damage * ctx.lifesteal) * this._healingMultiplier(attacker);
+
+        return {
+            damage: Math.floor(ctx.damage),
+            health,
+            heal: Math.floor(heal),
+            reflected: Math.floor(reflected),
+            revived
+        };
+    }
+
+    /**
+     * Takedown hooks: on_kill for the killer, on_assist for assisters, on_death for the victim
+     * @param {Entity} killer
+     * @param {Entity} victim
+     * @param {Entity[]} assisters
+     * @param {object} ctx - { world, tick, eventLog, rng }
+     */
+    onKill(killer, victim, assisters, ctx) {
+        this._dispatch('on_kill', killer, victim, { ...ctx });
+        for (const assister of assisters) {
+            this._dispatch('on_assist', assister, victim, { ...ctx });
+        }
+        this._dispatch('on_death', victim, killer, { ...ctx });
+
+        const victimItems = victim.getComponent('items');
+        victimItems.shield = 0;
+        victimItems.deferredDamage = 0;
+    }
+
+    // ==================== WAVE HOOKS ====================
+
+    /**
+     * Start-of-wave cleanup: expire stacks, drop shields, take deferred damage
+     * (before ItemSystem recomputes effective stats)
+     * @param {Entity} champion
+     * @param {number} tick
+     */
+    startWave(champion, tick) {
+        const items = champion.getComponent('items');
+        const stats = champion.getComponent('stats');
+
+        for (const [key, entry] of Object.entries(items.stacks)) {
+            if (entry.expiresTick !== null && entry.expiresTick <= tick) {
+                delete items.stacks[key];
+            }
+        }
+
+        items.shield = 0;
+
+        if (items.deferredDamage > 0) {
+            // Deferred damage wears you down but never finishes you off
+            stats.health = Math.max(1, stats.health - Math.floor(items.deferredDamage));
+            items.deferredDamage = 0;
+        }
+    }
+
+    /**
+     * Fire per_wave passives (heals, shields, ally buffs)
+     * @param {Entity} champion
+     * @param {object} ctx - { world, tick, eventLog, rng }
+     */
+    dispatchWave(champion, ctx) {
+        this._dispatch('per_wave', champion, null, { ...ctx });
+    }
+
+    /**
+     * Fold stat_bonus passives and stacking stats into effective stats
+     * (called by ItemSystem after it sets base + item stats)
+     * @param {Entity} champion
+     * @param {CStats} stats
+     */
+    applyStatModifiers(champion, stats) {
+        const items = champion.getComponent('items');
+        const legendaryCount = items.inventory.filter(item => item.tier === 'legendary').length;
+        const flat = {};
+        const percent = {};
+        const add = (table, stat, value) => { table[stat] = (table[stat] || 0) + value; };
+
+        for (const item of items.inventory) {
+            for (const passive of item.passives || []) {
+                const effect = passive.effect;
+                if (passive.trigger.type !== 'per_wave' || effect.type !== 'stat_bonus') continue;
+
+                const multiplier = effect.perLegendary ? legendaryCount : 1;
+                if (effect.flat) add(flat, effect.stat, effect.flat * multiplier);
+                if (effect.percent) add(percent, effect.stat, effect.percent * multiplier);
+            }
+        }
+
+        for (const entry of Object.values(items.stacks)) {
+            if (entry.flat) add(flat, entry.stat, entry.flat * entry.stacks);
+            if (entry.percent) add(percent, entry.stat, entry.percent * entry.stacks);
+        }
+
+        for (const stat of EFFECTIVE_STATS) {
+            if (!flat[stat] && !percent[stat]) continue;
+            const key = `effective_${stat}`;
+            stats[key] = Math.max(0, ((stats[key] || 0) + (flat[stat] || 0)) * (1 + (percent[stat] || 0)));
+        }
+    }
+
+    /**
+     * Total percent modifier for a combat stat that isn't an effective stat
+     * (damage_dealt, damage_taken, healing_received, healing_power)
+     * @param {Entity} champion
+     * @param {string} stat
+     * @returns {number}
+     */
+    getModifier(champion, stat) {
+        const items = champion.getComponent('items');
+        if (!items) return 0;
+
+        let modifier = 0;
+        for (const item of items.inventory) {
+            for (const passive of item.passives || []) {
+                const effect = passive.effect;
+                if (passive.trigger.type === 'per_wave' && effect.type === 'stat_bonus' && effect.stat === stat) {
+                    modifier += effect.percent || 0;
+                }
+            }
+        }
+        for (const entry of Object.values(items.stacks)) {
+            if (entry.stat === stat) {
+                modifier += (entry.percent || 0) * entry.stacks;
+            }
+        }
+        return modifier;
+    }
+
+    // ==================== DISPATCH ====================
+
+    /**
+     * Fire every passive on the owner's items for a trigger
+     * @param {string} trigger
+     * @param {Entity} owner
+     * @param {Entity|null} other - The other side of the hit or takedown
+     * @param {object} ctx
+     */
+    _dispatch(trigger, owner, other, ctx) {
+        const items = owner.getComponent('items');
+        if (!items) return;
+
+        for (const item of items.inventory) {
+            (item.passives || []).forEach((passive, index) => {
+                if (passive.trigger.type !== trigger) return;
+                if (trigger === 'per_wave' && passive.effect.type === 'stat_bonus') return;
+                // Revives only happen when a hit would actually kill
+                if (passive.effect.type === 'revive' && !ctx.lethal) return;
+                if (passive.effect.type === 'revive' && ctx.revive) return;
+
+                const key = `${item.id}:${index}`;
+                if (passive.cooldown && (items.passiveCooldowns[key] || 0) > ctx.tick) return;
+                if (!this._matches(passive.trigger, owner, ctx)) return;
+
+                const data = this._applyEffect(passive.effect, item, owner, other, ctx);
+                if (!data) return;
+
+                if (passive.cooldown) {
+                    items.passiveCooldowns[key] = ctx.tick + passive.cooldown;
+                }
+
+                if (passive.cooldown || !HIT_TRIGGERS.includes(trigger)) {
+                    const identity = owner.getComponent('identity');
+                    ctx.eventLog.log({
+                        type: EventLog.EventTypes.ITEM_PASSIVE,
+                        tick: ctx.tick,
+                        entityId: owner.id,
+                        championName: identity.name,
+                        teamId: identity.teamId,
+                        itemId: item.id,
+                        itemName: item.name,
+                        trigger,
+                        effect: passive.effect.type,
+                        ...data
+                    });
+                }
+            });
+        }
+    }
+
+    /**
+     * Check a trigger's filters against the current hit
+     * @returns {boolean}
+     */
+    _matches(trigger, owner, ctx) {
+        if (trigger.source && trigger.source !== ctx.source) return false;
+        if (trigger.damageType && trigger.damageType !== ctx.damageType) return false;
+        if (trigger.context && trigger.context !== ctx.context) return false;
+        if (trigger.critical && !ctx.critical) return false;
+
+        if (trigger.minPercentMaxHealth && ctx.damage < ctx.maxHealth * trigger.minPercentMaxHealth) {
+            return false;
+        }
+
+        if (trigger.type === 'threshold') {
+            const line = ctx.maxHealth * trigger.healthBelow;
+            if (!(ctx.health >= line && ctx.healthAfter < line)) return false;
+        }
+
+        if (trigger.idleWaves) {
+            const items = owner.getComponent('items');
+            if (ctx.tick - items.lastDamagedTick <= trigger.idleWaves) return false;
+        }
+
+        if (trigger.chanceStat) {
+            const chance = owner.getComponent('items').getTotalStats()[trigger.chanceStat] || 0;
+            if (!ctx.rng.chance(chance)) return false;
+        }
+        if (trigger.chance && !ctx.rng.chance(trigger.chance)) return false;
+
+        return true;
+    }
+
+    /**
+     * Apply one effect
+     * @returns {object|null} Data describing what happened, or null if nothing did
+     */
+    _applyEffect(effect, item, owner, other, ctx) {
+        switch (effect.type) {
+            case 'bonus_damage': {
+                let percentDamage = effect.percentDamage || 0;
+                if (effect.scaling) {
+                    const value = owner.getComponent('stats')[`effective_${effect.scaling.stat}`] || 0;
+                    percentDamage = Math.min(effect.scaling.max, percentDamage * Math.floor(value / effect.scaling.per));
+                }
+
+                const targetStats = other.getComponent('stats');
+                const amount = (effect.flat || 0) +
+                    ctx.baseDamage * percentDamage +
+                    ctx.health * (effect.percentTargetCurrentHealth || 0) +
+                    (targetStats.effective_max_health || targetStats.max_health || 550) * (effect.percentTargetMaxHealth || 0);
+
+                if (amount <= 0) return null;
+                ctx.damage += amount;
+                if (effect.critical) ctx.critical = true;
+                return { amount: Math.floor(amount) };
+            }
+
+            case 'lifesteal': {
+                if (effect.percent) ctx.lifesteal += effect.percent;
+                if (effect.percentTargetCurrentHealth) {
+                    // Stolen health is dealt as bonus damage and healed back
+                    const stolen = ctx.health * effect.percentTargetCurrentHealth;
+                    ctx.damage += stolen;
+                    ctx.heal += stolen;
+                }
+                return { percent: effect.percent || effect.percentTargetCurrentHealth };
+            }
+
+            case 'reflect':
+                ctx.reflect += effect.percent;
+                return { percent: effect.percent };
+
+            case 'damage_reduction': {
+                const prevented = ctx.damage * effect.percent;
+                ctx.damage -= prevented;
+                return { prevented: Math.floor(prevented) };
+            }
+
+            case 'defer_damage': {
+                const deferred = ctx.damage * effect.percent;
+                ctx.damage -= deferred;
+                owner.getComponent('items').deferredDamage += deferred;
+                return { deferred: Math.floor(deferred) };
+            }
+
+            case 'cleanse_deferred': {
+                const items = owner.getComponent('items');
+                if (items.deferredDamage <= 0) return null;
+                const cleansed = Math.floor(items.deferredDamage);
+                items.deferredDamage = 0;
+                return { cleansed };
+            }
+
+            case 'shield': {
+                const multiplier = this._healShieldPower(owner);
+                const recipients = this._recipients(effect.target, owner, other, ctx);
+                for (const recipient of recipients) {
+                    const recipientStats = recipient.getComponent('stats');
+                    const amount = ((effect.flat || 0) + (recipientStats.effective_max_health || 550) * (effect.percentMaxHealth || 0)) * multiplier;
+                    recipient.getComponent('items').shield += amount;
+                }
+                return { targets: recipients.map(r => r.getComponent('identity').name) };
+            }
+
+            case 'heal': {
+                const multiplier = this._healShieldPower(owner);
+                const recipients = this._recipients(effect.target, owner, other, ctx);
+                const healed = [];
+                for (const recipient of recipients) {
+                    const recipientStats = recipient.getComponent('stats');
+                    const maxHealth = recipientStats.effective_max_health || recipientStats.max_health || 550;
+                    const amount = ((effect.flat || 0) + maxHealth * (effect.percentMaxHealth || 0)) *
+                        multiplier * this._healingMultiplier(recipient);
+
+                    if (effect.cleanse) this._cleanse(recipient);
+
+                    if (recipient === ctx.defender) {
+                        // Healing during a hit goes through the caller's health tracking
+                        ctx.defenderHeal += amount;
+                    } else if (recipientStats.health < maxHealth) {
+                        recipientStats.health = Math.min(maxHealth, recipientStats.health + amount);
+                    } else {
+                        continue;
+                    }
+                    healed.push(recipient.getComponent('identity').name);
+                }
+                return healed.length > 0 ? { targets: healed } : null;
+            }
+
+            case 'mana': {
+                const stats = owner.getComponent('stats');
+                const restored = (stats.max_mana - stats.mana) * effect.percentMissingMana;
+                if (restored <= 0) return null;
+                stats.mana += restored;
+                return { restored: Math.floor(restored) };
+            }
+
+            case 'stacking_stat': {
+                const recipients = this._recipients(effect.target, owner, other, ctx);
+                let stacks = 0;
+                for (const recipient of recipients) {
+                    stacks = this._addStacks(recipient, owner, item, effect, ctx.tick);
+                }
+                return { stat: effect.stat, stacks, targets: recipients.map(r => r.getComponent('identity').name) };
+            }
+
+            case 'revive':
+                ctx.revive = effect.percentHealth;
+                return { percentHealth: effect.percentHealth };
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Champions an effect applies to
+     * @returns {Entity[]}
+     */
+    _recipients(target, owner, other, ctx) {
+        switch (target) {
+            case 'target':
+                return other ? [other] : [];
+
+            case 'allies':
+                return ctx.world.queryByTags('champion', owner.getComponent('identity').teamId);
+
+            case 'lowest_ally': {
+                const allies = ctx.world.queryByTags('champion', owner.getComponent('identity').teamId);
+                const fraction = champion => {
+                    const stats = champion.getComponent('stats');
+                    return stats.health / (stats.effective_max_health || stats.max_health || 550);
+                };
+                return allies.length > 0 ? [allies.reduce((lowest, ally) => fraction(ally) < fraction(lowest) ? ally : lowest)] : [];
+            }
+
+            default:
+                return [owner];
+        }
+    }
+
+    /**
+     * Add (or remove) stacks of a stacking stat on a champion
+     * @returns {number} Stacks after the change
+     */
+    _addStacks(recipient, source, item, effect, tick) {
+        const items = recipient.getComponent('items');
+        const key = `${source.id}:${item.id}:${effect.stat}`;
+
+        let entry = items.stacks[key];
+        if (!entry) {
+            // Tenacity weakens debuffs from enemies
+            const isEnemy = recipient.getComponent('identity').teamId !== source.getComponent('identity').teamId;
+            const scale = isEnemy ? 1 - Math.min(0.9, recipient.getComponent('stats').effective_tenacity || 0) : 1;
+
+            entry = items.stacks[key] = {
+                sourceId: source.id,
+                itemId: item.id,
+                stat: effect.stat,
+                flat: (effect.flat || 0) * scale,
+                percent: (effect.percent || 0) * scale,
+                stacks: 0,
+                expiresTick: null
+            };
+        }
+
+        const maxStacks = effect.maxStacks || Infinity;
+        entry.stacks = Math.max(0, Math.min(maxStacks, entry.stacks + (effect.stacks || 1)));
+        entry.expiresTick = effect.duration ? tick + effect.duration : null;
+
+        const stacks = entry.stacks;
+        if (stacks === 0) delete items.stacks[key];
+
+        if (EFFECTIVE_STATS.includes(effect.stat)) {
+            this.itemSystem.refreshStats(recipient);
+        }
+
+        return stacks;
+    }
+
+    /**
+     * Remove debuff stacks applied by enemies
+     */
+    _cleanse(champion) {
+        const items = champion.getComponent('items');
+        let cleansed = false;
+
+        for (const [key, entry] of Object.entries(items.stacks)) {
+            if (entry.sourceId === champion.id) continue;
+            const isDebuff = entry.flat < 0 || entry.percent < 0 || entry.stat === 'damage_taken';
+            if (!isDebuff) continue;
+
+            delete items.stacks[key];
+            cleansed = true;
+        }
+
+        if (cleansed) this.itemSystem.refreshStats(champion);
+    }
+
+    /**
+     * Outgoing heal/shield multiplier from the healer's items
+     */
+    _healShieldPower(champion) {
+        const items = champion.getComponent('items');
+        return 1 + (items.getTotalStats().heal_shield_power || 0);
+    }
+
+    /**
+     * Incoming healing multiplier (healing_power bonuses, grievous wounds)
+     */
+    _healingMultiplier(champion) {
+        return Math.max(0, 1 + this.getModifier(champion, 'healing_power') + this.getModifier(champion, 'healing_received'));
+    }
+}
+
+module.exports = ItemPassives;
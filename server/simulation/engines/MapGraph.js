@@ -0,0 +1,234 @@
+const mapData = require('../data/map.json');
+
+/**
+ * MapGraph - The arena as a graph of nodes (data/map.json)
+ *
+ * Node types match CPosition zones: 'base', 'lane', 'jungle', 'river' and
+ * 'objective'. Coordinates are normalized to [0, 1] with team1's base in the
+ * bottom-left corner and team2's in the top-right, so clients scale them to
+ * whatever minimap size they draw.
+ *
+ * Each lane is a chain of five nodes from team1's base (index 0) to team2's
+ * (index 4); index 2 is the river crossing. Every jungle quadrant belongs to
+ * a team and borders one side lane, mid and the river.
+ *
+ * Edges are undirected and cost their straight-line length.
+ */
+class MapGraph {
+    static LANES = ['top', 'mid', 'bot'];
+
+    constructor(data = mapData) {
+        this.nodes = new Map();
+        this.adjacency = new Map();
+        this.edges = data.edges;
+
+        for (const node of data.nodes) {
+            this.nodes.set(node.id, node);
+            this.adjacency.set(node.id, []);
+        }
+
+        for (const [from, to] of data.edges) {
+            const cost = this.distance(from, to);
+            this.adjacency.get(from).push({ id: to, cost });
+            this.adjacency.get(to).push({ id: from, cost });
+        }
+    }
+
+    // ==================== LOOKUPS ====================
+
+    /**
+     * @param {string} nodeId
+     * @returns {object|null}
+     */
+    getNode(nodeId) {
+        return this.nodes.get(nodeId) || null;
+    }
+
+    /**
+     * Fountain a team spawns and respawns at
+     * @param {string} teamId
+     * @returns {string}
+     */
+    getBase(teamId) {
+        return `base_${teamId}`;
+    }
+
+    /**
+     * Lane node at an index (0 = team1 base side, 4 = team2 base side)
+     * @param {string} lane - 'top', 'mid' or 'bot'
+     * @param {number} index
+     * @returns {string}
+     */
+    getLaneNode(lane, index) {
+        return `${lane}_${Math.max(0, Math.min(4, index))}`;
+    }
+
+    /**
+     * Lane node where the minion waves meet for a lane pressure
+     * @param {string} lane
+     * @param {number} pressure - [-1, 1], positive = team1 pushing
+     * @returns {string}
+     */
+    getLaneFront(lane, pressure) {
+        // Fights stay between the two outer spires
+        const index = 2 + Math.max(-1, Math.min(1, Math.round(pressure * 1.5)));
+        return this.getLaneNode(lane, index);
+    }
+
+    /**
+     * Point along a lane between its nodes (minion waves walk the lane continuously)
+     * @param {string} lane
+     * @param {number} position - Lane node index space, 0 (team1's end) to 4 (team2's end)
+     * @returns {object} { x, y }
+     */
+    getLanePoint(lane, position) {
+        const clamped = Math.max(0, Math.min(4, position));
+        const from = this.nodes.get(this.getLaneNode(lane, Math.floor(clamped)));
+        const to = this.nodes.get(this.getLaneNode(lane, Math.ceil(clamped)));
+        const t = clamped - Math.floor(clamped);
+
+        return {
+            x: from.x + (to.x - from.x) * t,
+            y: from.y + (to.y - from.y) * t
+        };
+    }
+
+    /**
+     * Jungle camps on a team's side
+     * @param {string} teamId
+     * @returns {string[]}
+     */
+    getCamps(teamId) {
+        return this._filterNodes(node => node.type === 'jungle' && node.team === teamId);
+    }
+
+    /**
+     * Pit an objective spawns in
+     * @param {string} objectiveType - data/objectives.json id ('rift', 'void', 'monolith')
+     * @returns {string|null}
+     */
+    getObjectivePit(objectiveType) {
+        return this._filterNodes(node => node.type === 'objective' && node.objective === objectiveType)[0] || null;
+    }
+
+    /**
+     * Node closest to a point, optionally restricted to some node types
+     * @param {number} x
+     * @param {number} y
+     * @param {string[]} [types]
+     * @returns {string}
+     */
+    getNearestNode(x, y, types = null) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        for (const node of this.nodes.values()) {
+            if (types && !types.includes(node.type)) continue;
+            const distance = Math.hypot(node.x - x, node.y - y);
+            if (distance < nearestDistance) {
+                nearest = node.id;
+                nearestDistance = distance;
+            }
+        }
+
+        return nearest;
+    }
+
+    // ==================== MOVEMENT ====================
+
+    /**
+     * Straight-line distance between two nodes
+     * @param {string} from
+     * @param {string} to
+     * @returns {number}
+     */
+    distance(from, to) {
+        const a = this.nodes.get(from);
+        const b = this.nodes.get(to);
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    /**
+     * Cheapest route between two nodes (Dijkstra; the graph is tiny)
+     * @param {string} from
+     * @param {string} to
+     * @returns {string[]} Node ids from `from` to `to` inclusive ([] if unreachable)
+     */
+    findPath(from, to) {
+        if (from === to) return [from];
+
+        const costs = new Map([[from, 0]]);
+        const previous = new Map();
+        const open = new Set([from]);
+
+        while (open.size > 0) {
+            // Ties break on insertion order, which is fixed by map.json
+            let current = null;
+            for (const id of open) {
+                if (current === null || costs.get(id) < costs.get(current)) current = id;
+            }
+            open.delete(current);
+
+            if (current === to) break;
+
+            for (const edge of this.adjacency.get(current)) {
+                const cost = costs.get(current) + edge.cost;
+                if (!costs.has(edge.id) || cost < costs.get(edge.id)) {
+                    costs.set(edge.id, cost);
+                    previous.set(edge.id, current);
+                    open.add(edge.id);
+                }
+            }
+        }
+
+        if (!previous.has(to)) return [];
+
+        const path = [to];
+        while (path[0] !== from) {
+            path.unshift(previous.get(path[0]));
+        }
+        return path;
+    }
+
+    /**
+     * Walk along the route to a node, as far as a movement budget allows
+     * Always makes at least one step so slowed champions still get somewhere.
+     * @param {string} from
+     * @param {string} to
+     * @param {number} budget - Map units
+     * @returns {string[]} Nodes visited, starting with `from`
+     */
+    walk(from, to, budget) {
+        const path = this.findPath(from, to);
+        if (path.length <= 1) return [from];
+
+        const visited = [from];
+        let remaining = budget;
+        for (let i = 1; i < path.length; i++) {
+            const cost = this.distance(path[i - 1], path[i]);
+            if (i > 1 && cost > remaining) break;
+            remaining -= cost;
+            visited.push(path[i]);
+        }
+        return visited;
+    }
+
+    // ==================== EXPORT ====================
+
+    /**
+     * Plain layout for clients (minimap drawing)
+     * @returns {object} { nodes, edges }
+     */
+    toJSON() {
+        return {
+            nodes: Array.from(this.nodes.values()),
+            edges: this.edges
+        };
+    }
+
+    _filterNodes(predicate) {
+        return Array.from(this.nodes.values()).filter(predicate).map(node => node.id);
+    }
+}
+
+module.exports = MapGraph;
@@ -2,6 +2,17 @@ const World = require('../core/World');
 const EventLog = require('./EventLog');
 const RNG = require('../core/RNG');
 
+/**
+ * Thrown when the simulation does something that would break determinism
+ * (e.g. calling Math.random() instead of the seeded RNG during a step)
+ */
+class DeterminismError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DeterminismError';
+    }
+}
+
 /**
  * SimulationEngine - Main game loop and system orchestration
  *
@@ -17,6 +28,7 @@ class SimulationEngine {
         this.config = {
             maxWaves: config.maxWaves || 60,
             snapshotInterval: config.snapshotInterval || 10,
+            audit: false,  // Record per-system events + world state each wave (determinism checks)
             ...config
         };
 
@@ -24,6 +36,7 @@ class SimulationEngine {
         this.phase = 'draft';  // 'draft', 'early', 'mid', 'late', 'ended'
         this.currentWave = 0;
         this.isRunning = false;
+        this.auditTrail = [];
     }
 
     /**
@@ -57,8 +70,28 @@ class SimulationEngine {
             }
         });
 
+        // Stay in 'draft' until wave 1 (step() moves on to 'early')
         this.isRunning = true;
-        this.phase = 'early';
+    }
+
+    /**
+     * Run the pick/ban phase. Only valid before wave 1; picks and bans are
+     * logged at tick 0 so they come before any wave in the event stream.
+     * @param {DraftPhase} draft
+     * @param {object} roster - { team1, team2 } team snapshots to draft from
+     * @returns {object} Drafted { team1, team2 }
+     */
+    runDraft(draft, roster) {
+        if (this.phase !== 'draft') {
+            throw new Error(`Cannot run the draft during phase '${this.phase}'`);
+        }
+
+        const restoreMathRandom = this._guardMathRandom();
+        try {
+            return draft.run(roster, this.rng.fork('draft'), this.eventLog);
+        } finally {
+            restoreMathRandom();
+        }
     }
 
     /**
@@ -84,15 +117,35 @@ class SimulationEngine {
 
         // Execute all systems in priority order
         const systemResults = [];
-        for (const { system } of this.systems) {
-            try {
-                const result = system.update(this.world, this.rng, this.eventLog, this.phase);
-                if (result) {
-                    systemResults.push(result);
+        const audit = this.config.audit ? { wave: this.currentWave, systems: [] } : null;
+        const restoreMathRandom = this._guardMathRandom();
+        try {
+            for (const { system } of this.systems) {
+                const eventIndex = this.eventLog.events.length;
+                try {
+                    const result = system.update(this.world, this.rng, this.eventLog, this.phase);
+                    if (result) {
+                        systemResults.push(result);
+                    }
+                } catch (error) {
+                    if (error instanceof DeterminismError) throw error;
+                    console.error(`Error in system ${system.constructor.name}:`, error);
+                }
+
+                if (audit) {
+                    audit.systems.push({
+                        system: system.constructor.name,
+                        events: this.eventLog.events.slice(eventIndex),
+                        state: this._auditState()
+                    });
                 }
-            } catch (error) {
-                console.error(`Error in system ${system.constructor.name}:`, error);
             }
+        } finally {
+            restoreMathRandom();
+        }
+
+        if (audit) {
+            this.auditTrail.push(audit);
         }
 
         // Wave end event
@@ -127,6 +180,34 @@ class SimulationEngine {
         };
     }
 
+    /**
+     * Catch Math.random() calls until the returned restore function is called.
+     * Systems must draw from the seeded RNG, or replays stop matching, so any
+     * call throws a DeterminismError - live matches included, since a match
+     * that can't be replayed shouldn't be recorded as if it could.
+     * @returns {Function} Restores the original Math.random
+     */
+    _guardMathRandom() {
+        const original = Math.random;
+        const wave = this.currentWave;
+        Math.random = () => {
+            throw new DeterminismError(`Math.random() called during simulation step (wave ${wave}) - use the seeded RNG`);
+        };
+        return () => {
+            Math.random = original;
+        };
+    }
+
+    /**
+     * Serialized world state for determinism audits (wall-clock metadata removed)
+     * @returns {string}
+     */
+    _auditState() {
+        const state = this.world.serialize();
+        const { startTime, ...metadata } = state.metadata;
+        return JSON.stringify({ ...state, metadata });
+    }
+
     /**
      * Update game phase based on wave number
      */
@@ -169,6 +250,7 @@ class SimulationEngine {
             tick: this.world.getTick(),
             wave: this.currentWave,
             winner,
+            decision: this.world.getMetadata('matchDecision') || null,  // How it was won (Core, sudden death, tiebreak)
             duration: this.currentWave
         });
 
@@ -209,6 +291,161 @@ class SimulationEngine {
         };
     }
 
+    /**
+     * Run the same match twice in lockstep and compare every wave.
+     * Both engines are built by the caller so all systems get registered the same way.
+     * @param {Function} createEngine - async () => initialized SimulationEngine with config.audit enabled
+     * @returns {object} Report: { deterministic, waves, divergence }
+     */
+    static async checkDeterminism(createEngine) {
+        const engineA = await createEngine();
+        const engineB = await createEngine();
+
+        // Anything logged during initialize (match start, weather) counts as wave 0
+        const initial = SimulationEngine._compareAudit(
+            { wave: 0, systems: [{ system: 'initialize', events: engineA.eventLog.getAllEvents(), state: engineA._auditState() }] },
+            { wave: 0, systems: [{ system: 'initialize', events: engineB.eventLog.getAllEvents(), state: engineB._auditState() }] }
+        );
+        if (initial) {
+            return { deterministic: false, waves: 0, divergence: initial };
+        }
+
+        let finished = false;
+        while (!finished) {
+            const resultA = engineA.step();
+            const resultB = engineB.step();
+
+            const divergence = SimulationEngine._compareAudit(
+                engineA.auditTrail[engineA.auditTrail.length - 1],
+                engineB.auditTrail[engineB.auditTrail.length - 1]
+            );
+            if (divergence) {
+                return { deterministic: false, waves: engineA.currentWave, divergence };
+            }
+
+            if (resultA.finished !== resultB.finished) {
+                return {
+                    deterministic: false,
+                    waves: engineA.currentWave,
+                    divergence: { wave: engineA.currentWave, system: null, reason: 'One run finished and the other did not', event: null }
+                };
+            }
+            finished = resultA.finished;
+        }
+
+        return { deterministic: true, waves: engineA.currentWave, divergence: null };
+    }
+
+    /**
+     * Find the first difference between two audit records of the same wave
+     * @returns {object|null} { wave, system, reason, event, path }
+     */
+    static _compareAudit(a, b) {
+        if (!a || !b) {
+            return { wave: (a || b || {}).wave || null, system: null, reason: 'Audit trail missing (is config.audit enabled?)', event: null };
+        }
+
+        const systemCount = Math.max(a.systems.length, b.systems.length);
+        for (let i = 0; i < systemCount; i++) {
+            const sysA = a.systems[i];
+            const sysB = b.systems[i];
+            const system = (sysA || sysB).system;
+
+            if (!sysA || !sysB || sysA.system !== sysB.system) {
+                return { wave: a.wave, system, reason: 'System order differs', event: null };
+            }
+
+            const eventCount = Math.max(sysA.events.length, sysB.events.length);
+            for (let j = 0; j < eventCount; j++) {
+                const expected = SimulationEngine._stripTimestamp(sysA.events[j]);
+                const actual = SimulationEngine._stripTimestamp(sysB.events[j]);
+                if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+                    return { wave: a.wave, system, reason: 'Event stream differs', event: { expected, actual } };
+                }
+            }
+
+            if (sysA.state !== sysB.state) {
+                return {
+                    wave: a.wave,
+                    system,
+                    reason: 'World state differs',
+                    event: null,
+                    path: SimulationEngine._firstDifferentPath(JSON.parse(sysA.state), JSON.parse(sysB.state))
+                };
+            }
+        }
+
+        return null;
+    }
+
+    static _stripTimestamp(event) {
+        if (!event) return null;
+        const { timestamp, ...rest } = event;
+        return rest;
+    }
+
+    /**
+     * Dotted path to the first value that differs between two plain objects
+     * @returns {string|null}
+     */
+    static _firstDifferentPath(a, b, path = '') {
+        if (JSON.stringify(a) === JSON.stringify(b)) return null;
+        if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return path || '(root)';
+
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        for (const key of keys) {
+            const diff = SimulationEngine._firstDifferentPath(a[key], b[key], path ? `${path}.${key}` : key);
+            if (diff) return diff;
+        }
+        return path || '(root)';
+    }
+
+    /**
+     * Serialize the full engine state: world, per-system internal state, RNG
+     * position and event log. deserialize() on an engine with the same systems
+     * registered continues the match exactly as if it had never stopped.
+     * @returns {object}
+     */
+    serialize() {
+        const systems = {};
+        for (const { system } of this.systems) {
+            if (typeof system.serialize === 'function') {
+                systems[system.constructor.name] = system.serialize();
+            }
+        }
+
+        return {
+            wave: this.currentWave,
+            phase: this.phase,
+            isRunning: this.isRunning,
+            rng: this.rng.getState(),
+            world: this.world.serialize(),
+            systems,
+            eventLog: this.eventLog.serialize()
+        };
+    }
+
+    /**
+     * Restore serialize() output (systems must already be registered)
+     * @param {object} state
+     */
+    deserialize(state) {
+        this.currentWave = state.wave;
+        this.phase = state.phase;
+        this.isRunning = state.isRunning;
+        this.rng = RNG.fromState(state.rng);
+        this.world.deserialize(state.world);
+        this.eventLog.deserialize(state.eventLog);
+
+        // Systems restore after the world so they can relink entities
+        for (const { system } of this.systems) {
+            const systemState = state.systems[system.constructor.name];
+            if (systemState && typeof system.deserialize === 'function') {
+                system.deserialize(systemState, this.world);
+            }
+        }
+    }
+
     /**
      * Get current simulation state
      * @returns {object}
@@ -231,6 +468,14 @@ class SimulationEngine {
         return this.eventLog;
     }
 
+    /**
+     * Get root RNG
+     * @returns {RNG}
+     */
+    getRNG() {
+        return this.rng;
+    }
+
     /**
      * Get world reference
      * @returns {World}
@@ -255,7 +500,9 @@ class SimulationEngine {
         this.currentWave = 0;
         this.phase = 'draft';
         this.isRunning = false;
+        this.auditTrail = [];
     }
 }
 
 module.exports = SimulationEngine;
+module.exports.DeterminismError = DeterminismError;
@@ -0,0 +1,428 @@
+const EventLog = require('./EventLog');
+const statusData = require('../data/status_effects.json');
+
+// Ability tags that point friendly effects at the caster instead of an ally
+const SELF_TAGS = ['self', 'self_buff'];
+
+// CStatus list for each catalog kind
+const KIND_LISTS = { buff: 'buffs', debuff: 'debuffs', cc: 'cc' };
+
+/**
+ * StatusEffects - Interprets ability effect tags (data/status_effects.json)
+ *
+ * Each catalog entry maps one tag from abilities.json to either a timed
+ * status (kind 'cc', 'buff' or 'debuff', stored in CStatus with a stacking
+ * rule) or an instant action (heal, lifesteal, mana_drain, revive). Tags
+ * with no entry (magic_damage, aoe, skillshot, ...) only shape damage and
+ * targeting.
+ *
+ * Targets:
+ * - enemy: the ability's target, or every enemy in the fight for aoe abilities
+ * - friendly: the caster for self abilities, every ally for aoe abilities,
+ *   otherwise the most injured ally
+ * - self: always the caster
+ *
+ * Durations are combat seconds: one fight tick is a second, and a wave
+ * (SECONDS_PER_WAVE) expires everything applied during the previous one.
+ *
+ * Combatants are { champion, health, alive } - TeamfightSystem's fight
+ * participants, or a stand-in LaneSystem builds for a trade - since fights
+ * track health separately from CStats.
+ */
+class StatusEffects {
+    static SECONDS_PER_WAVE = 10;
+
+    constructor() {
+        this.catalog = new Map();
+        for (const definition of statusData) {
+            this.catalog.set(definition.tag, definition);
+        }
+    }
+
+    /**
+     * Wrap a champion as a combatant using its current CStats health
+     * @param {Entity} champion
+     * @returns {object}
+     */
+    static combatant(champion) {
+        const stats = champion.getComponent('stats');
+        return { champion, health: stats.health || 550, alive: stats.isAlive };
+    }
+
+    // ==================== APPLYING ====================
+
+    /**
+     * Apply every effect tag of a cast ability
+     * @param {object} caster - Combatant
+     * @param {object} target - Combatant
+     * @param {object} ability - abilities.json entry
+     * @param {object} cast
+     * @param {number} cast.damage - Damage the cast will deal (before the caller's mitigation)
+     * @param {boolean} cast.landed - False if the ability missed its target
+     * @param {object[]} cast.allies - Caster's side (combatants, including the caster)
+     * @param {object[]} cast.enemies - Target's side (combatants)
+     * @param {number} cast.tick
+     * @param {EventLog} cast.eventLog
+     * @returns {object[]} Applied effects: { tag, type, targetId }
+     */
+    applyAbility(caster, target, ability, cast) {
+        const applied = [];
+
+        for (const tag of ability.effects || []) {
+            const definition = this.catalog.get(tag);
+            if (!definition) continue;
+
+            // A missed skillshot carries none of its on-hit effects
+            if (definition.target === 'enemy' && !cast.landed) continue;
+
+            for (const recipient of this._recipients(definition.target, caster, target, ability, cast)) {
+                const result = definition.kind === 'instant'
+                    ? this._applyInstant(definition, caster, recipient, ability, cast)
+                    : this._applyStatus(definition, caster, recipient, ability, cast);
+
+                if (result) {
+                    applied.push({ tag, type: definition.type || definition.action, targetId: recipient.champion.id });
+                }
+            }
+        }
+
+        return applied;
+    }
+
+    /**
+     * Who a catalog entry lands on
+     */
+    _recipients(targetType, caster, target, ability, cast) {
+        const tags = ability.effects || [];
+        const isArea = tags.includes('aoe');
+
+        switch (targetType) {
+            case 'enemy': {
+                const enemies = isArea ? cast.enemies : [target];
+                return enemies.filter(e => e.alive && this.isTargetable(e.champion));
+            }
+
+            case 'friendly': {
+                if (tags.some(tag => SELF_TAGS.includes(tag))) return [caster];
+                if (ability.effects.includes('revive')) return cast.allies;  // Revives look at the fallen too
+                const allies = cast.allies.filter(a => a.alive);
+                if (isArea) return allies;
+                const lowest = allies.reduce((best, ally) =>
+                    (!best || this._healthPercent(ally) < this._healthPercent(best) ? ally : best), null);
+                return lowest ? [lowest] : [caster];
+            }
+
+            case 'self':
+                return [caster];
+
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Add a timed status (honoring cc immunity and tenacity) and log it
+     * @returns {object|null}
+     */
+    _applyStatus(definition, caster, recipient, ability, cast) {
+        const status = recipient.champion.getComponent('status');
+        const stats = recipient.champion.getComponent('stats');
+        const isEnemy = definition.target === 'enemy';
+
+        if (!recipient.alive) return null;
+        if (isEnemy && status.hasEffect('cc_immunity')) return null;
+
+        // Tenacity shortens crowd control and debuffs
+        const tenacity = isEnemy ? Math.min(0.9, stats.effective_tenacity || 0) : 0;
+        const duration = definition.duration * (1 - tenacity);
+
+        const effects = { ...(definition.effects || {}) };
+        if (definition.damageOverTime) {
+            effects.damage_per_second = Math.round(cast.damage * definition.damageOverTime);
+            if (effects.damage_per_second <= 0) return null;
+        }
+
+        const stored = status.apply(KIND_LISTS[definition.kind], {
+            type: definition.type,
+            source: caster.champion.getComponent('identity').name,
+            sourceId: caster.champion.id,
+            abilityId: ability.id,
+            duration,
+            strength: 1.0,
+            disables: !!definition.disables,
+            immobilizes: !!definition.immobilizes,
+            amount: definition.amount ? this._scaledAmount(definition.amount, caster.champion) : 0,
+            effects
+        }, definition.stacking, definition.maxStacks || 1);
+
+        const eventType = {
+            cc: EventLog.EventTypes.CC_APPLY,
+            buff: EventLog.EventTypes.BUFF_APPLY,
+            debuff: EventLog.EventTypes.DEBUFF_APPLY
+        }[definition.kind];
+
+        cast.eventLog.log({
+            type: eventType,
+            tick: cast.tick,
+            ...this._describe(caster, recipient, ability),
+            statusType: definition.type,
+            duration: Math.round(duration * 10) / 10,
+            stacks: stored.stacks,
+            ...(stored.amount ? { amount: stored.amount } : {})
+        });
+
+        return stored;
+    }
+
+    /**
+     * Resolve an instant action on a combatant
+     * @returns {boolean} Whether it did anything
+     */
+    _applyInstant(definition, caster, recipient, ability, cast) {
+        switch (definition.action) {
+            case 'heal': {
+                if (!recipient.alive) return false;
+                return this.heal(recipient, this._scaledAmount(definition.amount, caster.champion)) > 0;
+            }
+
+            case 'lifesteal': {
+                if (!recipient.alive || !cast.landed) return false;
+                return this.heal(recipient, cast.damage * definition.ratio) > 0;
+            }
+
+            case 'mana_drain': {
+                const targetStats = recipient.champion.getComponent('stats');
+                const casterStats = caster.champion.getComponent('stats');
+                const drained = Math.min(targetStats.mana || 0, definition.amount);
+                if (drained <= 0) return false;
+                targetStats.mana -= drained;
+                casterStats.mana = Math.min(casterStats.max_mana || drained, (casterStats.mana || 0) + drained);
+                return true;
+            }
+
+            case 'revive': {
+                if (recipient.alive) return false;
+                recipient.alive = true;
+                recipient.health = this._maxHealth(recipient.champion) * definition.percent;
+
+                cast.eventLog.log({
+                    type: EventLog.EventTypes.CHAMPION_REVIVE,
+                    tick: cast.tick,
+                    ...this._describe(caster, recipient, ability),
+                    health: Math.round(recipient.health)
+                });
+                return true;
+            }
+
+            default:
+                return false;
+        }
+    }
+
+    // ==================== COMBAT QUERIES ====================
+
+    /**
+     * Whether a champion can be picked as a target at all
+     */
+    isTargetable(champion) {
+        return !champion.getComponent('status').hasEffect('untargetable');
+    }
+
+    /**
+     * Whether a champion can act this turn (not stunned, knocked up or pulled)
+     */
+    canAct(champion) {
+        return !champion.getComponent('status').isDisabled();
+    }
+
+    /**
+     * Whether a champion is stuck where it stands (can't dodge follow-ups)
+     */
+    isImmobilized(champion) {
+        return champion.getComponent('status').isImmobilized();
+    }
+
+    /**
+     * Run damage through both sides' statuses: blind, damage buffs, invulnerability,
+     * blocks, damage taken modifiers and ability shields (in that order)
+     * @param {Entity} attacker
+     * @param {Entity} defender
+     * @param {number} damage
+     * @param {string} source - 'basic' or 'ability'
+     * @param {RNG} rng
+     * @returns {number} Damage left for the defender to take
+     */
+    mitigate(attacker, defender, damage, source, rng) {
+        const attackerStatus = attacker.getComponent('status');
+        const defenderStatus = defender.getComponent('status');
+
+        if (damage <= 0) return 0;
+
+        if (source === 'basic') {
+            const missChance = Math.min(0.9, attackerStatus.getEffect('miss_chance'));
+            if (missChance > 0 && rng.chance(missChance)) return 0;
+            damage *= 1 + attackerStatus.getEffect('basic_damage');
+        }
+        damage *= 1 + attackerStatus.getEffect('damage_dealt');
+
+        if (defenderStatus.hasEffect('invulnerable') || defenderStatus.hasEffect('untargetable')) return 0;
+
+        if (source === 'basic') {
+            const block = defenderStatus.buffs.find(b => b.effects.block);
+            if (block) {
+                defenderStatus.remove('buffs', block);
+                return 0;
+            }
+        }
+
+        damage *= Math.max(0.1, 1 + defenderStatus.getEffect('damage_taken'));
+
+        for (const shield of defenderStatus.buffs.filter(b => b.type === 'shield')) {
+            const absorbed = Math.min(shield.amount, damage);
+            shield.amount -= absorbed;
+            damage -= absorbed;
+            if (shield.amount <= 0) defenderStatus.remove('buffs', shield);
+        }
+
+        return Math.max(0, damage);
+    }
+
+    /**
+     * Lifesteal granted by statuses (lifesteal_share) for damage dealt
+     * @returns {number} Health to give the attacker
+     */
+    getLifesteal(attacker, damage) {
+        return damage * attacker.getComponent('status').getEffect('lifesteal');
+    }
+
+    /**
+     * Called when a hit would kill a combatant - a rewind brings it back
+     * @param {object} combatant
+     * @param {number} tick
+     * @param {EventLog} eventLog
+     * @returns {boolean} Whether the combatant survived
+     */
+    preventDeath(combatant, tick, eventLog) {
+        const status = combatant.champion.getComponent('status');
+        const rewind = status.buffs.find(b => b.effects.rewind);
+        if (!rewind) return false;
+
+        status.remove('buffs', rewind);
+        combatant.health = this._maxHealth(combatant.champion) * rewind.effects.rewind;
+
+        const identity = combatant.champion.getComponent('identity');
+        eventLog.log({
+            type: EventLog.EventTypes.BUFF_EXPIRE,
+            tick,
+            entityId: combatant.champion.id,
+            championName: identity.name,
+            teamId: identity.teamId,
+            statusType: rewind.type,
+            kind: 'buffs',
+            reason: 'consumed',
+            health: Math.round(combatant.health)
+        });
+        return true;
+    }
+
+    /**
+     * Heal a combatant (never above max health)
+     * @returns {number} Health restored
+     */
+    heal(combatant, amount) {
+        const before = combatant.health;
+        combatant.health = Math.min(this._maxHealth(combatant.champion), combatant.health + amount);
+        return combatant.health - before;
+    }
+
+    // ==================== TIME ====================
+
+    /**
+     * Advance a combatant's ability statuses by some seconds: damage over
+     * time ticks (it never kills on its own), then expired statuses drop off
+     * @param {object} combatant
+     * @param {number} seconds
+     * @param {number} tick
+     * @param {EventLog} eventLog
+     */
+    advance(combatant, seconds, tick, eventLog) {
+        const status = combatant.champion.getComponent('status');
+
+        let dotDamage = 0;
+        for (const debuff of status.debuffs) {
+            if (!debuff.abilityId || !debuff.effects.damage_per_second) continue;
+            dotDamage += debuff.effects.damage_per_second * (debuff.stacks || 1) * Math.min(seconds, debuff.remainingDuration);
+        }
+        if (dotDamage > 0 && combatant.alive) {
+            combatant.health = Math.max(1, combatant.health - dotDamage);
+        }
+
+        const expired = status.tick(seconds, s => !!s.abilityId);
+        const identity = combatant.champion.getComponent('identity');
+
+        for (const s of expired) {
+            eventLog.log({
+                type: EventLog.EventTypes.BUFF_EXPIRE,
+                tick,
+                entityId: combatant.champion.id,
+                championName: identity.name,
+                teamId: identity.teamId,
+                statusType: s.type,
+                kind: s.kind,
+                reason: 'expired'
+            });
+        }
+    }
+
+    /**
+     * Wave boundary: everything applied last wave runs its course (on CStats health)
+     */
+    advanceWave(champion, tick, eventLog) {
+        const combatant = StatusEffects.combatant(champion);
+        this.advance(combatant, StatusEffects.SECONDS_PER_WAVE, tick, eventLog);
+        champion.getComponent('stats').health = combatant.health;
+    }
+
+    // ==================== HELPERS ====================
+
+    /**
+     * { base, level, ap, ad } scaled by the caster's stats
+     */
+    _scaledAmount(amount, champion) {
+        const stats = champion.getComponent('stats');
+        return Math.round(
+            (amount.base || 0) +
+            (amount.level || 0) * (stats.level || 1) +
+            (amount.ap || 0) * (stats.effective_ability_power || stats.ability_power || 0) +
+            (amount.ad || 0) * (stats.effective_attack_damage || stats.attack_damage || 60)
+        );
+    }
+
+    _maxHealth(champion) {
+        const stats = champion.getComponent('stats');
+        return stats.effective_max_health || stats.max_health || 550;
+    }
+
+    _healthPercent(combatant) {
+        return combatant.health / this._maxHealth(combatant.champion);
+    }
+
+    /**
+     * Common event fields for an ability effect
+     */
+    _describe(caster, recipient, ability) {
+        const casterIdentity = caster.champion.getComponent('identity');
+        const targetIdentity = recipient.champion.getComponent('identity');
+        return {
+            sourceId: caster.champion.id,
+            sourceName: casterIdentity.name,
+            targetId: recipient.champion.id,
+            targetName: targetIdentity.name,
+            teamId: targetIdentity.teamId,
+            abilityId: ability.id,
+            abilityName: ability.name
+        };
+    }
+}
+
+module.exports = StatusEffects;
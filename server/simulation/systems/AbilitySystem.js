@@ -1,4 +1,5 @@
 const EventLog = require('../engines/EventLog');
+const StatusEffects = require('../engines/StatusEffects');
 
 /**
  * AbilitySystem - Manages champion abilities and their execution
@@ -9,11 +10,15 @@ const EventLog = require('../engines/EventLog');
  * Abilities are used during:
  * - Laning phase: Q/W/E for trades
  * - Team fights: All abilities including ultimates
+ *
+ * Effect tags (stun, shield, revive, ...) are executed by StatusEffects;
+ * the combat systems apply the returned damage themselves.
  */
 class AbilitySystem {
     constructor() {
         this.abilities = new Map();
         this.championCooldowns = new Map(); // Track cooldowns per champion
+        this.statusEffects = new StatusEffects();
         this.config = {
             laneCastChance: 0.30,      // 30% chance to cast ability in lane
             fightCastChance: 0.90,     // 90% chance to cast ability in fight
@@ -72,7 +77,7 @@ class AbilitySystem {
     }
 
     /**
-     * Update system - regenerate mana, reduce cooldowns
+     * Update system - regenerate mana, expire last wave's ability statuses
      */
     update(world, rng, eventLog, phase) {
         const champions = world.queryByTag('champion');
@@ -87,13 +92,15 @@ class AbilitySystem {
             }
 
             // Cooldowns are tracked per-cast, not per-tick
+
+            this.statusEffects.advanceWave(champion, tick, eventLog);
         }
     }
 
     /**
      * Attempt to cast ability during laning phase
      */
-    tryCastInLane(attacker, defender, world, rng, eventLog) {
+    tryCastInLane(attacker, defender, world, rng, eventLog, combat = null) {
         const tick = world.getTick();
         const systemRng = rng.fork('ability_lane');
 
@@ -106,13 +113,13 @@ class AbilitySystem {
         const abilitySlots = ['q', 'w', 'e'];
         const slot = systemRng.choice(abilitySlots);
 
-        return this.castAbility(attacker, defender, slot, tick, eventLog, systemRng);
+        return this.castAbility(attacker, defender, slot, tick, eventLog, systemRng, combat);
     }
 
     /**
      * Cast all available abilities during team fight
      */
-    castAbilitiesInFight(attacker, target, world, rng, eventLog) {
+    castAbilitiesInFight(attacker, target, world, rng, eventLog, combat = null) {
         const tick = world.getTick();
         const systemRng = rng.fork('ability_fight');
         const results = [];
@@ -120,7 +127,7 @@ class AbilitySystem {
         // Try to cast Q, W, E
         for (const slot of ['q', 'w', 'e']) {
             if (systemRng.chance(this.config.fightCastChance)) {
-                const result = this.castAbility(attacker, target, slot, tick, eventLog, systemRng);
+                const result = this.castAbility(attacker, target, slot, tick, eventLog, systemRng, combat);
                 if (result) {
                     results.push(result);
                 }
@@ -128,8 +135,8 @@ class AbilitySystem {
         }
 
         // Try to cast ultimate (R) - lower chance, higher impact
-        if (systemRng.chance(this.ultCastChance)) {
-            const ultResult = this.castAbility(attacker, target, 'r', tick, eventLog, systemRng);
+        if (systemRng.chance(this.config.ultCastChance)) {
+            const ultResult = this.castAbility(attacker, target, 'r', tick, eventLog, systemRng, combat);
             if (ultResult) {
                 results.push(ultResult);
             }
@@ -146,9 +153,12 @@ class AbilitySystem {
     }
 
     /**
-     * Cast a specific ability
+     * Cast a specific ability and apply its effect tags
+     * @param {object} combat - { caster, target, allies, enemies } as StatusEffects combatants;
+     *   defaults to a one-on-one using CStats health
+     * @returns {object|null} { ability, damage, isKill, slot, effects } - damage is not applied here
      */
-    castAbility(caster, target, slot, tick, eventLog, rng) {
+    castAbility(caster, target, slot, tick, eventLog, rng, combat = null) {
         const identity = caster.getComponent('identity');
         const stats = caster.getComponent('stats');
         const hiddenStats = caster.getComponent('hiddenStats');
@@ -190,15 +200,19 @@ class AbilitySystem {
 
         // Calculate damage
         const damage = this._calculateAbilityDamage(caster, target, ability, rng);
+        const landed = damage > 0 || !(ability.damage.base > 0);
 
-        // Apply damage to target
-        const targetStats = target.getComponent('stats');
         const targetIdentity = target.getComponent('identity');
 
-        targetStats.health -= damage;
+        const standalone = !combat;
+        if (standalone) {
+            const casterCombatant = StatusEffects.combatant(caster);
+            const targetCombatant = StatusEffects.combatant(target);
+            combat = { caster: casterCombatant, target: targetCombatant, allies: [casterCombatant], enemies: [targetCombatant] };
+        }
 
         // Check for kill
-        const isKill = targetStats.health <= 0;
+        const isKill = combat.target.health - damage <= 0;
 
         // Log ability cast
         const abilityName = ability.name;
@@ -218,11 +232,27 @@ class AbilitySystem {
             flavor: ability.flavor
         });
 
+        // Effect tags land after the cast is logged so the feed reads in order
+        const effects = this.statusEffects.applyAbility(combat.caster, combat.target, ability, {
+            damage,
+            landed,
+            allies: combat.allies,
+            enemies: combat.enemies,
+            tick,
+            eventLog
+        });
+
+        // Heals from a standalone cast go straight to CStats
+        if (standalone) {
+            caster.getComponent('stats').health = combat.caster.health;
+        }
+
         return {
             ability: ability,
             damage: damage,
             isKill: isKill,
-            slot: slot
+            slot: slot,
+            effects
         };
     }
 
@@ -348,6 +378,22 @@ class AbilitySystem {
     getAbility(abilityId) {
         return this.abilities.get(abilityId);
     }
+
+    /**
+     * Serialize per-champion cooldown state (for mid-match snapshots)
+     */
+    serialize() {
+        return {
+            championCooldowns: Array.from(this.championCooldowns.entries())
+        };
+    }
+
+    /**
+     * Restore serialize() output
+     */
+    deserialize(state) {
+        this.championCooldowns = new Map(state.championCooldowns);
+    }
 }
 
 module.exports = AbilitySystem;
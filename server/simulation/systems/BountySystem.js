@@ -0,0 +1,208 @@
+const EventLog = require('../engines/EventLog');
+
+// Announcer titles by kill streak; anything past the end is legendary
+const STREAK_TITLES = {
+    3: 'Killing Spree',
+    4: 'Rampage',
+    5: 'Unstoppable',
+    6: 'Dominating',
+    7: 'Godlike'
+};
+
+/**
+ * BountySystem - Kill streaks, shutdown bounties and comeback gold
+ *
+ * Every champion kill pays a flat killGold. Champions who keep killing
+ * without dying build a streak (CStreak) and put a price on their own head:
+ * from spreeStreak kills on, whoever ends the streak collects a shutdown
+ * bounty that grows with every extra kill (up to shutdownCap).
+ *
+ * The team behind in net worth gets a comeback bounty for any objective it
+ * secures or steals, scaled to the deficit and split across the team.
+ *
+ * Not scheduled - TakedownSystem calls in on kills and ObjectiveSystem on
+ * secures. Streaks live on the champions.
+ */
+class BountySystem {
+    static STREAK_TITLES = STREAK_TITLES;
+
+    constructor() {
+        this.config = {
+            killGold: 300,  // Gold for any champion kill
+            spreeStreak: 3,  // Kills without dying before a champion is on a spree (and worth a shutdown)
+            legendaryStreak: 8,  // Kills without dying for a legendary streak
+            shutdownBase: 150,  // Shutdown bounty at spreeStreak kills
+            shutdownPerKill: 100,  // Extra bounty per kill past spreeStreak
+            shutdownCap: 1000,  // Largest bounty one champion can carry
+            comebackDeficit: 2000,  // Net worth a team must trail by to earn objective bounties
+            objectiveBountyShare: 0.25,  // Share of the deficit paid out on an objective
+            objectiveBountyCap: 1500  // Largest objective bounty (whole team)
+        };
+
+        // Reference to ItemSystem (set externally)
+        this.itemSystem = null;
+    }
+
+    /**
+     * Set item system reference (net worth for comeback bounties)
+     */
+    setItemSystem(itemSystem) {
+        this.itemSystem = itemSystem;
+    }
+
+    // ==================== KILLS ====================
+
+    /**
+     * Shutdown bounty a champion carries on their current streak
+     * @param {Entity} champion
+     * @returns {number} 0 when not on a spree
+     */
+    getShutdownBounty(champion) {
+        const streak = champion.getComponent('streak');
+        if (!streak || streak.current < this.config.spreeStreak) return 0;
+
+        const bounty = this.config.shutdownBase + (streak.current - this.config.spreeStreak) * this.config.shutdownPerKill;
+        return Math.min(this.config.shutdownCap, bounty);
+    }
+
+    /**
+     * Gold for killing a champion: flat kill gold plus their shutdown bounty
+     * @param {Entity} victim
+     * @returns {number}
+     */
+    getKillGold(victim) {
+        return this.config.killGold + this.getShutdownBounty(victim);
+    }
+
+    /**
+     * Record a kill: pay out (log) any shutdown, end the victim's streak and
+     * extend the killer's. Call after the kill is logged; the gold itself
+     * comes from getKillGold().
+     * @param {Entity} killer
+     * @param {Entity} victim
+     */
+    onKill(killer, victim, tick, eventLog) {
+        const killerStreak = killer.getComponent('streak');
+        const victimStreak = victim.getComponent('streak');
+        if (!killerStreak || !victimStreak) return;
+
+        const killerIdentity = killer.getComponent('identity');
+        const victimIdentity = victim.getComponent('identity');
+
+        const shutdownGold = this.getShutdownBounty(victim);
+        if (shutdownGold > 0) {
+            killerStreak.shutdowns++;
+            killerStreak.bountyGold += shutdownGold;
+
+            eventLog.log({
+                type: EventLog.EventTypes.SHUTDOWN,
+                tick: tick,
+                killerId: killer.id,
+                killerName: killerIdentity.name,
+                killerTeam: killerIdentity.teamId,
+                victimId: victim.id,
+                victimName: victimIdentity.name,
+                victimTeam: victimIdentity.teamId,
+                victimKillStreak: victimStreak.current,
+                shutdownGold
+            });
+        }
+        victimStreak.current = 0;
+
+        killerStreak.current++;
+        killerStreak.best = Math.max(killerStreak.best, killerStreak.current);
+        this._announceStreak(killer, killerStreak, tick, eventLog);
+    }
+
+    /**
+     * Log each step of a spree up to legendary (announced once per streak)
+     */
+    _announceStreak(champion, streak, tick, eventLog) {
+        const count = streak.current;
+        if (count < this.config.spreeStreak || count > this.config.legendaryStreak) return;
+
+        const identity = champion.getComponent('identity');
+        const legendary = count === this.config.legendaryStreak;
+
+        if (count === this.config.spreeStreak) streak.sprees++;
+        if (legendary) streak.legendaries++;
+
+        eventLog.log({
+            type: legendary ? EventLog.EventTypes.STREAK_LEGENDARY : EventLog.EventTypes.STREAK_SPREE,
+            tick: tick,
+            entityId: champion.id,
+            championName: identity.name,
+            teamId: identity.teamId,
+            streak: count,
+            title: legendary ? 'Legendary' : this._getTitle(count),
+            bounty: this.getShutdownBounty(champion)
+        });
+    }
+
+    /**
+     * Highest announcer title a streak has earned
+     */
+    _getTitle(count) {
+        const reached = Object.keys(STREAK_TITLES).map(Number).filter(threshold => threshold <= count);
+        return STREAK_TITLES[reached.length > 0 ? Math.max(...reached) : 3];
+    }
+
+    // ==================== OBJECTIVES ====================
+
+    /**
+     * Comeback bounty a team would earn for an objective right now
+     * @param {World} world
+     * @param {string} teamId
+     * @returns {object|null} { deficit, gold } or null when the team isn't far enough behind
+     */
+    getObjectiveBounty(world, teamId) {
+        const enemyTeamId = teamId === 'team1' ? 'team2' : 'team1';
+        const deficit = this._getTeamNetWorth(world, enemyTeamId) - this._getTeamNetWorth(world, teamId);
+        if (deficit < this.config.comebackDeficit) return null;
+
+        return {
+            deficit,
+            gold: Math.round(Math.min(this.config.objectiveBountyCap, deficit * this.config.objectiveBountyShare))
+        };
+    }
+
+    /**
+     * Pay a comeback bounty (from getObjectiveBounty) to the team that took an objective
+     * @param {World} world
+     * @param {string} teamId
+     * @param {object} bounty - { deficit, gold }
+     * @param {string} objectiveName
+     */
+    claimObjectiveBounty(world, teamId, bounty, objectiveName, tick, eventLog) {
+        const champions = world.queryByTags('champion', teamId);
+        if (champions.length === 0) return;
+
+        const share = Math.floor(bounty.gold / champions.length);
+        for (const champion of champions) {
+            champion.getComponent('stats').gold += share;
+
+            const streak = champion.getComponent('streak');
+            if (streak) streak.bountyGold += share;
+        }
+
+        const team = world.getMetadata(teamId);
+        eventLog.log({
+            type: EventLog.EventTypes.BOUNTY_OBJECTIVE,
+            tick: tick,
+            teamId,
+            teamName: (team && team.name) || teamId,
+            objectiveName,
+            deficit: bounty.deficit,
+            bountyGold: share * champions.length,
+            goldPerChampion: share
+        });
+    }
+
+    _getTeamNetWorth(world, teamId) {
+        return world.queryByTags('champion', teamId).reduce((sum, champion) => sum + (this.itemSystem
+            ? this.itemSystem.getNetWorth(champion)
+            : champion.getComponent('stats').gold), 0);
+    }
+}
+
+module.exports = BountySystem;
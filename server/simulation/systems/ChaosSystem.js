@@ -9,7 +9,7 @@ const EventLog = require('../engines/EventLog');
 class ChaosSystem {
     constructor() {
         this.chaosLevel = 0; // Increases over time (0-1)
-        this.activeEvents = []; // Currently active chaos events
+        this.activeEvents = []; // Currently active chaos events ({ id, name, duration, data } - plain data so it can be snapshotted)
         this.eventHistory = []; // All triggered events this match
 
         this.config = {
@@ -57,15 +57,16 @@ class ChaosSystem {
         this.activeEvents = this.activeEvents.filter(event => {
             if (event.duration > 0) {
                 event.duration--;
+                const definition = this._getEventDefinition(event.id) || {};
 
                 // Call onTick callback if exists
-                if (event.onTick) {
-                    event.onTick(world, event.duration);
+                if (definition.onTick) {
+                    definition.onTick(world, event.duration, event.data);
                 }
 
                 // If event just expired, call onExpire
-                if (event.duration === 0 && event.onExpire) {
-                    event.onExpire(world);
+                if (event.duration === 0 && definition.onExpire) {
+                    definition.onExpire(world, event.data);
 
                     eventLog.log({
                         type: EventLog.EventTypes.CHAOS_EVENT,
@@ -122,6 +123,13 @@ class ChaosSystem {
         });
     }
 
+    /**
+     * Look up a chaos event definition by id
+     */
+    _getEventDefinition(eventId) {
+        return this._getChaosEventDefinitions().find(event => event.id === eventId);
+    }
+
     /**
      * Execute a chaos event
      */
@@ -153,8 +161,7 @@ class ChaosSystem {
                 id: event.id,
                 name: event.name,
                 duration: result.duration,
-                onTick: result.onTick,
-                onExpire: result.onExpire
+                data: result.data || null
             });
         }
     }
@@ -253,15 +260,15 @@ class ChaosSystem {
                 rarity: 'rare',
                 execute: (world, rng) => {
                     const champions = world.queryByTag('champion');
-                    const originalStats = new Map();
+                    const originalStats = {};
 
                     for (const champion of champions) {
                         const hiddenStats = champion.getComponent('hiddenStats');
-                        originalStats.set(champion.id, {
+                        originalStats[champion.id] = {
                             mechanical_skill: hiddenStats.mechanical_skill,
                             game_sense: hiddenStats.game_sense,
                             tilt_level: hiddenStats.tilt_level
-                        });
+                        };
 
                         hiddenStats.mechanical_skill = 1.0;
                         hiddenStats.game_sense = 1.0;
@@ -270,18 +277,19 @@ class ChaosSystem {
 
                     return {
                         duration: 1,
-                        onExpire: (world) => {
-                            for (const champion of champions) {
-                                const hiddenStats = champion.getComponent('hiddenStats');
-                                const original = originalStats.get(champion.id);
-                                if (original) {
-                                    hiddenStats.mechanical_skill = original.mechanical_skill;
-                                    hiddenStats.game_sense = original.game_sense;
-                                    hiddenStats.tilt_level = original.tilt_level;
-                                }
-                            }
-                        }
+                        data: { originalStats }
                     };
+                },
+                onExpire: (world, data) => {
+                    for (const champion of world.queryByTag('champion')) {
+                        const hiddenStats = champion.getComponent('hiddenStats');
+                        const original = data.originalStats[champion.id];
+                        if (original) {
+                            hiddenStats.mechanical_skill = original.mechanical_skill;
+                            hiddenStats.game_sense = original.game_sense;
+                            hiddenStats.tilt_level = original.tilt_level;
+                        }
+                    }
                 }
             },
 
@@ -535,12 +543,10 @@ class ChaosSystem {
                 rarity: 'rare',
                 execute: (world, rng) => {
                     world.metadata.pacifism = true;
-                    return {
-                        duration: 1,
-                        onExpire: (world) => {
-                            world.metadata.pacifism = false;
-                        }
-                    };
+                    return { duration: 1 };
+                },
+                onExpire: (world) => {
+                    world.metadata.pacifism = false;
                 }
             },
 
@@ -624,16 +630,19 @@ class ChaosSystem {
                     const champions = world.queryByTag('champion');
                     const chosen = rng.choice(champions);
                     const stats = chosen.getComponent('stats');
-                    const originalHealth = stats.health;
 
                     stats.invincible = true;
 
                     return {
                         duration: 2,
-                        onExpire: (world) => {
-                            stats.invincible = false;
-                        }
+                        data: { championId: chosen.id }
                     };
+                },
+                onExpire: (world, data) => {
+                    const chosen = world.getEntity(data.championId);
+                    if (chosen) {
+                        chosen.getComponent('stats').invincible = false;
+                    }
                 }
             },
 
@@ -758,12 +767,10 @@ class ChaosSystem {
                 rarity: 'uncommon',
                 execute: (world, rng) => {
                     world.metadata.blind = true;
-                    return {
-                        duration: 1,
-                        onExpire: (world) => {
-                            world.metadata.blind = false;
-                        }
-                    };
+                    return { duration: 1 };
+                },
+                onExpire: (world) => {
+                    world.metadata.blind = false;
                 }
             },
 
@@ -801,12 +808,10 @@ class ChaosSystem {
                 rarity: 'epic',
                 execute: (world, rng) => {
                     world.metadata.pentakillMode = true;
-                    return {
-                        duration: 1,
-                        onExpire: (world) => {
-                            world.metadata.pentakillMode = false;
-                        }
-                    };
+                    return { duration: 1 };
+                },
+                onExpire: (world) => {
+                    world.metadata.pentakillMode = false;
                 }
             },
 
@@ -877,6 +882,26 @@ class ChaosSystem {
             }
         ];
     }
+
+    /**
+     * Serialize chaos state (for mid-match snapshots)
+     */
+    serialize() {
+        return {
+            chaosLevel: this.chaosLevel,
+            activeEvents: this.activeEvents,
+            eventHistory: this.eventHistory
+        };
+    }
+
+    /**
+     * Restore serialize() output
+     */
+    deserialize(state) {
+        this.chaosLevel = state.chaosLevel;
+        this.activeEvents = state.activeEvents;
+        this.eventHistory = state.eventHistory;
+    }
 }
 
 module.exports = ChaosSystem;
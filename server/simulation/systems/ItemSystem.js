@@ -1,17 +1,37 @@
 const EventLog = require('../engines/EventLog');
+const ItemPassives = require('../engines/ItemPassives');
 const itemsData = require('../data/items.json');
 
 /**
  * ItemSystem - Manages item purchasing, builds, and stat application
  *
  * Champions automatically buy items when they have enough gold,
- * following role-specific build paths.
+ * following role-specific build paths. Item passives are structured data
+ * run by ItemPassives; combat systems call its hooks through this.passives.
+ *
+ * Builds adapt to the game: champions divert from their build path to buy
+ * anti-heal against heavy sustain, magic resist or armor against a lopsided
+ * enemy damage profile, and defensive items or cheaper components when
+ * they fall behind. The reason is logged on each item.purchase event.
+ *
+ * Buying an item consumes the owned components it builds from: they leave
+ * the inventory and their cost comes off the price.
  */
 class ItemSystem {
     constructor() {
         this.items = new Map();
         this.buildPaths = itemsData.buildPaths;
         this.championBuilds = new Map();  // Cache build paths per champion
+        this.passives = new ItemPassives(this);
+
+        this.config = {
+            damageShareThreshold: 0.6,  // Enemy damage this magic (or physical) counts as "mostly"
+            minDamageItems: 4,          // Enemy damage items (components and up) needed before reading their profile
+            sustainItemThreshold: 2,    // Enemy sustain items that call for anti-heal
+            behindNetWorth: 1500,       // Net worth deficit vs lane opponent that counts as behind
+            behindDeaths: 3,            // ...or this many more deaths than kills
+            maxDefensiveWhenBehind: 2
+        };
 
         // Index items by ID
         for (const item of itemsData.items) {
@@ -24,6 +44,7 @@ class ItemSystem {
      */
     update(world, rng, eventLog, phase) {
         const champions = world.queryByTag('champion');
+        const tick = world.getTick();
         const systemRng = rng.fork('items');
 
         for (const champion of champions) {
@@ -41,11 +62,23 @@ class ItemSystem {
 
             const buildPath = this.championBuilds.get(identity.id);
 
-            // Try to purchase next item in build
-            this._attemptPurchase(champion, buildPath, world.getTick(), eventLog, systemRng);
+            // Expire last wave's passive stacks and shields
+            this.passives.startWave(champion, tick);
+
+            // Try to purchase next item (build path, or a reaction to the game state)
+            this._attemptPurchase(champion, buildPath, world, tick, eventLog);
 
             // Apply item stat bonuses
             this._applyItemStats(champion);
+
+            // Per-wave item passives (dead champions can still shop, but nothing procs)
+            if (!stats.isAlive) continue;
+            this.passives.dispatchWave(champion, {
+                world,
+                tick,
+                eventLog,
+                rng: systemRng.fork(`passives-${identity.id}`)
+            });
         }
     }
 
@@ -64,32 +97,38 @@ class ItemSystem {
     }
 
     /**
-     * Attempt to purchase the next item in build path
+     * Attempt to purchase the next item (build path or adaptive pick)
      */
-    _attemptPurchase(champion, buildPath, tick, eventLog, rng) {
+    _attemptPurchase(champion, buildPath, world, tick, eventLog) {
         const identity = champion.getComponent('identity');
         const stats = champion.getComponent('stats');
         const items = champion.getComponent('items');
 
-        // Find next item to buy
-        const ownedItemIds = items.inventory.map(i => i.id);
-        const nextItemId = buildPath.find(id => !ownedItemIds.includes(id));
+        const choice = this._chooseNextItem(champion, buildPath, world);
+        if (!choice) return null;  // Build complete
 
-        if (!nextItemId) return;  // Build complete
+        const { item, reason, plannedItemId } = choice;
+        const components = this._getOwnedComponents(item, items);
 
-        const item = this.items.get(nextItemId);
-        if (!item) return;
+        // Inventory full, unless the item frees a slot by building out of what's already there
+        if (items.inventory.length >= items.maxSlots && components.length === 0) return null;
 
-        // Check if can afford
-        if (stats.gold >= item.cost) {
-            // Purchase item
-            stats.gold -= item.cost;
+        // Check if can afford (owned components count toward the price)
+        const cost = this._getPurchaseCost(item, items);
+        if (stats.gold >= cost) {
+            // Purchase item, consuming the components it builds from
+            stats.gold -= cost;
+            for (const component of components) {
+                items.removeItem(component.id);
+            }
 
             const purchasedItem = {
                 id: item.id,
                 name: item.name,
                 stats: item.stats,
-                passive: item.passive
+                tier: item.tier,
+                passive: item.passive,
+                passives: item.passives || []
             };
 
             items.addItem(purchasedItem);
@@ -103,8 +142,11 @@ class ItemSystem {
                 teamId: identity.teamId,
                 itemId: item.id,
                 itemName: item.name,
-                cost: item.cost,
-                goldRemaining: stats.gold
+                cost,
+                componentIds: components.map(component => component.id),
+                goldRemaining: stats.gold,
+                reason,
+                plannedItemId: plannedItemId !== item.id ? plannedItemId : null
             });
 
             return purchasedItem;
@@ -114,113 +156,284 @@ class ItemSystem {
     }
 
     /**
-     * Apply item stats to champion base stats
+     * Decide what to buy next
+     *
+     * Reactions are checked in priority order; the build path is the fallback.
+     * Items bought this way take the build path's place in the inventory, so
+     * the end of the path drops off when slots run out.
+     *
+     * @returns {object|null} { item, reason, plannedItemId } - reason is 'build_path',
+     *   'anti_heal', 'magic_resist', 'armor', 'defensive' or 'component'
      */
-    _applyItemStats(champion) {
+    _chooseNextItem(champion, buildPath, world) {
+        const identity = champion.getComponent('identity');
         const stats = champion.getComponent('stats');
         const items = champion.getComponent('items');
 
-        // Get total bonus stats from items
-        const itemStats = items.getTotalStats();
+        const ownedItemIds = this._getBuiltItemIds(items);
+        const plannedItemId = buildPath.find(id => !ownedItemIds.includes(id) && this.items.has(id)) || null;
+        const planned = plannedItemId ? this.items.get(plannedItemId) : null;
+        const owned = items.inventory.map(i => this.items.get(i.id)).filter(Boolean);
+        const ownsMythic = owned.some(item => item.tier === 'mythic');
+
+        const threats = this._assessEnemyTeam(champion, world);
+        const behind = this._isBehind(champion, world);
+
+        // Items this champion could buy instead of its build path
+        const pick = (reason, filter, options = {}) => {
+            const tiers = options.tiers || ['legendary', 'mythic'];
+            const candidates = Array.from(this.items.values()).filter(item =>
+                tiers.includes(item.tier) &&
+                !item.tags.includes('boots') &&
+                !ownedItemIds.includes(item.id) &&
+                !(ownsMythic && item.tier === 'mythic') &&
+                (options.anyRole || !item.roles || item.roles.includes(identity.role)) &&
+                (!options.affordable || this._getPurchaseCost(item, items) <= stats.gold) &&
+                filter(item)
+            );
+            const item = this._bestFit(candidates, buildPath);
+            return item ? { item, reason, plannedItemId } : null;
+        };
+        const ownsCounter = filter => owned.some(item => item.tier !== 'basic' && !item.tags.includes('boots') && filter(item));
+
+        // 1. Anti-heal against heavy sustain (borrowing another role's item if this role has none)
+        if (threats.heavySustain && !owned.some(item => this._isAntiHeal(item))) {
+            const isAntiHeal = item => this._isAntiHeal(item);
+            const choice = pick('anti_heal', isAntiHeal) || pick('anti_heal', isAntiHeal, { anyRole: true });
+            if (choice) return choice;
+        }
 
-        // Apply bonuses (stored separately to track base vs bonus stats)
-        if (!stats.itemBonuses) {
-            stats.itemBonuses = {};
+        // 2. Resistances against a lopsided enemy damage profile
+        if (threats.damageProfile === 'magic' && !ownsCounter(item => (item.stats.magic_resist || 0) > 0)) {
+            const choice = pick('magic_resist', item => (item.stats.magic_resist || 0) > 0);
+            if (choice) return choice;
+        }
+        if (threats.damageProfile === 'physical' && !ownsCounter(item => (item.stats.armor || 0) > 0)) {
+            const choice = pick('armor', item => (item.stats.armor || 0) > 0);
+            if (choice) return choice;
         }
 
-        stats.itemBonuses = itemStats;
+        // 3. Fallen behind: get tankier with whatever defensive item the gold covers right now
+        const defensiveOwned = owned.filter(item => item.tier !== 'basic' && item.tags.includes('defense')).length;
+        if (behind && defensiveOwned < this.config.maxDefensiveWhenBehind) {
+            const choice = pick('defensive', item => item.tags.includes('defense'), {
+                tiers: ['component', 'legendary', 'mythic'],
+                affordable: true
+            });
+            if (choice) return choice;
+        }
 
-        // Calculate effective stats (base + item bonuses)
-        stats.effective_attack_damage = (stats.attack_damage || 60) + (itemStats.attack_damage || 0);
-        stats.effective_ability_power = (stats.ability_power || 0) + (itemStats.ability_power || 0);
-        stats.effective_attack_speed = (stats.attack_speed || 0.65) + (itemStats.attack_speed || 0);
-        stats.effective_armor = (stats.armor || 30) + (itemStats.armor || 0);
-        stats.effective_magic_resist = (stats.magic_resist || 30) + (itemStats.magic_resist || 0);
-        stats.effective_max_health = (stats.max_health || 550) + (itemStats.max_health || 0);
+        if (!planned) return null;
 
-        // Apply passive multipliers
-        this._applyPassiveEffects(champion, stats);
+        // Behind and can't afford the next big item: buy one of its cheaper parts now
+        if (behind && stats.gold < this._getPurchaseCost(planned, items) && planned.tier !== 'basic' && planned.tier !== 'component') {
+            const component = (planned.buildsFrom || [])
+                .map(id => this.items.get(id))
+                .find(item => item && !ownedItemIds.includes(item.id) && item.cost <= stats.gold);
+            if (component) return { item: component, reason: 'component', plannedItemId };
+        }
 
-        // Heal up if max health increased
-        if (stats.health < stats.effective_max_health) {
-            stats.health = Math.min(stats.health + 50, stats.effective_max_health);
+        return { item: planned, reason: 'build_path', plannedItemId };
+    }
+
+    /**
+     * Item IDs the champion has built: its inventory plus the components
+     * (and their components) already consumed into it
+     */
+    _getBuiltItemIds(items) {
+        const built = [];
+        const visit = id => {
+            if (built.includes(id)) return;
+            built.push(id);
+            ((this.items.get(id) || {}).buildsFrom || []).forEach(visit);
+        };
+        items.inventory.forEach(owned => visit(owned.id));
+        return built;
+    }
+
+    /**
+     * Inventory entries an item builds out of (each component is used once)
+     */
+    _getOwnedComponents(item, items) {
+        const components = [];
+        for (const id of item.buildsFrom || []) {
+            const owned = items.inventory.find(i => i.id === id && !components.includes(i));
+            if (owned) components.push(owned);
         }
+        return components;
     }
 
     /**
-     * Apply passive item effects that modify stats
+     * Gold an item costs this champion - owned components count toward the price
      */
-    _applyPassiveEffects(champion, stats) {
-        const items = champion.getComponent('items');
+    _getPurchaseCost(item, items) {
+        const credit = this._getOwnedComponents(item, items)
+            .reduce((sum, owned) => sum + ((this.items.get(owned.id) || {}).cost || 0), 0);
+        return Math.max(0, item.cost - credit);
+    }
 
-        for (const item of items.inventory) {
-            // Rabadon's Deathcap - Increases AP by 35%
-            if (item.id === 'rabadons') {
-                stats.effective_ability_power *= 1.35;
-            }
+    /**
+     * Read the enemy team's items: damage profile and sustain
+     * @returns {object} { damageProfile: 'magic'|'physical'|null, magicShare, heavySustain }
+     */
+    _assessEnemyTeam(champion, world) {
+        const identity = champion.getComponent('identity');
+        const enemyTeam = identity.teamId === 'team1' ? 'team2' : 'team1';
 
-            // Spirit Visage - Increases healing by 25% (tracked for later use)
-            if (item.id === 'spirit_visage') {
-                stats.healing_power = (stats.healing_power || 1.0) * 1.25;
-            }
+        let magic = 0;
+        let physical = 0;
+        let sustain = 0;
+
+        for (const enemy of world.queryByTags('champion', enemyTeam)) {
+            for (const owned of enemy.getComponent('items').inventory) {
+                const item = this.items.get(owned.id);
+                if (!item || item.tier === 'basic') continue;  // Starter items don't say much
 
-            // Infinity Edge - Increases crit damage
-            if (item.id === 'infinity_edge') {
-                stats.crit_damage_multiplier = 2.25; // 225% instead of 200%
+                if (item.tags.includes('magic')) magic++;
+                if (['physical', 'attack_speed', 'crit', 'lethality'].some(tag => item.tags.includes(tag))) physical++;
+                if (this._isSustain(item)) sustain++;
             }
         }
+
+        const total = magic + physical;
+        const magicShare = total > 0 ? magic / total : 0.5;
+
+        let damageProfile = null;
+        if (total >= this.config.minDamageItems) {
+            if (magicShare >= this.config.damageShareThreshold) damageProfile = 'magic';
+            else if (1 - magicShare >= this.config.damageShareThreshold) damageProfile = 'physical';
+        }
+
+        return {
+            damageProfile,
+            magicShare,
+            heavySustain: sustain >= this.config.sustainItemThreshold
+        };
     }
 
     /**
-     * Calculate on-hit damage from item passives
-     * Called by combat systems when a champion attacks
+     * Whether a champion has fallen behind its lane opponent
      */
-    calculateOnHitDamage(attacker, target) {
-        const attackerItems = attacker.getComponent('items');
-        const targetStats = target.getComponent('stats');
-        let bonusDamage = 0;
-
-        for (const item of attackerItems.inventory) {
-            // Blade of the Ruined King - 8% current HP physical damage
-            if (item.id === 'blade_of_ruined_king') {
-                bonusDamage += targetStats.health * 0.08;
-            }
+    _isBehind(champion, world) {
+        const identity = champion.getComponent('identity');
+        const stats = champion.getComponent('stats');
+
+        if (stats.kda.deaths - stats.kda.kills >= this.config.behindDeaths) return true;
+
+        const enemyTeam = identity.teamId === 'team1' ? 'team2' : 'team1';
+        const opponent = world.queryByTags('champion', enemyTeam)
+            .find(enemy => enemy.getComponent('identity').role === identity.role);
+        if (!opponent) return false;
 
-            // Black Cleaver - Apply armor reduction (handled separately in combat)
-            // Luden's Tempest - Bonus magic damage (handled in ability system)
+        return this.getNetWorth(opponent) - this.getNetWorth(champion) >= this.config.behindNetWorth;
+    }
+
+    /**
+     * Gold plus the cost of everything in the inventory
+     */
+    getNetWorth(champion) {
+        const stats = champion.getComponent('stats');
+        const items = champion.getComponent('items');
+
+        return stats.gold + items.inventory.reduce((sum, owned) => sum + ((this.items.get(owned.id) || {}).cost || 0), 0);
+    }
+
+    /**
+     * Candidate that best matches the champion's build path (shared tags),
+     * cheapest first on ties
+     */
+    _bestFit(candidates, buildPath) {
+        if (candidates.length === 0) return null;
+
+        const buildTags = new Set();
+        for (const id of buildPath) {
+            const item = this.items.get(id);
+            if (item) item.tags.forEach(tag => buildTags.add(tag));
         }
 
-        return bonusDamage;
+        const score = item => item.tags.filter(tag => buildTags.has(tag)).length;
+        return candidates.slice().sort((a, b) =>
+            score(b) - score(a) || a.cost - b.cost || a.id.localeCompare(b.id)
+        )[0];
     }
 
     /**
-     * Calculate damage reflection from defensive items
-     * Called by combat systems when a champion takes damage
+     * Items whose passives cut enemy healing
      */
-    calculateReflectDamage(defender, incomingDamage) {
-        const defenderItems = defender.getComponent('items');
-        let reflectedDamage = 0;
-
-        for (const item of defenderItems.inventory) {
-            // Thornmail - Reflects 10% of damage taken
-            if (item.id === 'thornmail') {
-                reflectedDamage += incomingDamage * 0.10;
-            }
+    _isAntiHeal(item) {
+        return (item.passives || []).some(passive =>
+            passive.effect.type === 'stacking_stat' &&
+            passive.effect.stat === 'healing_received' &&
+            passive.effect.percent < 0
+        );
+    }
+
+    /**
+     * Items that keep their owner (or team) topped up
+     */
+    _isSustain(item) {
+        if (item.tags.includes('sustain') || item.tags.includes('healing')) return true;
+        if ((item.stats.life_steal || 0) > 0 || (item.stats.omnivamp || 0) > 0) return true;
+        return (item.passives || []).some(passive => ['lifesteal', 'heal'].includes(passive.effect.type));
+    }
+
+    /**
+     * Apply item stats to champion base stats
+     */
+    _applyItemStats(champion) {
+        const stats = champion.getComponent('stats');
+
+        this.refreshStats(champion);
+
+        // Heal up if max health increased
+        if (stats.isAlive && stats.health < stats.effective_max_health) {
+            stats.health = Math.min(stats.health + 50, stats.effective_max_health);
+        }
+    }
+
+    /**
+     * Recalculate effective stats from base stats, items and item passives
+     * (also called mid-wave when passive stacks change)
+     */
+    refreshStats(champion) {
+        const stats = champion.getComponent('stats');
+        const items = champion.getComponent('items');
+
+        // Get total bonus stats from items
+        const itemStats = items.getTotalStats();
+
+        // Apply bonuses (stored separately to track base vs bonus stats)
+        if (!stats.itemBonuses) {
+            stats.itemBonuses = {};
         }
 
-        return reflectedDamage;
+        stats.itemBonuses = itemStats;
+
+        // Calculate effective stats (base + item bonuses)
+        stats.effective_attack_damage = (stats.attack_damage || 60) + (itemStats.attack_damage || 0);
+        stats.effective_ability_power = (stats.ability_power || 0) + (itemStats.ability_power || 0);
+        stats.effective_attack_speed = (stats.attack_speed || 0.65) + (itemStats.attack_speed || 0);
+        stats.effective_armor = (stats.armor || 30) + (itemStats.armor || 0);
+        stats.effective_magic_resist = (stats.magic_resist || 30) + (itemStats.magic_resist || 0);
+        stats.effective_max_health = (stats.max_health || 550) + (itemStats.max_health || 0);
+        stats.effective_movement_speed = (stats.movement_speed || 345) + (itemStats.movement_speed || 0);
+        stats.effective_tenacity = itemStats.tenacity || 0;
+
+        // Stat passives and stacks
+        this.passives.applyStatModifiers(champion, stats);
     }
 
     /**
      * Check if champion has a specific item passive
+     * @param {Entity} champion
+     * @param {string} passiveName - Item ID or passive effect type (e.g. 'revive')
      */
     hasItemPassive(champion, passiveName) {
         const items = champion.getComponent('items');
 
         for (const item of items.inventory) {
-            if (item.id === passiveName || (item.passive && item.passive.includes(passiveName))) {
-                return true;
-            }
+            if (item.id === passiveName) return true;
+            if ((item.passives || []).some(passive => passive.effect.type === passiveName)) return true;
         }
 
         return false;
@@ -234,11 +447,12 @@ class ItemSystem {
         const passives = [];
 
         for (const item of items.inventory) {
-            if (item.passive) {
+            if (item.passives && item.passives.length > 0) {
                 passives.push({
                     itemId: item.id,
                     itemName: item.name,
-                    passive: item.passive
+                    passive: item.passive,
+                    passives: item.passives
                 });
             }
         }
@@ -291,6 +505,22 @@ class ItemSystem {
         }
         return result;
     }
+
+    /**
+     * Serialize chosen build paths (for mid-match snapshots)
+     */
+    serialize() {
+        return {
+            championBuilds: Array.from(this.championBuilds.entries())
+        };
+    }
+
+    /**
+     * Restore serialize() output
+     */
+    deserialize(state) {
+        this.championBuilds = new Map(state.championBuilds);
+    }
 }
 
 module.exports = ItemSystem;
@@ -1,10 +1,20 @@
 const EventLog = require('../engines/EventLog');
+const MapGraph = require('../engines/MapGraph');
+const Entity = require('../core/Entity');
+const { CIdentity, CPosition, CJungleCamp } = require('../core/Component');
+const terminology = require('../data/terminology.json');
+const jungleData = require('../data/jungle.json');
+const TakedownSystem = require('./TakedownSystem');
 
 /**
  * JungleSystem - Manages jungle champions and ganks
  *
  * Handles:
- * - Jungle camp clearing (gold/XP)
+ * - Jungle camps (data/jungle.json): entities in both of each team's jungle
+ *   quadrants that respawn some waves after they're cleared; buff camps give
+ *   whoever takes them a timed CStatus buff
+ * - Invades: taking a camp that's up in the enemy jungle
+ * - Smite duels when both junglers go for camps in the same quadrant
  * - Gank decision making
  * - Gank success based on lane state
  * - Countergank detection
@@ -18,10 +28,68 @@ class JungleSystem {
             campGoldValue: 40,
             gankSuccessBase: 0.30,
             lanePressureModifier: 0.15,  // Overextended lanes are easier to gank
-            counterGankChance: 0.20
+            counterGankChance: 0.20,
+            invadeGoldBonus: 1.5,  // Stolen camps are worth 50% more
+            smiteVariance: 0.5  // Luck in a smite duel, against mechanics and game sense (0-1 each)
         };
 
+        this.map = new MapGraph();
+        this.campData = new Map(jungleData.camps.map(camp => [camp.id, camp]));
+
         this.lastGankWave = new Map();  // Track cooldowns
+
+        this.takedownSystem = new TakedownSystem();  // Replaced by the match's shared one
+    }
+
+    /**
+     * Set takedown system reference (credits gank and countergank kills)
+     */
+    setTakedownSystem(takedownSystem) {
+        this.takedownSystem = takedownSystem;
+    }
+
+    /**
+     * Set macro system reference (team plans steer farming, ganks and invades)
+     */
+    setMacroSystem(macroSystem) {
+        this.macroSystem = macroSystem;
+    }
+
+    /**
+     * Set rivalry system reference (laner synergy, nemesis kills)
+     */
+    setRivalrySystem(rivalrySystem) {
+        this.rivalrySystem = rivalrySystem;
+    }
+
+    /**
+     * Create both teams' jungle camps (all up at the start of the match)
+     */
+    initialize(world) {
+        for (const teamId of ['team1', 'team2']) {
+            for (const camp of jungleData.camps) {
+                const nodeId = this.map.getCamps(teamId).find(id => this.map.getNode(id).quadrant === camp.quadrant);
+                const node = this.map.getNode(nodeId);
+
+                const entity = new Entity();
+                entity.addComponent('identity', new CIdentity({
+                    id: `${teamId}-${camp.id}`,
+                    name: terminology.jungle.camps[camp.id],
+                    teamId: teamId
+                }));
+
+                const position = new CPosition(null, 'jungle', nodeId);
+                position.x = node.x;
+                position.y = node.y;
+                entity.addComponent('position', position);
+                entity.addComponent('jungleCamp', new CJungleCamp(camp.id, teamId, nodeId, camp.buff));
+
+                entity.addTag('jungle_camp');
+                entity.addTag(teamId);
+
+                world.addEntity(entity);
+            }
+        }
     }
 
     /**
@@ -31,13 +99,20 @@ class JungleSystem {
         const tick = world.getTick();
         const systemRng = rng.fork('jungle');
 
+        this._respawnCamps(world, tick);
+        this._tickCampBuffs(world);
+
         // Get jungle champions
         const junglers = world.queryByTags('champion', 'jungle');
+        const campPlans = [];  // Junglers going for a camp this wave (resolved together)
 
         for (const jungler of junglers) {
             const identity = jungler.getComponent('identity');
             const junglerRng = systemRng.fork(identity.id);
 
+            // Dead junglers don't clear camps or gank
+            if (!jungler.getComponent('stats').isAlive) continue;
+
             // Check gank cooldown (can't gank every wave)
             const lastGank = this.lastGankWave.get(identity.id) || 0;
             if (tick - lastGank < 3) continue;  // 3 wave cooldown
@@ -47,16 +122,22 @@ class JungleSystem {
 
             switch (action) {
                 case 'farm':
-                    this._farmCamp(jungler, tick, eventLog, junglerRng);
+                    // Quirks can make a jungler refuse to farm (e.g. on in-game Tuesdays)
+                    if (jungler.getComponent('quirks')?.hasActiveFlag('no_farm')) break;
+                    campPlans.push({ jungler, action, rng: junglerRng, camp: this._pickCamp(world, identity.teamId) });
                     break;
                 case 'gank':
                     this._attemptGank(jungler, world, tick, eventLog, junglerRng);
                     break;
-                case 'invade':
-                    this._invadeJungle(jungler, tick, eventLog, junglerRng);
+                case 'invade': {
+                    const enemyTeam = identity.teamId === 'team1' ? 'team2' : 'team1';
+                    campPlans.push({ jungler, action, rng: junglerRng, camp: this._pickCamp(world, enemyTeam) });
                     break;
+                }
             }
         }
+
+        this._resolveCamps(world, campPlans, tick, eventLog);
     }
 
     /**
@@ -64,12 +145,13 @@ class JungleSystem {
      */
     _decideAction(jungler, rng) {
         const hidden = jungler.getComponent('hiddenStats');
+        const teamId = jungler.getComponent('identity').teamId;
         const gameSense = hidden.getEffectiveGameSense();
 
-        // Higher game sense → better decision making
-        let farmWeight = this.config.farmChance;
-        let gankWeight = this.config.gankChance * (0.7 + gameSense * 0.6);  // Smart junglers gank more
-        let invadeWeight = this.config.invadeChance;
+        // Higher game sense → better decision making; the team's macro plan tilts the mix
+        let farmWeight = this.config.farmChance * this._getMacroModifier(teamId, 'farm');
+        let gankWeight = this.config.gankChance * (0.7 + gameSense * 0.6) * this._getMacroModifier(teamId, 'gank');  // Smart junglers gank more
+        let invadeWeight = this.config.invadeChance * this._getMacroModifier(teamId, 'invade');
 
         const roll = rng.float(0, farmWeight + gankWeight + invadeWeight);
 
@@ -78,19 +160,117 @@ class JungleSystem {
         return 'invade';
     }
 
+    // ==================== CAMPS ====================
+
     /**
-     * Farm a jungle camp
+     * Every jungle camp and whether it's up (UI and commentary)
+     * @param {World} world
+     * @returns {object[]} [{ id, campId, name, teamId, quadrant, nodeId, buff, isUp, respawnIn, lastClearedBy }]
      */
-    _farmCamp(jungler, tick, eventLog, rng) {
-        const stats = jungler.getComponent('stats');
-        const identity = jungler.getComponent('identity');
+    getCamps(world) {
+        const tick = world.getTick();
 
-        // Jungle CS and gold
-        const cs = rng.int(2, 4);
-        const gold = cs * this.config.campGoldValue;
+        return world.queryByTag('jungle_camp')
+            .sort((a, b) => a.id - b.id)
+            .map(entity => {
+                const camp = entity.getComponent('jungleCamp');
+                return {
+                    id: entity.id,
+                    campId: camp.campId,
+                    name: entity.getComponent('identity').name,
+                    teamId: camp.teamId,
+                    quadrant: this.campData.get(camp.campId).quadrant,
+                    nodeId: camp.nodeId,
+                    buff: camp.buff,
+                    isUp: camp.isUp,
+                    respawnIn: camp.isUp ? 0 : Math.max(0, camp.respawnAt - tick),
+                    lastClearedBy: camp.lastClearedBy
+                };
+            });
+    }
 
-        stats.cs += cs;
-        stats.gold += gold;
+    /**
+     * Bring back camps whose respawn timer is up
+     */
+    _respawnCamps(world, tick) {
+        for (const entity of world.queryByTag('jungle_camp')) {
+            const camp = entity.getComponent('jungleCamp');
+            if (!camp.isUp && tick >= camp.respawnAt) {
+                camp.isUp = true;
+                camp.respawnAt = null;
+            }
+        }
+    }
+
+    /**
+     * Count down camp buffs (timed in waves) and drop expired ones
+     */
+    _tickCampBuffs(world) {
+        for (const champion of world.queryByTag('champion')) {
+            const status = champion.getComponent('status');
+            if (status) {
+                status.tick(1, s => s.source === 'jungle_camp');
+            }
+        }
+    }
+
+    /**
+     * Camp a jungler goes for on one side of the map: buff camps first, then
+     * the richest camp that's up
+     * @returns {Entity|null}
+     */
+    _pickCamp(world, teamId) {
+        const camps = world.queryByTags('jungle_camp', teamId)
+            .filter(entity => entity.getComponent('jungleCamp').isUp)
+            .sort((a, b) => a.id - b.id);
+
+        const value = entity => {
+            const camp = entity.getComponent('jungleCamp');
+            return (camp.buff ? 1000 : 0) + this.campData.get(camp.campId).gold;
+        };
+
+        let best = null;
+        for (const camp of camps) {
+            if (!best || value(camp) > value(best)) best = camp;
+        }
+        return best;
+    }
+
+    /**
+     * Clear, steal or duel over the camps junglers went for this wave. Both
+     * junglers in the same quadrant means a smite duel over the camp.
+     */
+    _resolveCamps(world, plans, tick, eventLog) {
+        const handled = new Set();
+        const quadrant = plan => plan.camp ? plan.camp.getComponent('jungleCamp').nodeId : null;
+
+        for (const plan of plans) {
+            if (handled.has(plan)) continue;
+            handled.add(plan);
+
+            const rival = plans.find(other => !handled.has(other) && quadrant(other) && quadrant(other) === quadrant(plan));
+            if (rival) {
+                handled.add(rival);
+
+                // They fight over whatever the invader came for
+                const camp = plan.action === 'invade' ? plan.camp : rival.camp;
+                this._smiteDuel(world, camp, plan, rival, tick, eventLog);
+            } else if (plan.action === 'farm') {
+                this._farmCamp(world, plan.jungler, plan.camp, tick, eventLog);
+            } else {
+                this._invadeJungle(world, plan.jungler, plan.camp, tick, eventLog);
+            }
+        }
+    }
+
+    /**
+     * Farm a camp in the jungler's own jungle
+     */
+    _farmCamp(world, jungler, camp, tick, eventLog) {
+        if (!camp) return;  // Nothing up right now
+
+        const identity = jungler.getComponent('identity');
+        const rewards = this._clearCamp(camp, jungler, tick, 1);
 
         eventLog.log({
             type: EventLog.EventTypes.JUNGLE_CAMP,
@@ -98,8 +278,101 @@ class JungleSystem {
             entityId: jungler.id,
             championName: identity.name,
             teamId: identity.teamId,
-            csGained: cs,
-            goldGained: gold
+            campId: camp.getComponent('jungleCamp').campId,
+            campName: camp.getComponent('identity').name,
+            nodeId: camp.getComponent('jungleCamp').nodeId,
+            csGained: rewards.cs,
+            goldGained: rewards.gold,
+            buff: rewards.buff
+        });
+    }
+
+    /**
+     * Kill a camp: gold and CS to the jungler, the camp's buff if it has one,
+     * and a respawn timer
+     * @returns {object} { cs, gold, buff } (buff name or null)
+     */
+    _clearCamp(entity, jungler, tick, goldMultiplier) {
+        const camp = entity.getComponent('jungleCamp');
+        const data = this.campData.get(camp.campId);
+        const stats = jungler.getComponent('stats');
+        const gold = Math.floor(data.gold * goldMultiplier);
+
+        stats.cs += data.cs;
+        stats.gold += gold;
+
+        camp.isUp = false;
+        camp.respawnAt = tick + data.respawnWaves;
+        camp.lastClearedBy = jungler.getComponent('identity').teamId;
+
+        let buff = null;
+        if (camp.buff) {
+            buff = this._grantBuff(jungler, camp.buff);
+        }
+
+        return { cs: data.cs, gold, buff };
+    }
+
+    /**
+     * Give a champion a buff camp's buff (reclearing refreshes it)
+     * @returns {string} Buff name
+     */
+    _grantBuff(champion, buffId) {
+        const buff = jungleData.buffs[buffId];
+        const name = terminology.buffs[buffId].name;
+        const status = champion.getComponent('status');
+
+        if (status) {
+            status.apply('buffs', {
+                type: buff.type,
+                name: name,
+                source: 'jungle_camp',
+                duration: buff.duration,
+                strength: 1.0,
+                effects: { ...buff.effects }
+            }, 'refresh');
+        }
+
+        return name;
+    }
+
+    /**
+     * Both junglers in the same quadrant: whoever smites first takes the camp
+     */
+    _smiteDuel(world, entity, planA, planB, tick, eventLog) {
+        const smite = plan => {
+            const hidden = plan.jungler.getComponent('hiddenStats');
+            return hidden.getEffectiveMechanical() * 0.6 + hidden.getEffectiveGameSense() * 0.4 +
+                plan.rng.float(0, this.config.smiteVariance);
+        };
+
+        const [winner, loser] = smite(planA) >= smite(planB)
+            ? [planA.jungler, planB.jungler]
+            : [planB.jungler, planA.jungler];
+        const winnerIdentity = winner.getComponent('identity');
+        const loserIdentity = loser.getComponent('identity');
+
+        const camp = entity.getComponent('jungleCamp');
+        const stolen = winnerIdentity.teamId !== camp.teamId;
+        const rewards = this._clearCamp(entity, winner, tick, stolen ? this.config.invadeGoldBonus : 1);
+
+        eventLog.log({
+            type: EventLog.EventTypes.JUNGLE_SMITE,
+            tick: tick,
+            campId: camp.campId,
+            campName: entity.getComponent('identity').name,
+            campTeam: camp.teamId,
+            nodeId: camp.nodeId,
+            winnerId: winner.id,
+            winnerName: winnerIdentity.name,
+            winnerTeam: winnerIdentity.teamId,
+            loserId: loser.id,
+            loserName: loserIdentity.name,
+            loserTeam: loserIdentity.teamId,
+            stolen,
+            csGained: rewards.cs,
+            goldGained: rewards.gold,
+            buff: rewards.buff
         });
     }
 
@@ -113,7 +386,9 @@ class JungleSystem {
 
         // Select lane to gank
         const enemyTeam = identity.teamId === 'team1' ? 'team2' : 'team1';
-        const lanes = ['top', 'mid', 'bot'];
+        // Only lanes with someone alive to gank
+        const lanes = ['top', 'mid', 'bot'].filter(lane => this._getGankVictim(lane, enemyTeam, world));
+        if (lanes.length === 0) return;
         const targetLane = rng.choice(lanes);
 
         // Get lane state
@@ -137,12 +412,19 @@ class JungleSystem {
         // Mechanical skill affects gank execution
         successChance += hidden.getEffectiveMechanical() * 0.2;
 
+        // A laner the jungler plays well with sets the gank up
+        const laner = world.queryByTags('champion', identity.teamId, targetLane)
+            .find(ally => ally.getComponent('stats').isAlive) || null;
+        const coordination = this.rivalrySystem ? this.rivalrySystem.getGankBonus(jungler, laner) : 0;
+        successChance += coordination;
+
         // Check for countergank
-        const enemyJunglers = world.queryByTags('champion', 'jungle', enemyTeam);
+        const enemyJunglers = world.queryByTags('champion', 'jungle', enemyTeam)
+            .filter(enemy => enemy.getComponent('stats').isAlive);
         const counterGanked = enemyJunglers.length > 0 && rng.chance(this.config.counterGankChance);
 
         if (counterGanked) {
-            this._resolveCountergank(jungler, enemyJunglers[0], targetLane, tick, eventLog, rng);
+            this._resolveCountergank(jungler, enemyJunglers[0], targetLane, tick, eventLog, rng, world);
             return;
         }
 
@@ -152,7 +434,10 @@ class JungleSystem {
             const victim = this._getGankVictim(targetLane, enemyTeam, world);
 
             if (victim) {
-                this._processGankKill(jungler, victim, targetLane, tick, eventLog);
+                if (coordination > 0) {
+                    this.rivalrySystem.onCoordinatedGank(jungler, laner, tick, eventLog);
+                }
+                this._processGankKill(jungler, victim, targetLane, tick, eventLog, rng, world);
                 this.lastGankWave.set(identity.id, tick);
             }
         } else {
@@ -173,56 +458,40 @@ class JungleSystem {
      * Get gank victim from target lane
      */
     _getGankVictim(lane, enemyTeam, world) {
-        const laneChampions = world.queryByTags('champion', enemyTeam, lane);
-        return laneChampions[0];  // Return first champion in lane
+        const laneChampions = world.queryByTags('champion', enemyTeam, lane)
+            .filter(champion => champion.getComponent('stats').isAlive);
+        return laneChampions[0];  // Return first living champion in lane
     }
 
     /**
      * Process successful gank kill
      */
-    _processGankKill(jungler, victim, lane, tick, eventLog) {
-        const junglerStats = jungler.getComponent('stats');
+    _processGankKill(jungler, victim, lane, tick, eventLog, rng, world) {
         const junglerIdentity = jungler.getComponent('identity');
-        const victimStats = victim.getComponent('stats');
         const victimIdentity = victim.getComponent('identity');
-        const victimHidden = victim.getComponent('hiddenStats');
-
-        // Assign kill
-        junglerStats.kda.kills++;
-
-        // Assign death
-        victimStats.kda.deaths++;
 
-        // Gold reward
-        const killGold = 300 + (victimStats.kda.kills * 100);
-        junglerStats.gold += killGold;
-
-        // Increase victim tilt
-        victimHidden.tilt_level = Math.min(1.0, victimHidden.tilt_level + 0.20);  // Ganks are more tilting
-
-        // Reset victim health
-        victimStats.health = victimStats.effective_max_health || victimStats.max_health || 550;
-
-        // Log gank
-        eventLog.log({
-            type: EventLog.EventTypes.JUNGLE_GANK,
-            tick: tick,
-            gankerId: jungler.id,
-            gankerName: junglerIdentity.name,
-            gankerTeam: junglerIdentity.teamId,
-            victimId: victim.id,
-            victimName: victimIdentity.name,
-            victimTeam: victimIdentity.teamId,
-            lane: lane,
-            success: true,
-            goldAwarded: killGold
-        });
+        this.takedownSystem.onKill(jungler, victim, {
+            tilt: 0.20,  // Ganks are more tilting
+            event: killGold => ({
+                type: EventLog.EventTypes.JUNGLE_GANK,
+                tick: tick,
+                gankerId: jungler.id,
+                gankerName: junglerIdentity.name,
+                gankerTeam: junglerIdentity.teamId,
+                victimId: victim.id,
+                victimName: victimIdentity.name,
+                victimTeam: victimIdentity.teamId,
+                lane: lane,
+                success: true,
+                goldAwarded: killGold
+            })
+        }, { world, tick, eventLog, rng });
     }
 
     /**
      * Resolve countergank scenario
      */
-    _resolveCountergank(ganker, counterGanker, lane, tick, eventLog, rng) {
+    _resolveCountergank(ganker, counterGanker, lane, tick, eventLog, rng, world) {
         const gankerIdentity = ganker.getComponent('identity');
         const gankerHidden = ganker.getComponent('hiddenStats');
         const gankerStats = ganker.getComponent('stats');
@@ -246,80 +515,84 @@ class JungleSystem {
             loser = ganker;
         }
 
-        const winnerStats = winner.getComponent('stats');
         const winnerIdentity = winner.getComponent('identity');
-        const loserStats = loser.getComponent('stats');
-        const loserIdentity = loser.getComponent('identity');
-        const loserHidden = loser.getComponent('hiddenStats');
-
-        // Assign KDA
-        winnerStats.kda.kills++;
-        loserStats.kda.deaths++;
-
-        // Gold
-        const killGold = 300;
-        winnerStats.gold += killGold;
-
-        // Tilt
-        loserHidden.tilt_level = Math.min(1.0, loserHidden.tilt_level + 0.15);
 
-        // Reset loser health
-        loserStats.health = loserStats.effective_max_health || loserStats.max_health || 550;
-
-        // Log countergank
-        eventLog.log({
-            type: EventLog.EventTypes.JUNGLE_COUNTERGANK,
-            tick: tick,
-            gankerId: ganker.id,
-            gankerName: gankerIdentity.name,
-            gankerTeam: gankerIdentity.teamId,
-            counterGankerId: counterGanker.id,
-            counterGankerName: counterIdentity.name,
-            counterGankerTeam: counterIdentity.teamId,
-            lane: lane,
-            winnerName: winnerIdentity.name,
-            winnerTeam: winnerIdentity.teamId,
-            goldAwarded: killGold
-        });
+        this.takedownSystem.onKill(winner, loser, {
+            tilt: 0.15,
+            event: killGold => ({
+                type: EventLog.EventTypes.JUNGLE_COUNTERGANK,
+                tick: tick,
+                gankerId: ganker.id,
+                gankerName: gankerIdentity.name,
+                gankerTeam: gankerIdentity.teamId,
+                counterGankerId: counterGanker.id,
+                counterGankerName: counterIdentity.name,
+                counterGankerTeam: counterIdentity.teamId,
+                lane: lane,
+                winnerName: winnerIdentity.name,
+                winnerTeam: winnerIdentity.teamId,
+                goldAwarded: killGold
+            })
+        }, { world, tick, eventLog, rng });
     }
 
     /**
-     * Invade enemy jungle
+     * Invade enemy jungle: steal a camp that's up (a jungle with nothing up is a wasted trip)
      */
-    _invadeJungle(jungler, tick, eventLog, rng) {
-        const stats = jungler.getComponent('stats');
+    _invadeJungle(world, jungler, camp, tick, eventLog) {
         const identity = jungler.getComponent('identity');
 
-        // Risky but rewarding
-        if (rng.chance(0.7)) {
-            // Successful invade
-            const cs = rng.int(3, 6);
-            const gold = cs * this.config.campGoldValue * 1.5;  // 50% bonus for invading
-
-            stats.cs += cs;
-            stats.gold += gold;
-
+        if (!camp) {
             eventLog.log({
-                type: 'jungle.invade',
-                tick: tick,
-                entityId: jungler.id,
-                championName: identity.name,
-                teamId: identity.teamId,
-                success: true,
-                csGained: cs,
-                goldGained: gold
-            });
-        } else {
-            // Caught invading - lose time
-            eventLog.log({
-                type: 'jungle.invade',
+                type: EventLog.EventTypes.JUNGLE_INVADE,
                 tick: tick,
                 entityId: jungler.id,
                 championName: identity.name,
                 teamId: identity.teamId,
                 success: false
             });
+            return;
         }
+
+        const rewards = this._clearCamp(camp, jungler, tick, this.config.invadeGoldBonus);
+
+        eventLog.log({
+            type: EventLog.EventTypes.JUNGLE_INVADE,
+            tick: tick,
+            entityId: jungler.id,
+            championName: identity.name,
+            teamId: identity.teamId,
+            success: true,
+            campId: camp.getComponent('jungleCamp').campId,
+            campName: camp.getComponent('identity').name,
+            nodeId: camp.getComponent('jungleCamp').nodeId,
+            csGained: rewards.cs,
+            goldGained: rewards.gold,
+            buff: rewards.buff
+        });
+    }
+
+    /**
+     * Team macro multiplier (1 without a MacroSystem)
+     */
+    _getMacroModifier(teamId, key) {
+        return this.macroSystem ? this.macroSystem.getModifier(teamId, key) : 1;
+    }
+
+    /**
+     * Serialize gank cooldowns (for mid-match snapshots)
+     */
+    serialize() {
+        return {
+            lastGankWave: Array.from(this.lastGankWave.entries())
+        };
+    }
+
+    /**
+     * Restore serialize() output
+     */
+    deserialize(state) {
+        this.lastGankWave = new Map(state.lastGankWave);
     }
 }
 
@@ -1,11 +1,13 @@
 const EventLog = require('../engines/EventLog');
+const StatusEffects = require('../engines/StatusEffects');
 const { CLaneState } = require('../core/Component');
+const TakedownSystem = require('./TakedownSystem');
 
 /**
  * LaneSystem - Manages lane phase mechanics
  *
  * Handles:
- * - Minion wave spawning and movement
+ * - Minion wave spawning and movement (MinionSystem's waves when there is one)
  * - CS (creep score) mechanics
  * - Champion trading
  * - Lane pressure calculation
@@ -18,6 +20,7 @@ class LaneSystem {
 
         // Reference to AbilitySystem (set externally)
         this.abilitySystem = null;
+        this.takedownSystem = new TakedownSystem();  // Replaced by the match's shared one
 
         // Lane config
         this.config = {
@@ -27,7 +30,8 @@ class LaneSystem {
             tradeBaseDamage: 80,
             tradeCooldown: 3,  // Can trade every 3 ticks
             csSkillThreshold: 0.6,  // mechanical_skill above this gets bonus CS
-            abilityCastChance: 0.25  // 25% chance to cast ability in lane
+            abilityCastChance: 0.25,  // 25% chance to cast ability in lane
+            followUpRatio: 0.5  // Basic attack follow-up on a defender left stunned, rooted or slowed
         };
     }
 
@@ -45,6 +49,34 @@ class LaneSystem {
         this.levelingSystem = levelingSystem;
     }
 
+    /**
+     * Set item system reference (for item passives on trades)
+     */
+    setItemSystem(itemSystem) {
+        this.itemSystem = itemSystem;
+    }
+
+    /**
+     * Set takedown system reference (credits lane kills)
+     */
+    setTakedownSystem(takedownSystem) {
+        this.takedownSystem = takedownSystem;
+    }
+
+    /**
+     * Set macro system reference (team plans shape trading and farming)
+     */
+    setMacroSystem(macroSystem) {
+        this.macroSystem = macroSystem;
+    }
+
+    /**
+     * Set minion system reference (waves are entities; CS kills real minions)
+     */
+    setMinionSystem(minionSystem) {
+        this.minionSystem = minionSystem;
+    }
+
     /**
      * Initialize lane states
      */
@@ -75,7 +107,7 @@ class LaneSystem {
         }
 
         // Spawn minion waves
-        if (tick % this.config.minionWaveInterval === 0) {
+        if (!this.minionSystem && tick % this.config.minionWaveInterval === 0) {
             this._spawnMinionWaves(tick);
         }
 
@@ -91,11 +123,13 @@ class LaneSystem {
 
             const laneState = this.laneStates.get(lane);
 
-            // 1. CS (Creep Score) phase
-            this._processCS(team1Champion, team2Champion, laneState, tick, eventLog, laneRng);
+            // 1. CS (Creep Score) phase - a laner whose opponent is dead farms alone
+            this._processCS(world, team1Champion, team2Champion, laneState, tick, eventLog, laneRng);
 
-            // 2. Trading phase
-            this._processTrades(team1Champion, team2Champion, laneState, tick, eventLog, laneRng, world);
+            // 2. Trading phase (both laners have to be alive)
+            if (team1Champion.getComponent('stats').isAlive && team2Champion.getComponent('stats').isAlive) {
+                this._processTrades(team1Champion, team2Champion, laneState, tick, eventLog, laneRng, world);
+            }
 
             // 3. Update lane pressure
             this._updateLanePressure(laneState, team1Champion, team2Champion);
@@ -104,7 +138,9 @@ class LaneSystem {
             this._exportLanePressure(world, lane, laneState);
 
             // 5. Move minion waves
-            this._updateMinionPositions(laneState, tick);
+            if (!this.minionSystem) {
+                this._updateMinionPositions(laneState, tick);
+            }
         }
     }
 
@@ -118,10 +154,18 @@ class LaneSystem {
         }
     }
 
+    /**
+     * Quirks can make a champion refuse to farm (e.g. on in-game Tuesdays)
+     */
+    _refusesToFarm(champion) {
+        const quirks = champion.getComponent('quirks');
+        return !!quirks && quirks.hasActiveFlag('no_farm');
+    }
+
     /**
      * Process CS (last hitting minions)
      */
-    _processCS(champ1, champ2, laneState, tick, eventLog, rng) {
+    _processCS(world, champ1, champ2, laneState, tick, eventLog, rng) {
         const stats1 = champ1.getComponent('stats');
         const stats2 = champ2.getComponent('stats');
         const hidden1 = champ1.getComponent('hiddenStats');
@@ -130,11 +174,11 @@ class LaneSystem {
         const identity2 = champ2.getComponent('identity');
 
         // Champion 1 CS attempt
-        if (laneState.minionWaves.team2.count > 0) {
+        if (laneState.minionWaves.team2.count > 0 && stats1.isAlive && !this._refusesToFarm(champ1)) {
             const csChance = hidden1.getEffectiveMechanical();
             const csRoll = rng.random();
 
-            if (csRoll < csChance) {
+            if (csRoll < csChance * this._getMacroModifier(identity1.teamId, 'farm')) {
                 const csCount = csChance > this.config.csSkillThreshold ? 2 : 1;
                 const actualCS = Math.min(csCount, laneState.minionWaves.team2.count);
 
@@ -149,7 +193,7 @@ class LaneSystem {
                 }
 
                 stats1.gold += goldGained;
-                laneState.minionWaves.team2.count -= actualCS;
+                this._removeMinions(world, laneState, 'team2', actualCS);
 
                 // Award XP for CS
                 if (this.levelingSystem) {
@@ -173,11 +217,11 @@ class LaneSystem {
         }
 
         // Champion 2 CS attempt
-        if (laneState.minionWaves.team1.count > 0) {
+        if (laneState.minionWaves.team1.count > 0 && stats2.isAlive && !this._refusesToFarm(champ2)) {
             const csChance = hidden2.getEffectiveMechanical();
             const csRoll = rng.random();
 
-            if (csRoll < csChance) {
+            if (csRoll < csChance * this._getMacroModifier(identity2.teamId, 'farm')) {
                 const csCount = csChance > this.config.csSkillThreshold ? 2 : 1;
                 const actualCS = Math.min(csCount, laneState.minionWaves.team1.count);
 
@@ -192,7 +236,7 @@ class LaneSystem {
                 }
 
                 stats2.gold += goldGained;
-                laneState.minionWaves.team1.count -= actualCS;
+                this._removeMinions(world, laneState, 'team1', actualCS);
 
                 // Award XP for CS
                 if (this.levelingSystem) {
@@ -236,7 +280,6 @@ class LaneSystem {
         const skill2 = hidden2.getEffectiveMechanical() + hidden2.getEffectiveGameSense();
 
         const tradeDiff = skill1 - skill2;
-        const tradeChance = 0.3 + (Math.abs(tradeDiff) * 0.2);  // 30-50% chance per wave
 
         // Determine who initiates trade
         const initiator = tradeDiff > 0 ? champ1 : champ2;
@@ -246,37 +289,82 @@ class LaneSystem {
         const initiatorIdentity = initiator.getComponent('identity');
         const defenderIdentity = defender.getComponent('identity');
 
+        // 30-50% chance per wave, more or less as the initiator's team plan wants fights
+        const tradeChance = (0.3 + (Math.abs(tradeDiff) * 0.2)) * this._getMacroModifier(initiatorIdentity.teamId, 'laneAggression');
+
+        const statusEffects = this.abilitySystem ? this.abilitySystem.statusEffects : null;
+        const initiatorDisabled = statusEffects && !statusEffects.canAct(initiator);
+
         // Check if trade happens and cooldown is up
-        if (rng.chance(tradeChance) && tick - initiatorStats.lastTradeTick >= this.config.tradeCooldown) {
+        if (!initiatorDisabled && rng.chance(tradeChance) && tick - initiatorStats.lastTradeTick >= this.config.tradeCooldown) {
             let damage = 0;
             let abilityUsed = false;
             let abilityName = null;
+            let damageType = 'physical';
+            let followUp = false;
 
             // Try to cast ability (if AbilitySystem is available)
             if (this.abilitySystem && rng.chance(this.config.abilityCastChance)) {
-                const abilityResult = this.abilitySystem.tryCastInLane(initiator, defender, world, rng, eventLog);
+                const caster = StatusEffects.combatant(initiator);
+                const target = StatusEffects.combatant(defender);
+                const abilityResult = this.abilitySystem.tryCastInLane(initiator, defender, world, rng, eventLog, {
+                    caster,
+                    target,
+                    allies: [caster],
+                    enemies: [target]
+                });
+
+                // Self heals and lifesteal from the cast
+                if (abilityResult) {
+                    initiatorStats.health = caster.health;
+                }
 
                 if (abilityResult && abilityResult.damage > 0) {
                     damage = abilityResult.damage;
                     abilityUsed = true;
                     abilityName = abilityResult.ability.name;
+                    damageType = abilityResult.ability.damageType || 'magic';
+
+                    // A defender who can't walk away eats a follow-up auto
+                    if (statusEffects.isImmobilized(defender)) {
+                        damage += this._basicTradeDamage(initiatorStats, defenderStats) * this.config.followUpRatio;
+                        followUp = true;
+                    }
                 }
             }
 
             // Fall back to basic attack if no ability cast
             if (!abilityUsed) {
-                const initiatorAD = initiatorStats.effective_attack_damage || initiatorStats.attack_damage || 60;
-                const defenderArmor = defenderStats.effective_armor || defenderStats.armor || 30;
-
-                const baseDamage = this.config.tradeBaseDamage;
-                const damageMultiplier = 1 + (initiatorAD - 60) / 100;
-                const damageReduction = 100 / (100 + defenderArmor);
+                damage = this._basicTradeDamage(initiatorStats, defenderStats);
+            }
 
-                damage = Math.floor(baseDamage * damageMultiplier * damageReduction);
+            if (statusEffects) {
+                damage = statusEffects.mitigate(initiator, defender, damage, abilityUsed ? 'ability' : 'basic', rng);
             }
 
-            // Apply damage
-            defenderStats.health = Math.max(0, (defenderStats.health || 550) - damage);
+            // Apply damage (through item passives, if ItemSystem is available)
+            if (this.itemSystem) {
+                const hit = this.itemSystem.passives.resolveHit(initiator, defender, {
+                    damage,
+                    source: abilityUsed ? 'ability' : 'basic',
+                    damageType,
+                    context: 'lane',
+                    health: defenderStats.health || 550,
+                    world,
+                    tick,
+                    eventLog,
+                    rng
+                });
+
+                damage = hit.damage;
+                defenderStats.health = Math.max(0, hit.health);
+
+                // Lifesteal and reflected damage never kill the initiator
+                const initiatorMaxHealth = initiatorStats.effective_max_health || initiatorStats.max_health || 550;
+                initiatorStats.health = Math.max(1, Math.min(initiatorMaxHealth, initiatorStats.health + hit.heal - hit.reflected));
+            } else {
+                defenderStats.health = Math.max(0, (defenderStats.health || 550) - damage);
+            }
 
             // Update cooldown
             initiatorStats.lastTradeTick = tick;
@@ -293,59 +381,82 @@ class LaneSystem {
                 damage: damage,
                 abilityUsed: abilityUsed,
                 abilityName: abilityName,
+                followUp: followUp,
                 defenderHealth: defenderStats.health
             });
 
             // Check for kill (low health threshold)
-            if (defenderStats.health <= 0) {
-                this._processKill(initiator, defender, laneState, tick, eventLog);
+            if (defenderStats.health <= 0 && !this._survivesLethal(defender, tick, eventLog)) {
+                this._processKill(initiator, defender, laneState, tick, eventLog, world, rng);
             }
         }
     }
 
+    /**
+     * Basic attack trade damage (AD vs armor)
+     */
+    _basicTradeDamage(initiatorStats, defenderStats) {
+        const initiatorAD = initiatorStats.effective_attack_damage || initiatorStats.attack_damage || 60;
+        const defenderArmor = defenderStats.effective_armor || defenderStats.armor || 30;
+
+        const baseDamage = this.config.tradeBaseDamage;
+        const damageMultiplier = 1 + (initiatorAD - 60) / 100;
+        const damageReduction = 100 / (100 + defenderArmor);
+
+        return Math.floor(baseDamage * damageMultiplier * damageReduction);
+    }
+
+    /**
+     * Give a lethal hit's victim a chance to rewind
+     * @returns {boolean} Whether the defender survived
+     */
+    _survivesLethal(defender, tick, eventLog) {
+        if (!this.abilitySystem) return false;
+
+        const combatant = StatusEffects.combatant(defender);
+        combatant.health = 0;
+        if (!this.abilitySystem.statusEffects.preventDeath(combatant, tick, eventLog)) return false;
+
+        defender.getComponent('stats').health = combatant.health;
+        return true;
+    }
+
     /**
      * Process lane kill
      */
-    _processKill(killer, victim, laneState, tick, eventLog) {
+    _processKill(killer, victim, laneState, tick, eventLog, world, rng) {
         const killerStats = killer.getComponent('stats');
         const victimStats = victim.getComponent('stats');
         const killerIdentity = killer.getComponent('identity');
         const victimIdentity = victim.getComponent('identity');
-        const victimHidden = victim.getComponent('hiddenStats');
 
-        // Update KDA
-        killerStats.kda.kills++;
-        victimStats.kda.deaths++;
+        this.takedownSystem.onKill(killer, victim, {
+            tilt: 0.15,
+            event: killGold => ({
+                type: EventLog.EventTypes.LANE_KILL,
+                tick: tick,
+                lane: laneState.lane,
+                killerName: killerIdentity.name,
+                killerTeam: killerIdentity.teamId,
+                victimName: victimIdentity.name,
+                victimTeam: victimIdentity.teamId,
+                goldAwarded: killGold,
+                killerKDA: `${killerStats.kda.kills}/${killerStats.kda.deaths}/${killerStats.kda.assists}`,
+                victimKDA: `${victimStats.kda.kills}/${victimStats.kda.deaths}/${victimStats.kda.assists}`,
+                victimTilt: victim.getComponent('hiddenStats').tilt_level
+            })
+        }, { world, tick, eventLog, rng });
+    }
 
-        // Award gold (300 base + 100 per kill streak)
-        const killGold = 300 + (killerStats.kda.kills * 100);
-        killerStats.gold += killGold;
+    /**
+     * Take last-hit minions out of the lane (and out of MinionSystem's waves)
+     */
+    _removeMinions(world, laneState, teamId, count) {
+        laneState.minionWaves[teamId].count -= count;
 
-        // Award kill XP
-        if (this.levelingSystem) {
-            this.levelingSystem.awardKillXP(killer);
+        if (this.minionSystem) {
+            this.minionSystem.lastHit(world, teamId, laneState.lane, count);
         }
-
-        // Increase victim tilt
-        victimHidden.tilt_level = Math.min(1.0, victimHidden.tilt_level + 0.15);
-
-        // Reset victim health
-        victimStats.health = victimStats.effective_max_health || victimStats.max_health || 550;
-
-        // Log kill event
-        eventLog.log({
-            type: EventLog.EventTypes.LANE_KILL,
-            tick: tick,
-            lane: laneState.lane,
-            killerName: killerIdentity.name,
-            killerTeam: killerIdentity.teamId,
-            victimName: victimIdentity.name,
-            victimTeam: victimIdentity.teamId,
-            goldAwarded: killGold,
-            killerKDA: `${killerStats.kda.kills}/${killerStats.kda.deaths}/${killerStats.kda.assists}`,
-            victimKDA: `${victimStats.kda.kills}/${victimStats.kda.deaths}/${victimStats.kda.assists}`,
-            victimTilt: victimHidden.tilt_level
-        });
     }
 
     /**
@@ -394,6 +505,13 @@ class LaneSystem {
         }
     }
 
+    /**
+     * Team macro multiplier (1 without a MacroSystem)
+     */
+    _getMacroModifier(teamId, key) {
+        return this.macroSystem ? this.macroSystem.getModifier(teamId, key) : 1;
+    }
+
     /**
      * Export lane pressure to world metadata (for other systems like StructureSystem)
      */
@@ -430,6 +548,28 @@ class LaneSystem {
     getAllLaneStates() {
         return Array.from(this.laneStates.values());
     }
+
+    /**
+     * Serialize lane states (for mid-match snapshots)
+     */
+    serialize() {
+        return {
+            laneStates: Array.from(this.laneStates.entries())
+        };
+    }
+
+    /**
+     * Restore serialize() output
+     * Lane states are shared with world metadata, so the restored world is relinked too
+     */
+    deserialize(state, world) {
+        this.laneStates = new Map();
+        for (const [lane, data] of state.laneStates) {
+            const laneState = Object.assign(new CLaneState(lane), data);
+            this.laneStates.set(lane, laneState);
+            world.setMetadata(`lane_${lane}`, laneState);
+        }
+    }
 }
 
 module.exports = LaneSystem;
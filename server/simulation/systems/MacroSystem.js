@@ -0,0 +1,323 @@
+const EventLog = require('../engines/EventLog');
+const strategyData = require('../data/strategies.json');
+
+const TEAMS = ['team1', 'team2'];
+
+// Lineup power curve -> profile affinity key
+const POWER_CURVES = ['early', 'mid', 'late'];
+
+/**
+ * MacroSystem - Team-level macro decisions (data/strategies.json)
+ *
+ * Before the match each team settles on a strategy profile, weighted toward
+ * its lineup's power curves. Every wave the team then scores each macro
+ * decision (split push, group mid, siege, contest objective, farm safely,
+ * invade) from the situation - game phase, gold lead, champions alive and
+ * objective timers - scaled by the profile's weights.
+ *
+ * Game sense decides how well a team reads the map: the lower the team's
+ * average, the more noise in every score. Teams commit to a decision for a
+ * few waves and only switch for a clearly better one.
+ *
+ * Other systems consult the current decision through getModifier() (lane
+ * aggression, farming, ganks, invades, objectives, fights, structure damage),
+ * getLanePush() and getDecision() (MovementSystem). Champions mirror the
+ * decision in CController.currentGoal; the profile is only kept here
+ * (getProfile()).
+ */
+class MacroSystem {
+    constructor() {
+        this.config = {
+            minCommitWaves: 3,  // Waves before a team reconsiders
+            switchMargin: 0.15,  // A new plan has to score 15% better than the current one
+            readNoise: 0.6,  // Score noise for a team with no game sense at all
+            goldLeadScale: 3000,  // Gold lead that counts as fully ahead
+            objectiveWarningWaves: 2  // Teams start setting up this many waves before a spawn
+        };
+
+        this.profiles = new Map(strategyData.profiles.map(profile => [profile.id, profile]));
+        this.decisions = new Map(strategyData.decisions.map(decision => [decision.id, decision]));
+
+        // Per team: { profile, decision, score, since }
+        this.teams = {};
+
+        // Reference to ObjectiveSystem (set externally)
+        this.objectiveSystem = null;
+    }
+
+    /**
+     * Set objective system reference (for objective timers)
+     */
+    setObjectiveSystem(objectiveSystem) {
+        this.objectiveSystem = objectiveSystem;
+    }
+
+    /**
+     * Pick each team's pre-match strategy profile
+     * @param {World} world
+     * @param {RNG} rng
+     * @param {EventLog} eventLog
+     * @param {number} tick
+     */
+    initialize(world, rng, eventLog, tick = 0) {
+        for (const teamId of TEAMS) {
+            const champions = world.queryByTags('champion', teamId);
+            const profile = rng.fork(teamId).weightedChoice(Array.from(this.profiles.values()).map(candidate => ({
+                item: candidate,
+                weight: this._getProfileAffinity(candidate, champions)
+            })));
+
+            this.teams[teamId] = { profile: profile.id, decision: null, score: 0, since: tick };
+
+            eventLog.log({
+                type: EventLog.EventTypes.MACRO_PROFILE,
+                tick: tick,
+                teamId,
+                teamName: this._getTeamName(world, teamId),
+                profileId: profile.id,
+                profileName: profile.name,
+                description: profile.description
+            });
+        }
+    }
+
+    /**
+     * Update system - each team re-reads the map and maybe changes plan
+     */
+    update(world, rng, eventLog, phase) {
+        const tick = world.getTick();
+        const systemRng = rng.fork(`macro:${tick}`);  // Fresh rolls every wave
+
+        if (!this.teams.team1) {
+            this.initialize(world, systemRng.fork('profiles'), eventLog, tick);
+        }
+
+        for (const teamId of TEAMS) {
+            this._decide(world, teamId, tick, eventLog, systemRng.fork(teamId), phase);
+        }
+    }
+
+    // ==================== QUERIES ====================
+
+    /**
+     * Current macro decision for a team
+     * @param {string} teamId
+     * @returns {object|null} strategies.json decision
+     */
+    getDecision(teamId) {
+        const team = this.teams[teamId];
+        return team && team.decision ? this.decisions.get(team.decision) : null;
+    }
+
+    /**
+     * Pre-match strategy profile for a team
+     * @param {string} teamId
+     * @returns {object|null} strategies.json profile
+     */
+    getProfile(teamId) {
+        const team = this.teams[teamId];
+        return team ? this.profiles.get(team.profile) : null;
+    }
+
+    /**
+     * Multiplier the current decision puts on a behaviour (1 when it doesn't care)
+     * @param {string} teamId
+     * @param {string} key - e.g. 'laneAggression', 'farm', 'gank', 'fightChance'
+     * @returns {number}
+     */
+    getModifier(teamId, key) {
+        const decision = this.getDecision(teamId);
+        if (!decision || !decision.modifiers || decision.modifiers[key] === undefined) return 1;
+        return decision.modifiers[key];
+    }
+
+    /**
+     * Objective timers (nothing up and nothing coming without an ObjectiveSystem)
+     * @param {number} tick
+     * @returns {object} ObjectiveSystem.getObjectiveTimers() output
+     */
+    getObjectiveTimers(tick) {
+        return this.objectiveSystem
+            ? this.objectiveSystem.getObjectiveTimers(tick)
+            : { available: false, availableType: null, wavesUntilNext: null, nextType: null };
+    }
+
+    /**
+     * Extra lane pressure the current decision pushes into a lane
+     * @param {string} teamId
+     * @param {string} lane
+     * @returns {number}
+     */
+    getLanePush(teamId, lane) {
+        const decision = this.getDecision(teamId);
+        if (!decision || !decision.push || !decision.push.lanes.includes(lane)) return 0;
+        return decision.push.amount;
+    }
+
+    /**
+     * Both teams' profile and current decision (for match state displays)
+     * @returns {object} teamId -> { profileId, profileName, decisionId, decisionName }
+     */
+    getSummary() {
+        const summary = {};
+        for (const teamId of TEAMS) {
+            const profile = this.getProfile(teamId);
+            const decision = this.getDecision(teamId);
+            summary[teamId] = {
+                profileId: profile ? profile.id : null,
+                profileName: profile ? profile.name : null,
+                decisionId: decision ? decision.id : null,
+                decisionName: decision ? decision.name : null
+            };
+        }
+        return summary;
+    }
+
+    // ==================== DECISIONS ====================
+
+    /**
+     * Score every decision for a team and switch if one is clearly better
+     */
+    _decide(world, teamId, tick, eventLog, rng, phase) {
+        const team = this.teams[teamId];
+        const profile = this.profiles.get(team.profile);
+        const context = this._getContext(world, teamId, tick, phase);
+        const noise = this.config.readNoise * (1 - context.gameSense);
+
+        // Score in catalog order so the rolls stay in a fixed sequence
+        let best = null;
+        let current = null;
+        for (const decision of this.decisions.values()) {
+            const situational = this._scoreSituation(decision, context);
+            const score = (profile.weights[decision.id] || 1) * situational.score * (1 + rng.float(-noise, noise));
+
+            const scored = { decision, score, reason: situational.reason };
+            if (!best || score > best.score) best = scored;
+            if (decision.id === team.decision) current = scored;
+        }
+
+        if (current) {
+            team.score = current.score;
+            if (tick - team.since < this.config.minCommitWaves) return;
+            if (best.decision.id === team.decision) return;
+            if (best.score < current.score * (1 + this.config.switchMargin)) return;
+        }
+
+        const previous = team.decision;
+        team.decision = best.decision.id;
+        team.score = best.score;
+        team.since = tick;
+
+        for (const champion of world.queryByTags('champion', teamId)) {
+            champion.getComponent('controller').currentGoal = best.decision.id;
+        }
+
+        const teamName = this._getTeamName(world, teamId);
+        eventLog.log({
+            type: EventLog.EventTypes.MACRO_SWITCH,
+            tick: tick,
+            teamId,
+            teamName,
+            profileId: profile.id,
+            from: previous,
+            fromName: previous ? this.decisions.get(previous).name : null,
+            to: best.decision.id,
+            toName: best.decision.name,
+            reason: best.reason,
+            message: `${best.decision.icon} ${best.decision.message.replace('{team}', teamName)}`
+        });
+    }
+
+    /**
+     * What a team sees on the map this wave (every factor in [0, 1])
+     */
+    _getContext(world, teamId, tick, phase) {
+        const enemyTeamId = teamId === 'team1' ? 'team2' : 'team1';
+        const allies = world.queryByTags('champion', teamId);
+        const enemies = world.queryByTags('champion', enemyTeamId);
+
+        const teamGold = champions => champions.reduce((sum, champion) => sum + champion.getComponent('stats').gold, 0);
+        const alive = champions => champions.filter(champion => champion.getComponent('stats').isAlive).length;
+
+        const lead = Math.max(-1, Math.min(1, (teamGold(allies) - teamGold(enemies)) / this.config.goldLeadScale));
+        const aliveDiff = (alive(allies) - alive(enemies)) / 5;
+
+        const timers = this.getObjectiveTimers(tick);
+
+        const gameSense = allies.length > 0
+            ? allies.reduce((sum, champion) => sum + champion.getComponent('hiddenStats').getEffectiveGameSense(), 0) / allies.length
+            : 0.5;
+
+        return {
+            gameSense: Math.max(0, Math.min(1, gameSense)),
+            factors: {
+                early: phase === 'early' ? 1 : 0,
+                mid: phase === 'mid' ? 1 : 0,
+                late: phase === 'late' ? 1 : 0,
+                goldLead: Math.max(0, lead),
+                goldDeficit: Math.max(0, -lead),
+                numbers: Math.max(0, aliveDiff),
+                outnumbered: Math.max(0, -aliveDiff),
+                objectiveUp: timers.available ? 1 : 0,
+                objectiveSoon: timers.wavesUntilNext !== null && timers.wavesUntilNext <= this.config.objectiveWarningWaves ? 1 : 0
+            }
+        };
+    }
+
+    /**
+     * Situational score for a decision, and the factor that drove it
+     * @returns {object} { score, reason }
+     */
+    _scoreSituation(decision, context) {
+        let score = decision.factors.base || 0;
+        let reason = 'default';
+        let strongest = 0;
+
+        for (const [factor, weight] of Object.entries(decision.factors)) {
+            if (factor === 'base') continue;
+
+            const contribution = weight * (context.factors[factor] || 0);
+            score += contribution;
+            if (contribution > strongest) {
+                strongest = contribution;
+                reason = factor;
+            }
+        }
+
+        return { score: Math.max(0.01, score), reason };
+    }
+
+    /**
+     * How well a profile fits a lineup's power curves
+     */
+    _getProfileAffinity(profile, champions) {
+        if (champions.length === 0) return profile.affinity.mid;
+
+        const total = champions.reduce((sum, champion) => {
+            const curve = champion.getComponent('hiddenStats').power_curve;
+            return sum + profile.affinity[POWER_CURVES.includes(curve) ? curve : 'mid'];
+        }, 0);
+        return total / champions.length;
+    }
+
+    _getTeamName(world, teamId) {
+        const team = world.getMetadata(teamId);
+        return (team && team.name) || teamId;
+    }
+
+    /**
+     * Serialize team plans (for mid-match snapshots)
+     */
+    serialize() {
+        return { teams: JSON.parse(JSON.stringify(this.teams)) };
+    }
+
+    /**
+     * Restore serialize() output
+     */
+    deserialize(state) {
+        this.teams = state.teams;
+    }
+}
+
+module.exports = MacroSystem;
@@ -0,0 +1,531 @@
+const EventLog = require('../engines/EventLog');
+const MapGraph = require('../engines/MapGraph');
+const Entity = require('../core/Entity');
+const { CIdentity, CPosition, CMinionWave } = require('../core/Component');
+const minionData = require('../data/minions.json');
+
+const TEAMS = ['team1', 'team2'];
+const LANE_END = 4;  // Team2's end of a lane (MapGraph lane node index)
+
+/**
+ * MinionSystem - Minion waves marching down the lanes (data/minions.json)
+ *
+ * Every waveInterval waves each team sends a wave down every lane: melee and
+ * caster minions, a siege minion every few waves, and empowered minions once
+ * the enemy Gateway in that lane has fallen. Waves are entities (CMinionWave)
+ * with a lane position, per-minion health and a state:
+ * - marching: walking toward the enemy end of the lane
+ * - clashing: held up by the enemy's front wave; the two trade damage every
+ *   wave, helped along by whichever team's champions have lane pressure
+ * - sieging: stopped at the next enemy structure standing in the lane, which
+ *   StructureSystem damages with (and shoots back at) the wave
+ * A wave that catches up with a stalled wave ahead of it merges into it.
+ * Laners clear enemy waves that cross onto their half of the lane, so waves
+ * only pile up against a lane whose defender is dead or gone.
+ *
+ * A team holding an objective buff with wave effects (Monolith's Blessing)
+ * sends blessed waves: extra empowered minions (empowered_minions) and
+ * tougher minions all round (minion_health).
+ *
+ * Laners last-hit minions out of the enemy waves (lastHit), and each lane's
+ * CLaneState mirrors its waves for lane pressure and the minimap.
+ */
+class MinionSystem {
+    constructor() {
+        this.config = {
+            waveInterval: 2,  // A wave spawns every 2 waves of the match
+            marchSpeed: 0.8,  // Lane units walked per wave (a lane is 4 units long)
+            contactRange: 0.05,  // Waves this close are fighting (or merge, if allies)
+            championClearBonus: 0.5,  // Extra wave damage per point of lane pressure
+            defenderClearRatio: 2.0  // Attack damage a living laner deals to enemy waves on their half of the lane
+        };
+
+        this.types = new Map(minionData.types.map(type => [type.id, type]));
+        this.typeOrder = minionData.types.map(type => type.id);  // Front of a wave to the back
+        this.waveRules = minionData.waves;
+
+        // `${teamId}-${lane}` lanes already sending empowered waves
+        this.empoweredLanes = [];
+
+        // References to other systems (set externally)
+        this.structureSystem = null;
+        this.objectiveSystem = null;
+
+        this.map = new MapGraph();
+    }
+
+    /**
+     * Set structure system reference (where waves stop to siege, lane pressure)
+     */
+    setStructureSystem(structureSystem) {
+        this.structureSystem = structureSystem;
+    }
+
+    /**
+     * Set objective system reference (objective buffs that empower waves)
+     */
+    setObjectiveSystem(objectiveSystem) {
+        this.objectiveSystem = objectiveSystem;
+    }
+
+    /**
+     * Update system - spawn, march and fight the waves in every lane
+     */
+    update(world, rng, eventLog, phase) {
+        const tick = world.getTick();
+
+        for (const lane of MapGraph.LANES) {
+            if (tick % this.config.waveInterval === 0) {
+                for (const teamId of TEAMS) {
+                    this._spawnWave(world, teamId, lane, tick, eventLog);
+                }
+            }
+
+            this._march(world, lane);
+            this._clash(world, lane);
+            this._defend(world, lane);
+            this._updateLaneState(world, lane);
+        }
+    }
+
+    // ==================== QUERIES ====================
+
+    /**
+     * A team's waves in a lane, front first
+     * @param {World} world
+     * @param {string} teamId
+     * @param {string} lane
+     * @returns {Entity[]}
+     */
+    getLaneWaves(world, teamId, lane) {
+        return world.queryByTags('minion_wave', teamId, lane)
+            .sort((a, b) => this._getProgress(b) - this._getProgress(a) || a.id - b.id);
+    }
+
+    /**
+     * Every wave on the map (live status, replays and the minimap)
+     * @param {World} world
+     * @returns {object[]}
+     */
+    getWaves(world) {
+        return world.queryByTag('minion_wave')
+            .sort((a, b) => a.id - b.id)
+            .map(wave => this._describeWave(wave));
+    }
+
+    /**
+     * Damage a wave deals to the structure it's sieging each wave
+     * (before armor, lane pressure and macro modifiers)
+     * @param {Entity} wave
+     * @returns {number}
+     */
+    getStructureDamage(wave) {
+        return wave.getComponent('minionWave').minions
+            .reduce((sum, minion) => sum + this.types.get(minion.type).structureDamage, 0);
+    }
+
+    // ==================== MINIONS ====================
+
+    /**
+     * Deal damage to a wave, front minion first; the wave is removed once empty
+     * @param {World} world
+     * @param {Entity} wave
+     * @param {number} damage
+     * @returns {number} Minions killed
+     */
+    damageWave(world, wave, damage) {
+        const minions = wave.getComponent('minionWave').minions;
+        let remaining = damage;
+        let killed = 0;
+
+        while (remaining > 0 && minions.length > 0) {
+            const dealt = Math.min(remaining, minions[0].health);
+            minions[0].health -= dealt;
+            remaining -= dealt;
+
+            if (minions[0].health <= 0) {
+                minions.shift();
+                killed++;
+            }
+        }
+
+        if (minions.length === 0) {
+            world.removeEntity(wave.id);
+        }
+        return killed;
+    }
+
+    /**
+     * A laner last-hits minions out of the enemy's waves in their lane,
+     * weakest minion of the front wave first
+     * @param {World} world
+     * @param {string} teamId - Team whose minions die
+     * @param {string} lane
+     * @param {number} count
+     * @returns {number} Minions killed
+     */
+    lastHit(world, teamId, lane, count) {
+        let killed = 0;
+
+        for (const wave of this.getLaneWaves(world, teamId, lane)) {
+            const minions = wave.getComponent('minionWave').minions;
+
+            while (killed < count && minions.length > 0) {
+                let weakest = 0;
+                minions.forEach((minion, index) => {
+                    if (minion.health < minions[weakest].health) weakest = index;
+                });
+                minions.splice(weakest, 1);
+                killed++;
+            }
+
+            if (minions.length === 0) {
+                world.removeEntity(wave.id);
+            }
+            if (killed >= count) break;
+        }
+
+        return killed;
+    }
+
+    _spawnWave(world, teamId, lane, tick, eventLog) {
+        const number = Math.floor(tick / this.config.waveInterval);
+
+        const counts = { ...this.waveRules.composition };
+        if (number % this.waveRules.siegeEvery === 0) {
+            counts.siege = (counts.siege || 0) + 1;
+        }
+
+        const empowered = this._isEmpowered(world, teamId, lane);
+        if (empowered) {
+            for (const [type, count] of Object.entries(this.waveRules.empowered)) {
+                counts[type] = (counts[type] || 0) + count;
+            }
+            this._announceEmpowered(world, teamId, lane, tick, eventLog);
+        }
+
+        const blessing = this._getBlessing(teamId);
+        if (blessing.empowered > 0) {
+            for (const [type, count] of Object.entries(this.waveRules.empowered)) {
+                counts[type] = (counts[type] || 0) + count * blessing.empowered;
+            }
+        }
+
+        const minions = [];
+        for (const type of this.typeOrder) {
+            for (let i = 0; i < (counts[type] || 0); i++) {
+                minions.push({ type, health: this.types.get(type).health * (1 + blessing.health) });
+            }
+        }
+
+        const minionWave = new CMinionWave(lane, number, teamId === 'team1' ? 0 : LANE_END, minions);
+        minionWave.empowered = empowered;
+        minionWave.blessed = blessing.empowered > 0 || blessing.health > 0;
+
+        const entity = new Entity();
+        entity.addComponent('identity', new CIdentity({
+            id: `${teamId}-${lane}-wave-${number}`,
+            name: `${lane.charAt(0).toUpperCase() + lane.slice(1)} Wave ${number}`,
+            teamId: teamId,
+            lane: lane
+        }));
+        entity.addComponent('position', new CPosition(lane, 'lane'));
+        entity.addComponent('minionWave', minionWave);
+
+        entity.addTag('minion_wave');
+        entity.addTag(teamId);
+        entity.addTag(lane);
+
+        world.addEntity(entity);
+        this._place(entity);
+    }
+
+    /**
+     * Waves are empowered once the enemy Gateway in their lane is down
+     */
+    _isEmpowered(world, teamId, lane) {
+        const enemyTeamId = teamId === 'team1' ? 'team2' : 'team1';
+        return world.queryByTags('structure', enemyTeamId, lane, 'gateway')
+            .some(gateway => !gateway.getComponent('stats').isAlive);
+    }
+
+    /**
+     * Wave effects from the team's objective buffs: extra sets of empowered
+     * minions and bonus minion health (a share of base health)
+     */
+    _getBlessing(teamId) {
+        if (!this.objectiveSystem) return { empowered: 0, health: 0 };
+
+        return {
+            empowered: Math.floor(this.objectiveSystem.getTeamEffect(teamId, 'empowered_minions')),
+            health: this.objectiveSystem.getTeamEffect(teamId, 'minion_health')
+        };
+    }
+
+    _announceEmpowered(world, teamId, lane, tick, eventLog) {
+        const key = `${teamId}-${lane}`;
+        if (this.empoweredLanes.includes(key)) return;
+        this.empoweredLanes.push(key);
+
+        const team = world.getMetadata(teamId);
+        eventLog.log({
+            type: EventLog.EventTypes.MINION_EMPOWERED,
+            tick: tick,
+            teamId,
+            teamName: (team && team.name) || teamId,
+            lane,
+            minions: Object.keys(this.waveRules.empowered).map(type => this.types.get(type).name)
+        });
+    }
+
+    // ==================== MOVEMENT ====================
+
+    /**
+     * Walk a lane's waves forward. Front waves stop where they meet each other
+     * or the next enemy structure; waves behind them merge in on arrival.
+     */
+    _march(world, lane) {
+        const waves = {
+            team1: this.getLaneWaves(world, 'team1', lane),
+            team2: this.getLaneWaves(world, 'team2', lane)
+        };
+
+        // Front waves: as far as they can go toward the next enemy structure
+        const stops = {};
+        const moves = {};
+        for (const teamId of TEAMS) {
+            const front = waves[teamId][0];
+            if (!front) continue;
+
+            stops[teamId] = this._getSiegeStop(world, teamId, lane);
+            moves[teamId] = Math.max(0, Math.min(this.config.marchSpeed, stops[teamId].progress - this._getProgress(front)));
+        }
+
+        const front1 = waves.team1[0];
+        const front2 = waves.team2[0];
+        if (front1 && front2) {
+            const wave1 = front1.getComponent('minionWave');
+            const wave2 = front2.getComponent('minionWave');
+            const gap = wave2.position - wave1.position;
+            const closing = moves.team1 + moves.team2;
+
+            if (gap <= closing) {
+                // They meet in between, each having covered its share of the gap
+                const meet = closing > 0 ? wave1.position + gap * moves.team1 / closing : wave1.position;
+                wave1.position = meet;
+                wave2.position = meet;
+            } else {
+                wave1.position += moves.team1;
+                wave2.position -= moves.team2;
+            }
+        } else if (front1) {
+            front1.getComponent('minionWave').position += moves.team1;
+        } else if (front2) {
+            front2.getComponent('minionWave').position -= moves.team2;
+        }
+
+        const contact = front1 && front2 &&
+            front2.getComponent('minionWave').position - front1.getComponent('minionWave').position <= this.config.contactRange;
+
+        for (const teamId of TEAMS) {
+            const front = waves[teamId][0];
+            if (!front) continue;
+
+            const minionWave = front.getComponent('minionWave');
+            const stop = stops[teamId];
+            if (contact) {
+                minionWave.state = 'clashing';
+                minionWave.target = null;
+            } else if (stop.structure && this._getProgress(front) >= stop.progress - 1e-9) {
+                minionWave.state = 'sieging';
+                minionWave.target = stop.structure.id;
+            } else {
+                minionWave.state = 'marching';
+                minionWave.target = null;
+            }
+            this._place(front);
+
+            // Rear waves: catch up with (and join) the wave ahead
+            let ahead = front;
+            for (const wave of waves[teamId].slice(1)) {
+                const rear = wave.getComponent('minionWave');
+                const step = Math.min(this.config.marchSpeed, this._getProgress(ahead) - this._getProgress(wave));
+                rear.position += teamId === 'team1' ? step : -step;
+                rear.state = 'marching';
+                rear.target = null;
+
+                if (this._getProgress(ahead) - this._getProgress(wave) <= this.config.contactRange) {
+                    this._mergeWaves(world, ahead, wave);
+                } else {
+                    this._place(wave);
+                    ahead = wave;
+                }
+            }
+        }
+    }
+
+    /**
+     * Fold a wave into the one it caught up with (keeping front-to-back order)
+     */
+    _mergeWaves(world, into, wave) {
+        const target = into.getComponent('minionWave');
+        const joining = wave.getComponent('minionWave');
+
+        target.minions = [...target.minions, ...joining.minions]
+            .sort((a, b) => this.typeOrder.indexOf(a.type) - this.typeOrder.indexOf(b.type));
+        target.empowered = target.empowered || joining.empowered;
+
+        world.removeEntity(wave.id);
+    }
+
+    /**
+     * How far a team's front wave can walk before it has to siege
+     * @returns {object} { structure, progress } (no structure once the enemy Core is down)
+     */
+    _getSiegeStop(world, teamId, lane) {
+        const enemyTeamId = teamId === 'team1' ? 'team2' : 'team1';
+        const target = this.structureSystem ? this.structureSystem.getLaneTarget(world, enemyTeamId, lane) : null;
+        if (!target) return { structure: null, progress: LANE_END };
+
+        return {
+            structure: target.structure,
+            progress: teamId === 'team1' ? target.position : LANE_END - target.position
+        };
+    }
+
+    /**
+     * Distance a wave has walked from its own team's end of the lane
+     */
+    _getProgress(wave) {
+        const minionWave = wave.getComponent('minionWave');
+        return wave.hasTag('team1') ? minionWave.position : LANE_END - minionWave.position;
+    }
+
+    /**
+     * Put a wave's map position where its lane position is
+     */
+    _place(wave) {
+        const minionWave = wave.getComponent('minionWave');
+        const position = wave.getComponent('position');
+        const point = this.map.getLanePoint(minionWave.lane, minionWave.position);
+
+        position.nodeId = this.map.getLaneNode(minionWave.lane, Math.round(minionWave.position));
+        position.x = point.x;
+        position.y = point.y;
+    }
+
+    // ==================== COMBAT ====================
+
+    /**
+     * Front waves in contact trade damage; champions with lane pressure
+     * clear the enemy wave faster
+     */
+    _clash(world, lane) {
+        const front1 = this.getLaneWaves(world, 'team1', lane)[0];
+        const front2 = this.getLaneWaves(world, 'team2', lane)[0];
+        if (!front1 || !front2 || front1.getComponent('minionWave').state !== 'clashing') return;
+
+        const damage1 = this._getWaveDamage(world, front1, 'team1', lane);
+        const damage2 = this._getWaveDamage(world, front2, 'team2', lane);
+
+        this.damageWave(world, front2, damage1);
+        this.damageWave(world, front1, damage2);
+    }
+
+    /**
+     * Living laners clear the enemy's front wave once it crosses onto their half
+     */
+    _defend(world, lane) {
+        for (const teamId of TEAMS) {
+            const enemyTeamId = teamId === 'team1' ? 'team2' : 'team1';
+            const wave = this.getLaneWaves(world, enemyTeamId, lane)[0];
+            if (!wave || this._getProgress(wave) <= LANE_END / 2) continue;
+
+            const damage = world.queryByTags('champion', teamId, lane)
+                .map(champion => champion.getComponent('stats'))
+                .filter(stats => stats.isAlive)
+                .reduce((sum, stats) => sum + stats.attack_damage * this.config.defenderClearRatio, 0);
+            if (damage > 0) {
+                this.damageWave(world, wave, damage);
+            }
+        }
+    }
+
+    _getWaveDamage(world, wave, teamId, lane) {
+        const damage = wave.getComponent('minionWave').minions
+            .reduce((sum, minion) => sum + this.types.get(minion.type).damage, 0);
+        const pressure = this.structureSystem ? Math.max(0, this.structureSystem.getLanePressure(world, lane, teamId)) : 0;
+
+        return damage * (1 + this.config.championClearBonus * pressure);
+    }
+
+    // ==================== LANE STATE ====================
+
+    /**
+     * Mirror the lane's waves into LaneSystem's CLaneState (world metadata)
+     */
+    _updateLaneState(world, lane) {
+        const laneState = world.getMetadata(`lane_${lane}`);
+        if (!laneState) return;
+
+        laneState.waves = [];
+        for (const teamId of TEAMS) {
+            const waves = this.getLaneWaves(world, teamId, lane);
+            const count = waves.reduce((sum, wave) => sum + wave.getComponent('minionWave').minions.length, 0);
+
+            laneState.minionWaves[teamId] = {
+                count,
+                // -1 = own end of the lane, 1 = enemy's end
+                position: waves.length > 0 ? (this._getProgress(waves[0]) / LANE_END) * 2 - 1 : -1
+            };
+            laneState.waves.push(...waves.map(wave => this._describeWave(wave)));
+        }
+    }
+
+    _describeWave(wave) {
+        const identity = wave.getComponent('identity');
+        const position = wave.getComponent('position');
+        const minionWave = wave.getComponent('minionWave');
+
+        const minions = {};
+        for (const minion of minionWave.minions) {
+            minions[minion.type] = (minions[minion.type] || 0) + 1;
+        }
+
+        return {
+            id: wave.id,
+            teamId: identity.teamId,
+            lane: minionWave.lane,
+            number: minionWave.number,
+            position: minionWave.position,
+            nodeId: position.nodeId,
+            x: position.x,
+            y: position.y,
+            state: minionWave.state,
+            target: minionWave.target,
+            empowered: minionWave.empowered,
+            blessed: minionWave.blessed,
+            count: minionWave.minions.length,
+            health: minionWave.minions.reduce((sum, minion) => sum + minion.health, 0),
+            minions
+        };
+    }
+
+    /**
+     * Serialize empowered lanes (for mid-match snapshots; waves are entities)
+     */
+    serialize() {
+        return {
+            empoweredLanes: [...this.empoweredLanes]
+        };
+    }
+
+    /**
+     * Restore serialize() output
+     */
+    deserialize(state) {
+        this.empoweredLanes = [...state.empoweredLanes];
+    }
+}
+
+module.exports = MinionSystem;
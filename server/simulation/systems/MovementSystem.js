@@ -0,0 +1,250 @@
+const EventLog = require('../engines/EventLog');
+const MapGraph = require('../engines/MapGraph');
+
+// Roles that share another role's lane
+const LANE_PARTNERS = { support: 'bot' };
+
+/**
+ * MovementSystem - Places champions on the map graph every wave
+ *
+ * Runs after every other system and reads what happened this wave from the
+ * event log, so positions show where things actually happened:
+ * - Dead champions are in their fountain
+ * - A teamfight puts every survivor at the fight's location
+ * - An objective contest puts everyone at the objective's pit
+ * - Ganks, counterganks, camp clears, invades and smite duels put the
+ *   jungler in that lane or camp
+ *
+ * Otherwise champions walk toward where their team's macro plan wants them
+ * (grouped mid, sieging, at the next objective, split across the side lanes,
+ * farming behind their spires, invading) or their usual spot - the front of
+ * their lane's minion waves, or one of their own jungle camps - covering at
+ * most mapUnitsPerWave of the map (scaled by haste and slows).
+ *
+ * Positions live in CPosition, so world snapshots carry them.
+ */
+class MovementSystem {
+    constructor() {
+        this.map = new MapGraph();
+
+        this.config = {
+            mapUnitsPerWave: 0.6  // A side lane is ~1.1 units from fountain to outer spire
+        };
+    }
+
+    /**
+     * Set macro system reference (team plans decide where champions go)
+     */
+    setMacroSystem(macroSystem) {
+        this.macroSystem = macroSystem;
+    }
+
+    /**
+     * Update system - move every champion for this wave
+     */
+    update(world, rng, eventLog, phase) {
+        const tick = world.getTick();
+        const locations = this._getEventLocations(world, eventLog.getEventsByTickRange(tick, tick));
+
+        for (const champion of world.queryByTag('champion')) {
+            const stats = champion.getComponent('stats');
+            const identity = champion.getComponent('identity');
+            const position = champion.getComponent('position');
+            const from = position.nodeId || this.map.getBase(identity.teamId);
+
+            if (!stats.isAlive) {
+                this._place(position, [this.map.getBase(identity.teamId)]);
+                continue;
+            }
+
+            // Somewhere this wave's events put them
+            const location = locations.byChampion.get(champion.id) || locations.everyone;
+            if (location) {
+                this._place(position, this.map.findPath(from, location));
+                continue;
+            }
+
+            // Otherwise walk toward their usual spot
+            const destination = this._getRoutineDestination(world, champion, tick);
+            this._place(position, this.map.walk(from, destination, this._getMoveBudget(champion)));
+        }
+    }
+
+    /**
+     * Where a teamfight between these champions breaks out: the map node
+     * nearest to where they all are
+     * @param {Entity[]} champions
+     * @returns {string}
+     */
+    getFightLocation(champions) {
+        const placed = champions
+            .map(champion => champion.getComponent('position'))
+            .filter(position => position && position.x !== null);
+        if (placed.length === 0) return this.map.getLaneNode('mid', 2);
+
+        const x = placed.reduce((sum, position) => sum + position.x, 0) / placed.length;
+        const y = placed.reduce((sum, position) => sum + position.y, 0) / placed.length;
+
+        // Nobody fights inside a fountain
+        return this.map.getNearestNode(x, y, ['lane', 'jungle', 'river', 'objective']);
+    }
+
+    /**
+     * Map layout for clients
+     * @returns {object}
+     */
+    getMap() {
+        return this.map.toJSON();
+    }
+
+    /**
+     * Locations this wave's events pin champions to
+     * @returns {object} { everyone: nodeId|null, byChampion: Map<entityId, nodeId> }
+     */
+    _getEventLocations(world, events) {
+        const byChampion = new Map();
+        let fight = null;
+        let objective = null;
+
+        for (const event of events) {
+            switch (event.type) {
+                case EventLog.EventTypes.FIGHT_START:
+                    fight = event.location || fight;
+                    break;
+                case EventLog.EventTypes.OBJECTIVE_CONTEST:
+                case EventLog.EventTypes.OBJECTIVE_SECURE:
+                case EventLog.EventTypes.OBJECTIVE_STEAL:
+                    objective = this.map.getObjectivePit(event.objectiveType) || objective;
+                    break;
+                case EventLog.EventTypes.JUNGLE_GANK:
+                    byChampion.set(event.gankerId, this._getLaneFront(world, event.lane));
+                    break;
+                case EventLog.EventTypes.JUNGLE_COUNTERGANK:
+                    byChampion.set(event.gankerId, this._getLaneFront(world, event.lane));
+                    byChampion.set(event.counterGankerId, this._getLaneFront(world, event.lane));
+                    break;
+                case EventLog.EventTypes.JUNGLE_CAMP:
+                    byChampion.set(event.entityId, event.nodeId);
+                    break;
+                case EventLog.EventTypes.JUNGLE_INVADE:
+                    byChampion.set(event.entityId, event.nodeId || this._pickCamp(this._getEnemyTeam(event.teamId), event.tick));
+                    break;
+                case EventLog.EventTypes.JUNGLE_SMITE:
+                    byChampion.set(event.winnerId, event.nodeId);
+                    byChampion.set(event.loserId, event.nodeId);
+                    break;
+            }
+        }
+
+        // Teamfights and objectives pull in the whole map
+        return { everyone: fight || objective, byChampion: (fight || objective) ? new Map() : byChampion };
+    }
+
+    /**
+     * Where a champion heads when nothing is happening: wherever the team's
+     * macro plan sends them, or their lane / jungle
+     */
+    _getRoutineDestination(world, champion, tick) {
+        const identity = champion.getComponent('identity');
+        const position = champion.getComponent('position');
+        const lane = LANE_PARTNERS[position.lane] || position.lane;
+        const isLaner = MapGraph.LANES.includes(lane);
+        const decision = this.macroSystem ? this.macroSystem.getDecision(identity.teamId) : null;
+
+        switch (decision && decision.id) {
+            case 'group_mid':
+                return this._getLaneFront(world, 'mid');
+            case 'siege':
+                return this._getLaneFront(world, this._getSiegeLane(world, identity.teamId));
+            case 'split_push':
+                // Side laners stay out on their lanes while the rest hold mid
+                return isLaner && lane !== 'mid' ? this._getLaneFront(world, lane) : this._getLaneFront(world, 'mid');
+            case 'contest_objective': {
+                const timers = this.macroSystem.getObjectiveTimers(tick);
+                return this.map.getObjectivePit(timers.availableType || timers.nextType || 'rift');
+            }
+            case 'farm_safe':
+                if (isLaner) return this._getSafeLaneNode(world, lane, identity.teamId);
+                break;
+            case 'invade':
+                if (!isLaner || position.lane === 'support') return this._pickCamp(this._getEnemyTeam(identity.teamId), tick);
+                break;
+        }
+
+        if (isLaner) {
+            return this._getLaneFront(world, lane);
+        }
+
+        return this._pickCamp(identity.teamId, tick);
+    }
+
+    /**
+     * Lane a team is pushing hardest (mid on ties)
+     */
+    _getSiegeLane(world, teamId) {
+        let best = 'mid';
+        let bestPressure = world.getMetadata(`mid_lane_pressure_${teamId}`) || 0;
+        for (const lane of MapGraph.LANES) {
+            const pressure = world.getMetadata(`${lane}_lane_pressure_${teamId}`) || 0;
+            if (pressure > bestPressure) {
+                best = lane;
+                bestPressure = pressure;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * The lane front, but no further forward than the team's own outer spire
+     */
+    _getSafeLaneNode(world, lane, teamId) {
+        const front = this.map.getNode(this._getLaneFront(world, lane)).index;
+        const index = teamId === 'team1' ? Math.min(front, 1) : Math.max(front, 3);
+        return this.map.getLaneNode(lane, index);
+    }
+
+    /**
+     * Lane node where the minion waves currently meet
+     */
+    _getLaneFront(world, lane) {
+        const pressure = (world.getMetadata(`${lane}_lane_pressure_team1`) || 0) -
+            (world.getMetadata(`${lane}_lane_pressure_team2`) || 0);
+        return this.map.getLaneFront(lane, pressure);
+    }
+
+    /**
+     * Junglers alternate between a side's camps wave to wave
+     */
+    _pickCamp(teamId, tick) {
+        const camps = this.map.getCamps(teamId);
+        return camps[tick % camps.length];
+    }
+
+    /**
+     * Map units a champion covers this wave
+     */
+    _getMoveBudget(champion) {
+        const status = champion.getComponent('status');
+        const modifier = status ? status.getEffect('movement_speed') : 0;
+        return this.config.mapUnitsPerWave * Math.max(0.2, 1 + modifier);
+    }
+
+    /**
+     * Put a champion at the last node of a path
+     */
+    _place(position, path) {
+        const node = this.map.getNode(path[path.length - 1]);
+
+        position.nodeId = node.id;
+        position.zone = node.type;
+        position.x = node.x;
+        position.y = node.y;
+        position.path = path;
+    }
+
+    _getEnemyTeam(teamId) {
+        return teamId === 'team1' ? 'team2' : 'team1';
+    }
+}
+
+module.exports = MovementSystem;
@@ -1,76 +1,43 @@
 const EventLog = require('../engines/EventLog');
+const objectiveData = require('../data/objectives.json');
 
 /**
  * ObjectiveSystem - Manages void-themed major and minor objectives
  *
- * Handles:
- * - Rift Breaches (minor objectives) - spawn periodically, grant powerful buffs
- * - The Hungering Void (major objective) - spawns late game, game-changing buff
- * - Contest resolution based on team power
- * - Steal mechanics
- * - Buff application with real gameplay effects
+ * Every objective is defined in data/objectives.json:
+ * - firstSpawn / respawn / maxSpawns - when it appears, how many waves after it
+ *   is taken it comes back (null = never) and how often it can appear
+ * - health - damage both teams must deal before it falls (a contest chips it
+ *   by the teams' combined power, so big objectives take several waves)
+ * - contest - chance teams fight over it each wave and the steal chance
+ * - reward - the team buff the winner gets (see _applyReward)
+ * - variants - optional; one is rolled at each spawn (Rift Breaches)
+ * - messages - event text ({icon} {name} {description} {team})
+ *
+ * The pit an objective spawns in is the map node whose `objective` is its id.
+ * New objectives only need a catalog entry and a pit.
  */
 class ObjectiveSystem {
     constructor() {
         this.config = {
-            riftSpawnWaves: [10, 20, 30, 40],  // Waves when rifts spawn
-            voidSpawnWave: 40,  // Hungering Void spawns wave 40
-            contestChance: 0.60,  // 60% chance teams contest rift
-            voidContestChance: 0.75,  // 75% chance teams contest void
-            stealChance: 0.12,  // 12% steal chance when losing
-            riftBuffDuration: 10,  // Rift buffs last 10 waves
-            voidBuffDuration: 5  // Void buff lasts 5 waves
+            contestChance: 1.0,  // Scales every objective's contest chance
+            stealChance: 1.0,  // Scales every objective's steal chance
+            buffDuration: 1.0  // Scales every reward's duration
         };
 
-        // Define the four types of Rift Breaches
-        this.riftTypes = [
-            {
-                id: 'reality_rift',
-                name: 'Reality Rift',
-                description: '+10% damage to all abilities',
-                flavor: 'The fabric of reality warps, amplifying magical energies',
-                icon: '🌌',
-                effects: {
-                    ability_damage_multiplier: 1.10
-                }
-            },
-            {
-                id: 'time_rift',
-                name: 'Time Rift',
-                description: '-20% cooldowns on all abilities',
-                flavor: 'Time flows faster for those who breach it',
-                icon: '⏰',
-                effects: {
-                    cooldown_reduction: 0.20
-                }
-            },
-            {
-                id: 'void_rift',
-                name: 'Void Rift',
-                description: '+500 HP to all champions',
-                flavor: 'Void energy fortifies mortal forms',
-                icon: '🕳️',
-                effects: {
-                    bonus_health: 500
-                }
-            },
-            {
-                id: 'chaos_rift',
-                name: 'Chaos Rift',
-                description: 'Random buff to each champion',
-                flavor: 'Unpredictable chaos empowers the worthy',
-                icon: '🌀',
-                effects: {
-                    chaos_mode: true
-                }
-            }
-        ];
+        this.catalog = new Map(objectiveData.objectives.map(objective => [objective.id, objective]));
 
         this.availableObjectives = [];
         this.teamBuffs = {
             team1: [],
             team2: []
         };
+
+        // Objective id -> { nextSpawn, spawns } (nextSpawn null once it's up or retired)
+        this.schedule = {};
+        for (const objective of this.catalog.values()) {
+            this.schedule[objective.id] = { nextSpawn: objective.firstSpawn, spawns: 0 };
+        }
     }
 
     /**
@@ -80,6 +47,39 @@ class ObjectiveSystem {
         this.levelingSystem = levelingSystem;
     }
 
+    /**
+     * Set bounty system reference (comeback bounties on objectives)
+     */
+    setBountySystem(bountySystem) {
+        this.bountySystem = bountySystem;
+    }
+
+    /**
+     * Set macro system reference (team plans decide how hard objectives are contested)
+     */
+    setMacroSystem(macroSystem) {
+        this.macroSystem = macroSystem;
+    }
+
+    /**
+     * Objective timing for team macro decisions
+     * @param {number} tick - Current wave
+     * @returns {object} { available, availableType, wavesUntilNext, nextType }
+     *                   (wavesUntilNext/nextType null when nothing else spawns)
+     */
+    getObjectiveTimers(tick) {
+        const next = Object.entries(this.schedule)
+            .filter(([, entry]) => entry.nextSpawn !== null && entry.nextSpawn > tick)
+            .reduce((soonest, [type, entry]) => (!soonest || entry.nextSpawn < soonest.wave ? { wave: entry.nextSpawn, type } : soonest), null);
+
+        return {
+            available: this.availableObjectives.length > 0,
+            availableType: this.availableObjectives.length > 0 ? this.availableObjectives[0].type : null,
+            wavesUntilNext: next ? next.wave - tick : null,
+            nextType: next ? next.type : null
+        };
+    }
+
     /**
      * Update system - spawn and contest objectives
      */
@@ -87,233 +87,146 @@ class ObjectiveSystem {
         const tick = world.getTick();
         const systemRng = rng.fork('objectives');
 
-        // Check for rift spawns
-        if (this.config.riftSpawnWaves.includes(tick)) {
-            this._spawnRiftBreach(tick, eventLog, systemRng);
-        }
-
-        // Check for Hungering Void spawn
-        if (tick === this.config.voidSpawnWave) {
-            this._spawnHungeringVoid(tick, eventLog);
-        }
-
-        // Contest available rifts
-        const availableRift = this.availableObjectives.find(obj => obj.type === 'rift');
-        if (availableRift && systemRng.chance(this.config.contestChance)) {
-            this._contestRiftBreach(world, tick, eventLog, systemRng);
+        // Spawn anything whose timer is up (catalog order)
+        for (const objective of this.catalog.values()) {
+            if (this.schedule[objective.id].nextSpawn === tick) {
+                this._spawnObjective(objective, tick, eventLog, systemRng);
+            }
         }
 
-        // Check for void contest
-        const availableVoid = this.availableObjectives.find(obj => obj.type === 'void');
-        if (availableVoid && systemRng.chance(this.config.voidContestChance)) {
-            this._contestHungeringVoid(world, tick, eventLog, systemRng);
+        // Contest what's on the map (it may fall mid-loop)
+        for (const available of [...this.availableObjectives]) {
+            const contest = this.catalog.get(available.type).contest;
+            if (systemRng.chance(contest.chance * this.config.contestChance * this._getContestModifier())) {
+                this._contestObjective(world, available, tick, eventLog, systemRng);
+            }
         }
 
         // Update buff durations
         this._updateBuffs(world, tick);
     }
 
+    // ==================== SPAWNS ====================
+
     /**
-     * Spawn a Rift Breach objective
+     * Put an objective on the map (rolling its variant, if it has any)
      */
-    _spawnRiftBreach(tick, eventLog, rng) {
-        const riftType = rng.choice(this.riftTypes);
-
-        const rift = {
-            type: 'rift',
-            subtype: riftType.id,
-            name: riftType.name,
-            description: riftType.description,
-            flavor: riftType.flavor,
-            icon: riftType.icon,
-            effects: riftType.effects,
+    _spawnObjective(objective, tick, eventLog, rng) {
+        const variant = objective.variants ? rng.choice(objective.variants) : null;
+        const source = { ...objective, ...variant };
+
+        const spawned = {
+            type: objective.id,
+            subtype: variant ? variant.id : objective.id,
+            name: source.name,
+            description: source.description,
+            flavor: source.flavor,
+            icon: source.icon,
+            reward: source.reward,
+            health: objective.health,
+            maxHealth: objective.health,
             spawnTick: tick
         };
 
-        this.availableObjectives.push(rift);
+        this.availableObjectives.push(spawned);
+
+        const entry = this.schedule[objective.id];
+        entry.spawns++;
+        entry.nextSpawn = null;
 
         eventLog.log({
             type: EventLog.EventTypes.OBJECTIVE_START,
             tick: tick,
-            objectiveType: 'rift',
-            objectiveName: riftType.name,
-            message: `${riftType.icon} ${riftType.name} has opened! ${riftType.description}`
+            objectiveType: objective.id,
+            objectiveName: spawned.name,
+            tier: objective.tier,
+            message: this._formatMessage(objective, 'spawn', spawned)
         });
     }
 
     /**
-     * Spawn The Hungering Void
+     * Start an objective's respawn timer once it's taken
      */
-    _spawnHungeringVoid(tick, eventLog) {
-        const voidObj = {
-            type: 'void',
-            name: 'The Hungering Void',
-            description: 'Massive power awaits those brave enough to claim it',
-            icon: '🌑',
-            spawnTick: tick
-        };
-
-        this.availableObjectives.push(voidObj);
-
-        eventLog.log({
-            type: EventLog.EventTypes.OBJECTIVE_START,
-            tick: tick,
-            objectiveType: 'void',
-            objectiveName: voidObj.name,
-            message: `🌑 THE HUNGERING VOID AWAKENS! An ancient entity stirs in the abyss...`
-        });
+    _scheduleRespawn(objective, tick) {
+        const entry = this.schedule[objective.id];
+        const retired = objective.respawn === null || (objective.maxSpawns !== null && entry.spawns >= objective.maxSpawns);
+        entry.nextSpawn = retired ? null : tick + objective.respawn;
     }
 
+    // ==================== CONTESTS ====================
+
     /**
-     * Contest a Rift Breach
+     * Both teams fight over an objective; it falls once its health runs out,
+     * to whichever team the power roll (or a steal) favors
      */
-    _contestRiftBreach(world, tick, eventLog, rng) {
-        const riftIndex = this.availableObjectives.findIndex(obj => obj.type === 'rift');
-        if (riftIndex === -1) return;
-
-        const rift = this.availableObjectives[riftIndex];
+    _contestObjective(world, available, tick, eventLog, rng) {
+        const objective = this.catalog.get(available.type);
 
         // Calculate team power
         const team1Power = this._calculateTeamPower(world, 'team1');
         const team2Power = this._calculateTeamPower(world, 'team2');
 
-        const team1WinChance = team1Power / (team1Power + team2Power);
+        // Nobody alive to take it - it waits for the respawns
+        if (team1Power + team2Power === 0) return;
+
+        available.health = Math.max(0, available.health - (team1Power + team2Power));
 
         // Log contest
         eventLog.log({
             type: EventLog.EventTypes.OBJECTIVE_CONTEST,
             tick: tick,
-            objectiveType: 'rift',
-            objectiveName: rift.name,
+            objectiveType: available.type,
+            objectiveName: available.name,
             team1Power,
             team2Power,
-            message: `Both teams clash over ${rift.name}!`
+            health: Math.round(available.health),
+            maxHealth: available.maxHealth,
+            message: this._formatMessage(objective, 'contest', available)
         });
 
-        // Determine winner with steal mechanic
-        let winner;
-        const roll = rng.random();
+        if (available.health > 0) return;
 
-        if (roll < team1WinChance) {
-            // Team 1 favored
-            if (rng.chance(this.config.stealChance)) {
-                winner = 'team2';  // Steal!
-                eventLog.log({
-                    type: EventLog.EventTypes.OBJECTIVE_STEAL,
-                    tick: tick,
-                    objectiveName: rift.name,
-                    stealingTeam: 'team2',
-                    message: `⚡ STEAL! Team 2 snatches ${rift.name} away!`
-                });
-            } else {
-                winner = 'team1';
-            }
-        } else {
-            // Team 2 favored
-            if (rng.chance(this.config.stealChance)) {
-                winner = 'team1';  // Steal!
-                eventLog.log({
-                    type: EventLog.EventTypes.OBJECTIVE_STEAL,
-                    tick: tick,
-                    objectiveName: rift.name,
-                    stealingTeam: 'team1',
-                    message: `⚡ STEAL! Team 1 snatches ${rift.name} away!`
-                });
-            } else {
-                winner = 'team2';
-            }
+        // Determine winner with steal mechanic (a team with nobody alive can't steal)
+        const favored = rng.random() < team1Power / (team1Power + team2Power) ? 'team1' : 'team2';
+        const underdog = favored === 'team1' ? 'team2' : 'team1';
+        const underdogPower = underdog === 'team1' ? team1Power : team2Power;
+
+        let winner = favored;
+        if (underdogPower > 0 && rng.chance(objective.contest.steal * this.config.stealChance)) {
+            winner = underdog;
+            eventLog.log({
+                type: EventLog.EventTypes.OBJECTIVE_STEAL,
+                tick: tick,
+                objectiveType: available.type,
+                objectiveName: available.name,
+                stealingTeam: winner,
+                message: this._formatMessage(objective, 'steal', available, this._getTeamName(world, winner))
+            });
         }
 
-        // Apply buff
-        this._applyRiftBuff(winner, rift, tick, world, rng);
+        // Comeback bounty is judged on the gold before the buff lands
+        const bounty = this.bountySystem ? this.bountySystem.getObjectiveBounty(world, winner) : null;
 
-        // Remove from available
-        this.availableObjectives.splice(riftIndex, 1);
+        this._applyReward(world, winner, available, tick, eventLog, rng);
+
+        // Remove from available and start the respawn timer
+        this.availableObjectives.splice(this.availableObjectives.indexOf(available), 1);
+        this._scheduleRespawn(objective, tick);
 
         // Log secure
         eventLog.log({
             type: EventLog.EventTypes.OBJECTIVE_SECURE,
             tick: tick,
-            objectiveType: 'rift',
-            objectiveName: rift.name,
+            objectiveType: available.type,
+            objectiveName: available.name,
             winningTeam: winner,
-            message: `${rift.icon} ${winner.toUpperCase()} secures ${rift.name}! ${rift.description}`
-        });
-    }
-
-    /**
-     * Contest The Hungering Void
-     */
-    _contestHungeringVoid(world, tick, eventLog, rng) {
-        const voidIndex = this.availableObjectives.findIndex(obj => obj.type === 'void');
-        if (voidIndex === -1) return;
-
-        const voidObj = this.availableObjectives[voidIndex];
-
-        // Calculate team power
-        const team1Power = this._calculateTeamPower(world, 'team1');
-        const team2Power = this._calculateTeamPower(world, 'team2');
-
-        const team1WinChance = team1Power / (team1Power + team2Power);
-
-        // Log contest
-        eventLog.log({
-            type: EventLog.EventTypes.OBJECTIVE_CONTEST,
-            tick: tick,
-            objectiveType: 'void',
-            objectiveName: voidObj.name,
-            team1Power,
-            team2Power,
-            message: `🌑 EPIC BATTLE! Both teams fight for The Hungering Void!`
+            buffName: available.reward.name || available.name,
+            message: this._formatMessage(objective, 'secure', available, this._getTeamName(world, winner))
         });
 
-        // Determine winner (slightly lower steal chance on void)
-        let winner;
-        const roll = rng.random();
-
-        if (roll < team1WinChance) {
-            if (rng.chance(this.config.stealChance * 0.8)) {
-                winner = 'team2';
-                eventLog.log({
-                    type: EventLog.EventTypes.OBJECTIVE_STEAL,
-                    tick: tick,
-                    objectiveName: voidObj.name,
-                    stealingTeam: 'team2',
-                    message: `🌑⚡ INCREDIBLE STEAL! Team 2 claims The Hungering Void!`
-                });
-            } else {
-                winner = 'team1';
-            }
-        } else {
-            if (rng.chance(this.config.stealChance * 0.8)) {
-                winner = 'team1';
-                eventLog.log({
-                    type: EventLog.EventTypes.OBJECTIVE_STEAL,
-                    tick: tick,
-                    objectiveName: voidObj.name,
-                    stealingTeam: 'team1',
-                    message: `🌑⚡ INCREDIBLE STEAL! Team 1 claims The Hungering Void!`
-                });
-            } else {
-                winner = 'team2';
-            }
+        if (bounty) {
+            this.bountySystem.claimObjectiveBounty(world, winner, bounty, available.name, tick, eventLog);
         }
-
-        // Apply powerful buff
-        this._applyVoidBuff(winner, tick, world, eventLog);
-
-        // Remove from available
-        this.availableObjectives.splice(voidIndex, 1);
-
-        // Log secure
-        eventLog.log({
-            type: EventLog.EventTypes.OBJECTIVE_SECURE,
-            tick: tick,
-            objectiveType: 'void',
-            objectiveName: voidObj.name,
-            winningTeam: winner,
-            message: `🌑 ${winner.toUpperCase()} IS VOID EMPOWERED! The ancient power courses through them!`
-        });
     }
 
     /**
@@ -329,7 +242,7 @@ class ObjectiveSystem {
             const hidden = champion.getComponent('hiddenStats');
 
             // Only count alive champions
-            if (stats.health <= 0) continue;
+            if (!stats.isAlive) continue;
 
             const ad = stats.effective_attack_damage || stats.attack_damage || 60;
             const ap = stats.effective_ability_power || stats.ability_power || 0;
@@ -340,195 +253,158 @@ class ObjectiveSystem {
             totalPower += (ad + ap + health * 0.5) * skillMultiplier;
         }
 
-        return totalPower;
+        // A team that planned around the objective arrives set up for it
+        return totalPower * this._getMacroModifier(teamId, 'objectivePower');
     }
 
     /**
-     * Apply Rift Breach buff to winning team
+     * A contest happens when either team wants it (the keener team decides)
      */
-    _applyRiftBuff(teamId, rift, tick, world, rng) {
-        const buff = {
-            name: rift.name,
-            type: rift.subtype,
-            expiresAt: tick + this.config.riftBuffDuration,
-            effects: rift.effects,
-            icon: rift.icon
-        };
-
-        this.teamBuffs[teamId].push(buff);
-
-        // Apply buff to all team champions
-        const champions = world.queryByTags('champion', teamId);
-
-        for (const champion of champions) {
-            const stats = champion.getComponent('stats');
-            const status = champion.getComponent('status');
-
-            // Apply specific rift effects
-            switch (rift.subtype) {
-                case 'reality_rift':
-                    // +10% ability damage
-                    status.addBuff({
-                        type: 'reality_rift',
-                        source: 'rift_breach',
-                        duration: this.config.riftBuffDuration,
-                        strength: 1.0,
-                        effects: { ability_damage_multiplier: 1.10 }
-                    });
-                    break;
-
-                case 'time_rift':
-                    // -20% cooldowns (handled by AbilitySystem)
-                    status.addBuff({
-                        type: 'time_rift',
-                        source: 'rift_breach',
-                        duration: this.config.riftBuffDuration,
-                        strength: 1.0,
-                        effects: { cooldown_reduction: 0.20 }
-                    });
-                    break;
-
-                case 'void_rift':
-                    // +500 HP
-                    stats.max_health = (stats.max_health || 550) + 500;
-                    stats.health = Math.min(stats.health + 500, stats.max_health);
-                    status.addBuff({
-                        type: 'void_rift',
-                        source: 'rift_breach',
-                        duration: this.config.riftBuffDuration,
-                        strength: 1.0,
-                        effects: { bonus_health: 500 }
-                    });
-                    break;
-
-                case 'chaos_rift':
-                    // Random buff for each champion
-                    const chaosBuffs = [
-                        { stat: 'attack_damage', value: 30, name: 'AD' },
-                        { stat: 'ability_power', value: 50, name: 'AP' },
-                        { stat: 'armor', value: 40, name: 'Armor' },
-                        { stat: 'magic_resist', value: 40, name: 'MR' },
-                        { stat: 'attack_speed', value: 0.30, name: 'AS', mult: true }
-                    ];
-                    const randomBuff = rng.choice(chaosBuffs);
-
-                    if (randomBuff.mult) {
-                        stats[randomBuff.stat] = (stats[randomBuff.stat] || 1.0) * (1 + randomBuff.value);
-                    } else {
-                        stats[randomBuff.stat] = (stats[randomBuff.stat] || 0) + randomBuff.value;
-                    }
+    _getContestModifier() {
+        return Math.max(this._getMacroModifier('team1', 'objectiveContest'), this._getMacroModifier('team2', 'objectiveContest'));
+    }
 
-                    status.addBuff({
-                        type: 'chaos_rift',
-                        source: 'rift_breach',
-                        duration: this.config.riftBuffDuration,
-                        strength: 1.0,
-                        effects: { chaos_buff: randomBuff.name }
-                    });
-                    break;
-            }
+    /**
+     * Team macro multiplier (1 without a MacroSystem)
+     */
+    _getMacroModifier(teamId, key) {
+        return this.macroSystem ? this.macroSystem.getModifier(teamId, key) : 1;
+    }
 
-            // Award objective XP
-            if (this.levelingSystem) {
-                this.levelingSystem.awardObjectiveXP(champion);
-            }
-        }
+    _getTeamName(world, teamId) {
+        const team = world.getMetadata(teamId);
+        return (team && team.name) || teamId;
     }
 
     /**
-     * Apply The Hungering Void buff to winning team
+     * Fill in a catalog message template
      */
-    _applyVoidBuff(teamId, tick, world, eventLog) {
-        const buff = {
-            name: 'VOID EMPOWERED',
-            type: 'hungering_void',
-            expiresAt: tick + this.config.voidBuffDuration,
-            effects: {
-                all_stats_increase: 0.20,
-                gold_bonus: 1500
-            }
+    _formatMessage(objective, key, available, teamName = '') {
+        const template = (objective.messages && objective.messages[key]) || '{name}';
+        const values = {
+            icon: available.icon,
+            name: available.name,
+            description: available.description,
+            team: teamName
         };
+        return template.replace(/\{(\w+)\}/g, (match, field) => (field in values ? values[field] : match));
+    }
 
-        this.teamBuffs[teamId].push(buff);
+    // ==================== REWARDS ====================
 
-        // Apply to all champions
+    /**
+     * Grant an objective's reward to the winning team. Every field is optional:
+     * - duration / effects - a status buff on each champion (and a team buff)
+     * - gold, xp - per champion (xp = objective XP awards)
+     * - bonusHealth - max health for the duration
+     * - statMultiplier - effective stats boost for the duration
+     * - healToFull - heal to (effective) max health
+     * - randomStat - each champion rolls one permanent stat bonus
+     * - announce - log a buff.applied per champion ({champion})
+     */
+    _applyReward(world, teamId, available, tick, eventLog, rng) {
+        const reward = available.reward || {};
+        const duration = Math.round((reward.duration || 0) * this.config.buffDuration);
+        const buffType = reward.type || available.subtype;
+
+        this.teamBuffs[teamId].push({
+            name: reward.name || available.name,
+            type: buffType,
+            objectiveType: available.type,
+            expiresAt: tick + duration,
+            effects: reward.effects || {},
+            bonusHealth: reward.bonusHealth || 0,
+            statMultiplier: reward.statMultiplier || 0,
+            icon: available.icon
+        });
+
+        // Apply buff to all team champions
         const champions = world.queryByTags('champion', teamId);
 
         for (const champion of champions) {
             const stats = champion.getComponent('stats');
             const status = champion.getComponent('status');
+            let effects = reward.effects || {};
+
+            if (reward.gold) {
+                stats.gold = (stats.gold || 0) + reward.gold;
+            }
 
-            // Grant 1500 gold per champion
-            stats.gold = (stats.gold || 0) + 1500;
+            if (reward.bonusHealth) {
+                stats.max_health = (stats.max_health || 550) + reward.bonusHealth;
+                stats.health = Math.min(stats.health + reward.bonusHealth, stats.max_health);
+            }
 
-            // +20% all stats for 5 waves
-            const baseDamage = stats.attack_damage || 60;
-            const basePower = stats.ability_power || 0;
-            const baseArmor = stats.armor || 30;
-            const baseMR = stats.magic_resist || 30;
-            const baseHealth = stats.max_health || 550;
+            if (reward.statMultiplier) {
+                const multiplier = 1 + reward.statMultiplier;
+                stats.effective_attack_damage = (stats.attack_damage || 60) * multiplier;
+                stats.effective_ability_power = (stats.ability_power || 0) * multiplier;
+                stats.effective_armor = (stats.armor || 30) * multiplier;
+                stats.effective_magic_resist = (stats.magic_resist || 30) * multiplier;
+                stats.effective_max_health = (stats.max_health || 550) * multiplier;
+            }
 
-            stats.effective_attack_damage = baseDamage * 1.20;
-            stats.effective_ability_power = basePower * 1.20;
-            stats.effective_armor = baseArmor * 1.20;
-            stats.effective_magic_resist = baseMR * 1.20;
-            stats.effective_max_health = baseHealth * 1.20;
+            if (reward.healToFull) {
+                stats.health = stats.effective_max_health || stats.max_health || 550;
+            }
 
-            // Heal to full
-            stats.health = stats.effective_max_health;
+            if (reward.randomStat) {
+                const randomBuff = rng.choice(reward.randomStat);
+                if (randomBuff.mult) {
+                    stats[randomBuff.stat] = (stats[randomBuff.stat] || 1.0) * (1 + randomBuff.value);
+                } else {
+                    stats[randomBuff.stat] = (stats[randomBuff.stat] || 0) + randomBuff.value;
+                }
+                effects = { ...effects, chaos_buff: randomBuff.name };
+            }
 
             status.addBuff({
-                type: 'void_empowered',
-                source: 'hungering_void',
-                duration: this.config.voidBuffDuration,
+                type: buffType,
+                source: available.type,
+                duration: duration,
                 strength: 1.0,
-                effects: {
-                    all_stats_increase: 0.20,
-                    gold_bonus: 1500,
-                    minion_buff: true
-                }
+                effects
             });
 
-            const identity = champion.getComponent('identity');
-            eventLog.log({
-                type: 'buff.applied',
-                tick: tick,
-                championName: identity.name,
-                buffType: 'VOID EMPOWERED',
-                message: `🌑 ${identity.name} is VOID EMPOWERED! (+20% all stats, +1500 gold)`
-            });
+            if (reward.announce) {
+                const identity = champion.getComponent('identity');
+                eventLog.log({
+                    type: 'buff.applied',
+                    tick: tick,
+                    championName: identity.name,
+                    buffType: reward.name,
+                    message: reward.announce.replace('{champion}', identity.name)
+                });
+            }
 
-            // Award objective XP (bonus for major objective)
+            // Award objective XP (major objectives award it more than once)
             if (this.levelingSystem) {
-                this.levelingSystem.awardObjectiveXP(champion);
-                this.levelingSystem.awardObjectiveXP(champion); // Double XP for major objective
+                for (let i = 0; i < (reward.xp || 1); i++) {
+                    this.levelingSystem.awardObjectiveXP(champion);
+                }
             }
         }
     }
 
     /**
-     * Update buff durations and remove expired buffs
+     * Update buff durations and revert stat bonuses when buffs expire
      */
     _updateBuffs(world, tick) {
         for (const teamId of ['team1', 'team2']) {
-            // Check for expiring buffs
             const expiringBuffs = this.teamBuffs[teamId].filter(buff => buff.expiresAt === tick);
 
-            // Remove stat bonuses when buffs expire
             for (const buff of expiringBuffs) {
                 const champions = world.queryByTags('champion', teamId);
 
                 for (const champion of champions) {
                     const stats = champion.getComponent('stats');
 
-                    // Revert void rift health bonus
-                    if (buff.type === 'void_rift') {
-                        stats.max_health = (stats.max_health || 550) - 500;
+                    if (buff.bonusHealth) {
+                        stats.max_health = (stats.max_health || 550) - buff.bonusHealth;
                         stats.health = Math.min(stats.health, stats.max_health);
                     }
 
-                    // Revert void empowerment
-                    if (buff.type === 'hungering_void') {
+                    if (buff.statMultiplier) {
                         delete stats.effective_attack_damage;
                         delete stats.effective_ability_power;
                         delete stats.effective_armor;
@@ -559,6 +435,20 @@ class ObjectiveSystem {
         return this.teamBuffs[teamId].some(buff => buff.type === buffType);
     }
 
+    /**
+     * Sum of a numeric effect across a team's active objective buffs
+     * (team-wide effects like Monolith's Blessing on minion waves)
+     * @param {string} teamId
+     * @param {string} effect
+     * @returns {number}
+     */
+    getTeamEffect(teamId, effect) {
+        return (this.teamBuffs[teamId] || []).reduce((total, buff) => {
+            const value = buff.effects && buff.effects[effect];
+            return total + (typeof value === 'number' ? value : 0);
+        }, 0);
+    }
+
     /**
      * Get buff multiplier for ability damage (for Reality Rift)
      */
@@ -594,6 +484,26 @@ class ObjectiveSystem {
 
         return Math.min(reduction, 0.50); // Cap at 50% CDR
     }
+
+    /**
+     * Serialize objective state (for mid-match snapshots)
+     */
+    serialize() {
+        return {
+            availableObjectives: this.availableObjectives,
+            teamBuffs: this.teamBuffs,
+            schedule: this.schedule
+        };
+    }
+
+    /**
+     * Restore serialize() output
+     */
+    deserialize(state) {
+        this.availableObjectives = state.availableObjectives;
+        this.teamBuffs = state.teamBuffs;
+        this.schedule = state.schedule;
+    }
 }
 
 module.exports = ObjectiveSystem;
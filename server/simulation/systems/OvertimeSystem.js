@@ -0,0 +1,230 @@
+const EventLog = require('../engines/EventLog');
+
+// Tiebreak ladder rungs: teamId -> score, higher wins
+const TIEBREAK_CRITERIA = ['structures', 'gold', 'kills'];
+
+/**
+ * OvertimeSystem - What happens when regulation ends with both Cores standing
+ *
+ * After regulationWaves (the match's maxWaves) the match goes to overtime
+ * instead of ending:
+ * - Structures take more damage every overtime wave (structureDamageRamp)
+ * - Sudden death: the first team to ace the other wins on the spot
+ * - If nobody has won after overtimeWaves, the tiebreak ladder decides:
+ *   each rung (structures standing, net worth, kills) in order, and a seeded
+ *   coin flip if every rung is level
+ *
+ * Runs after every other system so each wave is judged on everything that
+ * happened in it. The outcome goes into world metadata (matchWinner,
+ * matchOver, matchDecision) the same way a Core kill does.
+ */
+class OvertimeSystem {
+    static TIEBREAK_CRITERIA = TIEBREAK_CRITERIA;
+
+    constructor() {
+        this.config = {
+            regulationWaves: 60,  // Set by MatchSimulator to the match's maxWaves
+            overtimeWaves: 10,  // 0 goes straight to the tiebreak ladder
+            structureDamageRamp: 0.25,  // Extra structure damage per overtime wave
+            tiebreak: [...TIEBREAK_CRITERIA]
+        };
+
+        // Reference to ItemSystem (set externally)
+        this.itemSystem = null;
+    }
+
+    /**
+     * Set item system reference (net worth for the gold tiebreak)
+     */
+    setItemSystem(itemSystem) {
+        this.itemSystem = itemSystem;
+    }
+
+    /**
+     * Apply a match's overtime rules
+     * @param {object} overtime - { waves, tiebreak }
+     */
+    configure(overtime) {
+        if (overtime.waves !== undefined) {
+            this.config.overtimeWaves = overtime.waves;
+        }
+        if (overtime.tiebreak) {
+            for (const criterion of overtime.tiebreak) {
+                if (!TIEBREAK_CRITERIA.includes(criterion)) {
+                    throw new Error(`Unknown tiebreak criterion: ${criterion}`);
+                }
+            }
+            this.config.tiebreak = [...overtime.tiebreak];
+        }
+    }
+
+    /**
+     * Update system - start overtime, call sudden death, or go to the ladder
+     */
+    update(world, rng, eventLog, phase) {
+        const tick = world.getTick();
+        if (world.getMetadata('matchOver')) return;
+
+        const overtimeWave = this.getOvertimeWave(tick);
+        if (overtimeWave < 0) return;
+
+        if (overtimeWave === 0) {
+            if (this.config.overtimeWaves > 0) {
+                this._startOvertime(world, tick, eventLog);
+            } else {
+                this.resolveTiebreak(world, rng.fork('tiebreak'), eventLog, tick);
+            }
+            return;
+        }
+
+        const ace = eventLog.getEventsByTickRange(tick, tick).find(event => event.type === 'ace');
+        if (ace) {
+            this._endMatch(world, ace.aceTeam, { method: 'sudden_death', overtime: true, overtimeWave }, tick);
+            eventLog.log({
+                type: EventLog.EventTypes.OVERTIME_SUDDEN_DEATH,
+                tick: tick,
+                winner: ace.aceTeam,
+                winnerName: this._getTeamName(world, ace.aceTeam),
+                overtimeWave,
+                reason: 'ace'
+            });
+            return;
+        }
+
+        if (overtimeWave >= this.config.overtimeWaves) {
+            this.resolveTiebreak(world, rng.fork('tiebreak'), eventLog, tick);
+            return;
+        }
+
+        eventLog.log({
+            type: EventLog.EventTypes.OVERTIME_ESCALATE,
+            tick: tick,
+            overtimeWave: overtimeWave + 1,
+            wavesLeft: this.config.overtimeWaves - overtimeWave,
+            structureDamageMultiplier: this.getStructureDamageMultiplier(tick + 1)
+        });
+    }
+
+    // ==================== QUERIES ====================
+
+    /**
+     * Waves into overtime (0 = last regulation wave, negative = regulation)
+     * @param {number} tick
+     * @returns {number}
+     */
+    getOvertimeWave(tick) {
+        return tick - this.config.regulationWaves;
+    }
+
+    /**
+     * Whether a wave is played in overtime
+     * @param {number} tick
+     * @returns {boolean}
+     */
+    isOvertime(tick) {
+        return this.getOvertimeWave(tick) > 0;
+    }
+
+    /**
+     * Structure damage multiplier for a wave (1 in regulation)
+     * @param {number} tick
+     * @returns {number}
+     */
+    getStructureDamageMultiplier(tick) {
+        return 1 + Math.max(0, this.getOvertimeWave(tick)) * this.config.structureDamageRamp;
+    }
+
+    /**
+     * Most waves a match can last, overtime included
+     * @returns {number}
+     */
+    getWaveLimit() {
+        return this.config.regulationWaves + this.config.overtimeWaves;
+    }
+
+    // ==================== TIEBREAK ====================
+
+    /**
+     * Settle the match on the tiebreak ladder and end it
+     * @returns {string} Winning team id
+     */
+    resolveTiebreak(world, rng, eventLog, tick) {
+        const ladder = [];
+        let winner = null;
+
+        for (const criterion of this.config.tiebreak) {
+            const scores = {
+                team1: this._scoreCriterion(world, criterion, 'team1'),
+                team2: this._scoreCriterion(world, criterion, 'team2')
+            };
+            ladder.push({ criterion, ...scores });
+
+            if (scores.team1 !== scores.team2) {
+                winner = scores.team1 > scores.team2 ? 'team1' : 'team2';
+                break;
+            }
+        }
+
+        // Dead level on every rung
+        const criterion = winner ? ladder[ladder.length - 1].criterion : 'coin_flip';
+        if (!winner) {
+            winner = rng.chance(0.5) ? 'team1' : 'team2';
+        }
+
+        const overtimeWave = Math.max(0, this.getOvertimeWave(tick));
+        this._endMatch(world, winner, { method: 'tiebreak', criterion, overtime: overtimeWave > 0, overtimeWave }, tick);
+
+        eventLog.log({
+            type: EventLog.EventTypes.OVERTIME_TIEBREAK,
+            tick: tick,
+            winner,
+            winnerName: this._getTeamName(world, winner),
+            criterion,
+            ladder
+        });
+
+        return winner;
+    }
+
+    _scoreCriterion(world, criterion, teamId) {
+        switch (criterion) {
+            case 'structures':
+                return world.queryByTags('structure', teamId)
+                    .filter(structure => structure.getComponent('stats').isAlive).length;
+            case 'gold':
+                return world.queryByTags('champion', teamId).reduce((sum, champion) => sum + (this.itemSystem
+                    ? this.itemSystem.getNetWorth(champion)
+                    : champion.getComponent('stats').gold), 0);
+            case 'kills':
+                return world.queryByTags('champion', teamId)
+                    .reduce((sum, champion) => sum + champion.getComponent('stats').kda.kills, 0);
+            default:
+                return 0;
+        }
+    }
+
+    _startOvertime(world, tick, eventLog) {
+        eventLog.log({
+            type: EventLog.EventTypes.OVERTIME_START,
+            tick: tick,
+            regulationWaves: this.config.regulationWaves,
+            overtimeWaves: this.config.overtimeWaves,
+            structureDamageMultiplier: this.getStructureDamageMultiplier(tick + 1),
+            suddenDeath: 'ace',
+            tiebreak: this.config.tiebreak
+        });
+    }
+
+    _endMatch(world, winner, decision, tick) {
+        world.setMetadata('matchWinner', winner);
+        world.setMetadata('matchOver', true);
+        world.setMetadata('matchDecision', { ...decision, tick });
+    }
+
+    _getTeamName(world, teamId) {
+        const team = world.getMetadata(teamId);
+        return (team && team.name) || teamId;
+    }
+}
+
+module.exports = OvertimeSystem;
@@ -0,0 +1,338 @@
+const EventLog = require('../engines/EventLog');
+const quirksData = require('../data/quirks.json');
+
+const LANES = ['top', 'mid', 'bot'];
+
+/**
+ * QuirkSystem - Makes champion quirks actually do something
+ *
+ * Each quirk in the catalog (data/quirks.json) has a trigger condition and an
+ * effect on the champion's components. Quirks with a duration or a sustained
+ * effect are tracked in CQuirks.activeQuirks (so they survive snapshots) and
+ * are reverted when they expire; instant effects just apply and proc.
+ *
+ * Weekday quirks use an in-game calendar derived from the wave number, never
+ * the real date, so matches stay deterministic.
+ */
+class QuirkSystem {
+    static WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+    constructor() {
+        this.catalog = new Map();
+
+        this.config = {
+            wavesPerDay: 5  // In-game calendar: a new weekday every 5 waves
+        };
+
+        for (const quirk of quirksData) {
+            this.catalog.set(quirk.id, quirk);
+        }
+    }
+
+    /**
+     * In-game weekday for a wave (wave 1 is a Monday)
+     * @param {number} tick
+     * @returns {string}
+     */
+    getWeekday(tick) {
+        const day = Math.floor(Math.max(0, tick - 1) / this.config.wavesPerDay);
+        return QuirkSystem.WEEKDAYS[day % QuirkSystem.WEEKDAYS.length];
+    }
+
+    /**
+     * Update system - expire, trigger and apply quirks for all champions
+     */
+    update(world, rng, eventLog, phase) {
+        const tick = world.getTick();
+        const systemRng = rng.fork('quirks');
+        const teamGold = this._getTeamGold(world);
+
+        for (const champion of world.queryByTag('champion')) {
+            const quirks = champion.getComponent('quirks');
+            if (!quirks || quirks.quirks.length === 0) continue;
+
+            const identity = champion.getComponent('identity');
+            const stats = champion.getComponent('stats');
+            const championRng = systemRng.fork(identity.id);
+            const context = { world, tick, phase, teamGold };
+
+            // 1. Expire timed quirks and sustained quirks whose condition ended
+            this._updateActiveQuirks(champion, quirks, context, championRng, eventLog);
+
+            // 2. Check triggers for everything not already active
+            for (const quirk of quirks.quirks) {
+                const definition = this.catalog.get(quirk.id);
+                if (!definition) continue;
+
+                if (quirks.cooldowns[quirk.id] > 0) {
+                    quirks.cooldowns[quirk.id]--;
+                    continue;
+                }
+
+                if (quirks.getActiveQuirk(quirk.id)) continue;
+
+                if (this._isTriggered(definition.trigger, champion, context, championRng)) {
+                    this._procQuirk(champion, definition, context, championRng, eventLog);
+                }
+            }
+
+            quirks.lastKda = { kills: stats.kda.kills, deaths: stats.kda.deaths };
+        }
+    }
+
+    /**
+     * Tick down active quirks and revert the ones that end this wave
+     */
+    _updateActiveQuirks(champion, quirks, context, rng, eventLog) {
+        quirks.activeQuirks = quirks.activeQuirks.filter(active => {
+            const definition = this.catalog.get(active.id);
+
+            let expired;
+            if (active.effect.sustained) {
+                expired = !definition || !this._isTriggered(definition.trigger, champion, context, rng);
+            } else {
+                active.remainingDuration--;
+                expired = active.remainingDuration <= 0;
+            }
+
+            if (expired) {
+                this._revertEffect(champion, active, context.world);
+                if (definition && definition.cooldown) {
+                    quirks.cooldowns[active.id] = definition.cooldown;
+                }
+
+                const identity = champion.getComponent('identity');
+                eventLog.log({
+                    type: EventLog.EventTypes.QUIRK_PROC,
+                    tick: context.tick,
+                    entityId: champion.id,
+                    championName: identity.name,
+                    teamId: identity.teamId,
+                    quirkId: active.id,
+                    quirkName: active.name,
+                    action: 'expired'
+                });
+            }
+
+            return !expired;
+        });
+    }
+
+    /**
+     * Check a quirk's trigger condition
+     * @returns {boolean}
+     */
+    _isTriggered(trigger, champion, context, rng) {
+        const identity = champion.getComponent('identity');
+        const stats = champion.getComponent('stats');
+        const hiddenStats = champion.getComponent('hiddenStats');
+        const quirks = champion.getComponent('quirks');
+
+        switch (trigger.type) {
+            case 'weekday':
+                return this.getWeekday(context.tick) === trigger.day;
+
+            case 'gold_deficit': {
+                const enemyTeam = identity.teamId === 'team1' ? 'team2' : 'team1';
+                return context.teamGold[enemyTeam] - context.teamGold[identity.teamId] >= trigger.threshold;
+            }
+
+            case 'chance':
+                if (trigger.phases && !trigger.phases.includes(context.phase)) return false;
+                return rng.chance(trigger.chance);
+
+            case 'phase':
+                return context.phase === trigger.phase;
+
+            case 'death':
+                return stats.kda.deaths > quirks.lastKda.deaths;
+
+            case 'kill':
+                return stats.kda.kills > quirks.lastKda.kills;
+
+            case 'gold_above':
+                return stats.gold > trigger.threshold;
+
+            case 'wave_interval':
+                return context.tick > 0 && context.tick % trigger.every === 0;
+
+            case 'tilt_above':
+                return hiddenStats.tilt_level > trigger.threshold;
+
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Apply a quirk's effect and log the proc
+     */
+    _procQuirk(champion, definition, context, rng, eventLog) {
+        const quirks = champion.getComponent('quirks');
+        const identity = champion.getComponent('identity');
+        const effect = definition.effect;
+
+        const data = this._applyEffect(champion, effect, context.world, rng);
+        if (!data) return;  // Effect had nothing to act on (e.g. no lane to swap into)
+
+        if (effect.sustained || effect.duration) {
+            quirks.activeQuirks.push({
+                id: definition.id,
+                name: definition.name,
+                effect,
+                remainingDuration: effect.duration || 0,
+                data
+            });
+        } else if (definition.cooldown) {
+            quirks.cooldowns[definition.id] = definition.cooldown;
+        }
+
+        const event = {
+            type: EventLog.EventTypes.QUIRK_PROC,
+            tick: context.tick,
+            entityId: champion.id,
+            championName: identity.name,
+            teamId: identity.teamId,
+            quirkId: definition.id,
+            quirkName: definition.name,
+            description: definition.description,
+            effect: effect.type,
+            duration: effect.duration || null,
+            action: 'triggered',
+            ...data
+        };
+        if (definition.trigger.type === 'weekday') {
+            event.weekday = this.getWeekday(context.tick);
+        }
+
+        eventLog.log(event);
+    }
+
+    /**
+     * Apply an effect to the champion's components
+     * @returns {object|null} Data needed to revert it (and to describe the proc), or null if nothing happened
+     */
+    _applyEffect(champion, effect, world, rng) {
+        const stats = champion.getComponent('stats');
+        const hiddenStats = champion.getComponent('hiddenStats');
+
+        switch (effect.type) {
+            case 'flag':
+                return { flag: effect.flag };
+
+            case 'stat_bonus': {
+                // Track what was actually applied so clamping doesn't drift stats on revert
+                const applied = {};
+                for (const [stat, delta] of Object.entries(effect.stats)) {
+                    const before = hiddenStats[stat];
+                    hiddenStats[stat] = Math.max(0, Math.min(1, before + delta));
+                    applied[stat] = hiddenStats[stat] - before;
+                }
+                return { applied };
+            }
+
+            case 'lane_swap':
+                return this._swapLanes(champion, world, rng);
+
+            case 'tilt':
+                hiddenStats.tilt_level = Math.max(0, Math.min(1, hiddenStats.tilt_level + effect.amount));
+                return { tiltLevel: hiddenStats.tilt_level };
+
+            case 'confidence':
+                hiddenStats.confidence = Math.max(0, Math.min(1, hiddenStats.confidence + effect.amount));
+                return { confidence: hiddenStats.confidence };
+
+            case 'gold_loss': {
+                const goldLost = Math.floor(stats.gold * effect.percent);
+                if (goldLost <= 0) return null;
+                stats.gold -= goldLost;
+                return { goldLost };
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Undo a lasting effect when its quirk expires
+     */
+    _revertEffect(champion, active, world) {
+        switch (active.effect.type) {
+            case 'stat_bonus': {
+                const hiddenStats = champion.getComponent('hiddenStats');
+                for (const [stat, delta] of Object.entries(active.data.applied)) {
+                    hiddenStats[stat] = Math.max(0, Math.min(1, hiddenStats[stat] - delta));
+                }
+                break;
+            }
+
+            case 'lane_swap': {
+                const partner = world.getEntity(active.data.partnerId);
+                // Only swap back if nobody else has moved them in the meantime
+                if (partner && champion.hasTag(active.data.toLane) && partner.hasTag(active.data.fromLane)) {
+                    this._exchangeLanes(world, champion, active.data.toLane, partner, active.data.fromLane);
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Swap lanes with a random teammate from another lane
+     * @returns {object|null}
+     */
+    _swapLanes(champion, world, rng) {
+        const identity = champion.getComponent('identity');
+        const fromLane = LANES.find(lane => champion.hasTag(lane));
+        if (!fromLane) return null;
+
+        const partners = world.queryByTags('champion', identity.teamId).filter(teammate => {
+            if (teammate === champion) return false;
+            if (!LANES.some(lane => teammate.hasTag(lane))) return false;
+            // Don't drag someone who's already mid-swap
+            const teammateQuirks = teammate.getComponent('quirks');
+            return !(teammateQuirks && teammateQuirks.getActiveQuirk('lane_wanderer'));
+        });
+        if (partners.length === 0) return null;
+
+        const partner = rng.choice(partners);
+        const toLane = LANES.find(lane => partner.hasTag(lane));
+
+        this._exchangeLanes(world, champion, fromLane, partner, toLane);
+
+        return {
+            partnerId: partner.id,
+            partnerName: partner.getComponent('identity').name,
+            fromLane,
+            toLane
+        };
+    }
+
+    /**
+     * Exchange lane tags and positions between two champions
+     */
+    _exchangeLanes(world, champion, championLane, partner, partnerLane) {
+        world.removeEntityTag(champion, championLane);
+        world.removeEntityTag(partner, partnerLane);
+        world.addEntityTag(champion, partnerLane);
+        world.addEntityTag(partner, championLane);
+
+        champion.getComponent('position').lane = partnerLane;
+        partner.getComponent('position').lane = championLane;
+    }
+
+    /**
+     * Current gold held per team
+     */
+    _getTeamGold(world) {
+        const teamGold = { team1: 0, team2: 0 };
+        for (const champion of world.queryByTag('champion')) {
+            const identity = champion.getComponent('identity');
+            teamGold[identity.teamId] += champion.getComponent('stats').gold;
+        }
+        return teamGold;
+    }
+}
+
+module.exports = QuirkSystem;
@@ -0,0 +1,103 @@
+const EventLog = require('../engines/EventLog');
+
+/**
+ * RespawnSystem - Death timers for champions
+ *
+ * Kills from lanes, ganks and teamfights go through kill(), which takes the
+ * victim out of the game (CStats.isAlive) for a level-scaled number of waves.
+ * Every other system skips dead champions; this one counts the timers down at
+ * the start of each wave and brings champions back at full health and mana.
+ *
+ * A timer of N waves means the champion misses the next N waves entirely.
+ */
+class RespawnSystem {
+    constructor() {
+        this.config = {
+            baseDeathSeconds: 6,
+            deathSecondsPerLevel: 2.5,  // Level 18: 51s
+            secondsPerWave: 10,
+            maxDeathWaves: 6
+        };
+    }
+
+    /**
+     * Update system - count down death timers and respawn champions
+     */
+    update(world, rng, eventLog, phase) {
+        const tick = world.getTick();
+
+        for (const champion of world.queryByTag('champion')) {
+            const stats = champion.getComponent('stats');
+            if (stats.isAlive) continue;
+
+            if (stats.deathTimer > 0) {
+                stats.deathTimer--;
+                continue;
+            }
+
+            this._respawn(champion, tick, eventLog);
+        }
+    }
+
+    /**
+     * Death timer in waves for a champion level
+     * @param {number} level
+     * @returns {number}
+     */
+    getDeathTimer(level) {
+        const seconds = this.config.baseDeathSeconds + (level || 1) * this.config.deathSecondsPerLevel;
+        return Math.max(1, Math.min(this.config.maxDeathWaves, Math.round(seconds / this.config.secondsPerWave)));
+    }
+
+    /**
+     * Take a champion out of the game until its death timer runs out
+     * @param {Entity} champion
+     * @param {number} tick
+     * @param {EventLog} eventLog
+     */
+    kill(champion, tick, eventLog) {
+        const stats = champion.getComponent('stats');
+        if (!stats.isAlive) return;
+
+        const identity = champion.getComponent('identity');
+        stats.isAlive = false;
+        stats.deathTimer = this.getDeathTimer(stats.level);
+        stats.health = 0;
+
+        eventLog.log({
+            type: EventLog.EventTypes.CHAMPION_DEATH,
+            tick: tick,
+            entityId: champion.id,
+            championName: identity.name,
+            teamId: identity.teamId,
+            role: identity.role,
+            level: stats.level,
+            deathTimer: stats.deathTimer,
+            respawnWave: tick + stats.deathTimer + 1
+        });
+    }
+
+    /**
+     * Bring a champion back at full health and mana
+     */
+    _respawn(champion, tick, eventLog) {
+        const stats = champion.getComponent('stats');
+        const identity = champion.getComponent('identity');
+
+        stats.isAlive = true;
+        stats.deathTimer = 0;
+        stats.health = stats.effective_max_health || stats.max_health || 550;
+        stats.mana = stats.max_mana || stats.mana;
+
+        eventLog.log({
+            type: EventLog.EventTypes.CHAMPION_RESPAWN,
+            tick: tick,
+            entityId: champion.id,
+            championName: identity.name,
+            teamId: identity.teamId,
+            role: identity.role
+        });
+    }
+}
+
+module.exports = RespawnSystem;
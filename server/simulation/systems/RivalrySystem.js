@@ -0,0 +1,211 @@
+const EventLog = require('../engines/EventLog');
+
+/**
+ * RivalrySystem - Career grudges and synergies in the middle of a match
+ *
+ * Champions carry their career relationships in CHiddenStats (loaded from the
+ * database by MatchSimulator): grudge_map is roster champion id -> grudge
+ * intensity, synergy_map is roster champion id -> synergy strength. Older
+ * generated grudges without a career record count as defaultGrudgeIntensity.
+ *
+ * - Grudge focus: in teamfights champions go out of their way to hit someone
+ *   they hold a grudge against
+ * - Nemesis kills: dying to a grudge target tilts a champion far harder
+ * - Coordination: high-synergy teammates deal more damage fighting side by
+ *   side, and ganks land more often on a lane partner the jungler trusts
+ *
+ * Not scheduled - jungle and teamfight systems call in when champions meet,
+ * TakedownSystem on kills. All state lives on the champions and fight participants.
+ */
+class RivalrySystem {
+    constructor() {
+        this.config = {
+            defaultGrudgeIntensity: 0.5,  // Grudges with no career record behind them
+            grudgeFocusChance: 0.6,  // Chance to chase a grudge target at full intensity
+            nemesisTilt: 0.3,  // Extra tilt for dying to a grudge target at full intensity
+            synergyThreshold: 0.4,  // Strength a pair needs before it shows on the map
+            coordinationDamage: 0.15,  // Fight damage bonus for a pair at full synergy
+            gankCoordination: 0.15  // Gank success bonus with a full-synergy laner
+        };
+
+        // Reference to TiltSystem (set externally)
+        this.tiltSystem = null;
+    }
+
+    /**
+     * Set tilt system reference (nemesis kills go through tilt resistance)
+     */
+    setTiltSystem(tiltSystem) {
+        this.tiltSystem = tiltSystem;
+    }
+
+    // ==================== RELATIONSHIPS ====================
+
+    /**
+     * How strongly a champion holds a grudge against another
+     * @param {Entity} champion
+     * @param {Entity} target
+     * @returns {number} 0-1 (0 = no grudge)
+     */
+    getGrudge(champion, target) {
+        const hidden = champion.getComponent('hiddenStats');
+        const targetId = target.getComponent('identity').championId;
+        if (!hidden || targetId === undefined) return 0;
+
+        if (hidden.grudge_map && hidden.grudge_map[targetId] !== undefined) {
+            return hidden.grudge_map[targetId];
+        }
+        return (hidden.grudges || []).includes(targetId) ? this.config.defaultGrudgeIntensity : 0;
+    }
+
+    /**
+     * Synergy between two teammates (the stronger of either direction)
+     * @param {Entity} champion
+     * @param {Entity} ally
+     * @returns {number} 0-1
+     */
+    getSynergy(champion, ally) {
+        const strength = (from, to) => {
+            const synergyMap = from.getComponent('hiddenStats').synergy_map || {};
+            return synergyMap[to.getComponent('identity').championId] || 0;
+        };
+        return Math.max(strength(champion, ally), strength(ally, champion));
+    }
+
+    // ==================== TEAMFIGHTS ====================
+
+    /**
+     * Maybe pick a grudge target among the defenders for a fight participant.
+     * Logs the first time an attacker locks onto a target in a fight.
+     * @param {object} attacker - Fight participant
+     * @param {object[]} defenders - Targetable fight participants
+     * @returns {object|null} Defender participant, or null to target normally
+     */
+    selectGrudgeTarget(attacker, defenders, rng, tick, eventLog) {
+        let target = null;
+        let intensity = 0;
+        for (const defender of defenders) {
+            const grudge = this.getGrudge(attacker.champion, defender.champion);
+            if (grudge > intensity) {
+                target = defender;
+                intensity = grudge;
+            }
+        }
+
+        if (!target || !rng.chance(this.config.grudgeFocusChance * intensity)) return null;
+
+        if (attacker.grudgeFocus !== target.champion.id) {
+            attacker.grudgeFocus = target.champion.id;
+
+            const identity = attacker.champion.getComponent('identity');
+            eventLog.log({
+                type: EventLog.EventTypes.RIVALRY_FOCUS,
+                tick: tick,
+                entityId: attacker.champion.id,
+                championName: identity.name,
+                teamId: identity.teamId,
+                targetId: target.champion.id,
+                targetName: target.champion.getComponent('identity').name,
+                intensity
+            });
+        }
+
+        return target;
+    }
+
+    /**
+     * Give high-synergy pairs on one side of a fight a damage bonus
+     * (participant.coordination, the best of each champion's pairs)
+     * @param {object[]} team - Fight participants
+     */
+    applyFightCoordination(team, tick, eventLog) {
+        for (let i = 0; i < team.length; i++) {
+            for (let j = i + 1; j < team.length; j++) {
+                const strength = this.getSynergy(team[i].champion, team[j].champion);
+                if (strength < this.config.synergyThreshold) continue;
+
+                const bonus = this.config.coordinationDamage * strength;
+                team[i].coordination = Math.max(team[i].coordination || 0, bonus);
+                team[j].coordination = Math.max(team[j].coordination || 0, bonus);
+
+                this._logCoordination(team[i].champion, team[j].champion, strength, bonus, 'teamfight', tick, eventLog);
+            }
+        }
+    }
+
+    // ==================== GANKS ====================
+
+    /**
+     * Gank success bonus from the jungler's synergy with their laner
+     * @param {Entity} jungler
+     * @param {Entity|null} laner - Jungler's teammate in the ganked lane
+     * @returns {number}
+     */
+    getGankBonus(jungler, laner) {
+        if (!laner) return 0;
+
+        const strength = this.getSynergy(jungler, laner);
+        return strength >= this.config.synergyThreshold ? this.config.gankCoordination * strength : 0;
+    }
+
+    /**
+     * Log a gank that landed because the jungler and laner play well together
+     */
+    onCoordinatedGank(jungler, laner, tick, eventLog) {
+        const strength = this.getSynergy(jungler, laner);
+        this._logCoordination(jungler, laner, strength, this.getGankBonus(jungler, laner), 'gank', tick, eventLog);
+    }
+
+    // ==================== KILLS ====================
+
+    /**
+     * Tilt a champion harder when their killer is one of their grudges
+     * @param {Entity} killer
+     * @param {Entity} victim
+     */
+    onKill(killer, victim, tick, eventLog) {
+        const intensity = this.getGrudge(victim, killer);
+        if (intensity <= 0) return;
+
+        const hidden = victim.getComponent('hiddenStats');
+        const before = hidden.tilt_level;
+        const amount = this.config.nemesisTilt * intensity;
+
+        if (this.tiltSystem) {
+            this.tiltSystem.increaseTilt(victim, amount, 'nemesis', tick, eventLog);
+        } else {
+            hidden.tilt_level = Math.min(1.0, hidden.tilt_level + amount);
+        }
+
+        const identity = victim.getComponent('identity');
+        eventLog.log({
+            type: EventLog.EventTypes.RIVALRY_NEMESIS,
+            tick: tick,
+            entityId: victim.id,
+            championName: identity.name,
+            teamId: identity.teamId,
+            nemesisId: killer.id,
+            nemesisName: killer.getComponent('identity').name,
+            intensity,
+            tiltIncrease: hidden.tilt_level - before,
+            newTilt: hidden.tilt_level
+        });
+    }
+
+    _logCoordination(champion, ally, strength, bonus, context, tick, eventLog) {
+        const identity = champion.getComponent('identity');
+        const allyIdentity = ally.getComponent('identity');
+        eventLog.log({
+            type: EventLog.EventTypes.SYNERGY_COORDINATION,
+            tick: tick,
+            teamId: identity.teamId,
+            entityIds: [champion.id, ally.id],
+            championNames: [identity.name, allyIdentity.name],
+            strength,
+            bonus,
+            context
+        });
+    }
+}
+
+module.exports = RivalrySystem;
@@ -3,6 +3,16 @@ const terminology = require('../data/terminology.json');
 const Entity = require('../core/Entity');
 const { CIdentity, CStats } = require('../core/Component');
 
+const LANE_END = 4;  // Team2's end of a lane (MapGraph lane node index)
+
+// Where structures stand in their lane, in lane units from their own team's
+// end (the outer Spire guards lane node 1, the Core sits at the very end)
+const LANE_POSITIONS = {
+    spire: { 1: 1.0, 2: 0.7, 3: 0.4 },
+    gateway: 0.2,
+    core: 0
+};
+
 /**
  * StructureSystem - Manages towers/spires and win conditions
  *
@@ -19,9 +29,16 @@ const { CIdentity, CStats } = require('../core/Component');
  * - At least 1 Spire in a lane must be destroyed before Gateway is vulnerable
  *
  * Damage Sources:
- * - Minion waves deal damage to Spires
+ * - Minion waves (MinionSystem) that reach a structure siege it, and the
+ *   structure shoots back at them; the Core falls to waves that walk all
+ *   the way up an open lane
  * - Lane pressure affects damage rate
+ * - Lanes whose defenders are all dead are free pressure for the other team
  * - Team with momentum deals more structure damage
+ * - Overtime waves hit harder and harder (OvertimeSystem)
+ *
+ * Without a MinionSystem, lane pressure alone damages the frontmost
+ * structure and map control chips the Core.
  */
 class StructureSystem {
     constructor() {
@@ -41,6 +58,12 @@ class StructureSystem {
             // Damage rates (per wave with minions present)
             baseMinionDamage: 100,  // Increased base damage
             pressureMultiplier: 2.0,  // Stronger pressure bonus
+            emptyLanePressure: 0.5,  // Extra pressure while the enemy laner is waiting to respawn
+
+            // Shots at a sieging minion wave (per wave)
+            spireShot: 150,
+            gatewayShot: 200,
+            coreShot: 250,
 
             // Timing
             minWaveForStructureDamage: 5,  // Structures can't be damaged before wave 5
@@ -54,6 +77,27 @@ class StructureSystem {
         };
     }
 
+    /**
+     * Set macro system reference (sieges and split pushes hit structures harder)
+     */
+    setMacroSystem(macroSystem) {
+        this.macroSystem = macroSystem;
+    }
+
+    /**
+     * Set overtime system reference (escalating structure damage)
+     */
+    setOvertimeSystem(overtimeSystem) {
+        this.overtimeSystem = overtimeSystem;
+    }
+
+    /**
+     * Set minion system reference (waves that reach a structure damage it)
+     */
+    setMinionSystem(minionSystem) {
+        this.minionSystem = minionSystem;
+    }
+
     /**
      * Initialize structures for both teams
      */
@@ -225,11 +269,15 @@ class StructureSystem {
      * Process damage to structures in a lane
      */
     _processLaneDamage(world, lane, tick, eventLog, rng) {
+        if (this.minionSystem) {
+            this._processSieges(world, lane, tick, eventLog);
+            return;
+        }
+
         const systemRng = rng.fork(`structure-${lane}`);
 
-        // Get lane pressure (from world metadata, set by LaneSystem)
-        const team1Pressure = world.getMetadata(`${lane}_lane_pressure_team1`) || 0;
-        const team2Pressure = world.getMetadata(`${lane}_lane_pressure_team2`) || 0;
+        const team1Pressure = this.getLanePressure(world, lane, 'team1');
+        const team2Pressure = this.getLanePressure(world, lane, 'team2');
 
         // Team with higher pressure damages enemy structures
         if (team1Pressure > team2Pressure) {
@@ -239,6 +287,126 @@ class StructureSystem {
         }
     }
 
+    /**
+     * Minion waves sieging a structure damage it (more with their champions
+     * pressuring the lane) and take a shot in return
+     */
+    _processSieges(world, lane, tick, eventLog) {
+        for (const teamId of ['team1', 'team2']) {
+            const attackerTeamId = teamId === 'team1' ? 'team2' : 'team1';
+            const sieging = world.queryByTags('minion_wave', attackerTeamId, lane)
+                .filter(wave => wave.getComponent('minionWave').state === 'sieging');
+            if (sieging.length === 0) continue;
+
+            const pressureAdvantage = this.getLanePressure(world, lane, attackerTeamId) - this.getLanePressure(world, lane, teamId);
+
+            for (const wave of sieging) {
+                const structure = world.getEntity(wave.getComponent('minionWave').target);
+                if (!structure) continue;
+
+                const stats = structure.getComponent('stats');
+                if (!stats.isAlive || !stats.isVulnerable) continue;
+
+                let damage = this.minionSystem.getStructureDamage(wave);
+
+                // Champions backing the wave up
+                if (pressureAdvantage > 0.3) {
+                    damage *= this.config.pressureMultiplier;
+                }
+
+                if (this.macroSystem) {
+                    damage *= this.macroSystem.getModifier(attackerTeamId, 'structureDamage');
+                }
+
+                damage *= this._getOvertimeMultiplier(tick);
+
+                this._applyStructureDamage(world, structure, damage, attackerTeamId, tick, eventLog);
+
+                if (stats.isAlive) {
+                    this.minionSystem.damageWave(world, wave, this._getStructureShot(structure.getComponent('identity').structureType));
+                }
+            }
+        }
+    }
+
+    /**
+     * Armor-reduced damage to a structure, destroying it (or ending the match) at 0 health
+     */
+    _applyStructureDamage(world, structure, damage, attackerTeamId, tick, eventLog) {
+        const stats = structure.getComponent('stats');
+        stats.health -= damage * (1 - stats.armor / (100 + stats.armor));
+        if (stats.health > 0) return;
+
+        stats.health = 0;
+        stats.isAlive = false;
+        stats.isVulnerable = false;
+
+        if (structure.getComponent('identity').structureType === 'core') {
+            this._onCoreDestroyed(world, structure, attackerTeamId, tick, eventLog);
+        } else {
+            this._onStructureDestroyed(world, structure, tick, eventLog);
+        }
+    }
+
+    _getStructureShot(type) {
+        switch (type) {
+            case 'spire': return this.config.spireShot;
+            case 'gateway': return this.config.gatewayShot;
+            case 'core': return this.config.coreShot;
+            default: return 0;
+        }
+    }
+
+    /**
+     * The next structure enemy waves run into in a lane: the team's frontmost
+     * standing Spire or Gateway, or their Core once the lane is open
+     * @param {World} world
+     * @param {string} teamId - Defending team
+     * @param {string} lane
+     * @returns {object|null} { structure, position } (lane position, 0-4), null once the Core is down
+     */
+    getLaneTarget(world, teamId, lane) {
+        const isStanding = structure => structure.getComponent('stats').isAlive;
+        const structure = world.queryByTags('structure', teamId, lane).find(isStanding) ||
+            world.queryByTags('structure', teamId, 'core').find(isStanding);
+        if (!structure) return null;
+
+        const identity = structure.getComponent('identity');
+        const distance = identity.structureType === 'spire'
+            ? LANE_POSITIONS.spire[identity.tier]
+            : LANE_POSITIONS[identity.structureType];
+
+        return {
+            structure,
+            position: teamId === 'team1' ? distance : LANE_END - distance
+        };
+    }
+
+    /**
+     * A team's pressure in a lane: LaneSystem's pressure (from world metadata),
+     * plus a bonus if the enemy has nobody alive in the lane to defend it, plus
+     * whatever the team's macro plan pushes into the lane
+     * @param {World} world
+     * @param {string} lane
+     * @param {string} teamId
+     * @returns {number}
+     */
+    getLanePressure(world, lane, teamId) {
+        const enemyTeamId = teamId === 'team1' ? 'team2' : 'team1';
+        const hasLivingLaner = id => world.queryByTags('champion', id, lane)
+            .some(champion => champion.getComponent('stats').isAlive);
+
+        let pressure = world.getMetadata(`${lane}_lane_pressure_${teamId}`) || 0;
+        if (hasLivingLaner(teamId) && !hasLivingLaner(enemyTeamId)) {
+            pressure += this.config.emptyLanePressure;
+        }
+        if (this.macroSystem) {
+            pressure += this.macroSystem.getLanePush(teamId, lane);
+        }
+
+        return pressure;
+    }
+
     /**
      * Damage structures for a team in a lane
      */
@@ -263,6 +431,13 @@ class StructureSystem {
                 damage *= this.config.pressureMultiplier;
             }
 
+            // Attackers committed to sieging or split pushing hit harder
+            if (this.macroSystem) {
+                damage *= this.macroSystem.getModifier(teamId === 'team1' ? 'team2' : 'team1', 'structureDamage');
+            }
+
+            damage *= this._getOvertimeMultiplier(tick);
+
             // Apply armor reduction
             const damageReduction = stats.armor / (100 + stats.armor);
             damage *= (1 - damageReduction);
@@ -381,13 +556,16 @@ class StructureSystem {
             if (anyGatewayDown) {
                 stats.isVulnerable = true;
 
+                // Waves walking up an open lane siege it (_processSieges)
+                if (this.minionSystem) continue;
+
                 // Apply siege damage if enemy team has map control
                 const enemyTeamId = teamId === 'team1' ? 'team2' : 'team1';
                 const mapControl = this._calculateMapControl(world, enemyTeamId);
 
                 if (mapControl > 0.2) {  // Lower threshold - even one lane with pressure can chip Core
                     // Core takes damage
-                    const damage = this.config.baseMinionDamage * mapControl;  // Scale with map control
+                    const damage = this.config.baseMinionDamage * mapControl * this._getOvertimeMultiplier(tick);  // Scale with map control
                     stats.health -= damage;
 
                     if (stats.health <= 0) {
@@ -401,6 +579,13 @@ class StructureSystem {
         }
     }
 
+    /**
+     * Structure damage multiplier for a wave (1 outside overtime)
+     */
+    _getOvertimeMultiplier(tick) {
+        return this.overtimeSystem ? this.overtimeSystem.getStructureDamageMultiplier(tick) : 1;
+    }
+
     /**
      * Calculate team's map control (0-1)
      */
@@ -409,11 +594,10 @@ class StructureSystem {
         let totalPressure = 0;
 
         for (const lane of lanes) {
-            const pressure = world.getMetadata(`${lane}_lane_pressure_${teamId}`) || 0;
-            totalPressure += pressure;
+            totalPressure += this.getLanePressure(world, lane, teamId);
         }
 
-        return totalPressure / lanes.length;
+        return Math.min(1, totalPressure / lanes.length);
     }
 
     /**
@@ -434,6 +618,11 @@ class StructureSystem {
         // Set winner in world metadata
         world.setMetadata('matchWinner', winningTeam);
         world.setMetadata('matchOver', true);
+        world.setMetadata('matchDecision', {
+            method: 'core',
+            overtime: !!this.overtimeSystem && this.overtimeSystem.isOvertime(tick),
+            tick
+        });
     }
 
     /**
@@ -485,6 +674,31 @@ class StructureSystem {
 
         return stats;
     }
+
+    /**
+     * Serialize structure tracking (for mid-match snapshots)
+     * Structure entities are stored by id and relinked to the restored world
+     */
+    serialize() {
+        return {
+            structureIds: Array.from(this.structureEntities.keys()),
+            laneStructureState: this.laneStructureState
+        };
+    }
+
+    /**
+     * Restore serialize() output
+     */
+    deserialize(state, world) {
+        this.structureEntities = new Map();
+        for (const id of state.structureIds) {
+            const entity = world.getEntity(id);
+            if (entity) {
+                this.structureEntities.set(id, entity);
+            }
+        }
+        this.laneStructureState = state.laneStructureState;
+    }
 }
 
 module.exports = StructureSystem;
@@ -0,0 +1,165 @@
+/**
+ * TakedownSystem - What happens when a champion kills another
+ *
+ * Every champion kill (lane trades, ganks, counterganks, teamfights) is
+ * credited here, in the same order:
+ * 1. KDA for the killer, victim and assisters
+ * 2. Kill gold (BountySystem's flat + shutdown gold)
+ * 3. Kill and assist XP
+ * 4. Victim tilt
+ * 5. Takedown item passives (on_kill, on_assist, on_death)
+ * 6. Death timer (or a health reset without a RespawnSystem) - teamfights
+ *    defer this to the end of the fight, where a revive can still undo it
+ * 7. The caller's kill event
+ * 8. Streaks and shutdowns, then grudges
+ *
+ * Not scheduled - lane, jungle and teamfight systems call in on kills.
+ * Works without its other references (KDA, tilt and a health reset), but
+ * kill gold only comes from a BountySystem.
+ */
+class TakedownSystem {
+    constructor() {
+        // References to other systems (set externally)
+        this.itemSystem = null;
+        this.levelingSystem = null;
+        this.respawnSystem = null;
+        this.bountySystem = null;
+        this.rivalrySystem = null;
+    }
+
+    /**
+     * Set item system reference (takedown item passives)
+     */
+    setItemSystem(itemSystem) {
+        this.itemSystem = itemSystem;
+    }
+
+    /**
+     * Set leveling system reference (kill and assist XP)
+     */
+    setLevelingSystem(levelingSystem) {
+        this.levelingSystem = levelingSystem;
+    }
+
+    /**
+     * Set respawn system reference (death timers)
+     */
+    setRespawnSystem(respawnSystem) {
+        this.respawnSystem = respawnSystem;
+    }
+
+    /**
+     * Set bounty system reference (kill gold, streaks and shutdowns)
+     */
+    setBountySystem(bountySystem) {
+        this.bountySystem = bountySystem;
+    }
+
+    /**
+     * Set rivalry system reference (nemesis kills)
+     */
+    setRivalrySystem(rivalrySystem) {
+        this.rivalrySystem = rivalrySystem;
+    }
+
+    /**
+     * Shutdown gold a champion is worth (before the kill is credited)
+     * @param {Entity} victim
+     * @returns {number} 0 when killing them isn't a shutdown (or there's no BountySystem)
+     */
+    getShutdownGold(victim) {
+        return this.bountySystem ? this.bountySystem.getShutdownBounty(victim) : 0;
+    }
+
+    /**
+     * Kill gold for a victim, shutdown included (before the kill is credited)
+     * @param {Entity} victim
+     * @returns {number} 0 without a BountySystem
+     */
+    getKillGold(victim) {
+        return this.bountySystem ? this.bountySystem.getKillGold(victim) : 0;
+    }
+
+    /**
+     * Credit a champion kill
+     * @param {Entity} killer
+     * @param {Entity} victim
+     * @param {object} takedown
+     * @param {Entity[]} takedown.assisters - Allies credited with an assist
+     * @param {number} takedown.tilt - Tilt the victim gains
+     * @param {number} takedown.shutdownTilt - Extra tilt when the kill is a shutdown
+     * @param {boolean} takedown.deferDeath - Caller calls sendToRespawn() itself later
+     * @param {Function} takedown.event - killGold => kill event to log (after KDA, gold and tilt)
+     * @param {object} ctx - { world, tick, eventLog, rng }
+     * @returns {number} Gold awarded to the killer
+     */
+    onKill(killer, victim, takedown, ctx) {
+        const { assisters = [], tilt = 0.15, shutdownTilt = 0, deferDeath = false, event = null } = takedown;
+        const { tick, eventLog } = ctx;
+        const killerStats = killer.getComponent('stats');
+        const victimStats = victim.getComponent('stats');
+
+        const shutdownGold = this.getShutdownGold(victim);
+        const killGold = this.getKillGold(victim);
+
+        killerStats.kda.kills++;
+        victimStats.kda.deaths++;
+        for (const assister of assisters) {
+            assister.getComponent('stats').kda.assists++;
+        }
+
+        killerStats.gold += killGold;
+
+        if (this.levelingSystem) {
+            this.levelingSystem.awardKillXP(killer);
+            for (const assister of assisters) {
+                this.levelingSystem.awardAssistXP(assister);
+            }
+        }
+
+        const victimHidden = victim.getComponent('hiddenStats');
+        if (victimHidden) {
+            const tiltGain = tilt + (shutdownGold > 0 ? shutdownTilt : 0);
+            victimHidden.tilt_level = Math.min(1.0, victimHidden.tilt_level + tiltGain);
+        }
+
+        if (this.itemSystem) {
+            this.itemSystem.passives.onKill(killer, victim, assisters, ctx);
+        }
+
+        if (!deferDeath) {
+            this.sendToRespawn(victim, tick, eventLog);
+        }
+
+        if (event) {
+            eventLog.log(event(killGold));
+        }
+
+        if (this.bountySystem) {
+            this.bountySystem.onKill(killer, victim, tick, eventLog);
+        }
+
+        if (this.rivalrySystem) {
+            this.rivalrySystem.onKill(killer, victim, tick, eventLog);
+        }
+
+        return killGold;
+    }
+
+    /**
+     * Victim sits out its death timer (or just resets without a RespawnSystem)
+     * @param {Entity} victim
+     * @param {number} tick
+     * @param {EventLog} eventLog
+     */
+    sendToRespawn(victim, tick, eventLog) {
+        if (this.respawnSystem) {
+            this.respawnSystem.kill(victim, tick, eventLog);
+        } else {
+            const stats = victim.getComponent('stats');
+            stats.health = stats.effective_max_health || stats.max_health || 550;
+        }
+    }
+}
+
+module.exports = TakedownSystem;
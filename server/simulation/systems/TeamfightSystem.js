@@ -1,4 +1,5 @@
 const EventLog = require('../engines/EventLog');
+const TakedownSystem = require('./TakedownSystem');
 
 /**
  * TeamfightSystem - Manages team fights with positioning and targeting
@@ -10,6 +11,9 @@ const EventLog = require('../engines/EventLog');
  * - Damage calculation with items
  * - Kill order resolution
  * - KDA tracking
+ * - Ability statuses: disabled champions lose their turn, untargetable ones
+ *   can't be picked, rewinds and revives bring champions back
+ * - Career rivalries: grudge targets get focused, high-synergy pairs hit harder
  */
 class TeamfightSystem {
     constructor() {
@@ -32,6 +36,7 @@ class TeamfightSystem {
         };
 
         this.activeFights = new Map();
+        this.takedownSystem = new TakedownSystem();  // Replaced by the match's shared one
     }
 
     /**
@@ -42,10 +47,38 @@ class TeamfightSystem {
     }
 
     /**
-     * Set leveling system reference
+     * Set item system reference (for item passives on hits)
      */
-    setLevelingSystem(levelingSystem) {
-        this.levelingSystem = levelingSystem;
+    setItemSystem(itemSystem) {
+        this.itemSystem = itemSystem;
+    }
+
+    /**
+     * Set takedown system reference (credits kills and assists)
+     */
+    setTakedownSystem(takedownSystem) {
+        this.takedownSystem = takedownSystem;
+    }
+
+    /**
+     * Set movement system reference (for where fights break out)
+     */
+    setMovementSystem(movementSystem) {
+        this.movementSystem = movementSystem;
+    }
+
+    /**
+     * Set macro system reference (grouped teams find more fights)
+     */
+    setMacroSystem(macroSystem) {
+        this.macroSystem = macroSystem;
+    }
+
+    /**
+     * Set rivalry system reference (grudge focus, nemesis kills, coordination)
+     */
+    setRivalrySystem(rivalrySystem) {
+        this.rivalrySystem = rivalrySystem;
     }
 
     /**
@@ -57,8 +90,11 @@ class TeamfightSystem {
         const tick = world.getTick();
         const systemRng = rng.fork('teamfight');
 
-        // Determine if fight should happen this wave
-        const fightChance = this.config.fightTriggerChance[phase] || 0;
+        // Determine if fight should happen this wave (both teams' macro plans weigh in)
+        let fightChance = this.config.fightTriggerChance[phase] || 0;
+        if (this.macroSystem) {
+            fightChance *= (this.macroSystem.getModifier('team1', 'fightChance') + this.macroSystem.getModifier('team2', 'fightChance')) / 2;
+        }
 
         if (systemRng.chance(fightChance)) {
             this._startTeamfight(world, tick, eventLog, systemRng);
@@ -69,15 +105,22 @@ class TeamfightSystem {
      * Start a new teamfight
      */
     _startTeamfight(world, tick, eventLog, rng) {
-        const team1Champions = world.queryByTags('champion', 'team1');
-        const team2Champions = world.queryByTags('champion', 'team2');
+        // Champions waiting to respawn can't join
+        const isAlive = champion => champion.getComponent('stats').isAlive;
+        const team1Champions = world.queryByTags('champion', 'team1').filter(isAlive);
+        const team2Champions = world.queryByTags('champion', 'team2').filter(isAlive);
+
+        if (team1Champions.length === 0 || team2Champions.length === 0) return;
 
         // Log fight start
         eventLog.log({
             type: EventLog.EventTypes.FIGHT_START,
             tick: tick,
             team1Count: team1Champions.length,
-            team2Count: team2Champions.length
+            team2Count: team2Champions.length,
+            location: this.movementSystem
+                ? this.movementSystem.getFightLocation([...team1Champions, ...team2Champions])
+                : null
         });
 
         // Assign positions (frontline vs backline)
@@ -135,6 +178,12 @@ class TeamfightSystem {
             assistMap: new Map()
         };
 
+        // High-synergy pairs fight as one
+        if (this.rivalrySystem) {
+            this.rivalrySystem.applyFightCoordination(fightState.team1, tick, eventLog);
+            this.rivalrySystem.applyFightCoordination(fightState.team2, tick, eventLog);
+        }
+
         let fightTick = 0;
         const maxTicks = this.config.fightDuration * this.config.ticksPerSecond;
 
@@ -181,9 +230,21 @@ class TeamfightSystem {
 
         if (aliveAttackers.length === 0 || aliveDefenders.length === 0) return;
 
+        const statusEffects = this.abilitySystem ? this.abilitySystem.statusEffects : null;
+
         for (const attacker of aliveAttackers) {
-            // Select target
-            const target = this._selectTarget(aliveDefenders, attacker, rng);
+            // Each turn is one second of the attacker's statuses; stunned champions lose it
+            if (statusEffects) {
+                const canAct = statusEffects.canAct(attacker.champion);
+                statusEffects.advance(attacker, 1, tick, eventLog);
+                if (!canAct) continue;
+            }
+
+            // Select target (among the living and targetable)
+            const targetable = aliveDefenders.filter(d =>
+                d.alive && (!statusEffects || statusEffects.isTargetable(d.champion))
+            );
+            const target = this._selectTarget(targetable, attacker, rng, tick, eventLog);
             if (!target) continue;
 
             let damage = 0;
@@ -196,7 +257,8 @@ class TeamfightSystem {
                     target.champion,
                     world,
                     rng,
-                    eventLog
+                    eventLog,
+                    { caster: attacker, target, allies: attackers, enemies: defenders }
                 );
 
                 // Sum up all ability damage
@@ -207,10 +269,10 @@ class TeamfightSystem {
                             abilityCast = true;
 
                             // Check for kill from ability
-                            target.health -= result.damage;
-                            if (target.health <= 0 && target.alive) {
+                            this._applyHit(attacker, target, result.damage, 'ability', result.ability.damageType, tick, eventLog, rng, world);
+                            if (target.health <= 0 && target.alive && !this._survivesLethal(target, tick, eventLog)) {
                                 target.alive = false;
-                                this._processKill(attacker, target, aliveAttackers, tick, eventLog);
+                                this._processKill(attacker, target, aliveAttackers, tick, eventLog, rng, world);
                                 break; // Stop attacking if target is dead
                             }
                         }
@@ -221,7 +283,7 @@ class TeamfightSystem {
             // Basic attack if still alive and no abilities cast
             if (target.alive && !abilityCast) {
                 damage = this._calculateDamage(attacker.champion, target.champion, rng);
-                target.health -= damage;
+                damage = this._applyHit(attacker, target, damage, 'basic', 'physical', tick, eventLog, rng, world);
 
                 // Log damage
                 eventLog.log({
@@ -235,18 +297,68 @@ class TeamfightSystem {
                 });
 
                 // Check for kill
-                if (target.health <= 0 && target.alive) {
+                if (target.health <= 0 && target.alive && !this._survivesLethal(target, tick, eventLog)) {
                     target.alive = false;
-                    this._processKill(attacker, target, aliveAttackers, tick, eventLog);
+                    this._processKill(attacker, target, aliveAttackers, tick, eventLog, rng, world);
                 }
             }
         }
     }
 
+    /**
+     * Deal damage to a fight participant, running item passives if ItemSystem is available
+     * @returns {number} Damage actually dealt
+     */
+    _applyHit(attacker, target, damage, source, damageType, tick, eventLog, rng, world) {
+        if (attacker.coordination) {
+            damage = Math.floor(damage * (1 + attacker.coordination));
+        }
+
+        if (this.abilitySystem) {
+            const statusEffects = this.abilitySystem.statusEffects;
+            damage = statusEffects.mitigate(attacker.champion, target.champion, damage, source, rng);
+            statusEffects.heal(attacker, statusEffects.getLifesteal(attacker.champion, damage));
+        }
+
+        if (!this.itemSystem) {
+            target.health -= damage;
+            return damage;
+        }
+
+        const hit = this.itemSystem.passives.resolveHit(attacker.champion, target.champion, {
+            damage,
+            source,
+            damageType: damageType || 'magic',
+            context: 'fight',
+            health: target.health,
+            world,
+            tick,
+            eventLog,
+            rng
+        });
+
+        target.health = hit.health;
+
+        // Lifesteal and reflected damage never kill the attacker mid-swing
+        const attackerStats = attacker.champion.getComponent('stats');
+        const attackerMaxHealth = attackerStats.effective_max_health || attackerStats.max_health || 550;
+        attacker.health = Math.max(1, Math.min(attackerMaxHealth, attacker.health + hit.heal - hit.reflected));
+
+        return hit.damage;
+    }
+
+    /**
+     * Give a participant taking a lethal hit a chance to rewind
+     * @returns {boolean} Whether the participant survived
+     */
+    _survivesLethal(participant, tick, eventLog) {
+        return !!this.abilitySystem && this.abilitySystem.statusEffects.preventDeath(participant, tick, eventLog);
+    }
+
     /**
      * Select target based on priority system
      */
-    _selectTarget(defenders, attacker, rng) {
+    _selectTarget(defenders, attacker, rng, tick, eventLog) {
         if (defenders.length === 0) return null;
 
         const attackerIdentity = attacker.champion.getComponent('identity');
@@ -262,7 +374,13 @@ class TeamfightSystem {
             return rng.choice(executeTargets);
         }
 
-        // Priority 2: Backline targets (if attacker is assassin/diver)
+        // Priority 2: Someone they hold a grudge against
+        if (this.rivalrySystem) {
+            const grudgeTarget = this.rivalrySystem.selectGrudgeTarget(attacker, defenders, rng, tick, eventLog);
+            if (grudgeTarget) return grudgeTarget;
+        }
+
+        // Priority 3: Backline targets (if attacker is assassin/diver)
         if (attackerIdentity.role === 'jungle' || attackerIdentity.role === 'mid') {
             const backlineTargets = defenders.filter(d => d.position === 'backline');
             if (backlineTargets.length > 0 && rng.chance(0.6)) {
@@ -270,7 +388,7 @@ class TeamfightSystem {
             }
         }
 
-        // Priority 3: High threat targets (based on items/stats)
+        // Priority 4: High threat targets (based on items/stats)
         const threatScores = defenders.map(d => ({
             defender: d,
             threat: this._calculateThreatLevel(d.champion)
@@ -358,76 +476,31 @@ class TeamfightSystem {
     }
 
     /**
-     * Process kill and assign KDA
+     * Credit a kill (every living teammate gets an assist)
      */
-    _processKill(killer, victim, aliveAllies, tick, eventLog) {
-        const killerStats = killer.champion.getComponent('stats');
+    _processKill(killer, victim, aliveAllies, tick, eventLog, rng, world) {
         const killerIdentity = killer.champion.getComponent('identity');
-        const victimStats = victim.champion.getComponent('stats');
         const victimIdentity = victim.champion.getComponent('identity');
-        const victimHidden = victim.champion.getComponent('hiddenStats');
-
-        // Assign kill
-        killerStats.kda.kills++;
-
-        // Assign death
-        victimStats.kda.deaths++;
-
-        // Assign assists (all alive teammates get assists)
-        for (const ally of aliveAllies) {
-            if (ally.champion.id !== killer.champion.id && ally.alive) {
-                const allyStats = ally.champion.getComponent('stats');
-                allyStats.kda.assists++;
-            }
-        }
-
-        // Base gold reward
-        let killGold = 300;
-
-        // Shutdown gold (killing fed enemies)
-        if (victimStats.kda.kills >= 3) {
-            const shutdownBonus = victimStats.kda.kills * 150; // 150g per kill
-            killGold += shutdownBonus;
-
-            eventLog.log({
-                type: 'shutdown',
+        const assisters = aliveAllies
+            .filter(ally => ally.champion.id !== killer.champion.id && ally.alive)
+            .map(ally => ally.champion);
+
+        this.takedownSystem.onKill(killer.champion, victim.champion, {
+            assisters,
+            tilt: 0.15,
+            shutdownTilt: 0.10,  // Losing a streak stings more
+            deferDeath: true,  // Revives can still bring them back before the fight ends
+            event: killGold => ({
+                type: EventLog.EventTypes.FIGHT_KILL,
                 tick: tick,
                 killerName: killerIdentity.name,
+                killerTeam: killerIdentity.teamId,
                 victimName: victimIdentity.name,
-                victimKillStreak: victimStats.kda.kills,
-                shutdownGold: shutdownBonus
-            });
-        }
-
-        killerStats.gold += killGold;
-
-        // Award kill XP
-        if (this.levelingSystem) {
-            this.levelingSystem.awardKillXP(killer.champion);
-
-            // Award assist XP to all alive allies
-            for (const ally of aliveAllies) {
-                if (ally.champion.id !== killer.champion.id && ally.alive) {
-                    this.levelingSystem.awardAssistXP(ally.champion);
-                }
-            }
-        }
-
-        // Increase victim tilt (more tilt if shutdown)
-        const tiltIncrease = victimStats.kda.kills >= 3 ? 0.25 : 0.15;
-        victimHidden.tilt_level = Math.min(1.0, victimHidden.tilt_level + tiltIncrease);
-
-        // Log kill
-        eventLog.log({
-            type: EventLog.EventTypes.FIGHT_KILL,
-            tick: tick,
-            killerName: killerIdentity.name,
-            killerTeam: killerIdentity.teamId,
-            victimName: victimIdentity.name,
-            victimTeam: victimIdentity.teamId,
-            goldAwarded: killGold,
-            assistCount: aliveAllies.length - 1
-        });
+                victimTeam: victimIdentity.teamId,
+                goldAwarded: killGold,
+                assistCount: assisters.length
+            })
+        }, { world, tick, eventLog, rng });
     }
 
     /**
@@ -473,14 +546,13 @@ class TeamfightSystem {
 
         // Reset health for survivors
         for (const participant of [...fightState.team1, ...fightState.team2]) {
-            const stats = participant.champion.getComponent('stats');
-
             if (participant.alive) {
                 // Survivors keep reduced health
+                const stats = participant.champion.getComponent('stats');
                 stats.health = Math.max(100, participant.health);
             } else {
-                // Dead champions respawn with full health
-                stats.health = stats.effective_max_health || stats.max_health || 550;
+                // Dead champions sit out their death timers
+                this.takedownSystem.sendToRespawn(participant.champion, tick, eventLog);
             }
         }
     }
@@ -138,6 +138,10 @@ class WeatherSystem {
         this.forecastQueue = [];
         this.weatherHistory = [];
 
+        this.config = {
+            intensity: 1.0  // Scales how far weather multipliers stray from 1.0
+        };
+
         this.rarityWeights = {
             common: 50,
             uncommon: 30,
@@ -274,7 +278,7 @@ class WeatherSystem {
         if (effects.tiltIncrease) {
             for (const champion of champions) {
                 const hiddenStats = champion.getComponent('hiddenStats');
-                hiddenStats.tilt_level = Math.min(1.0, hiddenStats.tilt_level + effects.tiltIncrease);
+                hiddenStats.tilt_level = Math.min(1.0, hiddenStats.tilt_level + effects.tiltIncrease * this.config.intensity);
             }
         }
 
@@ -307,18 +311,25 @@ class WeatherSystem {
         };
     }
 
+    /**
+     * Scale a weather multiplier by the configured intensity
+     */
+    _intensify(multiplier) {
+        return Math.max(0, 1.0 + ((multiplier || 1.0) - 1.0) * this.config.intensity);
+    }
+
     /**
      * Modify damage based on current weather
      */
     modifyDamage(baseDamage) {
-        return baseDamage * (this.currentWeather.effects.damageMultiplier || 1.0);
+        return baseDamage * this._intensify(this.currentWeather.effects.damageMultiplier);
     }
 
     /**
      * Modify gold gains based on current weather
      */
     modifyGold(baseGold) {
-        return Math.floor(baseGold * (this.currentWeather.effects.goldMultiplier || 1.0));
+        return Math.floor(baseGold * this._intensify(this.currentWeather.effects.goldMultiplier));
     }
 
     /**
@@ -333,12 +344,36 @@ class WeatherSystem {
      */
     getMultipliers() {
         return {
-            damage: this.currentWeather.effects.damageMultiplier || 1.0,
-            gold: this.currentWeather.effects.goldMultiplier || 1.0,
-            speed: this.currentWeather.effects.speedMultiplier || 1.0,
-            vision: this.currentWeather.effects.visionModifier || 1.0
+            damage: this._intensify(this.currentWeather.effects.damageMultiplier),
+            gold: this._intensify(this.currentWeather.effects.goldMultiplier),
+            speed: this._intensify(this.currentWeather.effects.speedMultiplier),
+            vision: this._intensify(this.currentWeather.effects.visionModifier)
+        };
+    }
+
+    /**
+     * Serialize weather state (for mid-match snapshots)
+     * Weather types are stored by id and looked up again on restore
+     */
+    serialize() {
+        return {
+            currentWeather: this.currentWeather.id,
+            weatherDuration: this.weatherDuration,
+            forecastQueue: this.forecastQueue.map(weather => weather.id),
+            weatherHistory: this.weatherHistory
         };
     }
+
+    /**
+     * Restore serialize() output
+     */
+    deserialize(state) {
+        const findWeather = id => weatherTypes.find(w => w.id === id);
+        this.currentWeather = findWeather(state.currentWeather) || findWeather('clear');
+        this.weatherDuration = state.weatherDuration;
+        this.forecastQueue = state.forecastQueue.map(findWeather).filter(Boolean);
+        this.weatherHistory = state.weatherHistory;
+    }
 }
 
 module.exports = { WeatherSystem, weatherTypes };
@@ -1,99 +1,133 @@
 /**
  * Test Admin Panel Demo Endpoint
+ *
+ * Logs in as an admin and runs the demo with the session token.
+ * Run with: node test-admin-demo.js --username <admin> --password <password>
+ * (or set ADMIN_USERNAME / ADMIN_PASSWORD)
  */
 
 const http = require('http');
 
-const postData = JSON.stringify({
-    userId: 1  // Admin user
-});
+const args = process.argv.slice(2);
+
+function getArg(name, fallback) {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : fallback;
+}
+
+const username = getArg('username', process.env.ADMIN_USERNAME);
+const password = getArg('password', process.env.ADMIN_PASSWORD);
+
+if (!username || !password) {
+    console.error('Error: pass --username and --password for an admin account (the first registered user)');
+    process.exit(1);
+}
 
-const options = {
-    hostname: 'localhost',
-    port: 3000,
-    path: '/api/admin/simulation/demo',
-    method: 'POST',
-    headers: {
+/**
+ * POST JSON to the local server; resolves with the raw response body
+ */
+function post(path, body, token = null) {
+    const postData = JSON.stringify(body);
+    const headers = {
         'Content-Type': 'application/json',
         'Content-Length': Buffer.byteLength(postData)
+    };
+    if (token) {
+        headers.Authorization = `Bearer ${token}`;
     }
-};
 
-const req = http.request(options, (res) => {
-    let data = '';
+    return new Promise((resolve, reject) => {
+        const req = http.request({ hostname: 'localhost', port: 3000, path, method: 'POST', headers }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => {
+                data += chunk;
+            });
+            res.on('end', () => resolve(data));
+        });
 
-    res.on('data', (chunk) => {
-        data += chunk;
+        req.on('error', reject);
+        req.write(postData);
+        req.end();
     });
+}
 
-    res.on('end', () => {
-        try {
-            const result = JSON.parse(data);
-            console.log('=== Admin Demo Endpoint Response ===\n');
-            console.log('Success:', result.success);
-            console.log('Message:', result.message);
-
-            if (result.result) {
-                console.log('\n--- Match Result ---');
-                console.log('Winner:', result.result.winner);
-                console.log('Waves:', result.result.waves);
-                console.log('Duration:', result.result.duration);
-            }
-
-            if (result.structures) {
-                console.log('\n--- Structure Stats ---');
-                console.log('Team 1:');
-                console.log('  Total:', result.structures.team1.total);
-                console.log('  Alive:', result.structures.team1.alive);
-                console.log('  Destroyed:', result.structures.team1.destroyed);
-                console.log('Team 2:');
-                console.log('  Total:', result.structures.team2.total);
-                console.log('  Alive:', result.structures.team2.alive);
-                console.log('  Destroyed:', result.structures.team2.destroyed);
-            }
-
-            if (result.eventSummary) {
-                console.log('\n--- Event Summary ---');
-                const sortedEvents = Object.entries(result.eventSummary)
-                    .sort(([,a], [,b]) => b - a)
-                    .slice(0, 15);
-                sortedEvents.forEach(([type, count]) => {
-                    console.log(`  ${type}: ${count}`);
-                });
-            }
-
-            console.log('\nTotal Events:', result.totalEvents);
-
-            if (result.notableEvents) {
-                console.log('\n--- Notable Events (first 10) ---');
-                result.notableEvents.slice(0, 10).forEach(event => {
-                    console.log(`  [Wave ${event.tick}] ${event.type}:`,
-                        event.championName || event.objectiveName || event.structureName || '');
-                });
-            }
-
-            if (result.champions) {
-                console.log('\n--- Champion Stats (Top 3 by Kills) ---');
-                const champArray = Array.isArray(result.champions) ? result.champions : Object.values(result.champions);
-                const champsByKills = champArray
-                    .sort((a, b) => (b.kda?.kills || 0) - (a.kda?.kills || 0))
-                    .slice(0, 3);
-                champsByKills.forEach(champ => {
-                    const kda = champ.kda || { kills: 0, deaths: 0, assists: 0 };
-                    console.log(`  ${champ.name}: ${kda.kills}/${kda.deaths}/${kda.assists} KDA, ${champ.gold}g, ${champ.cs} CS`);
-                });
-            }
-
-        } catch (error) {
-            console.error('Failed to parse response:', error);
-            console.log('Raw response:', data);
+async function main() {
+    const login = JSON.parse(await post('/api/auth/login', { username, password }));
+    if (!login.success) {
+        console.error('Login failed:', login.error);
+        process.exit(1);
+    }
+    if (!login.user.isAdmin) {
+        console.error(`${username} is not an admin`);
+        process.exit(1);
+    }
+
+    const data = await post('/api/admin/simulation/demo', {}, login.token);
+
+    try {
+        const result = JSON.parse(data);
+        console.log('=== Admin Demo Endpoint Response ===\n');
+        console.log('Success:', result.success);
+        console.log('Message:', result.message);
+
+        if (result.result) {
+            console.log('\n--- Match Result ---');
+            console.log('Winner:', result.result.winner);
+            console.log('Waves:', result.result.waves);
+            console.log('Duration:', result.result.duration);
         }
-    });
-});
 
-req.on('error', (error) => {
+        if (result.structures) {
+            console.log('\n--- Structure Stats ---');
+            console.log('Team 1:');
+            console.log('  Total:', result.structures.team1.total);
+            console.log('  Alive:', result.structures.team1.alive);
+            console.log('  Destroyed:', result.structures.team1.destroyed);
+            console.log('Team 2:');
+            console.log('  Total:', result.structures.team2.total);
+            console.log('  Alive:', result.structures.team2.alive);
+            console.log('  Destroyed:', result.structures.team2.destroyed);
+        }
+
+        if (result.eventSummary) {
+            console.log('\n--- Event Summary ---');
+            const sortedEvents = Object.entries(result.eventSummary)
+                .sort(([,a], [,b]) => b - a)
+                .slice(0, 15);
+            sortedEvents.forEach(([type, count]) => {
+                console.log(`  ${type}: ${count}`);
+            });
+        }
+
+        console.log('\nTotal Events:', result.totalEvents);
+
+        if (result.notableEvents) {
+            console.log('\n--- Notable Events (first 10) ---');
+            result.notableEvents.slice(0, 10).forEach(event => {
+                console.log(`  [Wave ${event.tick}] ${event.type}:`,
+                    event.championName || event.objectiveName || event.structureName || '');
+            });
+        }
+
+        if (result.champions) {
+            console.log('\n--- Champion Stats (Top 3 by Kills) ---');
+            const champArray = Array.isArray(result.champions) ? result.champions : Object.values(result.champions);
+            const champsByKills = champArray
+                .sort((a, b) => (b.kda?.kills || 0) - (a.kda?.kills || 0))
+                .slice(0, 3);
+            champsByKills.forEach(champ => {
+                const kda = champ.kda || { kills: 0, deaths: 0, assists: 0 };
+                console.log(`  ${champ.name}: ${kda.kills}/${kda.deaths}/${kda.assists} KDA, ${champ.gold}g, ${champ.cs} CS`);
+            });
+        }
+
+    } catch (error) {
+        console.error('Failed to parse response:', error);
+        console.log('Raw response:', data);
+    }
+}
+
+main().catch((error) => {
     console.error('Request error:', error);
+    process.exit(1);
 });
-
-req.write(postData);
-req.end();
@@ -0,0 +1,229 @@
+/**
+ * Test script for the pick/ban phase
+ *
+ * Drafts from the league rosters plus generated bench champions (as live
+ * matches do) and validates:
+ * - Bans alternate teams and are only skipped when nothing can be banned
+ * - Banned champions are never picked
+ * - Picks follow the snake order and only come from a team's own roster/bench
+ * - Every team fills every role (also when bans leave one option per role)
+ * - Shared-pool drafts never give a champion to both teams
+ * - The same seed drafts the same way
+ * - Benches survive a restart, and a resumed match credits the bench champions
+ *   its draft picked (even if the benches changed since)
+ */
+
+const DraftPhase = require('./server/simulation/engines/DraftPhase');
+const { generateChampion } = require('./server/data/generators');
+const EventLog = require('./server/simulation/engines/EventLog');
+const RNG = require('./server/simulation/core/RNG');
+const MatchSimulator = require('./server/simulation/MatchSimulator');
+const MatchAdapter = require('./server/simulation/MatchAdapter');
+const Game = require('./server/game/game');
+
+const ROLES = DraftPhase.ROLES;
+let failures = 0;
+
+function check(label, passed, detail = '') {
+    console.log(`${passed ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+    if (!passed) failures++;
+}
+
+function runDraft(options, roster, seed = 'draft-test') {
+    const eventLog = new EventLog();
+    const result = new DraftPhase(options).run(roster, new RNG(seed), eventLog);
+    return {
+        result,
+        bans: eventLog.getEventsByType(EventLog.EventTypes.DRAFT_BAN),
+        picks: eventLog.getEventsByType(EventLog.EventTypes.DRAFT_PICK)
+    };
+}
+
+function rolesFilled(team) {
+    const roles = team.champions.map(champion => DraftPhase.normalizeRole(champion.role));
+    return ROLES.every(role => roles.filter(r => r === role).length === 1);
+}
+
+function testDraft() {
+    console.log('=== Testing Draft Phase ===\n');
+
+    const teamsData = require('./server/data/data.json');
+    const roster = { team1: teamsData.teams[0], team2: teamsData.teams[1] };
+
+    // Benches as Game.loadBenches() signs them
+    const benchRoles = ['Top', 'Jungle', 'Mid', 'ADC', 'Support'];
+    const bench = {
+        team1: benchRoles.map(role => generateChampion(role)),
+        team2: benchRoles.map(role => generateChampion(role))
+    };
+    const extraPool = [...benchRoles, ...benchRoles].map(role => generateChampion(role));
+
+    // 1. One champion per role and no bench: nothing to draft
+    console.log('--- Roster mode, no bench ---');
+    const bare = runDraft({ mode: 'roster', bans: 2 }, roster);
+    check('Every ban is skipped', bare.bans.length === 4 && bare.bans.every(ban => ban.skipped));
+    check('Both rosters play as they are', rolesFilled(bare.result.team1) && rolesFilled(bare.result.team2));
+
+    // 2. Roster plus bench (the live league draft)
+    console.log('\n--- Roster mode with benches ---');
+    const benched = runDraft({ mode: 'roster', bans: 2, bench }, roster);
+    const banned = new Set(benched.bans.map(ban => ban.championId));
+
+    check('Four bans, none skipped', benched.bans.length === 4 && benched.bans.every(ban => !ban.skipped));
+    check('Bans alternate team1/team2',
+        benched.bans.map(ban => ban.teamId).join(',') === 'team1,team2,team1,team2');
+    check('Bans target the opponent',
+        benched.bans.every(ban => {
+            const enemy = ban.teamId === 'team1' ? 'team2' : 'team1';
+            return [...roster[enemy].champions, ...bench[enemy]].some(champion => champion.id === ban.championId);
+        }));
+    check('Banned champions are never picked', benched.picks.every(pick => !banned.has(pick.championId)));
+    check('Picks follow the snake order',
+        benched.picks.map(pick => pick.teamId).join(',') === new DraftPhase().config.pickOrder.join(','));
+    check('Picks come from the picking team\'s roster or bench',
+        benched.picks.every(pick => [...roster[pick.teamId].champions, ...bench[pick.teamId]]
+            .some(champion => champion.id === pick.championId)));
+    check('Every role filled on both teams', rolesFilled(benched.result.team1) && rolesFilled(benched.result.team2));
+
+    // 3. A bench covering one role: only that role can be banned, once
+    console.log('\n--- Ban legality ---');
+    const thin = runDraft({ mode: 'roster', bans: 2, bench: { team1: [], team2: [bench.team2[0]] } }, roster);
+    const team1Bans = thin.bans.filter(ban => ban.teamId === 'team1');
+    check('First ban hits the only role with a substitute', team1Bans[0].role === 'top' && !team1Bans[0].skipped);
+    check('Second ban is skipped (it would leave top empty)', team1Bans[1].skipped === true);
+    check('team2 cannot ban team1 at all', thin.bans.filter(ban => ban.teamId === 'team2').every(ban => ban.skipped));
+    check('Every role still filled', rolesFilled(thin.result.team1) && rolesFilled(thin.result.team2));
+
+    // 4. Shared pool: both teams draw from one list
+    console.log('\n--- Pool mode ---');
+    const pool = runDraft({ mode: 'pool', bans: 3, pool: extraPool }, roster);
+    const team1Ids = new Set(pool.result.team1.champions.map(champion => champion.id));
+    check('Every role filled on both teams', rolesFilled(pool.result.team1) && rolesFilled(pool.result.team2));
+    check('No champion drafted by both teams', pool.result.team2.champions.every(champion => !team1Ids.has(champion.id)));
+    check('Six bans, none skipped', pool.bans.length === 6 && pool.bans.every(ban => !ban.skipped));
+
+    // 5. Determinism
+    console.log('\n--- Determinism ---');
+    const again = runDraft({ mode: 'roster', bans: 2, bench }, roster);
+    check('Same seed, same draft',
+        JSON.stringify(again.picks.map(pick => pick.championId)) === JSON.stringify(benched.picks.map(pick => pick.championId)));
+
+    return { roster, bench };
+}
+
+async function testMatchLineup({ roster, bench }) {
+    // 6. A drafted bench champion plays the match and is in the lineup
+    console.log('\n--- Match with benches ---');
+    const simulator = new MatchSimulator({
+        matchId: 'test-draft',
+        seed: 'draft-match-seed',
+        team1: roster.team1,
+        team2: roster.team2,
+        maxWaves: 5,
+        draft: { mode: 'roster', bans: 2, bench }
+    });
+    await simulator.initialize();
+
+    const lineupIds = simulator.getState().champions.map(champion => champion.championId);
+    const picked = simulator.getAllEvents()
+        .filter(event => event.type === EventLog.EventTypes.DRAFT_PICK)
+        .map(event => event.championId);
+    check('Simulated lineup is the drafted one',
+        lineupIds.length === 10 && picked.every(id => lineupIds.includes(id)));
+}
+
+/**
+ * Database stand-in that keeps saved benches in memory
+ */
+function createBenchStore() {
+    const saved = {};
+    return {
+        async getTeamBenches(seasonNumber) {
+            return JSON.parse(JSON.stringify(saved[seasonNumber] || {}));
+        },
+        async saveTeamBench(seasonNumber, teamName, champions) {
+            saved[seasonNumber] = saved[seasonNumber] || {};
+            saved[seasonNumber][teamName] = JSON.parse(JSON.stringify(champions));
+        }
+    };
+}
+
+function benchIds(game) {
+    return Array.from(game.benches.values()).flat().map(champion => champion.id);
+}
+
+/**
+ * Play a resumed match to the end, as the adapter's wave interval would
+ */
+async function finishResumed(roster, snapshot, draft) {
+    const adapter = new MatchAdapter(roster.team1, roster.team2, null, { snapshot, draft });
+    await adapter.simulator.restoreSnapshot(snapshot);
+
+    let result = { finished: false };
+    while (!result.finished) result = adapter.simulator.step();
+    adapter._endMatch(result.winner);
+    return adapter;
+}
+
+async function testRestart({ roster, bench }) {
+    // 7. Benches are signed once a season and reloaded after a restart
+    console.log('\n--- Restart ---');
+    const store = createBenchStore();
+    const firstRun = new Game(null, store);
+    await firstRun.loadBenches(1);
+    const restarted = new Game(null, store);
+    await restarted.loadBenches(1);
+    check('Every team gets a full bench', firstRun.teams.every(team => firstRun._getBench(team).length === 5));
+    check('Restarted server reloads the same bench champions', benchIds(restarted).join(',') === benchIds(firstRun).join(','));
+
+    const nextSeason = new Game(null, store);
+    await nextSeason.loadBenches(2);
+    check('A new season signs new benches', !benchIds(nextSeason).some(id => benchIds(firstRun).includes(id)));
+
+    // 8. A match snapshotted mid-game resumes with the bench it drafted from
+    console.log('\n--- Resumed match with benches ---');
+    const draft = { mode: 'roster', bans: 2, bench };
+    const live = new MatchAdapter(roster.team1, roster.team2, null, { matchId: 'test-draft-resume', seed: 'draft-resume-seed', draft });
+    await live.simulator.initialize();
+    for (let i = 0; i < 5; i++) live.simulator.step();
+    const snapshot = JSON.parse(JSON.stringify(live.simulator.createSnapshot()));
+
+    const benchIdSet = new Set([...bench.team1, ...bench.team2].map(champion => champion.id));
+    const benchPicks = live.simulator.getAllEvents()
+        .filter(event => event.type === EventLog.EventTypes.DRAFT_PICK && benchIdSet.has(event.championId))
+        .map(event => event.championId);
+    check('The draft picked a bench champion', benchPicks.length > 0);
+
+    const credited = adapter => ['team1', 'team2'].every(teamId => adapter.getLineup(teamId).length === 5) &&
+        benchPicks.every(id => [...adapter.getLineup('team1'), ...adapter.getLineup('team2')].some(champion => champion.id === id && champion.kda));
+
+    // Same benches (reloaded): the drafted bench champions are the live objects
+    const resumed = await finishResumed(roster, snapshot, draft);
+    check('Resumed match credits its drafted bench champions', credited(resumed));
+    const resumedLineup = [...resumed.getLineup('team1'), ...resumed.getLineup('team2')];
+    check('Stats land on the live bench objects',
+        benchPicks.every(id => resumedLineup.includes([...bench.team1, ...bench.team2].find(champion => champion.id === id))));
+
+    // Different benches now: the snapshot's draft still wins
+    const otherBench = {
+        team1: ['Top', 'Jungle', 'Mid', 'ADC', 'Support'].map(role => generateChampion(role)),
+        team2: ['Top', 'Jungle', 'Mid', 'ADC', 'Support'].map(role => generateChampion(role))
+    };
+    const reshuffled = await finishResumed(roster, snapshot, { mode: 'roster', bans: 2, bench: otherBench });
+    check('Changed benches still credit the drafted champions', credited(reshuffled));
+}
+
+const drafted = testDraft();
+testMatchLineup(drafted).then(() => testRestart(drafted)).then(() => {
+    console.log('\n=== TEST COMPLETE ===\n');
+
+    if (failures === 0) {
+        console.log('✅ ALL TESTS PASSED - Drafts are legal and fill every role!');
+    } else {
+        console.log(`❌ ${failures} CHECKS FAILED - Check output above`);
+        process.exit(1);
+    }
+}).catch(error => {
+    console.error('Test error:', error);
+    process.exit(1);
+});
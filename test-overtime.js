@@ -0,0 +1,196 @@
+/**
+ * Test script for overtime and tiebreaks
+ *
+ * Builds small worlds by hand and runs OvertimeSystem over them, validating:
+ * - The tiebreak ladder is walked in its configured order and stops at the first split
+ * - A dead-level match falls back to a seeded coin flip
+ * - overtimeWaves: 0 skips overtime and settles the match on the last regulation wave
+ * - Overtime rules voted in by the Reckoning reach the simulation through the league ruleset
+ */
+
+const OvertimeSystem = require('./server/simulation/systems/OvertimeSystem');
+const MatchSimulator = require('./server/simulation/MatchSimulator');
+const EventLog = require('./server/simulation/engines/EventLog');
+const World = require('./server/simulation/core/World');
+const Entity = require('./server/simulation/core/Entity');
+const RNG = require('./server/simulation/core/RNG');
+const { CStats } = require('./server/simulation/core/Component');
+const { LeagueRuleset } = require('./server/game/leagueRuleset');
+
+let failures = 0;
+
+function check(label, passed, detail = '') {
+    console.log(`${passed ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+    if (!passed) failures++;
+}
+
+/**
+ * World at the end of regulation: per team, standing structures, total gold and total kills
+ */
+function buildWorld(tick, teams) {
+    const world = new World();
+    for (const [teamId, { structures, gold, kills }] of Object.entries(teams)) {
+        world.setMetadata(teamId, { name: teamId === 'team1' ? 'Alpha' : 'Omega' });
+
+        for (let i = 0; i < 3; i++) {
+            const structure = new Entity();
+            structure.addTag('structure');
+            structure.addTag(teamId);
+            structure.addComponent('stats', new CStats({ isAlive: i < structures }));
+            world.addEntity(structure);
+        }
+
+        for (let i = 0; i < 5; i++) {
+            const champion = new Entity();
+            champion.addTag('champion');
+            champion.addTag(teamId);
+            champion.addComponent('stats', new CStats({
+                gold: i === 0 ? gold : 0,
+                kda: { kills: i === 0 ? kills : 0, deaths: 0, assists: 0 }
+            }));
+            world.addEntity(champion);
+        }
+    }
+
+    while (world.getTick() < tick) world.advanceTick();
+    return world;
+}
+
+function createOvertime(overtime = null) {
+    const system = new OvertimeSystem();
+    system.config.regulationWaves = 30;
+    if (overtime) system.configure(overtime);
+    return system;
+}
+
+function tiebreak(system, world, seed = 'overtime-test') {
+    const eventLog = new EventLog();
+    const winner = system.resolveTiebreak(world, new RNG(seed).fork('tiebreak'), eventLog, world.getTick());
+    const [event] = eventLog.getEventsByType(EventLog.EventTypes.OVERTIME_TIEBREAK);
+    return { winner, event, decision: world.getMetadata('matchDecision') };
+}
+
+function testLadderOrder() {
+    console.log('--- Ladder order ---');
+    // team1 keeps more structures, team2 has more gold and kills
+    const teams = {
+        team1: { structures: 3, gold: 5000, kills: 4 },
+        team2: { structures: 2, gold: 9000, kills: 12 }
+    };
+
+    const standard = tiebreak(createOvertime(), buildWorld(40, teams));
+    check('Default ladder settles on structures first', standard.winner === 'team1' && standard.decision.criterion === 'structures');
+    check('Ladder stops at the first split', standard.event.ladder.length === 1);
+
+    const goldFirst = tiebreak(createOvertime({ tiebreak: ['gold', 'structures'] }), buildWorld(40, teams));
+    check('Reordered ladder settles on gold', goldFirst.winner === 'team2' && goldFirst.decision.criterion === 'gold');
+
+    const levelStructures = tiebreak(createOvertime(), buildWorld(40, {
+        team1: { structures: 2, gold: 5000, kills: 20 },
+        team2: { structures: 2, gold: 6000, kills: 1 }
+    }));
+    check('Level rung falls through to the next one',
+        levelStructures.winner === 'team2' && levelStructures.event.ladder.map(rung => rung.criterion).join(',') === 'structures,gold');
+
+    let rejected = false;
+    try {
+        createOvertime({ tiebreak: ['structures', 'vibes'] });
+    } catch (error) {
+        rejected = /Unknown tiebreak criterion/.test(error.message);
+    }
+    check('Unknown criteria are rejected', rejected);
+}
+
+function testCoinFlip() {
+    console.log('\n--- Coin flip ---');
+    const level = {
+        team1: { structures: 2, gold: 7000, kills: 8 },
+        team2: { structures: 2, gold: 7000, kills: 8 }
+    };
+
+    const flip = tiebreak(createOvertime(), buildWorld(40, level));
+    check('Dead-level match goes to a coin flip', flip.decision.criterion === 'coin_flip');
+    check('Every rung was checked first', flip.event.ladder.length === OvertimeSystem.TIEBREAK_CRITERIA.length);
+    check('Same seed, same flip', tiebreak(createOvertime(), buildWorld(40, level)).winner === flip.winner);
+
+    const winners = new Set();
+    for (let i = 0; i < 20; i++) {
+        winners.add(tiebreak(createOvertime(), buildWorld(40, level), `flip-${i}`).winner);
+    }
+    check('Either team can win the flip', winners.size === 2);
+}
+
+function testNoOvertime() {
+    console.log('\n--- overtimeWaves: 0 ---');
+    const teams = {
+        team1: { structures: 1, gold: 5000, kills: 4 },
+        team2: { structures: 3, gold: 5000, kills: 4 }
+    };
+
+    const direct = createOvertime({ waves: 0 });
+    check('Wave limit is regulation only', direct.getWaveLimit() === 30);
+
+    const world = buildWorld(30, teams);
+    const eventLog = new EventLog();
+    direct.update(world, new RNG('no-overtime'), eventLog);
+    check('Last regulation wave settles the match', world.getMetadata('matchOver') === true && world.getMetadata('matchWinner') === 'team2');
+    check('Decided by tiebreak, not in overtime',
+        world.getMetadata('matchDecision').method === 'tiebreak' && world.getMetadata('matchDecision').overtime === false);
+    check('Overtime never starts', eventLog.getEventsByType(EventLog.EventTypes.OVERTIME_START).length === 0);
+
+    // The default plays overtime instead
+    const regular = createOvertime();
+    const overtimeWorld = buildWorld(30, teams);
+    const overtimeLog = new EventLog();
+    regular.update(overtimeWorld, new RNG('overtime'), overtimeLog);
+    check('Default goes to overtime', !overtimeWorld.getMetadata('matchOver') &&
+        overtimeLog.getEventsByType(EventLog.EventTypes.OVERTIME_START).length === 1);
+}
+
+async function testRulesetWiring() {
+    console.log('\n--- League ruleset ---');
+    const ruleset = new LeagueRuleset({ season: 2 });
+    ruleset.applyRule({ id: 'rule_sudden_death', name: 'No Extra Time', effect: { overtimeWaves: 0 } });
+    ruleset.applyRule({ id: 'rule_bloodsport', name: 'Bloodsport Tiebreaks', effect: { tiebreak: ['kills', 'structures', 'gold'] } });
+
+    const config = LeagueRuleset.fromJSON(ruleset.toJSON()).toSimulationConfig();
+    check('Overtime rules survive persistence', config.overtime.waves === 0 && config.overtime.tiebreak[0] === 'kills');
+    check('No overtime rules without a vote', new LeagueRuleset().toSimulationConfig().overtime === null);
+
+    const teamsData = require('./server/data/data.json');
+    const simulator = new MatchSimulator({
+        matchId: 'test-overtime',
+        seed: 'overtime-ruleset-seed',
+        team1: teamsData.teams[0],
+        team2: teamsData.teams[1],
+        maxWaves: 30,
+        ruleset: config
+    });
+    await simulator.initialize();
+    check('Simulation plays the voted overtime rules',
+        simulator.overtimeSystem.config.overtimeWaves === 0 && simulator.overtimeSystem.config.tiebreak.join(',') === 'kills,structures,gold');
+    check('Match wave limit drops to regulation', simulator.getWaveLimit() === 30);
+    check('Replays keep the overtime rules', simulator.getReplayConfig().overtime.waves === 0);
+}
+
+async function main() {
+    console.log('=== Testing Overtime and Tiebreaks ===\n');
+    testLadderOrder();
+    testCoinFlip();
+    testNoOvertime();
+    await testRulesetWiring();
+
+    console.log('\n=== TEST COMPLETE ===\n');
+
+    if (failures === 0) {
+        console.log('✅ ALL TESTS PASSED - Level matches are settled the way the league voted!');
+    } else {
+        console.log(`❌ ${failures} CHECKS FAILED - Check output above`);
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('Test error:', error);
+    process.exit(1);
+});
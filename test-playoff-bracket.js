@@ -0,0 +1,302 @@
+/**
+ * Test script for playoff brackets
+ *
+ * Builds 4-, 6- and 8-team brackets in single and double elimination,
+ * plays them out and validates:
+ * - First-round pairings follow the seed order (1 and 2 can only meet in the final)
+ * - Byes send the top seeds straight to the second round
+ * - Double elimination drops every winners bracket loser into the losers bracket
+ * - Nobody is knocked out before their second loss (double elimination)
+ * - The final is played between the two bracket champions
+ * - Fields the format can't hold are rejected
+ * - A bracket rebuilt from its saved nodes continues from the first unfinished
+ *   series, and a restarted SeasonManager doesn't replay finished series
+ */
+
+const { PlayoffBracket, FORMATS } = require('./server/game/playoffBracket');
+const { SeasonManager } = require('./server/game/seasonManager');
+
+let failures = 0;
+
+function check(label, passed, detail = '') {
+    console.log(`${passed ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+    if (!passed) failures++;
+}
+
+function makeTeams(count) {
+    return Array.from({ length: count }, (_, i) => ({ name: `Seed ${i + 1}` }));
+}
+
+function seedOf(team) {
+    return parseInt(team.name.replace('Seed ', ''), 10);
+}
+
+/**
+ * Play every round, then the final. `pickWinner(node)` returns the winning team
+ * (defaults to the higher seed). Returns the nodes in the order they were played.
+ */
+function playOut(bracket, pickWinner = node => (seedOf(node.team1) < seedOf(node.team2) ? node.team1 : node.team2)) {
+    const played = [];
+    const play = node => {
+        const winner = pickWinner(node);
+        const loser = winner === node.team1 ? node.team2 : node.team1;
+        bracket.recordResult(node.matchId, winner, loser);
+        played.push(node);
+    };
+
+    let round = bracket.getNextRound();
+    while (round.length > 0) {
+        round.forEach(play);
+        round = bracket.getNextRound();
+    }
+
+    if (bracket.isFinalsReady()) {
+        play(bracket.getFinals());
+    }
+    return played;
+}
+
+function pairing(node) {
+    return `${node.seed1}v${node.seed2}`;
+}
+
+/**
+ * Round-trip through the shape Database.getPlayoffBracket() returns
+ */
+function saveAndLoad(bracket) {
+    const { type, nodes } = JSON.parse(JSON.stringify(bracket.toJSON()));
+    return {
+        type,
+        nodes: nodes.map(({ completedAt, ...node }) => ({ ...node, matchDate: completedAt }))
+    };
+}
+
+function describeRound(bracket) {
+    return bracket.getNextRound().map(node => `${node.matchId}:${node.team1.name}v${node.team2.name}`).join(',');
+}
+
+function testSingleElimination() {
+    console.log('=== Testing Single Elimination ===\n');
+
+    // 4 teams: no byes
+    console.log('--- 4 teams ---');
+    const four = new PlayoffBracket({ type: FORMATS.SINGLE_ELIMINATION }, makeTeams(4));
+    const fourFirst = four.getNextRound();
+    check('Semifinals pair 1v4 and 2v3', fourFirst.map(pairing).join(',') === '1v4,2v3', fourFirst.map(pairing).join(','));
+    check('Three matches in total', four.nodes.size === 3);
+    playOut(four);
+    check('Final is seed 1 vs seed 2', pairing(four.getFinals()) === '1v2');
+    check('Seed 1 wins the final', four.getFinals().winner.name === 'Seed 1');
+
+    // 6 teams: the top two seeds get byes
+    console.log('\n--- 6 teams ---');
+    const six = new PlayoffBracket({ type: FORMATS.SINGLE_ELIMINATION }, makeTeams(6));
+    const sixFirst = six.getNextRound();
+    check('Only two quarterfinals are played', sixFirst.length === 2 && sixFirst.every(node => node.roundName === 'QUARTERFINALS'));
+    check('Quarterfinals pair 4v5 and 3v6', sixFirst.map(pairing).join(',') === '4v5,3v6', sixFirst.map(pairing).join(','));
+    check('Seeds 1 and 2 wait in the semifinals',
+        six.getNode('SF1').team1.name === 'Seed 1' && six.getNode('SF2').team1.name === 'Seed 2');
+    check('Byes leave no placeholder matches', six.nodes.size === 5);
+
+    const sixPlayed = playOut(six);
+    check('Byes mean seeds 1 and 2 play two matches to win',
+        sixPlayed.filter(node => node.winner.name === 'Seed 1').length === 2);
+    check('Semifinals are 1v4 and 2v3', ['SF1', 'SF2'].map(id => pairing(six.getNode(id))).join(',') === '1v4,2v3');
+    check('Final is seed 1 vs seed 2', pairing(six.getFinals()) === '1v2');
+
+    // 8 teams: full bracket
+    console.log('\n--- 8 teams ---');
+    const eight = new PlayoffBracket({ type: FORMATS.SINGLE_ELIMINATION }, makeTeams(8));
+    const eightFirst = eight.getNextRound();
+    check('Quarterfinals follow the seed order',
+        eightFirst.map(pairing).join(',') === '1v8,4v5,2v7,3v6', eightFirst.map(pairing).join(','));
+    check('Seven matches in total', eight.nodes.size === 7);
+
+    // An upset in the first round carries the lower seed forward
+    playOut(eight, node => (pairing(node) === '2v7' ? node.team2 : (seedOf(node.team1) < seedOf(node.team2) ? node.team1 : node.team2)));
+    check('Upset winner advances to the semifinal', pairing(eight.getNode('SF2')) === '7v3');
+    check('Final is seed 1 vs seed 3', pairing(eight.getFinals()) === '1v3');
+}
+
+function testDoubleElimination() {
+    console.log('\n=== Testing Double Elimination ===\n');
+
+    // 4 teams
+    console.log('--- 4 teams ---');
+    const four = new PlayoffBracket({ type: FORMATS.DOUBLE_ELIMINATION }, makeTeams(4));
+    check('Winners round 1 pairs 1v4 and 2v3', four.getNextRound().map(pairing).join(',') === '1v4,2v3');
+
+    // Seed 4 upsets seed 1, who should drop into the losers bracket and still make the final
+    const upset = node => (pairing(node) === '1v4' && node.section === 'winners'
+        ? node.team2
+        : (seedOf(node.team1) < seedOf(node.team2) ? node.team1 : node.team2));
+    const fourPlayed = playOut(four, upset);
+    check('Round 1 losers meet in the losers bracket', ['Seed 1', 'Seed 3'].every(name =>
+        [four.getNode('L1-1').team1, four.getNode('L1-1').team2].some(team => team.name === name)));
+    check('Winners final loser drops into the losers final',
+        four.getNode('L2-1').team2 === four.getNode('W2-1').loser);
+    check('Final is winners champion vs losers champion',
+        four.getFinals().team1 === four.getNode('W2-1').winner && four.getFinals().team2 === four.getNode('L2-1').winner);
+    check('Upset seed 1 reaches the final through the losers bracket', four.getFinals().team2.name === 'Seed 1');
+    check('Final is played last', fourPlayed[fourPlayed.length - 1].matchId === 'FINALS');
+
+    // 8 teams
+    console.log('\n--- 8 teams ---');
+    const eight = new PlayoffBracket({ type: FORMATS.DOUBLE_ELIMINATION }, makeTeams(8));
+    const winners = Array.from(eight.nodes.values()).filter(node => node.section === 'winners');
+    const losers = Array.from(eight.nodes.values()).filter(node => node.section === 'losers');
+    check('Seven winners bracket matches', winners.length === 7);
+    check('Six losers bracket matches', losers.length === 6);
+    check('Every winners bracket match drops its loser', winners.every(node => node.loserTo && eight.getNode(node.loserTo.matchId).section === 'losers'));
+
+    const eightPlayed = playOut(eight);
+    const losses = new Map();
+    eightPlayed.forEach(node => losses.set(node.loser, (losses.get(node.loser) || 0) + 1));
+    const finals = eight.getFinals();
+    const eliminated = eight.teams.filter(team => team !== finals.team1 && team !== finals.team2);
+    check('Everyone knocked out before the final lost twice', eliminated.every(team => losses.get(team) === 2));
+    check('Winners champion is undefeated before the final',
+        (losses.get(finals.team1) || 0) === (finals.loser === finals.team1 ? 1 : 0));
+    check('Final is seed 1 vs seed 2', pairing(finals) === '1v2');
+    check('Losers final fed the final', finals.team2 === eight.getNode('L4-1').winner);
+
+    // 6 teams can't be double eliminated
+    console.log('\n--- 6 teams ---');
+    let rejected = false;
+    try {
+        new PlayoffBracket({ type: FORMATS.DOUBLE_ELIMINATION }, makeTeams(6));
+    } catch (error) {
+        rejected = /power-of-two/.test(error.message);
+    }
+    check('6-team double elimination is rejected', rejected);
+}
+
+function testRebuild() {
+    console.log('\n=== Testing Rebuild From Saved Nodes ===\n');
+
+    // 6 teams, quarterfinals done (with an upset)
+    console.log('--- Single elimination ---');
+    const teams = makeTeams(6);
+    const six = new PlayoffBracket({ type: FORMATS.SINGLE_ELIMINATION }, teams);
+    six.recordResult('QF1', six.getNode('QF1').team2, six.getNode('QF1').team1, 1, 2);
+    six.recordResult('QF2', six.getNode('QF2').team1, six.getNode('QF2').team2, 2, 0);
+
+    const rebuilt = PlayoffBracket.fromJSON({}, saveAndLoad(six), teams);
+    check('Finished series keep their winners',
+        rebuilt.getNode('QF1').winner === teams[4] && rebuilt.getNode('QF2').winner === teams[2]);
+    check('Series scores survive', rebuilt.getNode('QF1').team1Wins === 1 && rebuilt.getNode('QF1').team2Wins === 2);
+    check('Completion time survives', rebuilt.getNode('QF1').completedAt === six.getNode('QF1').completedAt);
+    check('Continues from the semifinals', describeRound(rebuilt) === describeRound(six), describeRound(rebuilt));
+
+    // 8 teams double elimination, stopped partway through the losers bracket
+    console.log('\n--- Double elimination ---');
+    const eightTeams = makeTeams(8);
+    const eight = new PlayoffBracket({ type: FORMATS.DOUBLE_ELIMINATION }, eightTeams);
+    for (let i = 0; i < 3; i++) {
+        eight.getNextRound().forEach(node => eight.recordResult(node.matchId, node.team2, node.team1));
+    }
+    const eightRebuilt = PlayoffBracket.fromJSON({}, saveAndLoad(eight), eightTeams);
+    check('Losers bracket drop-downs are restored', describeRound(eightRebuilt) === describeRound(eight), describeRound(eightRebuilt));
+
+    playOut(eight);
+    playOut(eightRebuilt);
+    check('Both brackets crown the same champion', eightRebuilt.getFinals().winner === eight.getFinals().winner);
+
+    // Group stage finished, knockout not started
+    console.log('\n--- Group stage ---');
+    const groupTeams = makeTeams(8);
+    const groups = new PlayoffBracket({ type: FORMATS.GROUP_STAGE, groupCount: 2, advancePerGroup: 2 }, groupTeams);
+    groups.getNextRound().forEach(node => groups.recordResult(node.matchId, node.team2, node.team1));
+    const groupsRebuilt = PlayoffBracket.fromJSON({ type: FORMATS.GROUP_STAGE }, saveAndLoad(groups), groupTeams);
+    check('Knockout pairings come from the saved group results',
+        describeRound(groupsRebuilt) === describeRound(groups), describeRound(groupsRebuilt));
+
+    // A save that doesn't fit the teams any more is rejected, not guessed at
+    let rejected = false;
+    try {
+        PlayoffBracket.fromJSON({}, saveAndLoad(six), makeTeams(5));
+    } catch (error) {
+        rejected = /unknown team/.test(error.message);
+    }
+    check('Unknown teams are rejected', rejected);
+}
+
+/**
+ * Restart SeasonManager mid-playoffs after the quarterfinals were played
+ */
+async function testSeasonRestart() {
+    console.log('\n=== Testing SeasonManager Restart ===\n');
+
+    const teams = makeTeams(8).map((team, i) => ({ ...team, wins: 20 - i, losses: i }));
+    const original = new PlayoffBracket({ type: FORMATS.SINGLE_ELIMINATION, teamCount: 6 }, teams);
+    for (const matchId of ['QF1', 'QF2']) {
+        const node = original.getNode(matchId);
+        original.recordResult(matchId, node.team2, node.team1, 0, 1);
+        // Playoff wins count toward the record, which reshuffles a fresh seeding
+        node.team2.wins += 10;
+    }
+    const saved = saveAndLoad(original);
+
+    const restart = async (phase, bracket) => {
+        const seasonManager = new SeasonManager({
+            async loadSeasonState() { return { current_phase: phase, current_week: 10, current_day: 2 }; },
+            async loadSeasonSchedule() { return []; },
+            async getPlayoffBracket() { return bracket; },
+            async savePlayoffBracket() {}
+        }, null);
+        seasonManager.teams = teams;
+        await seasonManager.restoreSeasonState();
+        return seasonManager;
+    };
+
+    const seasonManager = await restart('PLAYOFFS', saved);
+    check('Resumes in the playoffs', seasonManager.resumePhase === 'PLAYOFFS');
+
+    const played = [];
+    const entered = [];
+    seasonManager.isRunning = true;
+    seasonManager.sleep = async () => {};
+    seasonManager.enterPhase = async phase => { entered.push(phase); };
+    seasonManager.runSeries = async ({ seriesId, team1, team2 }) => {
+        played.push(`${seriesId}:${team1.name}v${team2.name}`);
+        return { winner: team1, loser: team2, team1Wins: 1, team2Wins: 0 };
+    };
+    await seasonManager.runPlayoffs();
+
+    check('Finished quarterfinals are not replayed', played.every(series => !series.startsWith('QF')), played.join(','));
+    check('Semifinals keep their saved pairings',
+        played.join(',') === 'SF1:Seed 1vSeed 5,SF2:Seed 2vSeed 6', played.join(','));
+    check('Moves on to the finals', entered.join(',') === 'FINALS');
+
+    // Finals resume straight into the finals once both finalists are known
+    playOut(original, node => node.team1);
+    const finalsSave = saveAndLoad(original);
+    finalsSave.nodes.find(node => node.matchId === 'FINALS').winner = null;
+    const finalsManager = await restart('FINALS', finalsSave);
+    check('Finals resume as the finals', finalsManager.resumePhase === 'FINALS' &&
+        finalsManager.playoffBracket.getFinals().team1 === teams[0]);
+
+    const unsaved = await restart('FINALS', null);
+    check('Finals without a saved bracket restart the playoffs', unsaved.resumePhase === 'PLAYOFFS');
+}
+
+async function main() {
+    testSingleElimination();
+    testDoubleElimination();
+    testRebuild();
+    await testSeasonRestart();
+
+    console.log('\n=== TEST COMPLETE ===\n');
+
+    if (failures === 0) {
+        console.log('✅ ALL TESTS PASSED - Brackets seed, drop and crown correctly!');
+    } else {
+        console.log(`❌ ${failures} CHECKS FAILED - Check output above`);
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('Test error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,83 @@
+/**
+ * Test script for replay re-simulation
+ *
+ * Runs a match, keeps only its replay config (seed + roster snapshot + engine
+ * version + event hash) and verifies ReplayRunner reproduces the same events.
+ * Also checks a match restored from a mid-match snapshot finishes identically.
+ */
+
+const MatchSimulator = require('./server/simulation/MatchSimulator');
+const ReplayRunner = require('./server/simulation/ReplayRunner');
+
+async function testReplay() {
+    console.log('=== Testing Replay Re-simulation ===\n');
+
+    const teamsData = require('./server/data/data.json');
+    const team1 = teamsData.teams[0];
+    const team2 = teamsData.teams[1];
+
+    // Run the original match
+    const simulator = new MatchSimulator({
+        matchId: 'test-replay',
+        seed: 'replay-test-seed',
+        team1,
+        team2,
+        maxWaves: 150
+    });
+    const result = await simulator.runToCompletion();
+    const events = simulator.getAllEvents();
+
+    const replay = {
+        ...simulator.getReplayConfig(),
+        waves: result.waves,
+        eventCount: events.length,
+        eventHash: ReplayRunner.hashEvents(events)
+    };
+
+    console.log(`Original: ${events.length} events over ${result.waves} waves (winner: ${result.winner})`);
+    console.log(`Stored replay size: ${JSON.stringify(replay).length} bytes (events: ${JSON.stringify(events).length} bytes)\n`);
+
+    // Re-simulate twice - the second run checks replays don't leak state between runs
+    const first = await new ReplayRunner(replay).verify();
+    const second = await new ReplayRunner(replay).verify();
+
+    console.log(`Replay 1: ${first.actual.eventCount} events, verified: ${first.verified}`);
+    console.log(`Replay 2: ${second.actual.eventCount} events, verified: ${second.verified}`);
+
+    // A different seed must not verify
+    const tampered = await new ReplayRunner({ ...replay, seed: 'some-other-seed' }).verify();
+    console.log(`Tampered seed verified: ${tampered.verified}`);
+
+    // Snapshot mid-match (through JSON, as it's stored), restore and play out the rest
+    const interrupted = MatchSimulator.fromReplayConfig(replay);
+    await interrupted.initialize();
+    for (let i = 0; i < 20; i++) {
+        interrupted.step();
+    }
+    const snapshot = JSON.parse(JSON.stringify(interrupted.createSnapshot()));
+
+    const resumed = MatchSimulator.fromReplayConfig(snapshot.replay);
+    await resumed.restoreSnapshot(snapshot);
+    let resumedResult = { finished: false };
+    while (!resumedResult.finished) {
+        resumedResult = resumed.step();
+    }
+    const resumedHash = ReplayRunner.hashEvents(resumed.getAllEvents());
+    const resumeMatches = resumedHash === replay.eventHash && resumedResult.winner === result.winner;
+    console.log(`Resumed from wave 20 snapshot (${JSON.stringify(snapshot).length} bytes): ${resumeMatches ? '✅ identical' : '❌ diverged'}`);
+
+    console.log('\n=== TEST COMPLETE ===\n');
+
+    if (first.verified && second.verified && !tampered.verified && resumeMatches) {
+        console.log('✅ ALL TESTS PASSED - Replays reproduce the original match!');
+    } else {
+        console.log('❌ SOME TESTS FAILED - Check output above');
+        process.exit(1);
+    }
+}
+
+// Run test
+testReplay().catch(error => {
+    console.error('Test error:', error);
+    process.exit(1);
+});
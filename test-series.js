@@ -0,0 +1,153 @@
+/**
+ * Test script for series games that time out
+ *
+ * Runs best-of-1 series through SeasonManager (and Game) with a short result
+ * timeout and validates:
+ * - A game that never reports back is abandoned and replayed under its own ID
+ * - The abandoned match is told to stop
+ * - A stale result for the abandoned attempt is ignored (no series progress,
+ *   no team record or bet settlement)
+ * - The replay's result decides the game
+ */
+
+const { SeasonManager } = require('./server/game/seasonManager');
+const Game = require('./server/game/game');
+
+const RESULT_TIMEOUT_MS = 50;
+const REPLAY_TIMEOUT_MS = 60 * 1000;
+
+let failures = 0;
+
+function check(label, passed, detail = '') {
+    console.log(`${passed ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+    if (!passed) failures++;
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Database stand-in for the writes a series makes
+ */
+function createDatabase() {
+    const saved = [];
+    return {
+        saved,
+        async saveMatchResult(result) { saved.push(result); },
+        async saveTeamStandings() {}
+    };
+}
+
+function seriesOptions(team1, team2) {
+    return {
+        seriesId: 'SF1',
+        team1,
+        team2,
+        bestOf: 1,
+        round: 'SEMIFINALS',
+        phase: 'PLAYOFF',
+        eventName: 'playoff_match_scheduled',
+        intensity: 'PLAYOFF'
+    };
+}
+
+async function testStaleResult() {
+    console.log('--- SeasonManager ---');
+    const db = createDatabase();
+    const seasonManager = new SeasonManager(db, null);
+    seasonManager.isRunning = true;
+    seasonManager.gameResultTimeout = RESULT_TIMEOUT_MS;
+
+    const alpha = { name: 'Alpha' };
+    const omega = { name: 'Omega' };
+    const scheduled = [];
+    const abandoned = [];
+    seasonManager.on('playoff_match_scheduled', matchInfo => scheduled.push(matchInfo));
+    seasonManager.on('series_game_abandoned', event => abandoned.push(event));
+
+    const seriesPromise = seasonManager.runSeries(seriesOptions(alpha, omega));
+    check('First attempt uses the game ID', scheduled.length === 1 && scheduled[0].matchId === 'SF1-G1');
+
+    // Only the first attempt times out
+    seasonManager.gameResultTimeout = REPLAY_TIMEOUT_MS;
+    await wait(RESULT_TIMEOUT_MS * 3);
+    check('Timed-out game is abandoned', abandoned.length === 1 && abandoned[0].matchId === 'SF1-G1');
+    check('Replay runs under its own ID', scheduled.length === 2 && scheduled[1].matchId === 'SF1-G1-R2' && scheduled[1].attempt === 2);
+
+    // The stuck first attempt finishes after all
+    const staleRecorded = seasonManager.recordMatchResult('SF1-G1', omega, alpha, 'PLAYOFF');
+    check('Stale result is ignored', staleRecorded === false && seasonManager.completedMatches.length === 0);
+    check('Series still waits on the replay', seasonManager.isAwaitingResult('SF1-G1-R2'));
+
+    seasonManager.recordMatchResult('SF1-G1-R2', alpha, omega, 'PLAYOFF');
+    const series = await seriesPromise;
+    check('Replay result decides the game', series.winner === alpha && series.team1Wins === 1 && series.team2Wins === 0);
+    check('Game is recorded under the replay ID',
+        series.games[0].matchId === 'SF1-G1-R2' && db.saved.length === 1 && db.saved[0].matchId === 'SF1-G1-R2');
+}
+
+async function testGameIgnoresStaleMatch() {
+    console.log('\n--- Game ---');
+    const game = new Game({ clients: new Set() }, createDatabase());
+    const seasonManager = game.seasonManager;
+    seasonManager.isRunning = true;
+    seasonManager.gameResultTimeout = RESULT_TIMEOUT_MS;
+
+    const [team1, team2] = game.teams;
+    const records = () => [team1.wins || 0, team1.losses || 0, team2.wins || 0, team2.losses || 0].join(',');
+    const before = records();
+
+    // Matches that only finish when told to; aborting one doesn't stop it finishing
+    // late (the race a timeout can lose)
+    const runs = [];
+    game.runMatch = (matchTeam1, matchTeam2, phase, matchId, live) => new Promise(resolve => {
+        const run = { matchId, seriesMatchId: live.seriesMatchId, aborted: false };
+        run.finish = winner => resolve({
+            winner,
+            loser: winner === matchTeam1 ? matchTeam2 : matchTeam1,
+            matchInstance: { team1: matchTeam1, team2: matchTeam2, wave: 30, getLineup: () => [], chaosManager: { getChaosLevel: () => 0 } },
+            matchId
+        });
+        game.seriesGames.set(live.seriesMatchId, { abort: () => { run.aborted = true; } });
+        runs.push(run);
+    });
+
+    const seriesPromise = seasonManager.runSeries(seriesOptions(team1, team2));
+    seasonManager.gameResultTimeout = REPLAY_TIMEOUT_MS;
+    await wait(RESULT_TIMEOUT_MS * 3);
+    check('Both attempts were started', runs.length === 2 && runs[1].seriesMatchId === 'SF1-G1-R2');
+    check('Abandoned match was aborted', runs[0].aborted && !runs[1].aborted);
+
+    runs[0].finish(team2);
+    await wait(10);
+    check('Stale match leaves team records alone', records() === before, records());
+    const stalePool = game.bettingSystem.getPool(runs[0].matchId);
+    check('Stale match settles no bets', stalePool.locked && stalePool.winner === null);
+
+    runs[1].finish(team1);
+    const series = await seriesPromise;
+    await wait(10);
+    check('Replay result decides the game', series.winner === team1 && series.games[0].matchId === 'SF1-G1-R2');
+    check('Replay is counted once', (team1.wins || 0) === parseInt(before.split(',')[0], 10) + 1);
+}
+
+async function main() {
+    console.log('=== Testing Series Game Timeouts ===\n');
+    await testStaleResult();
+    await testGameIgnoresStaleMatch();
+
+    console.log('\n=== TEST COMPLETE ===\n');
+
+    if (failures === 0) {
+        console.log('✅ ALL TESTS PASSED - Abandoned series games stay abandoned!');
+    } else {
+        console.log(`❌ ${failures} CHECKS FAILED - Check output above`);
+        process.exit(1);
+    }
+}
+
+main().then(() => process.exit(0)).catch(error => {
+    console.error('Test error:', error);
+    process.exit(1);
+});
@@ -1,10 +1,12 @@
 /**
  * Test script for deterministic simulation
  *
- * Runs the same match twice with the same seed and verifies identical results.
+ * Runs the same match twice with the same seed and verifies identical results,
+ * and that a system calling Math.random() stops the match even outside audits.
  */
 
 const MatchSimulator = require('./server/simulation/MatchSimulator');
+const { DeterminismError } = require('./server/simulation/engines/SimulationEngine');
 
 // Mock team data
 const mockTeam1 = {
@@ -227,12 +229,58 @@ async function testDeterministicSimulation() {
     console.log(`  First 5 values (RNG 1): ${values1.slice(0, 5).map(v => v.toFixed(6)).join(', ')}`);
     console.log(`  First 5 values (RNG 2): ${values2.slice(0, 5).map(v => v.toFixed(6)).join(', ')}`);
 
+    console.log('\n=== DETERMINISM AUDIT ===\n');
+
+    // Full event stream + world state compared after every system, every wave
+    const audit = await MatchSimulator.checkDeterminism({
+        matchId: 'test-audit',
+        seed: seed,
+        team1: mockTeam1,
+        team2: mockTeam2,
+        maxWaves: 10
+    });
+
+    console.log(`Audit (${audit.waves} waves): ${audit.deterministic ? '✅ PASS' : '❌ FAIL'}`);
+    if (audit.divergence) {
+        const { wave, system, reason, path } = audit.divergence;
+        console.log(`  First divergence: wave ${wave}, ${system} - ${reason}${path ? ` (${path})` : ''}`);
+    }
+
+    console.log('\n=== MATH.RANDOM GUARD ===\n');
+
+    // A live (non-audit) match with a system that ignores the seeded RNG
+    const unseeded = new MatchSimulator({
+        matchId: 'test-unseeded',
+        seed: seed,
+        team1: mockTeam1,
+        team2: mockTeam2,
+        maxWaves: 10
+    });
+    await unseeded.initialize();
+    unseeded.engine.registerSystem({ update: () => Math.random() }, 50);
+
+    const originalRandom = Math.random;
+    let guardError = null;
+    try {
+        unseeded.step();
+    } catch (error) {
+        guardError = error;
+    }
+
+    const guardThrew = guardError instanceof DeterminismError;
+    const guardRestored = Math.random === originalRandom;
+    console.log(`Math.random() throws without audit mode: ${guardThrew ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`Math.random restored afterwards: ${guardRestored ? '✅ PASS' : '❌ FAIL'}`);
+
     console.log('\n=== TEST COMPLETE ===\n');
 
     const allPassed =
         events1.length === events2.length &&
         types1 === types2 &&
-        rngMatch;
+        rngMatch &&
+        audit.deterministic &&
+        guardThrew &&
+        guardRestored;
 
     if (allPassed) {
         console.log('✅ ALL TESTS PASSED - Simulation is deterministic!');